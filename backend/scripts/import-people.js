@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * Import enrolled people from people.json into the PostgreSQL people table
+ *
+ * Usage: npm run import:people
+ *
+ * People keep their IDs, so transactions already recorded for them are linked
+ * through to_person_id afterwards. People already in the table are skipped,
+ * so running it twice is safe. Run `npm run migrate` first, then set
+ * PEOPLE_STORAGE=postgres once the import is done.
+ */
+require('dotenv').config();
+process.env.PEOPLE_STORAGE = 'postgres';
+
+const db = require('../src/config/database');
+const jsonStorage = require('../src/services/jsonStorage');
+const peopleRepository = require('../src/services/peopleRepository');
+
+async function main() {
+  const people = await jsonStorage.getAllPeople();
+  let imported = 0;
+
+  for (const person of people) {
+    if (await peopleRepository.importPerson(person)) {
+      imported++;
+      console.log(`Imported ${person.name} (${person.id})`);
+    } else {
+      console.log(`Skipped ${person.name} (${person.id}) - already imported`);
+    }
+  }
+
+  const linked = await peopleRepository.linkTransactions();
+
+  console.log(`${imported} of ${people.length} people imported, ${linked} transactions linked to their recipient`);
+}
+
+main()
+  .catch((error) => {
+    console.error('People import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
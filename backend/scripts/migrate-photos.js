@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+/**
+ * Move photos embedded in people.json files into the image store
+ *
+ * Usage: npm run migrate:photos [-- path/to/people.json ...]
+ *
+ * Without arguments the live backend/data/people.json is converted. Each
+ * converted file is backed up as <file>.legacy.bak first. Files that are already
+ * converted are left alone, so running it twice is safe.
+ */
+require('dotenv').config();
+const path = require('path');
+const jsonStorage = require('../src/services/jsonStorage');
+
+async function main() {
+  const files = process.argv.slice(2).map(file => path.resolve(file));
+  if (files.length === 0) files.push(undefined);
+
+  for (const file of files) {
+    const result = await jsonStorage.migrateLegacyPhotos(file);
+    console.log(`${file || 'people.json'}: ${result.photos} photos of ${result.people} people moved to the image store`);
+  }
+}
+
+main().catch((error) => {
+  console.error('Photo migration failed:', error.message);
+  process.exit(1);
+});
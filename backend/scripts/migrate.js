@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Database migrations
+ *
+ * Usage: npm run migrate [-- <command>]
+ *
+ *   up (default)  Apply pending migrations in order
+ *   status        Show applied and pending migrations
+ *   down [n]      Revert the last n applied migrations (default 1)
+ */
+require('dotenv').config();
+const db = require('../src/config/database');
+const migrationRunner = require('../src/services/migrationRunner');
+
+const label = migration => `${migration.version}_${migration.name}`;
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrationRunner.up();
+      console.log(applied.length > 0
+        ? `Applied ${applied.map(label).join(', ')}`
+        : 'Nothing to apply - database is up to date');
+      break;
+    }
+
+    case 'status': {
+      const status = await migrationRunner.status();
+      status.applied.forEach(m => console.log(`  applied  ${label(m)}`));
+      status.pending.forEach(m => console.log(`  pending  ${label(m)}`));
+      status.modified.forEach(m => console.log(`  warning  ${label(m)} changed after it was applied`));
+      console.log(`Schema version ${status.current || 'none'} (latest ${status.latest})`);
+      break;
+    }
+
+    case 'down': {
+      const steps = arg === undefined ? 1 : parseInt(arg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('down expects a number of migrations to revert');
+      }
+
+      const reverted = await migrationRunner.down(steps);
+      console.log(reverted.length > 0
+        ? `Reverted ${reverted.map(label).join(', ')}`
+        : 'Nothing to revert');
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}" - use up, status or down [n]`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
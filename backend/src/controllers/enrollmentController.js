@@ -1,15 +1,174 @@
 const express = require('express');
 const router = express.Router();
-const jsonStorage = require('../services/jsonStorage');
+const peopleRepository = require('../services/peopleRepository');
+const faceMatcher = require('../services/faceMatcher');
+const faceRecognition = require('../services/faceRecognition');
+const photoQuality = require('../services/photoQuality');
+const imageStore = require('../services/imageStore');
 const logger = require('../utils/logger');
 
+const MIN_PHOTOS = 3;
+const WALLET_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const PHOTO_PATTERN = /^data:image\/\w+;base64,/;
+
+/**
+ * Person fields returned after an edit. Photos are image store IDs, served by
+ * /api/images. The first photo is the primary reference photo - it is the one
+ * sent to Gemini and shown on payment.
+ */
+function personDetails(person) {
+  return {
+    id: person.id,
+    name: person.name,
+    wallet: person.wallet,
+    photos: person.photos,
+    photoCount: person.photoCount,
+    duplicateOverrides: person.metadata?.duplicateOverrides || [],
+    createdAt: person.createdAt,
+    updatedAt: person.updatedAt || null
+  };
+}
+
+/**
+ * Decode photos given as data URLs and/or stored image IDs
+ */
+async function photoBuffers(photos) {
+  return Promise.all(photos.map(photo =>
+    imageStore.isImageId(photo) ? imageStore.read(photo) : Buffer.from(photo.replace(PHOTO_PATTERN, ''), 'base64')
+  ));
+}
+
+/**
+ * Enrolled people the photos look like. Empty when face matching is off or
+ * fails - logged, so a broken model never blocks enrollment on its own.
+ */
+async function findDuplicates(photos, excludeId = null) {
+  if (!faceMatcher.enabled) return [];
+
+  try {
+    const people = (await peopleRepository.getAllPeople()).filter(p => p.id !== excludeId);
+    return await faceMatcher.findDuplicates(await photoBuffers(photos), people);
+  } catch (error) {
+    logger.error('Error looking for duplicate people:', error);
+    return [];
+  }
+}
+
+/**
+ * Person metadata recording that a duplicate warning was overridden
+ */
+function withDuplicateOverride(metadata, duplicates) {
+  return {
+    ...(metadata || {}),
+    duplicateOverrides: [
+      ...(metadata?.duplicateOverrides || []),
+      { overriddenAt: new Date().toISOString(), duplicates }
+    ]
+  };
+}
+
+/**
+ * Error for an edit that can't be made as asked, answered with its status
+ */
+function photoEditError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * 409 response listing the people new photos look like
+ */
+function duplicateConflict(res, duplicates) {
+  return res.status(409).json({
+    success: false,
+    error: `Looks like someone already enrolled: ${duplicates.map(d => d.name).join(', ')}`,
+    message: 'Send allow_duplicate: true to enroll anyway - the override is recorded on the person',
+    duplicates
+  });
+}
+
+/**
+ * Run the photo quality checks on data URLs and/or stored image IDs. Returns
+ * null when the checks are off or can't run - they only guard recognition
+ * quality, so they never block enrollment on their own failure.
+ */
+async function checkPhotoQuality(photos) {
+  if (!photoQuality.enabled) return null;
+
+  try {
+    return await photoQuality.check(await photoBuffers(photos));
+  } catch (error) {
+    logger.error('Error checking photo quality:', error);
+    return null;
+  }
+}
+
+/**
+ * Compute face embeddings for new photos in the background, so identification
+ * doesn't have to. Photos without a detectable face are only logged - the
+ * face check fails closed for them later.
+ */
+function precomputeEmbeddings(person) {
+  if (!faceMatcher.enabled) return;
+
+  faceMatcher.embedPhotos(person.photos)
+    .then((withFace) => {
+      if (withFace < person.photos.length) {
+        logger.warn(`${person.name}: a face was found in ${withFace} of ${person.photos.length} photos`);
+      }
+    })
+    .catch((error) => {
+      logger.error(`Error computing face embeddings for ${person.name}:`, error);
+    });
+}
+
+// Azure syncs in progress, by person ID, so two edits never sync at once
+const faceSyncs = new Map();
+
+/**
+ * Bring the person's Azure person up to date with their photos, name and
+ * wallet after an edit. If that fails they are removed from Azure, so
+ * verification rejects them until a later edit syncs them again.
+ * @returns {Promise<Object>} The person, with their current facePersonId
+ */
+async function syncFaceVerification(person) {
+  if (!faceRecognition.enabled) return person;
+
+  const previous = faceSyncs.get(person.id) || Promise.resolve();
+  const sync = previous.catch(() => {}).then(async () => {
+    // Synced as stored now - a concurrent edit may have changed them since
+    const current = await peopleRepository.getPersonById(person.id);
+    if (!current) return person;
+
+    try {
+      const facePersonId = await faceRecognition.syncPerson(current);
+      return facePersonId === current.facePersonId
+        ? current
+        : await peopleRepository.updatePerson(current.id, { facePersonId });
+    } catch (error) {
+      logger.error(`Error syncing ${current.name} with Azure Face:`, error);
+      if (current.facePersonId) {
+        await faceRecognition.deletePerson(current.facePersonId).catch(() => {});
+        await peopleRepository.updatePerson(current.id, { facePersonId: null });
+      }
+      throw photoEditError(502, `Saved, but the face-verification provider could not be updated: ${error.message}`);
+    }
+  });
+
+  faceSyncs.set(person.id, sync);
+  try {
+    return await sync;
+  } finally {
+    if (faceSyncs.get(person.id) === sync) faceSyncs.delete(person.id);
+  }
+}
+
 /**
  * Create a new person (enrollment)
  * POST /api/enroll
  */
 router.post('/', async (req, res) => {
   try {
-    const { name, wallet_address, photos } = req.body;
+    const { name, wallet_address, photos, allow_duplicate } = req.body;
 
     // Validation
     if (!name || !wallet_address) {
@@ -19,15 +178,15 @@ router.post('/', async (req, res) => {
       });
     }
 
-    if (!photos || photos.length < 3) {
+    if (!photos || photos.length < MIN_PHOTOS) {
       return res.status(400).json({
         success: false,
-        error: 'At least 3 photos are required'
+        error: `At least ${MIN_PHOTOS} photos are required`
       });
     }
 
     // Validate wallet address format
-    if (!/^0x[a-fA-F0-9]{40}$/.test(wallet_address)) {
+    if (!WALLET_PATTERN.test(wallet_address)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid wallet address format'
@@ -37,10 +196,49 @@ router.post('/', async (req, res) => {
     // REMOVED wallet uniqueness check - multiple people can share the same wallet
     // This allows for testing, family accounts, or same person with different photos
 
+    const quality = await checkPhotoQuality(photos);
+    if (quality && !quality.passed && photoQuality.mode === 'reject') {
+      return res.status(400).json({
+        success: false,
+        error: 'Some photos are not good enough for face recognition',
+        quality
+      });
+    }
+
+    // The same face under another name or wallet could be paid by mistake
+    const duplicates = await findDuplicates(photos);
+    if (duplicates.length > 0 && allow_duplicate !== true) {
+      return duplicateConflict(res, duplicates);
+    }
+
     // Create person
-    const person = await jsonStorage.createPerson(name, wallet_address, photos);
+    let person = await peopleRepository.createPerson(name, wallet_address, photos);
+
+    if (duplicates.length > 0) {
+      logger.warn(`${name} enrolled despite looking like ${duplicates.map(d => d.name).join(', ')}`);
+      person = await peopleRepository.updatePerson(person.id, {
+        metadata: withDuplicateOverride(person.metadata, duplicates)
+      });
+    }
+
+    // Register them with the face-verification provider, or don't enroll them at all
+    if (faceRecognition.enabled) {
+      try {
+        const facePersonId = await faceRecognition.enrollPerson(person);
+        person = await peopleRepository.updatePerson(person.id, { facePersonId });
+      } catch (error) {
+        logger.error(`Error registering ${name} with Azure Face:`, error);
+        await peopleRepository.deletePerson(person.id);
+        return res.status(502).json({
+          success: false,
+          error: 'Failed to register face with the verification provider',
+          message: error.message
+        });
+      }
+    }
 
     logger.info(`Person enrolled: ${name} (${wallet_address})`);
+    precomputeEmbeddings(person);
 
     res.status(201).json({
       success: true,
@@ -49,12 +247,14 @@ router.post('/', async (req, res) => {
         name: person.name,
         wallet: person.wallet,
         photoCount: person.photoCount,
+        duplicateOverrides: person.metadata?.duplicateOverrides || [],
         createdAt: person.createdAt
-      }
+      },
+      quality
     });
   } catch (error) {
     logger.error('Error enrolling person:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: 'Failed to enroll person',
       message: error.message
@@ -62,13 +262,43 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * Check photos before enrolling, e.g. right after each capture
+ * POST /api/enroll/check-photos
+ */
+router.post('/check-photos', async (req, res) => {
+  try {
+    const { photos } = req.body;
+
+    if (!Array.isArray(photos) || photos.length === 0 ||
+        !photos.every(photo => typeof photo === 'string' && (PHOTO_PATTERN.test(photo) || imageStore.isImageId(photo)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'photos must be base64 image data URLs or image IDs'
+      });
+    }
+
+    res.json({
+      success: true,
+      quality: await checkPhotoQuality(photos)
+    });
+  } catch (error) {
+    logger.error('Error checking photos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check photos',
+      message: error.message
+    });
+  }
+});
+
 /**
  * List all enrolled people
  * GET /api/enroll/list
  */
 router.get('/list', async (req, res) => {
   try {
-    const people = await jsonStorage.getAllPeople();
+    const people = await peopleRepository.getAllPeople();
 
     res.json({
       success: true,
@@ -78,7 +308,9 @@ router.get('/list', async (req, res) => {
         name: p.name,
         wallet: p.wallet,
         photoCount: p.photoCount,
-        createdAt: p.createdAt
+        duplicateOverride: Boolean(p.metadata?.duplicateOverrides?.length),
+        createdAt: p.createdAt,
+        updatedAt: p.updatedAt || null
       }))
     });
   } catch (error) {
@@ -98,7 +330,7 @@ router.get('/list', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const person = await jsonStorage.getPersonById(id);
+    const person = await peopleRepository.getPersonById(id);
 
     if (!person) {
       return res.status(404).json({
@@ -109,14 +341,7 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      person: {
-        id: person.id,
-        name: person.name,
-        wallet: person.wallet,
-        photos: person.photos,
-        photoCount: person.photoCount,
-        createdAt: person.createdAt
-      }
+      person: personDetails(person)
     });
   } catch (error) {
     logger.error('Error getting person:', error);
@@ -128,6 +353,280 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * Update a person's name and/or wallet address
+ * PATCH /api/enroll/:id
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, wallet_address } = req.body;
+    const updates = {};
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Name cannot be empty'
+        });
+      }
+      updates.name = name.trim();
+    }
+
+    if (wallet_address !== undefined) {
+      if (!WALLET_PATTERN.test(wallet_address)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid wallet address format'
+        });
+      }
+      updates.wallet = wallet_address;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update - provide name and/or wallet_address'
+      });
+    }
+
+    const person = await peopleRepository.updatePerson(id, updates);
+    if (!person) {
+      return res.status(404).json({
+        success: false,
+        error: 'Person not found'
+      });
+    }
+
+    logger.info(`Person updated: ${person.name} (${Object.keys(updates).join(', ')})`);
+
+    res.json({
+      success: true,
+      person: personDetails(await syncFaceVerification(person))
+    });
+  } catch (error) {
+    logger.error('Error updating person:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to update person',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Add a photo to a person
+ * POST /api/enroll/:id/photos
+ */
+router.post('/:id/photos', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { photo, allow_duplicate } = req.body;
+
+    if (typeof photo !== 'string' || !PHOTO_PATTERN.test(photo)) {
+      return res.status(400).json({
+        success: false,
+        error: 'photo must be a base64 image data URL'
+      });
+    }
+
+    const existing = await peopleRepository.getPersonById(id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Person not found'
+      });
+    }
+
+    // Checked together with the existing photos, so duplicates are caught
+    const quality = await checkPhotoQuality([...existing.photos, photo]);
+    const added = quality && quality.photos[quality.photos.length - 1];
+    if (added && added.issues.length > 0 && photoQuality.mode === 'reject') {
+      return res.status(400).json({
+        success: false,
+        error: `Photo is not good enough for face recognition: ${added.issues.join(', ')}`,
+        quality
+      });
+    }
+
+    const duplicates = await findDuplicates([photo], id);
+    if (duplicates.length > 0 && allow_duplicate !== true) {
+      return duplicateConflict(res, duplicates);
+    }
+
+    if (duplicates.length > 0) {
+      logger.warn(`Photo added to ${existing.name} despite looking like ${duplicates.map(d => d.name).join(', ')}`);
+    }
+
+    // Appended to the photos as they are when the update runs, not as read above
+    const person = await peopleRepository.updatePerson(id, (current) => {
+      const updates = { photos: [...current.photos, photo] };
+      if (duplicates.length > 0) {
+        updates.metadata = withDuplicateOverride(current.metadata, duplicates);
+      }
+      return updates;
+    });
+    if (!person) {
+      return res.status(404).json({
+        success: false,
+        error: 'Person not found'
+      });
+    }
+
+    logger.info(`Photo added for ${person.name} (${person.photoCount} photos)`);
+    precomputeEmbeddings(person);
+
+    res.status(201).json({
+      success: true,
+      person: personDetails(await syncFaceVerification(person)),
+      quality
+    });
+  } catch (error) {
+    logger.error('Error adding photo:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to add photo',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Reorder a person's photos
+ * PUT /api/enroll/:id/photos/order
+ * Body: { order: ["<image id>", ...] } - the person's photos in their new order
+ */
+router.put('/:id/photos/order', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { order } = req.body;
+
+    if (!Array.isArray(order)) {
+      return res.status(400).json({
+        success: false,
+        error: 'order must be an array of photo IDs'
+      });
+    }
+
+    // Checked against the photos as they are when the update runs
+    const person = await peopleRepository.updatePerson(id, (current) => {
+      const sorted = list => [...list].sort().join(',');
+      if (sorted(order) !== sorted(current.photos)) {
+        throw photoEditError(409, "order must list each of the person's current photos exactly once");
+      }
+      return { photos: order };
+    });
+    if (!person) {
+      return res.status(404).json({
+        success: false,
+        error: 'Person not found'
+      });
+    }
+
+    logger.info(`Photos reordered for ${person.name}`);
+
+    res.json({
+      success: true,
+      person: personDetails(person)
+    });
+  } catch (error) {
+    logger.error('Error reordering photos:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to reorder photos',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Pick the primary reference photo (moves it to the front)
+ * PUT /api/enroll/:id/photos/primary
+ * Body: { photo: "<image id>" }
+ */
+router.put('/:id/photos/primary', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { photo } = req.body;
+
+    const person = await peopleRepository.updatePerson(id, (current) => {
+      const index = current.photos.indexOf(photo);
+      if (index === -1) {
+        throw photoEditError(404, 'Photo not found');
+      }
+
+      const photos = [...current.photos];
+      photos.splice(index, 1);
+      return { photos: [photo, ...photos] };
+    });
+    if (!person) {
+      return res.status(404).json({
+        success: false,
+        error: 'Person not found'
+      });
+    }
+
+    logger.info(`Primary photo changed for ${person.name}`);
+
+    res.json({
+      success: true,
+      person: personDetails(person)
+    });
+  } catch (error) {
+    logger.error('Error setting primary photo:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to set primary photo',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Remove a photo from a person
+ * DELETE /api/enroll/:id/photos/:photoId
+ */
+router.delete('/:id/photos/:photoId', async (req, res) => {
+  try {
+    const { id, photoId } = req.params;
+
+    // Checked against the photos as they are when the update runs, so two
+    // concurrent removals can't take a person below the minimum
+    const person = await peopleRepository.updatePerson(id, (current) => {
+      const index = current.photos.indexOf(photoId);
+      if (index === -1) {
+        throw photoEditError(404, 'Photo not found');
+      }
+
+      if (current.photos.length <= MIN_PHOTOS) {
+        throw photoEditError(400, `At least ${MIN_PHOTOS} photos are required`);
+      }
+
+      return { photos: current.photos.filter((photo, i) => i !== index) };
+    });
+    if (!person) {
+      return res.status(404).json({
+        success: false,
+        error: 'Person not found'
+      });
+    }
+
+    logger.info(`Photo removed for ${person.name} (${person.photoCount} photos)`);
+
+    res.json({
+      success: true,
+      person: personDetails(await syncFaceVerification(person))
+    });
+  } catch (error) {
+    logger.error('Error removing photo:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Failed to remove photo',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Delete a person
  * DELETE /api/enroll/:id
@@ -136,7 +635,7 @@ router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const person = await jsonStorage.getPersonById(id);
+    const person = await peopleRepository.getPersonById(id);
     if (!person) {
       return res.status(404).json({
         success: false,
@@ -144,10 +643,18 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    const deleted = await jsonStorage.deletePerson(id);
+    const deleted = await peopleRepository.deletePerson(id);
 
     if (deleted) {
       logger.info(`Person deleted: ${person.name}`);
+
+      if (person.facePersonId && faceRecognition.enabled) {
+        // The local record is gone either way; a leftover Azure person is only logged
+        await faceRecognition.deletePerson(person.facePersonId).catch((error) => {
+          logger.error(`Error removing ${person.name} from Azure Face:`, error);
+        });
+      }
+
       res.json({
         success: true,
         message: 'Person deleted successfully'
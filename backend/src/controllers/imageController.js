@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const imageStore = require('../services/imageStore');
+
+/**
+ * Images are content-addressed, so a given URL never changes - let browsers
+ * cache it for good. The frontend is served from another origin, which
+ * helmet's default Cross-Origin-Resource-Policy would block.
+ */
+function sendImage(res, id, file) {
+  if (!imageStore.isImageId(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid image ID'
+    });
+  }
+
+  res.set({
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+
+  res.sendFile(file, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({
+        success: false,
+        error: 'Image not found'
+      });
+    }
+  });
+}
+
+/**
+ * Get an enrollment photo
+ * GET /api/images/:id
+ */
+router.get('/:id', (req, res) => {
+  const { id } = req.params;
+  sendImage(res, id, imageStore.imagePath(id));
+});
+
+/**
+ * Get an enrollment photo's thumbnail
+ * GET /api/images/:id/thumbnail
+ */
+router.get('/:id/thumbnail', (req, res) => {
+  const { id } = req.params;
+  sendImage(res, id, imageStore.thumbnailPath(id));
+});
+
+module.exports = router;
@@ -2,17 +2,29 @@ const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const geminiLive = require('../services/geminiLive');
 const cryptoService = require('../services/crypto');
-const jsonStorage = require('../services/jsonStorage');
+const paymentProviders = require('../services/payments');
+const peopleRepository = require('../services/peopleRepository');
+const faceMatcher = require('../services/faceMatcher');
+const faceRecognition = require('../services/faceRecognition');
+const livenessDetector = require('../services/livenessDetector');
+const handshakeDetector = require('../services/handshake');
+const consentGestures = require('../services/consentGestures');
+const verbalVerifier = require('../services/verbalVerifier');
+const paymentIntents = require('../services/paymentIntents');
+const spendingPolicy = require('../services/spendingPolicy');
+const transactionLedger = require('../services/transactionLedger');
 
 class StreamController {
   constructor() {
     this.activeSessions = new Map();
+    this.io = null;
   }
 
   /**
    * Handle new WebSocket connection
    */
   async handleConnection(socket, io) {
+    this.io = io;
     const sessionId = uuidv4();
     logger.info(`New stream connection: ${socket.id}, session: ${sessionId}`);
 
@@ -22,18 +34,29 @@ class StreamController {
       sessionId: sessionId,
       geminiSession: null,
       enrolledPeople: [],
+      enrolledPeopleError: null, // Set if people.json couldn't be read - streaming is refused
+      lastFrame: null, // { data, receivedAt } - compared with enrolled photos on identification
+      agreements: new Map(), // agreementKey -> { transactionData, payment }
+      pendingPayments: new Map(), // intentId -> { resolve, timer } for deferred executeTransaction responses
+      handshakeSignals: this.initialHandshakeSignals(), // Gemini's and the hand landmarks' view, fused by handshake.js
       currentState: {
         personIdentified: false,
         personData: null,
         verbalAgreement: false,
+        agreementId: null,
         amount: null,
-        handshakeActive: false,
+        gestureConfirmed: false,
+        consentGesture: null, // Which gesture confirmed consent, e.g. 'handshake'
+        gestureConfirmedAt: null, // When it was confirmed - recorded with the payment
         readyForTransaction: false
       }
     };
 
     this.activeSessions.set(socket.id, session);
 
+    // Room for events addressed to the session, e.g. transaction:status
+    socket.join(sessionId);
+
     // Load enrolled people from database
     await this.loadEnrolledPeople(session);
 
@@ -43,24 +66,44 @@ class StreamController {
     // Send initial status
     socket.emit('session:created', {
       sessionId: sessionId,
-      enrolledPeopleCount: session.enrolledPeople.length
+      enrolledPeopleCount: session.enrolledPeople.length,
+      consentGestures: consentGestures.enabled.map(gesture => consentGestures.get(gesture))
     });
   }
 
   /**
-   * Load enrolled people from JSON storage
+   * Load enrolled people from the people repository
    */
   async loadEnrolledPeople(session) {
     try {
-      const people = await jsonStorage.getAllPeople();
+      const people = await peopleRepository.getAllPeople();
       session.enrolledPeople = people;
+      session.enrolledPeopleError = null;
       logger.info(`Loaded ${session.enrolledPeople.length} enrolled people for session ${session.sessionId}`);
     } catch (error) {
       logger.error('Error loading enrolled people:', error);
       session.enrolledPeople = [];
+      session.enrolledPeopleError = error.message;
     }
   }
 
+  /**
+   * Re-read an enrolled person and bring the session's list up to date with
+   * them, since it was loaded when the session connected
+   * @param {Object} session - Stream session
+   * @param {Object} person - The person as the session knows them
+   * @returns {Promise<Object|null>} The person as stored now, null if deleted
+   */
+  async refreshEnrolledPerson(session, person) {
+    const current = await peopleRepository.getPersonById(person.id);
+
+    session.enrolledPeople = current
+      ? session.enrolledPeople.map(p => (p.id === current.id ? current : p))
+      : session.enrolledPeople.filter(p => p.id !== person.id);
+
+    return current;
+  }
+
   /**
    * Register WebSocket event handlers
    */
@@ -70,6 +113,15 @@ class StreamController {
       try {
         logger.info(`Starting stream for session ${session.sessionId}`);
 
+        // Without the enrolled people nobody can be identified - say so instead of streaming
+        if (session.enrolledPeopleError) {
+          await this.loadEnrolledPeople(session);
+          if (session.enrolledPeopleError) {
+            socket.emit('stream:error', { error: `Enrolled people could not be loaded: ${session.enrolledPeopleError}` });
+            return;
+          }
+        }
+
         // Create Gemini Live session
         session.geminiSession = await geminiLive.createSession(
           session.sessionId,
@@ -102,6 +154,19 @@ class StreamController {
         return;
       }
 
+      session.lastFrame = { data: data.frame, receivedAt: Date.now() };
+
+      // Runs alongside Gemini; frames arriving while one is analysed are skipped
+      if (livenessDetector.enabled) {
+        livenessDetector.addFrame(session.sessionId, data.frame)
+          .then((status) => {
+            if (status) socket.emit('liveness:status', status);
+          })
+          .catch((error) => {
+            logger.error('Error checking liveness:', error);
+          });
+      }
+
       try {
         await geminiLive.sendVideoFrame(session.sessionId, data.frame);
       } catch (error) {
@@ -109,6 +174,20 @@ class StreamController {
       }
     });
 
+    // Receive hand landmarks from the in-browser hand tracker
+    socket.on('stream:hands', (data) => {
+      // Hand tracking only ever confirms handshakes
+      if (!session.geminiSession || !consentGestures.isAccepted('handshake')) {
+        return;
+      }
+
+      try {
+        this.handleHands(socket, session, data);
+      } catch (error) {
+        logger.error('Error processing hand landmarks:', error);
+      }
+    });
+
     // Receive audio chunk
     socket.on('stream:audio', async (data) => {
       if (!session.geminiSession) {
@@ -116,6 +195,8 @@ class StreamController {
       }
 
       try {
+        // Transcribed separately to cross-check the agreement Gemini hears
+        verbalVerifier.addAudio(session.sessionId, data.audio);
         await geminiLive.sendAudioChunk(session.sessionId, data.audio);
       } catch (error) {
         logger.error('Error processing audio chunk:', error);
@@ -129,6 +210,7 @@ class StreamController {
       }
 
       try {
+        verbalVerifier.addAudio(session.sessionId, data.audio);
         await geminiLive.sendMultimodalChunk(
           session.sessionId,
           data.video,
@@ -149,6 +231,15 @@ class StreamController {
     socket.on('stream:getState', () => {
       socket.emit('stream:state', session.currentState);
     });
+
+    // User cancelled a pending payment, or let its countdown run out
+    socket.on('transaction:cancel', async (data) => {
+      try {
+        await this.cancelPayment(socket, session, data.intentId, data.reason === 'timeout' ? 'expired' : 'cancelled');
+      } catch (error) {
+        logger.error('Error cancelling payment:', error);
+      }
+    });
   }
 
   /**
@@ -168,8 +259,8 @@ class StreamController {
         case 'confirmVerbalAgreement':
           return await this.handleConfirmVerbalAgreement(socket, session, args);
 
-        case 'confirmHandshake':
-          return await this.handleConfirmHandshake(socket, session, args);
+        case 'confirmConsentGesture':
+          return await this.handleConfirmConsentGesture(socket, session, args);
 
         case 'executeTransaction':
           return await this.handleExecuteTransaction(socket, session, args);
@@ -204,16 +295,85 @@ class StreamController {
     const { name, wallet, confidence } = args;
 
     // Verify person is actually enrolled and fetch full details from database
-    const matchedPerson = session.enrolledPeople.find(p =>
+    let matchedPerson = session.enrolledPeople.find(p =>
       p.name === name && p.wallet === wallet
     );
 
+    // The list is loaded when the session connects - someone deleted or
+    // edited since then must not be identified by their old details
     if (matchedPerson) {
+      const current = await this.refreshEnrolledPerson(session, matchedPerson);
+      matchedPerson = current && current.name === name && current.wallet === wallet ? current : null;
+    }
+
+    if (matchedPerson) {
+      // A photo or screen held up to the camera must not be identified
+      const liveness = livenessDetector.status(session.sessionId);
+      if (!liveness.passed) {
+        logger.warn(`Gemini identified ${matchedPerson.name} before liveness was confirmed`);
+
+        session.currentState.personIdentified = false;
+        session.currentState.personData = null;
+
+        socket.emit('liveness:status', liveness);
+        socket.emit('gemini:message', {
+          message: `👁️ Liveness check: ${liveness.challenge}`
+        });
+
+        return {
+          identified: false,
+          message: `Liveness not confirmed yet - this could be a photo. Ask the person to: ${liveness.challenge}. Then call identifyPerson again.`
+        };
+      }
+
+      // Second factor: the face in the live video must match the enrolled photos too,
+      // and be the face that passed the liveness check
+      let faceMatch;
+      try {
+        faceMatch = await faceMatcher.verify(session.lastFrame, matchedPerson, session.enrolledPeople, {
+          liveFace: livenessDetector.passedFace(session.sessionId)
+        });
+
+        // Optional third opinion from the Azure Face API
+        if (faceMatch.matched && faceRecognition.enabled) {
+          const azure = await faceRecognition.verifyPerson(session.lastFrame, matchedPerson);
+          faceMatch = { ...faceMatch, matched: azure.matched, azureConfidence: azure.confidence, reason: azure.reason };
+        }
+      } catch (error) {
+        logger.error('Face matching failed:', error);
+        faceMatch = { checked: true, matched: false, similarity: null, reason: `Face check failed: ${error.message}` };
+      }
+
+      if (!faceMatch.matched) {
+        logger.warn(`Gemini identified ${matchedPerson.name} but the face check disagrees: ${faceMatch.reason}`);
+
+        session.currentState.personIdentified = false;
+        session.currentState.personData = null;
+
+        socket.emit('person:rejected', {
+          name: matchedPerson.name,
+          similarity: faceMatch.similarity,
+          threshold: faceMatch.threshold,
+          azureConfidence: faceMatch.azureConfidence,
+          reason: faceMatch.reason
+        });
+
+        socket.emit('gemini:message', {
+          message: `🚫 Not identifying ${matchedPerson.name}: ${faceMatch.reason}`
+        });
+
+        return {
+          identified: false,
+          similarity: faceMatch.similarity,
+          message: `Identification rejected by the face check: ${faceMatch.reason}. Do not treat this person as ${matchedPerson.name}.`
+        };
+      }
+
       session.currentState.personIdentified = true;
       session.currentState.personData = matchedPerson;
 
       // Send full person data to frontend (fetched from database)
-      // Include first enrolled photo for display
+      // Include the primary enrolled photo (image store ID) for display
       const firstPhoto = matchedPerson.photos && matchedPerson.photos.length > 0
         ? matchedPerson.photos[0]
         : null;
@@ -224,20 +384,23 @@ class StreamController {
         photoCount: matchedPerson.photoCount || matchedPerson.photos?.length || 0,
         enrolledAt: matchedPerson.createdAt,
         confidence: confidence,
+        faceSimilarity: faceMatch.similarity,
         enrolledPhoto: firstPhoto  // Send first reference photo
       });
 
       // Also log to Gemini Live panel
+      const faceNote = faceMatch.similarity !== null ? `, face similarity ${(faceMatch.similarity * 100).toFixed(0)}%` : '';
       socket.emit('gemini:message', {
-        message: `🎯 Person Identified: ${matchedPerson.name} (${(confidence * 100).toFixed(0)}% confidence)`
+        message: `🎯 Person Identified: ${matchedPerson.name} (${(confidence * 100).toFixed(0)}% confidence${faceNote})`
       });
 
-      logger.info(`Person identified: ${matchedPerson.name} (confidence: ${confidence}, ${matchedPerson.photoCount || 0} photos on file)`);
+      logger.info(`Person identified: ${matchedPerson.name} (confidence: ${confidence}, face similarity: ${faceMatch.similarity}, ${matchedPerson.photoCount || 0} photos on file)`);
 
       return {
         identified: true,
         name: matchedPerson.name,
         wallet: matchedPerson.wallet,
+        similarity: faceMatch.similarity,
         message: `Successfully identified ${name}`
       };
     } else {
@@ -262,6 +425,29 @@ class StreamController {
   async handleConfirmVerbalAgreement(socket, session, args) {
     const { agreed, amount, quote, confidence } = args;
 
+    // An agreement without a usable amount is refused before it is stored, and
+    // drops any agreement the session held - it must never become payable
+    if (agreed && !(Number.isFinite(amount) && amount > 0)) {
+      logger.warn(`Verbal agreement refused: invalid amount ${JSON.stringify(amount)}`);
+
+      session.currentState.agreementId = null;
+      session.currentState.verbalAgreement = false;
+      this.checkTransactionReady(socket, session);
+
+      return {
+        acknowledged: false,
+        error: 'amount must be a positive number in dollars'
+      };
+    }
+
+    // Gemini repeats confirmVerbalAgreement while the agreement holds - only a
+    // retraction or a different amount starts a new agreement
+    if (!agreed) {
+      session.currentState.agreementId = null;
+    } else if (!session.currentState.agreementId || session.currentState.amount !== amount) {
+      session.currentState.agreementId = uuidv4();
+    }
+
     session.currentState.verbalAgreement = agreed;
     session.currentState.amount = amount;
 
@@ -291,15 +477,30 @@ class StreamController {
   }
 
   /**
-   * Handle handshake confirmation
+   * Handle consent gesture confirmation
    */
-  async handleConfirmHandshake(socket, session, args) {
-    const { handshake_active, description, confidence, stable_duration } = args;
+  async handleConfirmConsentGesture(socket, session, args) {
+    const { gesture, active, description, confidence, stable_duration } = args;
+    const definition = consentGestures.get(gesture);
+
+    if (!consentGestures.isAccepted(gesture)) {
+      logger.warn(`Consent gesture '${gesture}' is not accepted in this deployment`);
+      socket.emit('gemini:message', {
+        message: `🚫 ${definition ? definition.label : gesture} does not count as consent here`
+      });
+
+      return {
+        acknowledged: false,
+        confirmed: false,
+        status: `Not an accepted consent gesture - only ${consentGestures.describe()} counts`
+      };
+    }
 
-    session.currentState.handshakeActive = handshake_active;
+    if (gesture === 'handshake') {
+      session.handshakeSignals.gemini = { active, confidence, updatedAt: Date.now() };
+    }
 
-    socket.emit('handshake:confirmed', {
-      active: handshake_active,
+    const confirmed = this.updateConsentGesture(socket, session, gesture, 'gemini', active, {
       description,
       confidence,
       duration: stable_duration
@@ -307,19 +508,140 @@ class StreamController {
 
     // Log to Gemini Live panel
     socket.emit('gemini:message', {
-      message: handshake_active
-        ? `🤝 Handshake Detected: ${description} (${stable_duration || 0}s stable, ${(confidence * 100).toFixed(0)}% confidence)`
-        : `❌ Handshake ended`
+      message: active
+        ? `${definition.icon} ${definition.label} Detected: ${description} (${stable_duration || 0}s stable, ${(confidence * 100).toFixed(0)}% confidence)` +
+          (confirmed ? '' : ' - waiting for hand tracking to agree')
+        : `❌ ${definition.label} ended`
     });
 
-    logger.info(`Handshake: ${handshake_active ? 'ACTIVE' : 'INACTIVE'}, duration: ${stable_duration}s`);
+    logger.info(`${definition.label}: ${active ? 'ACTIVE' : 'INACTIVE'}, duration: ${stable_duration}s, confirmed: ${confirmed}` +
+      (gesture === 'handshake' ? ` (${handshakeDetector.fusionRule})` : ''));
+
+    let status = active ? `${definition.label} detected` : `${definition.label} lost`;
+    if (active && !confirmed) {
+      status = 'Hand tracking has not confirmed the handshake yet - call confirmConsentGesture again while the hands are clasped';
+    }
+
+    return {
+      acknowledged: true,
+      confirmed,
+      status
+    };
+  }
+
+  /**
+   * Feed hand landmarks into the landmark handshake detector
+   */
+  handleHands(socket, session, data) {
+    const detection = handshakeDetector.detectHandshake(data?.hands);
+    const stability = handshakeDetector.trackStability(session.sessionId, detection);
+    const landmarks = session.handshakeSignals.landmarks;
+    const now = Date.now();
+    const wasActive = landmarks.active;
+    const percent = Math.round(stability.progress * 100);
+
+    landmarks.active = stability.confirmed;
+    landmarks.confidence = detection.confidence;
+    landmarks.updatedAt = now;
+    if (stability.confirmed) {
+      landmarks.confirmedAt = now;
+    }
+
+    if (percent !== landmarks.progress) {
+      landmarks.progress = percent;
+      socket.emit('handshake:progress', {
+        percent,
+        durationMs: stability.duration,
+        requiredMs: handshakeDetector.stableMs,
+        confirmed: stability.confirmed
+      });
+    }
+
+    if (landmarks.active !== wasActive) {
+      logger.info(`Landmark handshake ${landmarks.active ? 'confirmed' : 'ended'} for session ${session.sessionId}`);
+
+      if (landmarks.active) {
+        this.updateConsentGesture(socket, session, 'handshake', 'landmarks');
+      } else {
+        this.emitHandshakeSignals(socket, session);
+      }
+    }
+  }
+
+  /**
+   * Update the consent gesture after Gemini or hand tracking reported one. A
+   * handshake needs both signals as HANDSHAKE_FUSION says; other gestures
+   * only have Gemini's. Hands letting go is how a handshake ends, so losing
+   * the landmark signal never un-confirms it - only Gemini reporting the
+   * gesture ended does.
+   * @param {string} gesture - Gesture ID
+   * @param {string} source - 'gemini' or 'landmarks'
+   * @param {boolean} geminiActive - Gemini's report, for gestures without landmarks
+   * @returns {boolean} Whether this gesture is the confirmed consent gesture
+   */
+  updateConsentGesture(socket, session, gesture, source, geminiActive = false, details = {}) {
+    const state = session.currentState;
+    const wasConfirmed = state.gestureConfirmed;
+    const confirmed = gesture === 'handshake'
+      ? handshakeDetector.fuse(session.handshakeSignals)
+      : geminiActive;
+
+    if (confirmed) {
+      // Repeated reports of the same gesture keep the time it was first confirmed
+      if (!(wasConfirmed && state.consentGesture === gesture)) {
+        state.gestureConfirmedAt = new Date().toISOString();
+      }
+      state.gestureConfirmed = true;
+      state.consentGesture = gesture;
+    } else if (source === 'gemini' && (state.consentGesture === gesture || !state.gestureConfirmed)) {
+      // Another gesture ending doesn't withdraw the one that confirmed
+      state.gestureConfirmed = false;
+      state.consentGesture = null;
+      state.gestureConfirmedAt = null;
+    }
+
+    if (gesture === 'handshake') {
+      this.emitHandshakeSignals(socket, session);
+    }
+
+    if (source === 'gemini' || state.gestureConfirmed !== wasConfirmed) {
+      socket.emit('gesture:confirmed', {
+        ...consentGestures.get(gesture),
+        gesture,
+        active: state.gestureConfirmed && state.consentGesture === gesture,
+        source,
+        ...details
+      });
+    }
 
     // Check if ready for transaction
     this.checkTransactionReady(socket, session);
 
+    return state.gestureConfirmed && state.consentGesture === gesture;
+  }
+
+  /**
+   * Tell the client what each handshake signal currently says
+   */
+  emitHandshakeSignals(socket, session) {
+    const { gemini, landmarks } = session.handshakeSignals;
+
+    socket.emit('handshake:signals', {
+      rule: handshakeDetector.fusionRule,
+      gemini: gemini.active,
+      landmarks: landmarks.active,
+      landmarkProgress: landmarks.progress, // Percent of HANDSHAKE_STABLE_MS held
+      confirmed: session.currentState.gestureConfirmed && session.currentState.consentGesture === 'handshake'
+    });
+  }
+
+  /**
+   * @private
+   */
+  initialHandshakeSignals() {
     return {
-      acknowledged: true,
-      status: handshake_active ? 'Handshake detected' : 'Handshake lost'
+      gemini: { active: false, confidence: null, updatedAt: null },
+      landmarks: { active: false, progress: 0, confidence: null, updatedAt: null, confirmedAt: null }
     };
   }
 
@@ -331,7 +653,7 @@ class StreamController {
       person_description,
       amount,
       verbal_confirmation_quote,
-      handshake_confirmed,
+      consent_gesture_confirmed,
       overall_confidence
     } = args;
 
@@ -348,10 +670,10 @@ class StreamController {
       return { error: 'Verbal agreement required' };
     }
 
-    if (!session.currentState.handshakeActive) {
-      logger.warn('Transaction blocked: No active handshake');
-      socket.emit('transaction:blocked', { reason: 'No active handshake' });
-      return { error: 'Handshake required' };
+    if (!session.currentState.gestureConfirmed) {
+      logger.warn('Transaction blocked: No consent gesture');
+      socket.emit('transaction:blocked', { reason: 'No consent gesture' });
+      return { error: `Consent gesture required (${consentGestures.describe()})` };
     }
 
     if (overall_confidence < 0.7) {
@@ -360,17 +682,130 @@ class StreamController {
       return { error: 'Confidence too low for transaction' };
     }
 
-    // All checks passed - prepare transaction
+    // The amount that gets paid is the one from the confirmed verbal agreement.
+    // A NaN difference is never > 1e-9, so both sides must be numbers to match
+    const requestedAmount = Number(amount);
+    const agreedAmount = Number(session.currentState.amount);
+    if (!Number.isFinite(requestedAmount) || !Number.isFinite(agreedAmount) ||
+        Math.abs(requestedAmount - agreedAmount) > 1e-9) {
+      logger.warn(`Transaction blocked: Amount $${amount} does not match agreed $${session.currentState.amount}`);
+      socket.emit('transaction:blocked', { reason: 'Amount does not match verbal agreement' });
+      return { error: `Amount must match the verbal agreement of $${session.currentState.amount}` };
+    }
+
     session.currentState.readyForTransaction = true;
 
+    // Already handled this agreement - return the original result instead of paying twice
+    const agreementKey = `${session.currentState.agreementId}:${session.currentState.personData.id}`;
+    const existing = session.agreements.get(agreementKey);
+
+    if (existing?.payment) {
+      logger.info(`Agreement ${agreementKey} already paid: ${existing.payment.id}`);
+      return {
+        success: true,
+        alreadyPaid: true,
+        message: 'This agreement has already been paid',
+        transaction: existing.payment
+      };
+    }
+
+    // An intent that expired or whose payment failed may be replaced; a live one may not
+    const existingIntent = existing && paymentIntents.get(existing.transactionData.intentId);
+    if (existingIntent && ['issued', 'redeemed'].includes(existingIntent.status)) {
+      logger.info(`Agreement ${agreementKey} already has intent ${existingIntent.id}`);
+      return {
+        success: true,
+        message: 'Transaction already prepared and awaiting user confirmation',
+        transactionData: existing.transactionData
+      };
+    }
+
+    // The agreement must also be in what was actually said, not only in what Gemini reported
+    const verbalCheck = await verbalVerifier.crossCheck(session.sessionId, {
+      amount: session.currentState.amount,
+      agreed: session.currentState.verbalAgreement
+    });
+
+    if (!verbalCheck.matched) {
+      logger.warn(`Audio transcript disagrees with Gemini: ${verbalCheck.reason} (transcript: "${verbalCheck.transcript || ''}")`);
+
+      if (verbalVerifier.mode === 'enforce') {
+        const reason = `Audio transcript does not confirm the agreement - ${verbalCheck.reason}`;
+        socket.emit('transaction:blocked', { reason });
+        socket.emit('gemini:message', { message: `🚫 ${reason}` });
+        return {
+          error: reason,
+          transcriptAmount: verbalCheck.transcriptAmount
+        };
+      }
+
+      socket.emit('gemini:message', { message: `⚠️ Audio transcript does not confirm the agreement - ${verbalCheck.reason}` });
+    }
+
+    // Paid as enrolled now, not as identified - the wallet may have been fixed
+    // or the person deleted in the meantime
+    const identified = session.currentState.personData;
+    const recipient = await this.refreshEnrolledPerson(session, identified);
+    if (!recipient || recipient.wallet !== identified.wallet) {
+      const reason = recipient
+        ? `${identified.name}'s wallet was changed since they were identified`
+        : `${identified.name} is no longer enrolled`;
+      logger.warn(`Transaction blocked: ${reason}`);
+
+      session.currentState.personIdentified = false;
+      session.currentState.personData = null;
+      session.currentState.readyForTransaction = false;
+
+      socket.emit('transaction:blocked', { reason });
+      return { error: `${reason} - identify them again before paying` };
+    }
+    session.currentState.personData = recipient;
+
+    // Spending limits - manual confirmation is collected by the client afterwards.
+    // Queued behind any payment to this wallet still being sent, so it sees it
+    const decision = await spendingPolicy.serialize(recipient.wallet, () => spendingPolicy.evaluate({
+      wallet: recipient.wallet,
+      amount: session.currentState.amount,
+      confirmed: true
+    }));
+
+    if (!decision.allowed) {
+      logger.warn(`Transaction blocked by spending policy: ${decision.reason}`);
+      socket.emit('transaction:blocked', {
+        reason: decision.reason,
+        rule: decision.rule,
+        retryAfter: decision.retryAfter
+      });
+      return { error: decision.reason };
+    }
+
+    // All checks passed - issue a single-use payment intent
+    const intent = paymentIntents.issue({
+      sessionId: session.sessionId,
+      agreementKey,
+      recipient: session.currentState.personData,
+      amount: session.currentState.amount,
+      verbalQuote: verbal_confirmation_quote,
+      confidence: overall_confidence,
+      consentGesture: session.currentState.consentGesture,
+      gestureConfirmedAt: session.currentState.gestureConfirmedAt
+    });
+
     const transactionData = {
       sessionId: session.sessionId,
+      intentId: intent.id,
+      idempotencyKey: intent.idempotencyKey,
+      expiresAt: intent.expiresAt,
       recipient: session.currentState.personData,
-      amount: amount,
+      amount: intent.amount,
+      confirmTimeoutMs: paymentIntents.ttlMs,
+      requiresConfirmation: spendingPolicy.requiresConfirmation(intent.amount),
       verbalQuote: verbal_confirmation_quote,
       confidence: overall_confidence
     };
 
+    session.agreements.set(agreementKey, { transactionData, payment: null });
+
     socket.emit('transaction:ready', transactionData);
 
     // Log to Gemini Live panel
@@ -380,21 +815,122 @@ class StreamController {
 
     logger.info(`Transaction ready for ${session.currentState.personData.name}: $${amount}`);
 
-    return {
-      success: true,
-      message: 'Transaction prepared and ready for user confirmation',
-      transactionData
-    };
+    // The tool response is sent once the user has confirmed or cancelled -
+    // deferred, so other calls in the same tool call are answered meanwhile
+    return { deferred: this.awaitPaymentOutcome(socket, session, intent) };
+  }
+
+  /**
+   * Wait for the outcome of a pending payment - paid, cancelled or expired
+   * @param {Object} socket - Session socket
+   * @param {Object} session - Stream session
+   * @param {Object} intent - Issued payment intent
+   * @returns {Promise<Object>} Tool response for executeTransaction
+   */
+  awaitPaymentOutcome(socket, session, intent) {
+    return new Promise((resolve) => {
+      // Server-side timeout, in case the client never answers
+      const timer = setTimeout(async () => {
+        try {
+          await this.cancelPayment(socket, session, intent.id, 'expired');
+        } catch (error) {
+          logger.error(`Error expiring payment intent ${intent.id}:`, error);
+        }
+
+        // A redeemed intent is being paid - the transaction route reports its outcome
+        if (paymentIntents.get(intent.id)?.status !== 'redeemed') {
+          this.resolvePaymentOutcome(session, intent.id, {
+            success: false,
+            outcome: 'failed',
+            message: 'The payment could not be completed'
+          });
+        }
+      }, new Date(intent.expiresAt).getTime() - Date.now());
+
+      session.pendingPayments.set(intent.id, { resolve, timer });
+    });
+  }
+
+  /**
+   * Answer a deferred executeTransaction call
+   * @param {Object} session - Stream session
+   * @param {string} intentId - Payment intent ID
+   * @param {Object} outcome - Tool response
+   */
+  resolvePaymentOutcome(session, intentId, outcome) {
+    const pending = session.pendingPayments.get(intentId);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    session.pendingPayments.delete(intentId);
+    pending.resolve(outcome);
+  }
+
+  /**
+   * Cancel a payment the user declined or didn't confirm in time, and record it
+   * @param {Object} socket - Session socket
+   * @param {Object} session - Stream session
+   * @param {string} intentId - Payment intent ID
+   * @param {string} status - 'cancelled' or 'expired'
+   */
+  async cancelPayment(socket, session, intentId, status) {
+    const intent = paymentIntents.get(intentId);
+
+    // Only this session's intents, and only before they are redeemed
+    if (!intent || intent.sessionId !== session.sessionId || !paymentIntents.cancel(intentId, status)) {
+      return;
+    }
+
+    const now = new Date().toISOString();
+    try {
+      await transactionLedger.record({
+        id: uuidv4(),
+        created_at: now,
+        session_id: session.sessionId,
+        from_wallet: '',
+        to_person_id: intent.recipient.id,
+        to_wallet: intent.recipient.wallet,
+        amount: intent.amount,
+        currency: paymentProviders.currency,
+        status,
+        face_confidence: intent.confidence || 0,
+        audio_transcript: intent.verbalQuote || '',
+        handshake_timestamp: null,
+        payment_method: null,
+        failed_at: now,
+        metadata: {
+          recipientName: intent.recipient.name,
+          recipientPersonId: intent.recipient.id,
+          intentId
+        }
+      });
+    } catch (error) {
+      logger.error(`Failed to record ${status} payment intent ${intentId}:`, error);
+    }
+
+    const message = status === 'expired'
+      ? 'The user did not confirm the payment in time - it was not sent'
+      : 'The user cancelled the payment - it was not sent';
+
+    socket.emit('transaction:cancelled', { intentId, status });
+    socket.emit('gemini:message', {
+      message: status === 'expired' ? '⌛ Payment confirmation timed out' : '🚫 Payment cancelled'
+    });
+
+    logger.info(`Payment intent ${intentId} ${status} by session ${session.sessionId}`);
+
+    this.resolvePaymentOutcome(session, intentId, {
+      success: false,
+      outcome: status,
+      message
+    });
   }
 
   /**
    * Check if all conditions are met for transaction
    */
   checkTransactionReady(socket, session) {
-    const ready =
-      session.currentState.personIdentified &&
-      session.currentState.verbalAgreement &&
-      session.currentState.handshakeActive;
+    const ready = this.isFullyConfirmed(session);
 
     session.currentState.readyForTransaction = ready;
 
@@ -406,6 +942,84 @@ class StreamController {
     }
   }
 
+  /**
+   * Check whether a session currently holds all three confirmations
+   */
+  isFullyConfirmed(session) {
+    return Boolean(
+      session.currentState.personIdentified &&
+      session.currentState.verbalAgreement &&
+      session.currentState.gestureConfirmed
+    );
+  }
+
+  /**
+   * Record that an agreement has been paid (called by the transaction route)
+   */
+  recordAgreementPayment(sessionId, agreementKey, payment) {
+    const session = this.getSessionById(sessionId);
+    const agreement = session?.agreements.get(agreementKey);
+
+    if (agreement) {
+      agreement.payment = payment;
+
+      // A payment whose outcome is unknown still counts as paid - it must not be sent again
+      const unknown = payment.status === 'unknown';
+
+      this.resolvePaymentOutcome(session, agreement.transactionData.intentId, {
+        success: !unknown,
+        outcome: unknown ? 'unknown' : 'paid',
+        message: unknown
+          ? `Payment of $${payment.amount} ${payment.currency} to ${payment.recipient} may have been sent - its status is being checked, do not pay again`
+          : `Payment of $${payment.amount} ${payment.currency} sent to ${payment.recipient}`,
+        transaction: payment
+      });
+    }
+  }
+
+  /**
+   * Report a payment the transaction route failed to send (called by the transaction route)
+   */
+  recordPaymentFailure(sessionId, intentId, reason) {
+    const session = this.getSessionById(sessionId);
+
+    if (session) {
+      this.resolvePaymentOutcome(session, intentId, {
+        success: false,
+        outcome: 'failed',
+        message: `The payment failed: ${reason}`
+      });
+    }
+  }
+
+  /**
+   * Tell a session's client that the transaction route refused its payment
+   * @param {string} sessionId - Stream session ID
+   * @param {Object} decision - Spending policy decision
+   */
+  notifyTransactionBlocked(sessionId, decision) {
+    const session = this.getSessionById(sessionId);
+    if (!session || !this.io) return;
+
+    this.io.to(session.socketId).emit('transaction:blocked', {
+      reason: decision.reason,
+      rule: decision.rule,
+      retryAfter: decision.retryAfter
+    });
+  }
+
+  /**
+   * Find an active session by its session ID (not socket ID)
+   */
+  getSessionById(sessionId) {
+    for (const session of this.activeSessions.values()) {
+      if (session.sessionId === sessionId) {
+        return session;
+      }
+    }
+    return null;
+  }
+
   /**
    * Find person by description (simple matching for hackathon)
    */
@@ -444,13 +1058,33 @@ class StreamController {
       session.geminiSession = null;
     }
 
+    livenessDetector.reset(session.sessionId);
+    handshakeDetector.resetSession(session.sessionId);
+    verbalVerifier.reset(session.sessionId);
+    session.handshakeSignals = this.initialHandshakeSignals();
+
+    // Outstanding intents must not outlive the confirmations they were issued for
+    paymentIntents.revokeSession(session.sessionId);
+    session.agreements.clear();
+
+    for (const intentId of [...session.pendingPayments.keys()]) {
+      this.resolvePaymentOutcome(session, intentId, {
+        success: false,
+        outcome: 'revoked',
+        message: 'The stream stopped before the payment was confirmed'
+      });
+    }
+
     // Reset state
     session.currentState = {
       personIdentified: false,
       personData: null,
       verbalAgreement: false,
+      agreementId: null,
       amount: null,
-      handshakeActive: false,
+      gestureConfirmed: false,
+      consentGesture: null,
+      gestureConfirmedAt: null,
       readyForTransaction: false
     };
 
@@ -468,6 +1102,9 @@ class StreamController {
       this.activeSessions.delete(socket.id);
       logger.info(`Session ${session.sessionId} disconnected`);
     }
+
+    // Catch handshake tracking left behind by sessions that never stopped cleanly
+    handshakeDetector.cleanupOldSessions();
   }
 }
 
@@ -1,178 +1,327 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
 const cryptoService = require('../services/crypto');
-const locus = require('../integrations/locus');
+const paymentProviders = require('../services/payments');
+const transactionLedger = require('../services/transactionLedger');
+const paymentIntents = require('../services/paymentIntents');
+const idempotency = require('../services/idempotency');
+const spendingPolicy = require('../services/spendingPolicy');
+const paymentReconciler = require('../services/paymentReconciler');
+const streamController = require('./streamController');
 const logger = require('../utils/logger');
 
-// Payment method configuration
-const PAYMENT_METHOD = process.env.PAYMENT_METHOD || 'locus'; // 'locus' or 'crypto'
+/**
+ * Format a ledger record for API responses
+ */
+function formatTransaction(tx) {
+  return {
+    id: tx.id,
+    txHash: tx.tx_hash,
+    locusTransactionId: tx.locus_transaction_id,
+    sessionId: tx.session_id,
+    recipient: tx.recipient_name || tx.metadata?.recipientName,
+    wallet: tx.to_wallet,
+    amount: parseFloat(tx.amount),
+    currency: tx.currency,
+    paymentMethod: tx.payment_method,
+    status: tx.status,
+    confidence: parseFloat(tx.face_confidence),
+    createdAt: tx.created_at,
+    confirmedAt: tx.confirmed_at
+  };
+}
+
+/**
+ * Redeem a payment intent and send the payment
+ * @param {string} intentId - Server-issued payment intent ID
+ * @param {string} idempotencyKey - Key the payment is recorded under
+ * @param {boolean} confirmed - The user manually confirmed the payment
+ * @returns {Promise<Object>} { statusCode, headers, body }
+ */
+async function executeIntent(intentId, idempotencyKey, confirmed = false) {
+  // The policy check and the ledger record run in the recipient's queue, so a
+  // concurrent payment to the same wallet is checked against this one
+  const pendingIntent = paymentIntents.get(intentId);
+  if (!pendingIntent) {
+    return payIntent(intentId, idempotencyKey, confirmed, null);
+  }
 
-// Safety limits
-const MAX_TRANSACTION_AMOUNT = 0.10; // Maximum $0.10 USDC per transaction
-const MIN_TRANSACTION_AMOUNT = 0.01; // Minimum $0.01 USDC per transaction
+  return spendingPolicy.serialize(
+    pendingIntent.recipient.wallet,
+    () => payIntent(intentId, idempotencyKey, confirmed, pendingIntent)
+  );
+}
 
 /**
- * Execute a crypto transaction
- * POST /api/transaction/execute
+ * Check, redeem, send and record - in the recipient wallet's queue
+ * @private
  */
-router.post('/execute', async (req, res) => {
-  try {
-    const {
-      sessionId,
-      to_person_id,
-      to_wallet,
-      to_name,
-      amount,
-      from_wallet,
-      verbal_confirmation,
-      handshake_confirmed,
-      confidence
-    } = req.body;
-
-    // Validation - we need either person_id OR wallet address
-    if (!amount) {
-      return res.status(400).json({
-        error: 'amount is required'
-      });
-    }
+async function payIntent(intentId, idempotencyKey, confirmed, pendingIntent) {
+  // Check the spending policy before redeeming, so an intent that only
+  // lacks manual confirmation can be retried once the user confirms
+  if (pendingIntent) {
+    const decision = await spendingPolicy.evaluate({
+      wallet: pendingIntent.recipient.wallet,
+      amount: pendingIntent.amount,
+      confirmed
+    });
 
-    if (!to_wallet && !to_person_id) {
-      return res.status(400).json({
-        error: 'Either to_wallet or to_person_id is required'
-      });
-    }
+    if (!decision.allowed) {
+      logger.warn(`Transaction blocked by spending policy (${decision.rule}): ${decision.reason}`);
 
-    // Safety check: Maximum transaction amount
-    if (amount > MAX_TRANSACTION_AMOUNT) {
-      logger.warn(`Transaction blocked: Amount $${amount} exceeds maximum of $${MAX_TRANSACTION_AMOUNT}`);
-      return res.status(400).json({
-        error: `Transaction amount $${amount} exceeds maximum allowed amount of $${MAX_TRANSACTION_AMOUNT}`,
-        maxAmount: MAX_TRANSACTION_AMOUNT,
-        requestedAmount: amount
-      });
-    }
+      if (!decision.requiresConfirmation) {
+        streamController.notifyTransactionBlocked(pendingIntent.sessionId, decision);
+      }
 
-    // Safety check: Minimum transaction amount
-    if (amount < MIN_TRANSACTION_AMOUNT) {
-      logger.warn(`Transaction blocked: Amount $${amount} below minimum of $${MIN_TRANSACTION_AMOUNT}`);
-      return res.status(400).json({
-        error: `Transaction amount $${amount} is below minimum allowed amount of $${MIN_TRANSACTION_AMOUNT}`,
-        minAmount: MIN_TRANSACTION_AMOUNT,
-        requestedAmount: amount
-      });
+      // Velocity rules hold the payment - it may be retried after retryAfter seconds
+      let statusCode = 403;
+      if (decision.requiresConfirmation) statusCode = 428;
+      else if (decision.retryAfter) statusCode = 429;
+
+      return {
+        statusCode,
+        headers: decision.retryAfter ? { 'Retry-After': String(decision.retryAfter) } : {},
+        body: {
+          error: decision.reason,
+          rule: decision.rule,
+          requiresConfirmation: decision.requiresConfirmation,
+          retryAfter: decision.retryAfter,
+          requestedAmount: pendingIntent.amount
+        }
+      };
     }
+  }
 
-    // Get recipient details directly from the request
-    // Gemini has already verified the person via facial recognition
-    const recipient = {
-      name: to_name || 'Unknown',
-      wallet_address: to_wallet
+  const redemption = paymentIntents.redeem(intentId);
+  if (!redemption.valid) {
+    logger.warn(`Transaction blocked: ${redemption.reason} (${intentId})`);
+    return {
+      statusCode: 409,
+      body: {
+        error: redemption.reason
+      }
     };
+  }
 
-    // Validate we have a wallet address
-    if (!recipient.wallet_address) {
-      return res.status(400).json({
-        error: 'Recipient wallet address is required'
-      });
-    }
+  const { intent } = redemption;
+  const sessionId = intent.sessionId;
+
+  // The session must still hold every confirmation the intent was issued for
+  const session = streamController.getSessionById(sessionId);
+  if (!session || !streamController.isFullyConfirmed(session)) {
+    logger.warn(`Transaction blocked: session ${sessionId} is no longer fully confirmed`);
+    streamController.recordPaymentFailure(sessionId, intent.id, 'confirmations were lost');
+    return {
+      statusCode: 409,
+      body: {
+        error: 'Person, verbal agreement and consent gesture must all still be confirmed'
+      }
+    };
+  }
 
-    logger.info(`Payment to ${recipient.name} at ${recipient.wallet_address}`);
-
-    // Execute payment using configured method (Locus or Crypto)
-    let txResult;
-    let paymentMethod = PAYMENT_METHOD;
-    let currency = 'USDC';
-
-    logger.info(`Executing ${paymentMethod.toUpperCase()} transaction: ${amount} ${currency} to ${recipient.name} (${recipient.wallet_address})`);
-
-    if (paymentMethod === 'locus') {
-      // Use Locus payment (MCP)
-      try {
-        txResult = await locus.sendPayment(
-          recipient.wallet_address,
-          amount,
-          {
-            sessionId,
-            recipientName: recipient.name,
-            verbalConfirmation: verbal_confirmation,
-            handshakeConfirmed: handshake_confirmed,
-            faceConfidence: confidence
-          }
-        );
-        logger.info('Locus payment successful');
-      } catch (error) {
-        logger.error('Locus payment failed:', error.message);
-        // Fallback to crypto if Locus fails
-        paymentMethod = 'crypto';
-        currency = 'ETH';
-        txResult = await cryptoService.sendTransaction(
-          recipient.wallet_address,
-          amount,
-          {
-            sessionId,
-            recipient: recipient.name,
-            verbalConfirmation: verbal_confirmation
-          }
-        );
+  const { personData, amount, consentGesture } = session.currentState;
+  if (personData.wallet !== intent.recipient.wallet || amount !== intent.amount) {
+    logger.warn(`Transaction blocked: session ${sessionId} state changed since intent ${intent.id} was issued`);
+    streamController.recordPaymentFailure(sessionId, intent.id, 'recipient or amount changed');
+    return {
+      statusCode: 409,
+      body: {
+        error: 'Recipient or amount changed since the payment intent was issued'
       }
-    } else {
-      // Use Web3 ETH
-      currency = 'ETH';
-      txResult = await cryptoService.sendTransaction(
-        recipient.wallet_address,
-        amount,
-        {
-          sessionId,
-          recipient: recipient.name,
-          verbalConfirmation: verbal_confirmation
-        }
-      );
-    }
+    };
+  }
+
+  const to_person_id = personData.id;
+  const verbal_confirmation = intent.verbalQuote;
+  const confidence = intent.confidence;
+
+  // Recipient as identified by Gemini and verified against enrolled people
+  const recipient = {
+    name: personData.name || 'Unknown',
+    wallet_address: personData.wallet
+  };
 
-    // Create transaction record (without database dependency)
-    const transaction = {
-      id: txResult.locusTransactionId || `tx_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      tx_hash: txResult.txHash,
-      created_at: new Date().toISOString(),
-      session_id: sessionId,
-      from_wallet: from_wallet || txResult.from || process.env.LOCUS_WALLET_ADDRESS,
-      to_wallet: recipient.wallet_address,
-      amount: amount,
-      currency: currency,
-      status: txResult.status || 'pending',
-      face_confidence: confidence || 0,
-      audio_transcript: verbal_confirmation || '',
-      metadata: {
+  logger.info(`Payment to ${recipient.name} at ${recipient.wallet_address} (intent ${intent.id})`);
+
+  // Execute payment through the configured provider route
+  let provider;
+  let txResult;
+  try {
+    ({ provider, result: txResult } = await paymentProviders.send(
+      recipient.wallet_address,
+      amount,
+      {
+        sessionId,
         recipientName: recipient.name,
-        handshakeConfirmed: handshake_confirmed,
-        blockNumber: txResult.blockNumber,
-        gasUsed: txResult.gasUsed,
-        paymentMethod: paymentMethod,
-        locusTransactionId: txResult.locusTransactionId
+        verbalConfirmation: verbal_confirmation,
+        consentGesture,
+        faceConfidence: confidence
       }
+    ));
+  } catch (error) {
+    // Nothing was sent - the route reports the failure
+    if (error.notSent) throw error;
+
+    // The payment may have gone out. Record it as unknown so it is never sent
+    // again, and the reconciler can resolve it if the provider gave a reference
+    logger.error(`Outcome of payment for intent ${intent.id} via ${error.provider} is unknown:`, error.message);
+    provider = paymentProviders.get(error.provider);
+    txResult = {
+      reference: error.reference || null,
+      txHash: null,
+      status: 'unknown',
+      raw: { error: error.message }
     };
+  }
+  const paymentMethod = provider.name;
+  const currency = provider.currency;
+
+  // Create transaction record
+  const createdAt = new Date().toISOString();
+  const transaction = {
+    id: uuidv4(),
+    tx_hash: txResult.txHash,
+    created_at: createdAt,
+    session_id: sessionId,
+    from_wallet: txResult.from || process.env.LOCUS_WALLET_ADDRESS,
+    to_person_id: to_person_id || null,
+    to_wallet: recipient.wallet_address,
+    amount: amount,
+    currency: currency,
+    status: txResult.status || 'pending',
+    face_confidence: confidence || 0,
+    audio_transcript: verbal_confirmation || '',
+    handshake_timestamp: intent.gestureConfirmedAt, // Time the consent gesture was confirmed, whichever it was
+    payment_method: paymentMethod,
+    locus_transaction_id: paymentMethod === 'locus' ? txResult.reference : null,
+    idempotency_key: idempotencyKey,
+    metadata: {
+      recipientName: recipient.name,
+      recipientPersonId: to_person_id || null,
+      intentId: intent.id,
+      consentGesture,
+      blockNumber: txResult.raw?.blockNumber,
+      gasUsed: txResult.raw?.gasUsed,
+      provider: paymentMethod,
+      providerReference: txResult.reference
+    }
+  };
+
+  // The payment has already been sent at this point, so a ledger failure
+  // must not turn into an error response that invites the client to retry
+  let recorded = true;
+  try {
+    await transactionLedger.record(transaction);
+  } catch (error) {
+    recorded = false;
+    logger.error(`Failed to record transaction ${transaction.id} in ledger:`, error);
+  }
 
-    logger.info(`Transaction completed: ${transaction.id}, hash: ${transaction.tx_hash}`);
+  logger.info(`Transaction ${transaction.status}: ${transaction.id}, hash: ${transaction.tx_hash}`);
+
+  const summary = {
+    id: transaction.id,
+    txHash: transaction.tx_hash,
+    locusTransactionId: transaction.locus_transaction_id,
+    provider: paymentMethod,
+    recipient: recipient.name,
+    wallet: recipient.wallet_address,
+    amount: amount,
+    currency: currency,
+    status: txResult.status || 'completed',
+    createdAt: transaction.created_at
+  };
+
+  // Mark the agreement as paid so repeated executeTransaction calls don't pay again
+  streamController.recordAgreementPayment(sessionId, intent.agreementKey, summary);
+
+  if (transaction.status === 'unknown') {
+    return {
+      statusCode: 202,
+      body: {
+        success: false,
+        error: 'The payment may have been sent - its status is being checked. Do not retry it',
+        paymentMethod: paymentMethod,
+        transaction: summary,
+        recorded
+      }
+    };
+  }
 
-    res.status(201).json({
+  return {
+    statusCode: 201,
+    body: {
       success: true,
       paymentMethod: paymentMethod,
-      transaction: {
-        id: transaction.id,
-        txHash: transaction.tx_hash,
-        locusTransactionId: txResult.locusTransactionId,
-        recipient: recipient.name,
-        wallet: recipient.wallet_address,
-        amount: amount,
-        currency: currency,
-        status: txResult.status || 'completed',
-        createdAt: transaction.created_at
-      },
-      blockchain: txResult
-    });
+      transaction: summary,
+      recorded,
+      blockchain: txResult.raw
+    }
+  };
+}
+
+/**
+ * Execute a crypto transaction
+ * POST /api/transaction/execute
+ *
+ * Accepts an Idempotency-Key header (or idempotency_key in the body). Without
+ * one, the key of the agreement the intent was issued for is used. A key
+ * already used for another intent gets 422.
+ *
+ * Payments the spending policy denies get 403, payments held by a velocity
+ * rule get 429 with Retry-After, and payments that need manual confirmation
+ * get 428 until they are resent with "confirmed": true. A payment whose
+ * provider failed after it may have been submitted gets 202 and is recorded
+ * with status "unknown" until the reconciler resolves it.
+ */
+router.post('/execute', async (req, res) => {
+  try {
+    const { intent_id } = req.body;
+    const confirmed = req.body.confirmed === true;
+
+    // Only server-issued payment intents are accepted - the amount and wallet
+    // come from the stream session, never from the request body
+    if (!intent_id) {
+      return res.status(400).json({
+        error: 'intent_id is required'
+      });
+    }
+
+    const intent = paymentIntents.get(intent_id);
+    const idempotencyKey = req.get('Idempotency-Key') ||
+      req.body.idempotency_key ||
+      intent?.idempotencyKey;
+
+    const result = idempotencyKey
+      ? await idempotency.run(
+          idempotencyKey,
+          intent_id,
+          () => executeIntent(intent_id, idempotencyKey, confirmed),
+          (recorded) => ({
+            statusCode: 200,
+            body: {
+              success: true,
+              paymentMethod: recorded.payment_method,
+              transaction: formatTransaction(recorded)
+            }
+          })
+        )
+      : await executeIntent(intent_id, null, confirmed);
+
+    res.set(result.headers || {});
+    res.status(result.statusCode).json(
+      result.replayed ? { ...result.body, replayed: true } : result.body
+    );
   } catch (error) {
     logger.error('Error executing transaction:', error);
+    paymentIntents.markFailed(req.body.intent_id);
+
+    const intent = paymentIntents.get(req.body.intent_id);
+    if (intent) {
+      streamController.recordPaymentFailure(intent.sessionId, intent.id, error.message);
+    }
+
     res.status(500).json({
       error: 'Failed to execute transaction',
       message: error.message
@@ -183,56 +332,42 @@ router.post('/execute', async (req, res) => {
 /**
  * Get transaction status
  * GET /api/transaction/:txHash
+ *
+ * Accepts a transaction hash, ledger ID or Locus transaction ID
  */
 router.get('/:txHash', async (req, res) => {
   try {
     const { txHash } = req.params;
 
-    // Get from database
-    const dbResult = await db.query(
-      `SELECT t.*, p.name as recipient_name
-       FROM transactions t
-       LEFT JOIN people p ON t.to_person_id = p.id
-       WHERE t.tx_hash = $1`,
-      [txHash]
-    );
+    const tx = await transactionLedger.findByReference(txHash);
 
-    if (dbResult.rows.length === 0) {
+    if (!tx) {
       return res.status(404).json({
         error: 'Transaction not found'
       });
     }
 
-    const tx = dbResult.rows[0];
-
-    // Get blockchain status
-    const blockchainStatus = await cryptoService.getTransactionStatus(txHash);
-
-    // Update database if status changed
-    if (blockchainStatus.status !== tx.status) {
-      await db.query(
-        'UPDATE transactions SET status = $1, confirmed_at = NOW() WHERE tx_hash = $2',
-        [blockchainStatus.status, txHash]
-      );
+    // Ask the provider that sent the payment for its current status (updates the ledger).
+    // If the provider can't answer, the stored status is returned with the error
+    let blockchainStatus = null;
+    let statusError = null;
+    try {
+      ({ status: blockchainStatus } = await paymentReconciler.reconcile(tx));
+    } catch (error) {
+      logger.error(`Error checking status of transaction ${tx.id} with ${tx.payment_method}:`, error.message);
+      statusError = error.message;
     }
 
     res.json({
       success: true,
       transaction: {
-        id: tx.id,
-        txHash: tx.tx_hash,
-        recipient: tx.recipient_name,
-        wallet: tx.to_wallet,
-        amount: parseFloat(tx.amount),
-        currency: tx.currency,
-        status: blockchainStatus.status,
-        confirmations: blockchainStatus.confirmations,
-        verbalConfirmation: tx.audio_transcript,
-        confidence: parseFloat(tx.face_confidence),
-        createdAt: tx.created_at,
-        confirmedAt: tx.confirmed_at
+        ...formatTransaction(tx),
+        status: blockchainStatus ? blockchainStatus.status : tx.status,
+        confirmations: blockchainStatus?.confirmations,
+        verbalConfirmation: tx.audio_transcript
       },
-      blockchain: blockchainStatus
+      blockchain: blockchainStatus,
+      statusError
     });
   } catch (error) {
     logger.error('Error getting transaction status:', error);
@@ -251,27 +386,12 @@ router.get('/history/all', async (req, res) => {
   try {
     const { limit = 50, offset = 0 } = req.query;
 
-    const result = await db.query(
-      `SELECT t.*, p.name as recipient_name
-       FROM transactions t
-       LEFT JOIN people p ON t.to_person_id = p.id
-       ORDER BY t.created_at DESC
-       LIMIT $1 OFFSET $2`,
-      [parseInt(limit), parseInt(offset)]
-    );
+    const rows = await transactionLedger.list({
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
 
-    const transactions = result.rows.map(tx => ({
-      id: tx.id,
-      txHash: tx.tx_hash,
-      recipient: tx.recipient_name,
-      wallet: tx.to_wallet,
-      amount: parseFloat(tx.amount),
-      currency: tx.currency,
-      status: tx.status,
-      confidence: parseFloat(tx.face_confidence),
-      createdAt: tx.created_at,
-      confirmedAt: tx.confirmed_at
-    }));
+    const transactions = rows.map(formatTransaction);
 
     res.json({
       success: true,
@@ -324,7 +444,7 @@ router.post('/estimate', async (req, res) => {
       });
     }
 
-    const estimate = await cryptoService.estimateTransactionCost(to_wallet, amount);
+    const estimate = await paymentProviders.estimate(to_wallet, amount);
 
     res.json({
       success: true,
@@ -120,11 +120,11 @@ class LocusPaymentClient {
 
     // Validate inputs
     if (!recipientWallet || !recipientWallet.startsWith('0x')) {
-      throw new Error('Invalid recipient wallet address');
+      throw Object.assign(new Error('Invalid recipient wallet address'), { notSent: true });
     }
 
     if (!amount || parseFloat(amount) <= 0) {
-      throw new Error('Invalid payment amount');
+      throw Object.assign(new Error('Invalid payment amount'), { notSent: true });
     }
 
     // Use MCP client (recommended approach)
@@ -11,8 +11,14 @@ const db = require('./config/database');
 
 // Controllers
 const enrollmentController = require('./controllers/enrollmentController');
+const imageController = require('./controllers/imageController');
 const streamController = require('./controllers/streamController');
 const transactionController = require('./controllers/transactionController');
+const paymentReconciler = require('./services/paymentReconciler');
+const jsonStorage = require('./services/jsonStorage');
+const transactionLedger = require('./services/transactionLedger');
+const peopleRepository = require('./services/peopleRepository');
+const migrationRunner = require('./services/migrationRunner');
 
 // Initialize Express app
 const app = express();
@@ -56,6 +62,7 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/enroll', enrollmentController);
+app.use('/api/images', imageController);
 app.use('/api/transaction', transactionController);
 
 // Socket.io connection handling
@@ -98,6 +105,7 @@ app.use((req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
+  paymentReconciler.stop();
   server.close(() => {
     logger.info('HTTP server closed');
     db.end(() => {
@@ -107,12 +115,45 @@ process.on('SIGTERM', () => {
   });
 });
 
+// PostgreSQL is only used when the ledger or the people repository is stored there
+const usesDatabase = transactionLedger.storage === 'postgres' || peopleRepository.storage === 'postgres';
+
+/**
+ * Refuse to serve against an out-of-date database schema
+ */
+async function checkDatabase() {
+  if (!usesDatabase) return;
+
+  await migrationRunner.check({ autoApply: process.env.MIGRATIONS_AUTO_APPLY === 'true' });
+}
+
 // Start server
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  logger.info(`Server running on port ${PORT}`);
-  logger.info(`Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:8080'}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+checkDatabase()
+  .then(() => {
+    server.listen(PORT, () => {
+      logger.info(`Server running on port ${PORT}`);
+      logger.info(`Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:8080'}`);
+      logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+      // Track pending payments until they are confirmed or failed on-chain
+      paymentReconciler.start(io);
+
+      // people.json files from before the image store still embed their photos.
+      // Converting rewrites the file, so it is left to `npm run migrate:photos`
+      try {
+        const legacyPeople = jsonStorage.countLegacyPeople();
+        if (legacyPeople > 0) {
+          logger.warn(`${legacyPeople} people in people.json still embed their photos - run \`npm run migrate:photos\` to move them to the image store`);
+        }
+      } catch (error) {
+        logger.error('Error checking people.json for embedded photos:', error);
+      }
+    });
+  })
+  .catch((error) => {
+    logger.error(`Not starting: ${error.message}`);
+    process.exit(1);
+  });
 
 module.exports = { app, io, server };
@@ -118,9 +118,12 @@ class CDPWalletService {
    */
   async sendUSDC(toAddress, amountUSDC, metadata = {}) {
     if (!this.wallet) {
-      throw new Error('CDP wallet not initialized');
+      throw Object.assign(new Error('CDP wallet not initialized'), { notSent: true });
     }
 
+    // Errors before the transfer is created are marked notSent
+    let submitted = false;
+
     try {
       logger.info(`CDP: Sending ${amountUSDC} USDC to ${toAddress}`);
 
@@ -136,6 +139,7 @@ class CDPWalletService {
       }
 
       // Create transfer with gasless flag (Coinbase pays gas!)
+      submitted = true;
       const transfer = await this.wallet.createTransfer({
         amount: amountUSDC,
         assetId: 'usdc',
@@ -169,6 +173,7 @@ class CDPWalletService {
       };
     } catch (error) {
       logger.error('CDP USDC transfer failed:', error.message);
+      if (!submitted) error.notSent = true;
       throw error;
     }
   }
@@ -0,0 +1,106 @@
+/**
+ * Consent Gestures
+ *
+ * The physical gestures that confirm a payment next to the verbal agreement.
+ * A handshake doesn't suit every situation - across a counter, for
+ * accessibility or where touching isn't appropriate - so each deployment
+ * picks which gestures count. Gemini's confirmConsentGesture tool, its
+ * system instruction and the stream controller all read the list from here.
+ *
+ * Only the handshake has a second, hand-landmark signal (see handshake.js);
+ * the other gestures are confirmed by Gemini alone.
+ *
+ * Configuration:
+ *   CONSENT_GESTURES  - Comma-separated gestures that count as consent
+ *                       (default 'handshake'): handshake, fist_bump, thumbs_up, nod
+ */
+
+const logger = require('../utils/logger');
+
+const GESTURES = {
+  handshake: {
+    label: 'Handshake',
+    icon: '🤝',
+    description: 'Two hands clasped/gripping in handshake position, stable for at least 2 seconds - not just hands near each other'
+  },
+  fist_bump: {
+    label: 'Fist bump',
+    icon: '👊',
+    description: 'Two closed fists touching knuckles to knuckles - the contact itself, not fists raised or approaching'
+  },
+  thumbs_up: {
+    label: 'Thumbs-up',
+    icon: '👍',
+    description: 'The identified person (the counterparty, not the wearer) holding a clear thumbs-up towards the camera for at least 2 seconds'
+  },
+  nod: {
+    label: 'Nod',
+    icon: '🙂',
+    description: 'The identified person (the counterparty) nodding yes - the head moving down and back up across consecutive frames, not just looking down'
+  }
+};
+
+const DEFAULT_GESTURES = ['handshake'];
+
+class ConsentGestures {
+  constructor() {
+    this.configure();
+  }
+
+  /**
+   * Load the accepted gestures from the environment
+   * @param {Array<string>} gestures - Gestures to accept instead
+   */
+  configure(gestures = null) {
+    const requested = gestures || (process.env.CONSENT_GESTURES || '')
+      .split(',')
+      .map(gesture => gesture.trim().toLowerCase())
+      .filter(Boolean);
+
+    const unknown = requested.filter(gesture => !GESTURES[gesture]);
+    if (unknown.length > 0) {
+      logger.warn(`Unknown consent gestures ignored: ${unknown.join(', ')}`);
+    }
+
+    this.enabled = [...new Set(requested.filter(gesture => GESTURES[gesture]))];
+    if (this.enabled.length === 0) {
+      this.enabled = DEFAULT_GESTURES;
+    }
+  }
+
+  /**
+   * Whether a gesture counts as consent in this deployment
+   * @param {string} gesture - Gesture ID
+   */
+  isAccepted(gesture) {
+    return this.enabled.includes(gesture);
+  }
+
+  /**
+   * Label and icon of a gesture, for messages and the UI
+   * @param {string} gesture - Gesture ID
+   * @returns {Object|null} { id, label, icon }
+   */
+  get(gesture) {
+    const definition = GESTURES[gesture];
+    return definition ? { id: gesture, label: definition.label, icon: definition.icon } : null;
+  }
+
+  /**
+   * The accepted gestures, e.g. "Handshake or Thumbs-up"
+   */
+  describe() {
+    return this.enabled.map(gesture => GESTURES[gesture].label).join(' or ');
+  }
+
+  /**
+   * What Gemini should watch for, for the system instruction
+   */
+  describeForPrompt() {
+    return this.enabled
+      .map(gesture => `   - ${gesture}: ${GESTURES[gesture].description}`)
+      .join('\n');
+  }
+}
+
+module.exports = new ConsentGestures();
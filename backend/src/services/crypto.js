@@ -47,6 +47,9 @@ class CryptoService {
    * @returns {Promise<Object>} Transaction receipt
    */
   async sendTransaction(toAddress, amountEth, metadata = {}) {
+    // Errors before the signed transaction is broadcast are marked notSent
+    let submitted = false;
+
     try {
       if (!this.account) {
         throw new Error('Wallet not configured');
@@ -91,6 +94,7 @@ class CryptoService {
 
       // Sign and send transaction
       const signedTx = await this.web3.eth.accounts.signTransaction(tx, this.walletPrivateKey);
+      submitted = true;
       const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
 
       logger.info(`Transaction successful: ${receipt.transactionHash}`);
@@ -106,6 +110,7 @@ class CryptoService {
       };
     } catch (error) {
       logger.error('Transaction error:', error.message);
+      if (!submitted) error.notSent = true;
       throw error;
     }
   }
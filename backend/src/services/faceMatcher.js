@@ -0,0 +1,327 @@
+const path = require('path');
+const sharp = require('sharp');
+const imageStore = require('./imageStore');
+const logger = require('../utils/logger');
+
+// Bumped whenever the models or detector settings change, so cached embeddings are recomputed
+const MODEL_VERSION = 'face-api-1.7-tiny416';
+
+function parseSetting(value, fallback) {
+  const setting = parseFloat(value);
+  return Number.isFinite(setting) ? setting : fallback;
+}
+
+/**
+ * Face Matcher
+ *
+ * Local, CPU-only face embeddings (face-api.js on TensorFlow.js' WASM backend)
+ * used as a second identity factor: when Gemini says it recognises someone,
+ * the face in the live frame must also match that person's enrolled photos.
+ *
+ * Embeddings of enrolled photos are computed at enrollment time and cached in
+ * the image store's metadata, keyed by image hash.
+ *
+ * Configuration:
+ *   FACE_MATCH_ENABLED           - 'false' turns the check off (default on)
+ *   FACE_MATCH_MIN_SIMILARITY    - Minimum similarity (1 - embedding distance) to accept (default 0.45)
+ *   FACE_MATCH_MAX_FRAME_AGE_MS  - The live frame compared must be at most this old (default 5000)
+ *   FACE_DUPLICATE_MIN_SIMILARITY - Similarity from which a new enrollment counts as an
+ *                                   already enrolled person (default 0.6)
+ */
+class FaceMatcher {
+  constructor() {
+    this.enabled = process.env.FACE_MATCH_ENABLED !== 'false';
+    this.minSimilarity = parseSetting(process.env.FACE_MATCH_MIN_SIMILARITY, 0.45);
+    this.maxFrameAgeMs = parseSetting(process.env.FACE_MATCH_MAX_FRAME_AGE_MS, 5000);
+    this.duplicateSimilarity = parseSetting(process.env.FACE_DUPLICATE_MIN_SIMILARITY, 0.6);
+    this.faceapi = null;
+    this.loading = null;
+    this.descriptors = new Map(); // imageId -> Float32Array | null (no face)
+  }
+
+  /**
+   * Load TensorFlow.js and the face models, once
+   * @private
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const faceapi = require('@vladmandic/face-api/dist/face-api.node-wasm.js');
+        await faceapi.tf.setBackend('wasm');
+        await faceapi.tf.ready();
+
+        const modelDir = path.join(path.dirname(require.resolve('@vladmandic/face-api/package.json')), 'model');
+        await faceapi.nets.tinyFaceDetector.loadFromDisk(modelDir);
+        await faceapi.nets.faceLandmark68Net.loadFromDisk(modelDir);
+        await faceapi.nets.faceRecognitionNet.loadFromDisk(modelDir);
+
+        logger.info('Face matcher models loaded');
+        this.faceapi = faceapi;
+      })();
+
+      // Let a failed load be retried
+      this.loading.catch(() => { this.loading = null; });
+    }
+
+    await this.loading;
+    return this.faceapi;
+  }
+
+  /**
+   * Compute the embedding of the most prominent face in an image
+   * @param {Buffer} image - Encoded image (JPEG, PNG, WebP)
+   * @returns {Promise<Float32Array|null>} 128-d descriptor, null if no face was found
+   */
+  async embed(image) {
+    const face = await this.detectFace(image);
+    return face ? face.descriptor : null;
+  }
+
+  /**
+   * Find the 68 facial landmarks and the embedding of the most prominent face
+   * in an image
+   * @param {Buffer} image - Encoded image (JPEG, PNG, WebP)
+   * @returns {Promise<Object|null>} { landmarks: [{ x, y }], descriptor }, null if no face was found
+   */
+  async detectFace(image) {
+    const faceapi = await this.load();
+    const tensor = await this.toTensor(image);
+
+    try {
+      const result = await faceapi
+        .detectSingleFace(tensor, new faceapi.TinyFaceDetectorOptions({ inputSize: 416 }))
+        .withFaceLandmarks()
+        .withFaceDescriptor();
+
+      return result
+        ? { landmarks: result.landmarks.positions.map(({ x, y }) => ({ x, y })), descriptor: result.descriptor }
+        : null;
+    } finally {
+      tensor.dispose();
+    }
+  }
+
+  /**
+   * Find every face in an image, with its box and landmarks
+   * @param {Buffer} image - Encoded image (JPEG, PNG, WebP)
+   * @returns {Promise<Object>} { width, height, faces: [{ box: { x, y, width, height }, score, landmarks }] }
+   */
+  async detectAll(image) {
+    const faceapi = await this.load();
+    const tensor = await this.toTensor(image);
+
+    try {
+      const results = await faceapi
+        .detectAllFaces(tensor, new faceapi.TinyFaceDetectorOptions({ inputSize: 416 }))
+        .withFaceLandmarks();
+
+      return {
+        width: tensor.shape[1],
+        height: tensor.shape[0],
+        faces: results.map(result => ({
+          box: { x: result.detection.box.x, y: result.detection.box.y, width: result.detection.box.width, height: result.detection.box.height },
+          score: result.detection.score,
+          landmarks: result.landmarks.positions.map(({ x, y }) => ({ x, y }))
+        }))
+      };
+    } finally {
+      tensor.dispose();
+    }
+  }
+
+  /**
+   * Decode an image into an RGB tensor
+   * @private
+   */
+  async toTensor(image) {
+    const { data, info } = await sharp(image)
+      .rotate()
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return this.faceapi.tf.tensor3d(data, [info.height, info.width, 3], 'int32');
+  }
+
+  /**
+   * Embedding of an enrolled photo, computed once and cached
+   * @param {string} imageId - Image store ID
+   * @returns {Promise<Float32Array|null>} null if the photo has no detectable face
+   */
+  async embedPhoto(imageId) {
+    if (this.descriptors.has(imageId)) {
+      return this.descriptors.get(imageId);
+    }
+
+    const metadata = await imageStore.readMetadata(imageId);
+    let descriptor;
+
+    if (metadata.faceEmbedding?.model === MODEL_VERSION) {
+      descriptor = metadata.faceEmbedding.descriptor ? Float32Array.from(metadata.faceEmbedding.descriptor) : null;
+    } else {
+      descriptor = await this.embed(await imageStore.read(imageId));
+      await imageStore.updateMetadata(imageId, {
+        faceEmbedding: { model: MODEL_VERSION, descriptor: descriptor ? Array.from(descriptor) : null }
+      });
+
+      if (!descriptor) {
+        logger.warn(`No face found in enrolled photo ${imageId}`);
+      }
+    }
+
+    this.descriptors.set(imageId, descriptor);
+    return descriptor;
+  }
+
+  /**
+   * Compute embeddings for enrolled photos ahead of identification
+   * @param {Array<string>} imageIds - Image store IDs
+   * @returns {Promise<number>} How many of the photos contain a face
+   */
+  async embedPhotos(imageIds) {
+    let withFace = 0;
+
+    for (const imageId of imageIds) {
+      if (await this.embedPhoto(imageId)) withFace++;
+    }
+
+    return withFace;
+  }
+
+  /**
+   * Check a face Gemini identified against the enrolled photos
+   * @param {Object} frame - Latest live frame { data: base64 or data URL, receivedAt }
+   * @param {Object} person - The person Gemini named
+   * @param {Array} enrolledPeople - Everyone enrolled, to catch closer matches
+   * @param {Object} options - { liveFace } descriptor of the face that passed the
+   *   liveness check; the live frame must show that same face, even with matching off
+   * @returns {Promise<Object>} { checked, matched, similarity, threshold, closestOther, reason }
+   */
+  async verify(frame, person, enrolledPeople = [], { liveFace = null } = {}) {
+    const result = {
+      checked: this.enabled,
+      matched: false,
+      similarity: null,
+      threshold: this.minSimilarity,
+      closestOther: null,
+      reason: null
+    };
+
+    if (!this.enabled && !liveFace) {
+      return { ...result, matched: true, reason: 'Face matching is disabled' };
+    }
+
+    if (!frame || Date.now() - frame.receivedAt > this.maxFrameAgeMs) {
+      return { ...result, reason: 'No recent video frame to compare' };
+    }
+
+    const live = await this.embed(Buffer.from(frame.data.replace(/^data:image\/\w+;base64,/, ''), 'base64'));
+    if (!live) {
+      return { ...result, reason: 'No face found in the live video' };
+    }
+
+    // A live person passing the check must not make a photo shown afterwards pass too
+    if (liveFace && !this.sameFace(live, liveFace)) {
+      return { ...result, reason: 'The face in the video is not the one that passed the liveness check' };
+    }
+
+    if (!this.enabled) {
+      return { ...result, matched: true, reason: 'Face matching is disabled' };
+    }
+
+    result.similarity = await this.personSimilarity(live, person);
+    if (result.similarity === null) {
+      return { ...result, reason: `No face found in ${person.name}'s enrolled photos` };
+    }
+
+    for (const other of enrolledPeople) {
+      if (other.id === person.id) continue;
+
+      const similarity = await this.personSimilarity(live, other);
+      if (similarity !== null && (!result.closestOther || similarity > result.closestOther.similarity)) {
+        result.closestOther = { name: other.name, similarity };
+      }
+    }
+
+    if (result.similarity < this.minSimilarity) {
+      result.reason = `Face doesn't match ${person.name}'s enrolled photos (similarity ${result.similarity} < ${this.minSimilarity})`;
+    } else if (result.closestOther && result.closestOther.similarity > result.similarity) {
+      result.reason = `Face looks more like ${result.closestOther.name} (${result.closestOther.similarity}) than ${person.name} (${result.similarity})`;
+    } else {
+      result.matched = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * Enrolled people whose photos look like the faces in new photos, e.g. to
+   * catch someone being enrolled twice under another name or wallet
+   * @param {Array<Buffer>} images - New photos
+   * @param {Array} people - Enrolled people to compare with
+   * @returns {Promise<Array<Object>>} [{ id, name, wallet, similarity }], most similar first
+   */
+  async findDuplicates(images, people) {
+    const descriptors = [];
+    for (const image of images) {
+      const descriptor = await this.embed(image);
+      if (descriptor) descriptors.push(descriptor);
+    }
+
+    const duplicates = [];
+    for (const person of people) {
+      let best = null;
+      for (const descriptor of descriptors) {
+        const similarity = await this.personSimilarity(descriptor, person);
+        if (similarity !== null && (best === null || similarity > best)) best = similarity;
+      }
+
+      if (best !== null && best >= this.duplicateSimilarity) {
+        duplicates.push({ id: person.id, name: person.name, wallet: person.wallet, similarity: best });
+      }
+    }
+
+    return duplicates.sort((a, b) => b.similarity - a.similarity);
+  }
+
+  /**
+   * Similarity of two face embeddings, 1 - their distance
+   * @param {Float32Array} a - Descriptor
+   * @param {Float32Array} b - Descriptor
+   * @returns {number}
+   */
+  similarity(a, b) {
+    return Math.round((1 - this.faceapi.euclideanDistance(a, b)) * 1000) / 1000;
+  }
+
+  /**
+   * Whether two embeddings are close enough to be the same person's face
+   * @param {Float32Array} a - Descriptor
+   * @param {Float32Array} b - Descriptor
+   * @returns {boolean}
+   */
+  sameFace(a, b) {
+    return this.similarity(a, b) >= this.minSimilarity;
+  }
+
+  /**
+   * Best similarity between a face and any of a person's enrolled photos
+   * @private
+   * @returns {Promise<number|null>} null if none of their photos has a face
+   */
+  async personSimilarity(descriptor, person) {
+    let best = null;
+
+    for (const imageId of person.photos || []) {
+      const enrolled = await this.embedPhoto(imageId);
+      if (!enrolled) continue;
+
+      const similarity = this.similarity(descriptor, enrolled);
+      if (best === null || similarity > best) best = similarity;
+    }
+
+    return best;
+  }
+}
+
+module.exports = new FaceMatcher();
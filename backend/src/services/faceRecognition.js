@@ -1,14 +1,36 @@
 const axios = require('axios');
 const FormData = require('form-data');
+const imageStore = require('./imageStore');
 const logger = require('../utils/logger');
 
+/**
+ * Azure Face API
+ *
+ * Optional face-verification provider. When enabled, enrolled people are
+ * registered as Azure persons (their ID is kept as `facePersonId`), and the
+ * person Gemini identifies must also pass Azure's face-to-person verification
+ * on the latest live frame. Each persisted face carries the image store ID of
+ * its photo as userData, so later photo edits and renames can be synced.
+ *
+ * Configuration:
+ *   FACE_VERIFICATION_PROVIDER   - 'azure' enables it (default off)
+ *   AZURE_FACE_API_KEY           - Subscription key
+ *   AZURE_FACE_ENDPOINT          - e.g. https://<resource>.cognitiveservices.azure.com
+ *   AZURE_FACE_PERSON_GROUP_ID   - Person group holding enrolled people (default rayban-users)
+ *   AZURE_FACE_MIN_CONFIDENCE    - Minimum verification confidence to accept (default 0.6)
+ *   FACE_MATCH_MAX_FRAME_AGE_MS  - The live frame verified must be at most this old (default 5000)
+ */
 class FaceRecognitionService {
   constructor() {
+    this.enabled = process.env.FACE_VERIFICATION_PROVIDER === 'azure';
     this.apiKey = process.env.AZURE_FACE_API_KEY;
     this.endpoint = process.env.AZURE_FACE_ENDPOINT;
     this.personGroupId = process.env.AZURE_FACE_PERSON_GROUP_ID || 'rayban-users';
+    this.minConfidence = parseFloat(process.env.AZURE_FACE_MIN_CONFIDENCE) || 0.6;
+    this.maxFrameAgeMs = parseInt(process.env.FACE_MATCH_MAX_FRAME_AGE_MS) || 5000;
+    this.personGroupReady = null;
 
-    if (!this.apiKey || !this.endpoint) {
+    if (this.enabled && (!this.apiKey || !this.endpoint)) {
       logger.warn('Azure Face API credentials not configured');
     }
 
@@ -84,13 +106,14 @@ class FaceRecognitionService {
    * Add a face image to a person
    * @param {string} personId - Azure Person ID
    * @param {Buffer|string} imageData - Image buffer or base64 string
+   * @param {string} userData - Stored with the face, e.g. the photo's image ID
    * @returns {Promise<string>} Persisted Face ID
    */
-  async addPersonFace(personId, imageData) {
+  async addPersonFace(personId, imageData, userData = '') {
     try {
       const url = `${this.endpoint}/face/v1.0/persongroups/${this.personGroupId}/persons/${personId}/persistedFaces`;
 
-      let requestConfig = { headers: { ...this.headers } };
+      let requestConfig = { headers: { ...this.headers }, params: userData ? { userData } : undefined };
       let data;
 
       // Handle base64 image
@@ -180,7 +203,7 @@ class FaceRecognitionService {
         params: {
           returnFaceId: true,
           returnFaceLandmarks: false,
-          returnFaceAttributes: 'age,gender,emotion',
+          returnFaceAttributes: 'qualityForRecognition',
           recognitionModel: 'recognition_04',
           detectionModel: 'detection_03'
         }
@@ -233,6 +256,173 @@ class FaceRecognitionService {
     }
   }
 
+  /**
+   * Verify that a detected face belongs to a person
+   * @param {string} faceId - Face ID from detect operation
+   * @param {string} personId - Azure Person ID
+   * @returns {Promise<Object>} { isIdentical, confidence }
+   */
+  async verifyFace(faceId, personId) {
+    try {
+      const url = `${this.endpoint}/face/v1.0/verify`;
+
+      const response = await axios.post(
+        url,
+        {
+          faceId,
+          personId,
+          personGroupId: this.personGroupId
+        },
+        { headers: this.headers }
+      );
+
+      return response.data;
+    } catch (error) {
+      logger.error('Error verifying face:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Register an enrolled person with Azure: create them, add their photos
+   * and retrain the person group. Nothing is left behind if a step fails.
+   * @param {Object} person - Enrolled person (photos are image store IDs)
+   * @returns {Promise<string>} Azure Person ID, to be stored as facePersonId
+   */
+  async enrollPerson(person) {
+    try {
+      if (!this.personGroupReady) {
+        this.personGroupReady = this.initializePersonGroup();
+        this.personGroupReady.catch(() => { this.personGroupReady = null; });
+      }
+      await this.personGroupReady;
+
+      const personId = await this.createPerson(person.name, JSON.stringify({ id: person.id, wallet: person.wallet }));
+
+      try {
+        for (const photo of person.photos) {
+          await this.addPersonFace(personId, await imageStore.read(photo), photo);
+        }
+        await this.trainPersonGroup();
+      } catch (error) {
+        await this.deletePerson(personId).catch(() => {});
+        throw error;
+      }
+
+      return personId;
+    } catch (error) {
+      throw this.apiError(error);
+    }
+  }
+
+  /**
+   * Bring an enrolled person's Azure person up to date after an edit: add
+   * faces for new photos, delete those of removed photos and update the name
+   * and wallet. Someone without an Azure person (or whose one is gone) is
+   * enrolled afresh.
+   * @param {Object} person - Enrolled person (photos are image store IDs)
+   * @returns {Promise<string>} Azure Person ID, to be stored as facePersonId
+   */
+  async syncPerson(person) {
+    let current = null;
+    if (person.facePersonId) {
+      try {
+        current = await this.getPerson(person.facePersonId);
+      } catch (error) {
+        throw this.apiError(error);
+      }
+
+      if (!current) {
+        logger.warn(`Azure person ${person.facePersonId} of ${person.name} is gone - enrolling them again`);
+      }
+    }
+
+    if (!current) {
+      return await this.enrollPerson(person);
+    }
+
+    try {
+      const url = `${this.endpoint}/face/v1.0/persongroups/${this.personGroupId}/persons/${person.facePersonId}`;
+
+      const userData = JSON.stringify({ id: person.id, wallet: person.wallet });
+      if (current.name !== person.name || current.userData !== userData) {
+        await axios.patch(url, { name: person.name, userData }, { headers: this.headers });
+        logger.info(`Azure person ${person.facePersonId} updated: ${person.name}`);
+      }
+
+      // Faces are matched to photos by the image ID they were added with.
+      // Faces without one predate that and are replaced.
+      const faces = [];
+      for (const persistedFaceId of current.persistedFaceIds || []) {
+        const face = await axios.get(`${url}/persistedFaces/${persistedFaceId}`, { headers: this.headers });
+        faces.push({ persistedFaceId, photo: face.data.userData });
+      }
+
+      const added = person.photos.filter(photo => !faces.some(face => face.photo === photo));
+      const removed = faces.filter(face => !person.photos.includes(face.photo));
+
+      for (const photo of added) {
+        await this.addPersonFace(person.facePersonId, await imageStore.read(photo), photo);
+      }
+      for (const face of removed) {
+        await axios.delete(`${url}/persistedFaces/${face.persistedFaceId}`, { headers: this.headers });
+        logger.info(`Face ${face.persistedFaceId} removed from person ${person.facePersonId}`);
+      }
+
+      if (added.length > 0 || removed.length > 0) {
+        await this.trainPersonGroup();
+      }
+
+      return person.facePersonId;
+    } catch (error) {
+      throw this.apiError(error);
+    }
+  }
+
+  /**
+   * Check the face in a live frame against the person Gemini named
+   * @param {Object} frame - Latest live frame { data: base64 or data URL, receivedAt }
+   * @param {Object} person - Enrolled person, with facePersonId
+   * @returns {Promise<Object>} { checked, matched, confidence, threshold, reason }
+   */
+  async verifyPerson(frame, person) {
+    const result = {
+      checked: this.enabled,
+      matched: false,
+      confidence: null,
+      threshold: this.minConfidence,
+      reason: null
+    };
+
+    if (!this.enabled) {
+      return { ...result, matched: true, reason: 'Azure face verification is disabled' };
+    }
+
+    if (!person.facePersonId) {
+      return { ...result, reason: `${person.name} is not registered with Azure Face` };
+    }
+
+    if (!frame || Date.now() - frame.receivedAt > this.maxFrameAgeMs) {
+      return { ...result, reason: 'No recent video frame to compare' };
+    }
+
+    const faces = await this.detectFaces(frame.data);
+    if (faces.length === 0) {
+      return { ...result, reason: 'Azure found no face in the live video' };
+    }
+
+    const verification = await this.verifyFace(faces[0].faceId, person.facePersonId);
+    result.confidence = verification.confidence;
+
+    if (!verification.isIdentical || verification.confidence < this.minConfidence) {
+      result.reason = `Azure says the face is not ${person.name} (confidence ${verification.confidence} < ${this.minConfidence})`;
+    } else {
+      result.matched = true;
+    }
+
+    return result;
+  }
+
   /**
    * Full recognition pipeline: detect + identify
    * @param {Buffer|string} imageData - Image buffer or base64 string
@@ -293,6 +483,25 @@ class FaceRecognitionService {
     }
   }
 
+  /**
+   * Get a person with their persisted face IDs
+   * @param {string} personId - Azure Person ID
+   * @returns {Promise<Object|null>} { personId, name, userData, persistedFaceIds }, null if there is none
+   */
+  async getPerson(personId) {
+    try {
+      const url = `${this.endpoint}/face/v1.0/persongroups/${this.personGroupId}/persons/${personId}`;
+      const response = await axios.get(url, { headers: this.headers });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      logger.error('Error getting person:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
   /**
    * List all persons in the person group
    */
@@ -306,6 +515,14 @@ class FaceRecognitionService {
       throw error;
     }
   }
+
+  /**
+   * Azure's own error message, if it sent one
+   * @private
+   */
+  apiError(error) {
+    return new Error(`Azure Face API: ${error.response?.data?.error?.message || error.message}`);
+  }
 }
 
 module.exports = new FaceRecognitionService();
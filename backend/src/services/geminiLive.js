@@ -1,69 +1,34 @@
 const { GoogleGenAI } = require('@google/genai');
+const geminiReplay = require('./geminiReplay');
+const spendingPolicy = require('./spendingPolicy');
+const consentGestures = require('./consentGestures');
+const imageStore = require('./imageStore');
 const logger = require('../utils/logger');
 
 class GeminiLiveService {
   constructor() {
     this.apiKey = process.env.GEMINI_API_KEY;
 
-    if (!this.apiKey) {
+    // 'live' connects to the Live API, 'replay' plays back a scripted session
+    this.mode = process.env.GEMINI_LIVE_MODE || 'live';
+
+    if (this.mode === 'replay') {
+      logger.info('Gemini Live running in replay mode');
+    } else if (!this.apiKey) {
       logger.error('GEMINI_API_KEY not found in .env file');
       throw new Error('GEMINI_API_KEY is required');
     }
 
-    this.genAI = new GoogleGenAI({ apiKey: this.apiKey });
+    this.genAI = this.apiKey ? new GoogleGenAI({ apiKey: this.apiKey }) : null;
     this.activeSessions = new Map();
+  }
 
-    // System instruction for transaction monitoring
-    this.systemInstruction = `You are an AI payment assistant for Ray-Ban smart glasses crypto payments.
-
-MISSION: Monitor video and audio streams to detect TWO confirmations for crypto transactions:
-
-PAYMENT LIMITS:
-   - MAXIMUM transaction: $0.10 USDC
-   - MINIMUM transaction: $0.01 USDC
-   - If you hear an amount outside this range, DO NOT proceed with the transaction
-   - Inform the users that the amount must be between $0.01 and $0.10
-
-1. VERBAL CONFIRMATION
-   - Listen for payment amount ("$0.05", "five cents", "10 cents", etc.)
-   - Amount MUST be between $0.01 and $0.10
-   - Listen for CLEAR agreement from BOTH parties
-   - Keywords: "yes", "deal", "agreed", "okay", "sure", "I agree"
-   - MUST hear explicit confirmation of the amount
-   - Example: "I'll pay you $0.05" → "Yes, deal!"
-
-2. HANDSHAKE CONFIRMATION
-   - Watch for two hands coming together in handshake position
-   - Hands should be clasped/gripping
-   - MUST be stable for at least 2 seconds (you'll see multiple frames)
-   - Confirm it's a proper handshake, not just hands near each other
-
-PERSON IDENTIFICATION:
-   - I will provide you with reference photos of enrolled people
-   - Compare the person you see in the live video to these reference photos
-   - ONLY call identifyPerson() when you clearly recognize someone from the reference photos
-   - Call identifyPerson() once when first detected, providing their name and wallet
-   - If you don't see anyone, or the person doesn't match enrolled photos, do NOT call identifyPerson()
-   - Do NOT mention unknown people - only report enrolled people you recognize
-
-CRITICAL RULES:
-   - Call updateStatus() EVERY TIME you receive a new video frame - provide constant visual commentary
-   - Describe what you see in the video in EVERY update
-   - Call confirmVerbalAgreement() ONLY when you hear explicit verbal agreement with amount
-   - Call confirmHandshake() ONLY when you see a proper, stable handshake
-   - Call executeTransaction() ONLY when BOTH verbal AND handshake are confirmed simultaneously
-   - If either confirmation is lost (handshake breaks, person retracts agreement), reset that confirmation
-   - Always state amounts clearly before executing
-   - Provide real-time narration of what you see and hear
-
-RESPONSE STYLE:
-   - Brief, real-time updates EVERY frame
-   - Always describe the visual scene
-   - Clear status on each confirmation
-   - Confidence scores (0-1) for detections`;
-
-    // Function definitions for Gemini
-    this.tools = [{
+  /**
+   * Function definitions for Gemini - the consent gestures come from the
+   * deployment's configuration
+   */
+  get tools() {
+    return [{
       functionDeclarations: [
         {
           name: 'updateStatus',
@@ -114,18 +79,23 @@ RESPONSE STYLE:
           }
         },
         {
-          name: 'confirmHandshake',
-          description: 'Call this when you detect or lose detection of a handshake gesture.',
+          name: 'confirmConsentGesture',
+          description: `Call this when you detect or lose detection of a physical consent gesture (${consentGestures.describe()}).`,
           parameters: {
             type: 'OBJECT',
             properties: {
-              handshake_active: {
+              gesture: {
+                type: 'STRING',
+                enum: consentGestures.enabled,
+                description: 'Which consent gesture you see'
+              },
+              active: {
                 type: 'BOOLEAN',
-                description: 'true if handshake is currently happening, false if stopped'
+                description: 'true if the gesture is currently happening, false if it stopped'
               },
               description: {
                 type: 'STRING',
-                description: 'Description of what you see with the hands'
+                description: 'Description of what you see (hands, head, who makes the gesture)'
               },
               confidence: {
                 type: 'NUMBER',
@@ -133,10 +103,10 @@ RESPONSE STYLE:
               },
               stable_duration: {
                 type: 'NUMBER',
-                description: 'How many seconds the handshake has been stable (estimate)'
+                description: 'How many seconds the gesture has been held (estimate)'
               }
             },
-            required: ['handshake_active', 'description', 'confidence']
+            required: ['gesture', 'active', 'description', 'confidence']
           }
         },
         {
@@ -163,7 +133,7 @@ RESPONSE STYLE:
         },
         {
           name: 'executeTransaction',
-          description: 'Execute the crypto transaction. ONLY call this when BOTH verbal agreement AND handshake are confirmed simultaneously.',
+          description: 'Execute the crypto transaction. ONLY call this when BOTH verbal agreement AND a consent gesture are confirmed simultaneously.',
           parameters: {
             type: 'OBJECT',
             properties: {
@@ -179,27 +149,78 @@ RESPONSE STYLE:
                 type: 'STRING',
                 description: 'Quote of the verbal agreement'
               },
-              handshake_confirmed: {
+              consent_gesture_confirmed: {
                 type: 'BOOLEAN',
-                description: 'Handshake is currently active and stable'
+                description: 'A consent gesture is currently confirmed'
               },
               overall_confidence: {
                 type: 'NUMBER',
                 description: 'Overall confidence in all conditions 0-1'
               }
             },
-            required: ['person_description', 'amount', 'verbal_confirmation_quote', 'handshake_confirmed', 'overall_confidence']
+            required: ['person_description', 'amount', 'verbal_confirmation_quote', 'consent_gesture_confirmed', 'overall_confidence']
           }
         }
       ]
     }];
   }
 
+  /**
+   * System instruction for transaction monitoring - payment limits come
+   * from the spending policy the execute route enforces
+   */
+  get systemInstruction() {
+    return `You are an AI payment assistant for Ray-Ban smart glasses crypto payments.
+
+MISSION: Monitor video and audio streams to detect TWO confirmations for crypto transactions:
+
+${spendingPolicy.describeForPrompt()}
+
+1. VERBAL CONFIRMATION
+   - Listen for payment amount ("$0.05", "five cents", "10 cents", etc.)
+   - Listen for CLEAR agreement from BOTH parties
+   - Keywords: "yes", "deal", "agreed", "okay", "sure", "I agree"
+   - MUST hear explicit confirmation of the amount
+   - Example: "I'll pay you $0.05" → "Yes, deal!"
+
+2. CONSENT GESTURE CONFIRMATION
+   - Any ONE of these gestures counts as physical consent:
+${consentGestures.describeForPrompt()}
+   - You see about one frame per second - the gesture MUST show across multiple frames
+   - Other gestures do not count as consent here
+
+PERSON IDENTIFICATION:
+   - I will provide you with reference photos of enrolled people
+   - Compare the person you see in the live video to these reference photos
+   - ONLY call identifyPerson() when you clearly recognize someone from the reference photos
+   - Call identifyPerson() once when first detected, providing their name and wallet
+   - If you don't see anyone, or the person doesn't match enrolled photos, do NOT call identifyPerson()
+   - Do NOT mention unknown people - only report enrolled people you recognize
+
+CRITICAL RULES:
+   - Call updateStatus() EVERY TIME you receive a new video frame - provide constant visual commentary
+   - Describe what you see in the video in EVERY update
+   - Call confirmVerbalAgreement() ONLY when you hear explicit verbal agreement with amount
+   - Call confirmConsentGesture() ONLY when you clearly see one of the consent gestures above, naming which one
+   - Call executeTransaction() ONLY when BOTH verbal AND consent gesture are confirmed simultaneously
+   - executeTransaction() returns once the user has confirmed or cancelled the payment on screen - tell them the outcome
+   - If either confirmation is lost (gesture stops, person retracts agreement), reset that confirmation
+   - Always state amounts clearly before executing
+   - Provide real-time narration of what you see and hear
+
+RESPONSE STYLE:
+   - Brief, real-time updates EVERY frame
+   - Always describe the visual scene
+   - Clear status on each confirmation
+   - Confidence scores (0-1) for detections`;
+  }
+
   /**
    * Create a new Gemini Live session using WebSocket connection
    * @param {string} sessionId - Unique session identifier
    * @param {Function} onMessage - Callback for messages from Gemini
-   * @param {Function} onFunctionCall - Callback for function calls
+   * @param {Function} onFunctionCall - Callback for function calls; resolves to the
+   *   response, or to { deferred: Promise } for a response that is sent when it settles
    * @returns {Promise<Object>} Session object
    */
   async createSession(sessionId, onMessage, onFunctionCall) {
@@ -221,14 +242,15 @@ RESPONSE STYLE:
           verbalAgreement: false,
           verbalAmount: null,
           verbalQuote: null,
-          handshakeActive: false,
-          handshakeDuration: 0,
+          consentGesture: null,
+          gestureActive: false,
+          gestureDuration: 0,
           readyForTransaction: false
         }
       };
 
       // Create Live API connection (WebSocket-based) using new SDK
-      const liveSession = await this.genAI.live.connect({
+      const liveSession = await this.connect(sessionId, {
         model: 'gemini-2.5-flash-native-audio-preview-09-2025',
         config: {
           systemInstruction: this.systemInstruction,
@@ -269,6 +291,30 @@ RESPONSE STYLE:
     }
   }
 
+  /**
+   * Open a Live API connection, or a replay session in replay mode
+   * @param {string} sessionId - Session ID
+   * @param {Object} params - { model, config, callbacks } for genAI.live.connect
+   * @returns {Promise<Object>} Live session
+   */
+  async connect(sessionId, params) {
+    if (this.mode === 'replay') {
+      return await geminiReplay.connect(params);
+    }
+
+    // Record the session so it can be replayed later
+    if (process.env.GEMINI_LIVE_RECORD) {
+      const recorder = geminiReplay.createRecorder(sessionId);
+      const liveSession = await this.genAI.live.connect({
+        ...params,
+        callbacks: recorder.wrapCallbacks(params.callbacks)
+      });
+      return recorder.wrapSession(liveSession);
+    }
+
+    return await this.genAI.live.connect(params);
+  }
+
   /**
    * Send enrolled people reference photos to Gemini
    * @param {string} sessionId - Session ID
@@ -310,14 +356,11 @@ RESPONSE STYLE:
           const photosToSend = person.photos.slice(0, 1);
 
           for (let i = 0; i < photosToSend.length; i++) {
-            const base64Data = photosToSend[i].replace(/^data:image\/\w+;base64,/, '');
+            const { data, mimeType } = await imageStore.readBase64(photosToSend[i]);
 
             // Send non-blocking - don't await, let WebSocket buffer
             const result = session.liveSession.sendRealtimeInput({
-              media: {
-                data: base64Data,
-                mimeType: 'image/jpeg'
-              }
+              media: { data, mimeType }
             });
 
             // Only add catch if result is a promise
@@ -459,7 +502,7 @@ RESPONSE STYLE:
       }
 
       parts.push({
-        text: 'Analyze what you see and hear. Update me on the status of: 1) Person identification, 2) Verbal agreement, 3) Handshake. Are both confirmations present?'
+        text: 'Analyze what you see and hear. Update me on the status of: 1) Person identification, 2) Verbal agreement, 3) Consent gesture. Are both confirmations present?'
       });
 
       await session.liveSession.sendClientContent({
@@ -504,18 +547,16 @@ RESPONSE STYLE:
             try {
               const functionResponse = await session.onFunctionCall(functionCall.name, functionCall.args);
 
-              // Send function response back to Gemini (must include id from the function call)
-              if (functionResponse && functionCall.id) {
-                logger.debug(`Sending tool response for ${functionCall.name}:`, functionResponse);
-                await session.liveSession.sendToolResponse({
-                  functionResponses: [{
-                    id: functionCall.id,
-                    name: functionCall.name,
-                    response: functionResponse
-                  }]
-                });
-                logger.debug(`Tool response sent successfully for ${functionCall.name}`);
+              // Deferred responses (executeTransaction waits for the user) are sent
+              // when they settle, without holding up the other calls in this message
+              if (functionResponse?.deferred) {
+                functionResponse.deferred
+                  .then(response => this.sendFunctionResponse(sessionId, functionCall, response))
+                  .catch(toolError => logger.error(`Error sending tool response for ${functionCall.name}:`, toolError));
+                continue;
               }
+
+              await this.sendFunctionResponse(sessionId, functionCall, functionResponse);
             } catch (toolError) {
               logger.error(`Error sending tool response for ${functionCall.name}:`, toolError);
               // Don't rethrow - continue processing other messages
@@ -549,6 +590,33 @@ RESPONSE STYLE:
     }
   }
 
+  /**
+   * Send a function response back to Gemini
+   * @param {string} sessionId - Session identifier
+   * @param {Object} functionCall - The call being answered (its id is required)
+   * @param {Object} functionResponse - Response from the function call handler
+   */
+  async sendFunctionResponse(sessionId, functionCall, functionResponse) {
+    // A deferred response may settle after the session was closed
+    const session = this.activeSessions.get(sessionId);
+    if (!session) {
+      logger.info(`Session ${sessionId} closed before ${functionCall.name} was answered`);
+      return;
+    }
+
+    if (!functionResponse || !functionCall.id) return;
+
+    logger.debug(`Sending tool response for ${functionCall.name}:`, functionResponse);
+    await session.liveSession.sendToolResponse({
+      functionResponses: [{
+        id: functionCall.id,
+        name: functionCall.name,
+        response: functionResponse
+      }]
+    });
+    logger.debug(`Tool response sent successfully for ${functionCall.name}`);
+  }
+
   /**
    * Update session state based on function calls
    */
@@ -567,14 +635,15 @@ RESPONSE STYLE:
         session.state.verbalQuote = args.quote;
         break;
 
-      case 'confirmHandshake':
-        session.state.handshakeActive = args.handshake_active;
-        session.state.handshakeDuration = args.stable_duration || 0;
+      case 'confirmConsentGesture':
+        session.state.consentGesture = args.gesture;
+        session.state.gestureActive = args.active;
+        session.state.gestureDuration = args.stable_duration || 0;
         break;
 
       case 'executeTransaction':
         session.state.readyForTransaction =
-          args.handshake_confirmed &&
+          args.consent_gesture_confirmed &&
           session.state.verbalAgreement;
         break;
     }
@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Gemini Live Replay
+ *
+ * A scripted stand-in for a Gemini Live session with the same surface as the
+ * SDK session (sendRealtimeInput, sendClientContent, sendToolResponse, close).
+ * Used when GEMINI_LIVE_MODE=replay so the stream flow runs without a key or network.
+ *
+ * A script is a list of steps, each delivered once its trigger has been seen
+ * `count` times (default 1) since the previous step:
+ *
+ *   {
+ *     "steps": [
+ *       { "on": "open", "text": "Watching the stream" },
+ *       { "on": "video", "count": 2, "toolCall": [{ "name": "identifyPerson", "args": { ... } }] },
+ *       { "on": "toolResponse", "toolCall": [{ "name": "confirmConsentGesture", "args": { ... } }] }
+ *     ]
+ *   }
+ *
+ * Triggers: open, video (any image, including reference photos), audio,
+ * clientContent and toolResponse. A step sends `toolCall` (function calls,
+ * IDs are generated), `text` (a model turn) or a raw Live API `message`.
+ *
+ * Real sessions can be recorded into this format by setting GEMINI_LIVE_RECORD
+ * to a directory; each session is written to <directory>/<sessionId>.json.
+ */
+
+/**
+ * Classify an input sent to the session as a script trigger
+ */
+function mediaTrigger(input) {
+  const mimeType = input?.media?.mimeType || '';
+
+  if (mimeType.startsWith('image/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  return null;
+}
+
+class ReplaySession {
+  constructor(script, callbacks = {}) {
+    this.steps = script.steps || [];
+    this.callbacks = callbacks;
+    this.position = 0;
+    this.seen = {};
+    this.callCount = 0;
+    this.closed = false;
+
+    // Everything the application sent, for assertions in tests
+    this.sent = {
+      realtimeInput: [],
+      clientContent: [],
+      toolResponses: []
+    };
+  }
+
+  /**
+   * Open the session and deliver any steps triggered by opening it -
+   * like the SDK, connect() only resolves once the session is open
+   * @private
+   */
+  start() {
+    this.callbacks.onopen?.();
+    this.deliver({ setupComplete: {} });
+    this.trigger('open');
+  }
+
+  sendRealtimeInput(input) {
+    this.assertOpen();
+    this.sent.realtimeInput.push(input);
+
+    const trigger = mediaTrigger(input);
+    if (trigger) {
+      this.trigger(trigger);
+    }
+  }
+
+  sendClientContent(content) {
+    this.assertOpen();
+    this.sent.clientContent.push(content);
+    this.trigger('clientContent');
+  }
+
+  sendToolResponse(response) {
+    this.assertOpen();
+    this.sent.toolResponses.push(...(response.functionResponses || []));
+    this.trigger('toolResponse');
+  }
+
+  close() {
+    if (this.closed) return;
+
+    this.closed = true;
+    this.callbacks.onclose?.({ code: 1000, reason: 'Replay session closed' });
+  }
+
+  /**
+   * Whether every scripted step has been delivered
+   */
+  get finished() {
+    return this.position >= this.steps.length;
+  }
+
+  /**
+   * Count a trigger and deliver the next step once its count is reached
+   * @private
+   */
+  trigger(name) {
+    this.seen[name] = (this.seen[name] || 0) + 1;
+
+    const step = this.steps[this.position];
+    if (!step || step.on !== name || this.seen[name] < (step.count || 1)) {
+      return;
+    }
+
+    this.position++;
+    this.seen = {};
+    this.deliver(this.toMessage(step));
+  }
+
+  /**
+   * Build the Live API message for a step
+   * @private
+   */
+  toMessage(step) {
+    if (step.message) {
+      return step.message;
+    }
+
+    if (step.toolCall) {
+      return {
+        toolCall: {
+          functionCalls: step.toolCall.map(call => ({
+            id: call.id || `replay-${++this.callCount}`,
+            name: call.name,
+            args: call.args || {}
+          }))
+        }
+      };
+    }
+
+    return {
+      serverContent: {
+        modelTurn: { parts: [{ text: step.text || '' }] }
+      }
+    };
+  }
+
+  /**
+   * Deliver a message asynchronously, like the WebSocket would
+   * @private
+   */
+  deliver(message) {
+    setImmediate(async () => {
+      if (this.closed) return;
+
+      try {
+        await this.callbacks.onmessage?.(message);
+      } catch (error) {
+        this.callbacks.onerror?.(error);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  assertOpen() {
+    if (this.closed) {
+      throw new Error('Replay session is closed');
+    }
+  }
+}
+
+class ReplayRecorder {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.steps = [];
+    this.lastTrigger = 'open';
+    this.seen = {};
+  }
+
+  /**
+   * Wrap the Live API callbacks so incoming messages are recorded
+   * @param {Object} callbacks - SDK callbacks
+   */
+  wrapCallbacks(callbacks) {
+    return {
+      ...callbacks,
+      onmessage: async (message) => {
+        this.recordMessage(message);
+        return await callbacks.onmessage(message);
+      },
+      onclose: (event) => {
+        this.save();
+        return callbacks.onclose?.(event);
+      }
+    };
+  }
+
+  /**
+   * Wrap an SDK session so outgoing inputs are counted as triggers
+   * @param {Object} liveSession - SDK session
+   */
+  wrapSession(liveSession) {
+    const recorder = this;
+
+    return {
+      sendRealtimeInput(input) {
+        recorder.count(mediaTrigger(input));
+        return liveSession.sendRealtimeInput(input);
+      },
+      sendClientContent(content) {
+        recorder.count('clientContent');
+        return liveSession.sendClientContent(content);
+      },
+      sendToolResponse(response) {
+        recorder.count('toolResponse');
+        return liveSession.sendToolResponse(response);
+      },
+      close() {
+        recorder.save();
+        return liveSession.close();
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  count(trigger) {
+    if (!trigger) return;
+
+    this.lastTrigger = trigger;
+    this.seen[trigger] = (this.seen[trigger] || 0) + 1;
+  }
+
+  /**
+   * Record tool calls only - they drive the stream flow, and model text
+   * arrives too loosely timed against inputs to replay meaningfully
+   * @private
+   */
+  recordMessage(message) {
+    const functionCalls = message.toolCall?.functionCalls;
+
+    if (!functionCalls) {
+      return;
+    }
+
+    this.steps.push({
+      on: this.lastTrigger,
+      count: this.seen[this.lastTrigger] || 1,
+      toolCall: functionCalls.map(({ name, args }) => ({ name, args }))
+    });
+    this.seen = {};
+  }
+
+  /**
+   * Write the recorded steps as a replay script
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({ steps: this.steps }, null, 2));
+      logger.info(`Recorded ${this.steps.length} Gemini Live steps to ${this.filePath}`);
+    } catch (error) {
+      logger.error(`Error saving Gemini Live recording ${this.filePath}:`, error);
+    }
+  }
+}
+
+class GeminiReplayService {
+  constructor() {
+    this.script = null;
+    this.lastSession = null;
+  }
+
+  /**
+   * Use a script for new sessions instead of GEMINI_REPLAY_SCRIPT
+   * @param {Object|null} script - Replay script, or null to go back to the file
+   */
+  setScript(script) {
+    this.script = script;
+  }
+
+  /**
+   * Load a replay script from a JSON file
+   * @param {string} filePath - Path to the script
+   * @returns {Object} Script
+   */
+  loadScript(filePath) {
+    const script = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+
+    if (!Array.isArray(script.steps)) {
+      throw new Error(`Replay script ${filePath} has no steps`);
+    }
+
+    return script;
+  }
+
+  /**
+   * Open a replay session - same parameters as genAI.live.connect
+   * @param {Object} params - { model, config, callbacks }
+   * @returns {Promise<ReplaySession>} Session
+   */
+  async connect({ callbacks }) {
+    let script = this.script;
+
+    if (!script) {
+      if (!process.env.GEMINI_REPLAY_SCRIPT) {
+        throw new Error('GEMINI_REPLAY_SCRIPT is required when GEMINI_LIVE_MODE=replay');
+      }
+      script = this.loadScript(process.env.GEMINI_REPLAY_SCRIPT);
+    }
+
+    const session = new ReplaySession(script, callbacks);
+    session.start();
+    this.lastSession = session;
+
+    logger.info(`Replay Gemini Live session opened with ${session.steps.length} steps`);
+
+    return session;
+  }
+
+  /**
+   * Create a recorder for a real session
+   * @param {string} sessionId - Session ID, used as the file name
+   * @returns {ReplayRecorder} Recorder
+   */
+  createRecorder(sessionId) {
+    return new ReplayRecorder(path.join(process.env.GEMINI_LIVE_RECORD, `${sessionId}.json`));
+  }
+}
+
+module.exports = new GeminiReplayService();
@@ -7,12 +7,46 @@ const logger = require('../utils/logger');
  * (MediaPipe Hands runs in browser and sends hand positions via WebSocket)
  *
  * Alternative: Could use Google Cloud Vision API or custom ML model
+ *
+ * Stability is measured in time, not frames: the hands must stay clasped for
+ * HANDSHAKE_STABLE_MS, and frames without a handshake only end it once none
+ * was seen for HANDSHAKE_GRACE_MS, so a dropped frame doesn't restart it.
+ *
+ * The landmark result is one of two handshake signals, next to Gemini's
+ * confirmConsentGesture call with the 'handshake' gesture; `fuse` combines
+ * them. Other consent gestures (see consentGestures.js) have no landmark signal.
+ *
+ * Configuration:
+ *   HANDSHAKE_FUSION               - When a handshake counts as confirmed:
+ *                                    'both' (default) - Gemini and landmarks agree
+ *                                    'either'         - either signal
+ *                                    'gemini'         - Gemini only (landmarks ignored)
+ *                                    'landmarks'      - landmarks only
+ *   HANDSHAKE_STABLE_MS            - How long the hands must stay clasped (default 2000)
+ *   HANDSHAKE_GRACE_MS             - Gap without a detected handshake that doesn't
+ *                                    end it, e.g. dropped frames (default 2500)
+ *   HANDSHAKE_SESSION_MAX_AGE_MS   - Tracking of sessions that sent no hands for
+ *                                    this long is dropped (default 5 minutes)
+ *   HANDSHAKE_AGREEMENT_WINDOW_MS  - The signals agree when the landmark handshake
+ *                                    was held within this long of Gemini's call (default 3000)
  */
+const FUSION_RULES = ['both', 'either', 'gemini', 'landmarks'];
+
 class HandshakeDetectionService {
   constructor() {
-    this.stableFramesRequired = 30; // ~1 second at 30 FPS
+    this.stableMs = parseInt(process.env.HANDSHAKE_STABLE_MS) || 2000;
+    this.graceMs = parseInt(process.env.HANDSHAKE_GRACE_MS) || 2500; // Covers a dropped frame at 1 FPS
+    this.sessionMaxAgeMs = parseInt(process.env.HANDSHAKE_SESSION_MAX_AGE_MS) || 5 * 60 * 1000;
+    this.sessions = new Map(); // sessionId -> { startedAt, lastDetection, lastSeen, confirmed }
     this.maxHandDistance = 0.15; // Maximum distance between hands (normalized 0-1)
     this.minConfidence = 0.7; // Minimum detection confidence
+    this.agreementWindowMs = parseInt(process.env.HANDSHAKE_AGREEMENT_WINDOW_MS) || 3000;
+    this.fusionRule = process.env.HANDSHAKE_FUSION || 'both';
+
+    if (!FUSION_RULES.includes(this.fusionRule)) {
+      logger.warn(`Unknown HANDSHAKE_FUSION '${this.fusionRule}', using 'both'`);
+      this.fusionRule = 'both';
+    }
   }
 
   /**
@@ -134,65 +168,95 @@ class HandshakeDetectionService {
   }
 
   /**
-   * Track handshake stability over multiple frames
+   * Track how long a handshake has been held. Stability is measured in
+   * wall-clock time, so it doesn't depend on the frame rate, and frames
+   * without a handshake only end it once none was seen for the grace period -
+   * a dropped or misdetected frame doesn't restart the count.
    * @param {string} sessionId - Session identifier
    * @param {Object} detection - Current frame detection result
-   * @returns {Object} Stability result
+   * @param {number} now - Frame time (ms)
+   * @returns {Object} { stable, confirmed, duration, progress, confidence }
    */
-  trackStability(sessionId, detection) {
-    if (!this.sessions) {
-      this.sessions = new Map();
-    }
-
+  trackStability(sessionId, detection, now = Date.now()) {
     if (!this.sessions.has(sessionId)) {
       this.sessions.set(sessionId, {
-        stableFrames: 0,
+        startedAt: null,
         lastDetection: null,
+        lastSeen: now,
         confirmed: false
       });
     }
 
     const session = this.sessions.get(sessionId);
+    session.lastSeen = now;
+
+    const withinGrace = session.lastDetection !== null && now - session.lastDetection <= this.graceMs;
 
     if (detection.detected) {
-      session.stableFrames++;
-      session.lastDetection = Date.now();
-
-      // Check if we've reached stability threshold
-      if (session.stableFrames >= this.stableFramesRequired && !session.confirmed) {
-        session.confirmed = true;
-        logger.info(`Handshake confirmed for session ${sessionId} after ${session.stableFrames} frames`);
-
-        return {
-          stable: true,
-          confirmed: true,
-          frames: session.stableFrames,
-          confidence: detection.confidence
-        };
+      if (!withinGrace) {
+        session.startedAt = now;
+        session.confirmed = false;
       }
-
-      return {
-        stable: false,
-        confirmed: false,
-        frames: session.stableFrames,
-        progress: session.stableFrames / this.stableFramesRequired,
-        confidence: detection.confidence
-      };
-    } else {
+      session.lastDetection = now;
+    } else if (!withinGrace) {
       // Reset if handshake is lost
-      if (session.stableFrames > 0) {
-        logger.debug(`Handshake lost for session ${sessionId} after ${session.stableFrames} frames`);
+      if (session.startedAt !== null) {
+        logger.debug(`Handshake lost for session ${sessionId} after ${session.lastDetection - session.startedAt}ms`);
       }
-      session.stableFrames = 0;
+      session.startedAt = null;
+      session.lastDetection = null;
       session.confirmed = false;
 
       return {
         stable: false,
         confirmed: false,
-        frames: 0,
-        progress: 0
+        duration: 0,
+        progress: 0,
+        confidence: 0
       };
     }
+
+    const duration = session.lastDetection - session.startedAt;
+
+    // Check if we've reached stability threshold
+    if (duration >= this.stableMs && !session.confirmed) {
+      session.confirmed = true;
+      logger.info(`Handshake confirmed for session ${sessionId} after ${duration}ms`);
+    }
+
+    // Stays confirmed for as long as the handshake holds
+    return {
+      stable: session.confirmed,
+      confirmed: session.confirmed,
+      duration,
+      progress: Math.min(duration / this.stableMs, 1),
+      confidence: detection.confidence
+    };
+  }
+
+  /**
+   * Combine the Gemini and landmark handshake signals with the fusion rule
+   * @param {Object} signals - { gemini: { active }, landmarks: { confirmedAt } }
+   * @param {number} now - Current time (ms)
+   * @returns {boolean} Whether the handshake counts as confirmed
+   */
+  fuse(signals, now = Date.now()) {
+    const gemini = Boolean(signals.gemini?.active);
+    // Gemini sees 1 frame per second and answers late, so a recent landmark handshake still agrees
+    const landmarks = Boolean(
+      signals.landmarks?.confirmedAt && now - signals.landmarks.confirmedAt <= this.agreementWindowMs
+    );
+
+    switch (this.fusionRule) {
+      case 'either':
+        return gemini || landmarks;
+      case 'gemini':
+        return gemini;
+      case 'landmarks':
+        return landmarks;
+      default:
+        return gemini && landmarks;
+    }
   }
 
   /**
@@ -200,7 +264,7 @@ class HandshakeDetectionService {
    * @param {string} sessionId - Session identifier
    */
   resetSession(sessionId) {
-    if (this.sessions && this.sessions.has(sessionId)) {
+    if (this.sessions.has(sessionId)) {
       this.sessions.delete(sessionId);
       logger.info(`Session ${sessionId} reset`);
     }
@@ -211,24 +275,23 @@ class HandshakeDetectionService {
    * @param {string} sessionId - Session identifier
    */
   getSessionStatus(sessionId) {
-    if (!this.sessions || !this.sessions.has(sessionId)) {
+    if (!this.sessions.has(sessionId)) {
       return null;
     }
     return this.sessions.get(sessionId);
   }
 
   /**
-   * Clean up old sessions (call periodically)
-   * @param {number} maxAge - Maximum age in milliseconds (default: 5 minutes)
+   * Clean up sessions that stopped sending hands, e.g. whose stream ended
+   * without being stopped (called whenever a stream client disconnects)
+   * @param {number} maxAge - Maximum age in milliseconds
    */
-  cleanupOldSessions(maxAge = 5 * 60 * 1000) {
-    if (!this.sessions) return;
-
+  cleanupOldSessions(maxAge = this.sessionMaxAgeMs) {
     const now = Date.now();
     let cleaned = 0;
 
     for (const [sessionId, session] of this.sessions.entries()) {
-      if (session.lastDetection && (now - session.lastDetection > maxAge)) {
+      if (now - session.lastSeen > maxAge) {
         this.sessions.delete(sessionId);
         cleaned++;
       }
@@ -0,0 +1,91 @@
+const transactionLedger = require('./transactionLedger');
+const logger = require('../utils/logger');
+
+// Ledger records that stand for a payment that was (or may have been) sent.
+// Failed, cancelled and expired attempts never moved money and may be retried.
+const REPLAYABLE_STATUSES = ['pending', 'confirmed', 'unknown'];
+
+/**
+ * Idempotency Service
+ *
+ * Makes POST /api/transaction/execute safe to repeat. A key is bound to the
+ * payment intent it was first used with. The first request for a key runs
+ * the payment; concurrent requests wait for it, and later requests get the
+ * payment recorded in the transaction ledger back, so replays survive a
+ * server restart. Reusing a key for a different intent is refused.
+ */
+class IdempotencyService {
+  constructor() {
+    this.inFlight = new Map(); // key -> { intentId, result }
+  }
+
+  /**
+   * Run a handler at most once per key
+   * @param {string} key - Idempotency key
+   * @param {string} intentId - Payment intent the request is for
+   * @param {Function} handler - Async function resolving to { statusCode, body }
+   * @param {Function} fromRecord - Builds { statusCode, body } from a ledger record
+   * @returns {Promise<Object>} { statusCode, body, replayed }
+   */
+  async run(key, intentId, handler, fromRecord) {
+    const existing = this.inFlight.get(key);
+
+    if (existing) {
+      if (existing.intentId !== intentId) {
+        return this.mismatch(key);
+      }
+
+      logger.info(`Idempotent replay for key ${key}`);
+      const result = await existing.result;
+      return { ...result, replayed: true };
+    }
+
+    const result = this.execute(key, intentId, handler, fromRecord);
+    this.inFlight.set(key, { intentId, result });
+
+    try {
+      return await result;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Check the ledger for a payment already recorded under this key
+   * @private
+   */
+  async execute(key, intentId, handler, fromRecord) {
+    const recorded = await transactionLedger.findByIdempotencyKey(key);
+
+    if (recorded && REPLAYABLE_STATUSES.includes(recorded.status)) {
+      const recordedIntentId = recorded.metadata?.intentId;
+      if (recordedIntentId && recordedIntentId !== intentId) {
+        return this.mismatch(key);
+      }
+
+      logger.info(`Idempotency key ${key} already paid as transaction ${recorded.id}`);
+      return { ...fromRecord(recorded), replayed: true };
+    }
+
+    if (recorded) {
+      logger.info(`Idempotency key ${key} was last used for a ${recorded.status} payment - trying again`);
+    }
+
+    return await handler();
+  }
+
+  /**
+   * @private
+   */
+  mismatch(key) {
+    logger.warn(`Idempotency key ${key} reused for a different payment intent`);
+    return {
+      statusCode: 422,
+      body: {
+        error: 'Idempotency-Key was already used for a different payment intent'
+      }
+    };
+  }
+}
+
+module.exports = new IdempotencyService();
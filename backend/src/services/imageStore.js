@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+const MIME_TYPES = Object.fromEntries(
+  Object.entries(EXTENSIONS).map(([mimeType, ext]) => [ext, mimeType])
+);
+
+const DATA_URL_PATTERN = /^data:(image\/\w+);base64,(.+)$/s;
+const IMAGE_ID_PATTERN = /^[a-f0-9]{64}\.(jpg|png|webp)$/;
+
+/**
+ * Image Store
+ *
+ * Content-addressed storage for enrollment photos. Each image is stored once
+ * under the SHA-256 of its bytes (`<hash>.<ext>`), with a JPEG thumbnail
+ * next to it in `thumbnails/`. Person records hold only these image IDs.
+ * Data derived from an image (e.g. its face embedding) is kept in a JSON
+ * sidecar in `metadata/` and removed together with the image.
+ *
+ * Configuration:
+ *   IMAGE_STORE_DIR       - Where images are kept (default backend/data/images)
+ *   IMAGE_THUMBNAIL_SIZE  - Thumbnail width and height in pixels (default 160)
+ */
+class ImageStore {
+  constructor() {
+    this.dir = process.env.IMAGE_STORE_DIR || path.join(__dirname, '../../data/images');
+    this.thumbnailDir = path.join(this.dir, 'thumbnails');
+    this.metadataDir = path.join(this.dir, 'metadata');
+    this.thumbnailSize = parseInt(process.env.IMAGE_THUMBNAIL_SIZE) || 160;
+
+    fs.mkdirSync(this.thumbnailDir, { recursive: true });
+    fs.mkdirSync(this.metadataDir, { recursive: true });
+  }
+
+  /**
+   * Whether a value is an image ID (as opposed to e.g. a legacy data URL)
+   * @param {string} value
+   */
+  isImageId(value) {
+    return typeof value === 'string' && IMAGE_ID_PATTERN.test(value);
+  }
+
+  /**
+   * Store an image and its thumbnail. Storing the same image twice is a no-op.
+   * @param {string} dataUrl - base64 image data URL
+   * @returns {Promise<string>} Image ID
+   */
+  async save(dataUrl) {
+    const match = typeof dataUrl === 'string' && dataUrl.match(DATA_URL_PATTERN);
+    const ext = match && EXTENSIONS[match[1]];
+
+    if (!ext) {
+      throw Object.assign(
+        new Error(`Photos must be base64 data URLs of type ${Object.keys(EXTENSIONS).join(', ')}`),
+        { status: 400 }
+      );
+    }
+
+    const buffer = Buffer.from(match[2], 'base64');
+    const id = `${crypto.createHash('sha256').update(buffer).digest('hex')}.${ext}`;
+
+    if (fs.existsSync(this.imagePath(id)) && fs.existsSync(this.thumbnailPath(id))) {
+      return id;
+    }
+
+    let thumbnail;
+    try {
+      thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(this.thumbnailSize, this.thumbnailSize, { fit: 'cover' })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+    } catch (error) {
+      throw Object.assign(new Error(`Could not decode image: ${error.message}`), { status: 400 });
+    }
+
+    this.writeFile(this.imagePath(id), buffer);
+    this.writeFile(this.thumbnailPath(id), thumbnail);
+
+    logger.info(`Stored image ${id} (${buffer.length} bytes)`);
+    return id;
+  }
+
+  /**
+   * Store a list of photos, keeping entries that are already image IDs
+   * @param {Array<string>} photos - Image IDs and/or data URLs
+   * @param {Function} isReferenced - async (id) => whether a person still uses the image
+   * @returns {Promise<Array<string>>} Image IDs, in the same order
+   */
+  async saveAll(photos, isReferenced) {
+    const ids = [];
+
+    try {
+      for (const photo of photos) {
+        ids.push(this.isImageId(photo) ? photo : await this.save(photo));
+      }
+    } catch (error) {
+      // Don't leave the photos stored so far behind as orphans
+      await this.release(ids, isReferenced);
+      throw error;
+    }
+
+    return ids;
+  }
+
+  /**
+   * Delete images nobody references any more. Images are content-addressed,
+   * so two people can share one.
+   * @param {Array<string>} ids - Image IDs that may have become unused
+   * @param {Function} isReferenced - async (id) => whether a person still uses the image
+   */
+  async release(ids, isReferenced) {
+    for (const id of ids || []) {
+      if (this.isImageId(id) && !(await isReferenced(id))) {
+        await this.remove(id);
+      }
+    }
+  }
+
+  /**
+   * Read an image as base64, e.g. to send it to Gemini
+   * @param {string} id - Image ID
+   * @returns {Promise<Object>} { data, mimeType }
+   */
+  async readBase64(id) {
+    const buffer = await this.read(id);
+    return { data: buffer.toString('base64'), mimeType: this.mimeType(id) };
+  }
+
+  /**
+   * Read an image's raw bytes
+   * @param {string} id - Image ID
+   * @returns {Promise<Buffer>}
+   */
+  async read(id) {
+    return await fs.promises.readFile(this.imagePath(id));
+  }
+
+  /**
+   * Read data derived from an image
+   * @param {string} id - Image ID
+   * @returns {Promise<Object>} Metadata, {} if there is none yet
+   */
+  async readMetadata(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.metadataPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring unreadable metadata for image ${id}: ${error.message}`);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Merge fields into an image's metadata
+   * @param {string} id - Image ID
+   * @param {Object} fields - Fields to set
+   */
+  async updateMetadata(id, fields) {
+    const metadata = { ...(await this.readMetadata(id)), ...fields };
+    this.writeFile(this.metadataPath(id), Buffer.from(JSON.stringify(metadata)));
+    return metadata;
+  }
+
+  /**
+   * Delete an image, its thumbnail and its metadata
+   * @param {string} id - Image ID
+   */
+  async remove(id) {
+    await fs.promises.rm(this.imagePath(id), { force: true });
+    await fs.promises.rm(this.thumbnailPath(id), { force: true });
+    await fs.promises.rm(this.metadataPath(id), { force: true });
+    logger.info(`Removed image ${id}`);
+  }
+
+  imagePath(id) {
+    return path.join(this.dir, path.basename(id));
+  }
+
+  thumbnailPath(id) {
+    return path.join(this.thumbnailDir, `${path.basename(id, path.extname(id))}.jpg`);
+  }
+
+  metadataPath(id) {
+    return path.join(this.metadataDir, `${path.basename(id, path.extname(id))}.json`);
+  }
+
+  mimeType(id) {
+    return MIME_TYPES[path.extname(id).slice(1)];
+  }
+
+  /**
+   * Write via a temporary file so a crash never leaves a half-written image
+   * under its hash
+   * @private
+   */
+  writeFile(file, buffer) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, buffer);
+    fs.renameSync(tmp, file);
+  }
+}
+
+module.exports = new ImageStore();
@@ -1,12 +1,29 @@
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const imageStore = require('./imageStore');
+const logger = require('../utils/logger');
 
-const DATA_DIR = path.join(__dirname, '../../data');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
 const PEOPLE_FILE = path.join(DATA_DIR, 'people.json');
+const TRANSACTIONS_FILE = path.join(DATA_DIR, 'transactions.json');
 
+/**
+ * JSON file storage for people and (with TRANSACTION_STORAGE=json) the
+ * transaction ledger.
+ *
+ * Every read-modify-write runs through a per-file queue, so concurrent
+ * requests can't overwrite each other's changes. Files are replaced
+ * atomically (write a temp file, then rename) and the previous version is
+ * kept as `<file>.bak`. A file that can't be parsed is an error - it is
+ * never treated as empty, which would make everyone look unenrolled.
+ *
+ * Configuration:
+ *   DATA_DIR  - Where people.json and transactions.json are kept (default backend/data)
+ */
 class JSONStorage {
   constructor() {
+    this.queues = new Map();
     this.ensureDataFile();
   }
 
@@ -15,38 +32,110 @@ class JSONStorage {
       fs.mkdirSync(DATA_DIR, { recursive: true });
     }
     if (!fs.existsSync(PEOPLE_FILE)) {
-      fs.writeFileSync(PEOPLE_FILE, JSON.stringify({ people: [] }, null, 2));
+      this.writeJsonFile(PEOPLE_FILE, { people: [] });
+    }
+    if (!fs.existsSync(TRANSACTIONS_FILE)) {
+      this.writeJsonFile(TRANSACTIONS_FILE, { transactions: [] });
     }
   }
 
-  readPeople() {
+  /**
+   * Read a data file, failing loudly if it is missing or corrupt
+   * @private
+   */
+  readJsonFile(file, key) {
+    let data;
+
     try {
-      const data = fs.readFileSync(PEOPLE_FILE, 'utf8');
-      return JSON.parse(data).people || [];
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
     } catch (error) {
-      console.error('Error reading people file:', error);
-      return [];
+      logger.error(`Cannot read ${file}: ${error.message}`);
+      throw new Error(
+        `${path.basename(file)} is unreadable (${error.message}). ` +
+        `Restore it from ${path.basename(file)}.bak or fix it by hand - it will not be overwritten until then.`
+      );
+    }
+
+    if (!data || !Array.isArray(data[key])) {
+      logger.error(`Cannot read ${file}: no "${key}" array`);
+      throw new Error(`${path.basename(file)} has no "${key}" array. Restore it from ${path.basename(file)}.bak.`);
     }
+
+    return data[key];
   }
 
-  writePeople(people) {
+  /**
+   * Replace a data file atomically, keeping the current version as <file>.bak
+   * @private
+   */
+  writeJsonFile(file, data) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+
     try {
-      fs.writeFileSync(PEOPLE_FILE, JSON.stringify({ people }, null, 2));
-      return true;
+      try {
+        fs.writeFileSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      if (fs.existsSync(file)) {
+        fs.copyFileSync(file, `${file}.bak`);
+      }
+
+      fs.renameSync(tmp, file);
     } catch (error) {
-      console.error('Error writing people file:', error);
-      return false;
+      // The file is unchanged - don't leave the half-done write behind
+      fs.rmSync(tmp, { force: true });
+      throw error;
     }
   }
 
+  /**
+   * Run a read-modify-write once all earlier ones on the same file are done
+   * @private
+   * @param {string} file - Data file being modified
+   * @param {Function} fn - Async function doing the read-modify-write
+   */
+  serialize(file, fn) {
+    const previous = this.queues.get(file) || Promise.resolve();
+    const run = previous.then(fn);
+
+    // A failed write must not block the ones queued after it
+    const tail = run.catch(() => {});
+    this.queues.set(file, tail);
+    tail.then(() => {
+      if (this.queues.get(file) === tail) this.queues.delete(file);
+    });
+
+    return run;
+  }
+
+  readPeople() {
+    return this.readJsonFile(PEOPLE_FILE, 'people');
+  }
+
+  writePeople(people) {
+    this.writeJsonFile(PEOPLE_FILE, { people });
+  }
+
   async createPerson(name, walletAddress, photos) {
+    return this.serialize(PEOPLE_FILE, () => this.insertPerson(name, walletAddress, photos));
+  }
+
+  /**
+   * @private
+   */
+  async insertPerson(name, walletAddress, photos) {
     const people = this.readPeople();
+    const photoIds = await this.storePhotos(photos);
 
     const newPerson = {
       id: uuidv4(),
       name,
       wallet: walletAddress,
-      photos,
+      photos: photoIds,
       photoCount: photos.length,
       createdAt: new Date().toISOString()
     };
@@ -62,21 +151,178 @@ class JSONStorage {
   }
 
   async deletePerson(id) {
+    return this.serialize(PEOPLE_FILE, () => this.removePerson(id));
+  }
+
+  /**
+   * @private
+   */
+  async removePerson(id) {
     const people = this.readPeople();
-    const filtered = people.filter(p => p.id !== id);
+    const person = people.find(p => p.id === id);
 
-    if (filtered.length === people.length) {
+    if (!person) {
       return false; // Person not found
     }
 
-    this.writePeople(filtered);
+    const remaining = people.filter(p => p.id !== id);
+    this.writePeople(remaining);
+    await this.releasePhotos(person.photos, remaining);
     return true;
   }
 
+  /**
+   * Update a person. Photos may be image IDs or new data URLs, which are stored.
+   * `updates` may be a function of the current person, called inside the queue.
+   */
+  async updatePerson(id, updates) {
+    return this.serialize(PEOPLE_FILE, () => this.modifyPerson(id, updates));
+  }
+
+  /**
+   * @private
+   */
+  async modifyPerson(id, updates) {
+    const people = this.readPeople();
+    const index = people.findIndex(p => p.id === id);
+
+    if (index === -1) {
+      return null; // Person not found
+    }
+
+    if (typeof updates === 'function') {
+      updates = updates(people[index]);
+    }
+
+    if (updates.photos) {
+      updates = { ...updates, photos: await this.storePhotos(updates.photos) };
+    }
+
+    const previousPhotos = people[index].photos;
+    const person = { ...people[index], ...updates };
+    person.photoCount = person.photos.length;
+    person.updatedAt = new Date().toISOString();
+
+    people[index] = person;
+    this.writePeople(people);
+
+    await this.releasePhotos(previousPhotos, people);
+    return person;
+  }
+
+  /**
+   * Put data URL photos into the image store, keeping existing image IDs
+   * @private
+   */
+  async storePhotos(photos) {
+    return imageStore.saveAll(photos, async (photoId) =>
+      this.readPeople().some(p => (p.photos || []).includes(photoId))
+    );
+  }
+
+  /**
+   * Delete images that none of `people` references any more
+   * @private
+   */
+  async releasePhotos(photoIds, people) {
+    const referenced = new Set(people.flatMap(p => p.photos || []));
+    await imageStore.release(photoIds, async (photoId) => referenced.has(photoId));
+  }
+
+  /**
+   * Count the people in a people file whose photos are still embedded as
+   * base64 data URLs. Read-only - `npm run migrate:photos` converts them.
+   * @param {string} file - People file (defaults to the live one)
+   * @returns {number} People with embedded photos
+   */
+  countLegacyPeople(file = PEOPLE_FILE) {
+    if (!fs.existsSync(file)) return 0;
+
+    return this.readJsonFile(file, 'people')
+      .filter(person => (person.photos || []).some(photo => !imageStore.isImageId(photo)))
+      .length;
+  }
+
+  /**
+   * Convert a people file that embeds photos as base64 data URLs to image
+   * store references. The original is kept as `<file>.legacy.bak`.
+   * @param {string} file - People file (defaults to the live one)
+   * @returns {Promise<Object>} { people, photos } - how many were converted
+   */
+  async migrateLegacyPhotos(file = PEOPLE_FILE) {
+    return this.serialize(file, () => this.convertLegacyPhotos(file));
+  }
+
+  /**
+   * @private
+   */
+  async convertLegacyPhotos(file) {
+    const people = this.readJsonFile(file, 'people');
+    let convertedPeople = 0;
+    let convertedPhotos = 0;
+
+    for (const person of people) {
+      const legacy = (person.photos || []).filter(photo => !imageStore.isImageId(photo));
+      if (legacy.length === 0) continue;
+
+      person.photos = await this.storePhotos(person.photos);
+      person.photoCount = person.photos.length;
+      convertedPeople++;
+      convertedPhotos += legacy.length;
+    }
+
+    if (convertedPeople > 0) {
+      fs.copyFileSync(file, `${file}.legacy.bak`);
+      this.writeJsonFile(file, { people });
+      logger.info(`Moved ${convertedPhotos} photos of ${convertedPeople} people from ${file} to the image store`);
+    }
+
+    return { people: convertedPeople, photos: convertedPhotos };
+  }
+
   async getPersonById(id) {
     const people = this.readPeople();
     return people.find(p => p.id === id);
   }
+
+  readTransactions() {
+    return this.readJsonFile(TRANSACTIONS_FILE, 'transactions');
+  }
+
+  writeTransactions(transactions) {
+    this.writeJsonFile(TRANSACTIONS_FILE, { transactions });
+  }
+
+  async createTransaction(transaction) {
+    return this.serialize(TRANSACTIONS_FILE, async () => {
+      const transactions = this.readTransactions();
+
+      transactions.push(transaction);
+      this.writeTransactions(transactions);
+
+      return transaction;
+    });
+  }
+
+  async getAllTransactions() {
+    return this.readTransactions();
+  }
+
+  async updateTransaction(id, updates) {
+    return this.serialize(TRANSACTIONS_FILE, async () => {
+      const transactions = this.readTransactions();
+      const index = transactions.findIndex(t => t.id === id);
+
+      if (index === -1) {
+        return null; // Transaction not found
+      }
+
+      transactions[index] = { ...transactions[index], ...updates };
+      this.writeTransactions(transactions);
+
+      return transactions[index];
+    });
+  }
 }
 
 module.exports = new JSONStorage();
@@ -0,0 +1,218 @@
+const faceMatcher = require('./faceMatcher');
+const logger = require('../utils/logger');
+
+// Eye aspect ratio below which an eye counts as closed, and above which as open
+const EYE_CLOSED_RATIO = 0.2;
+const EYE_OPEN_RATIO = 0.25;
+
+const CHALLENGE = 'Turn your head slightly left and right, or blink';
+
+/**
+ * Liveness Detector
+ *
+ * Anti-spoofing for the live stream: a face only counts as live once
+ * consecutive `stream:video` frames show a head turn or a blink. Both are
+ * measured from facial landmarks:
+ *
+ *   - Head turn: horizontal offset of the nose tip from the midpoint of the
+ *     eyes, relative to the distance between the eyes. A photo held up to the
+ *     camera is flat, so tilting or moving it barely changes this ratio.
+ *   - Blink: eye aspect ratio dropping from open to closed.
+ *
+ * Every sample carries the face's embedding. A different face starts the
+ * samples over, and the face that passed is kept so identification can
+ * require that same face (see faceMatcher.verify's `liveFace`).
+ *
+ * Configuration:
+ *   LIVENESS_ENABLED        - 'false' turns the check off (default on)
+ *   LIVENESS_WINDOW_MS      - Frames older than this are not compared (default 10000)
+ *   LIVENESS_VALID_MS       - How long a passed check counts for identification (default 30000)
+ *   LIVENESS_MIN_HEAD_TURN  - Minimum change of the head-turn ratio (default 0.15)
+ */
+class LivenessDetector {
+  constructor() {
+    this.enabled = process.env.LIVENESS_ENABLED !== 'false';
+    this.windowMs = parseInt(process.env.LIVENESS_WINDOW_MS) || 10 * 1000;
+    this.validMs = parseInt(process.env.LIVENESS_VALID_MS) || 30 * 1000;
+    this.minHeadTurn = parseFloat(process.env.LIVENESS_MIN_HEAD_TURN) || 0.15;
+    this.sessions = new Map(); // sessionId -> { samples, busy, passedAt, passedFace, faceDetected }
+  }
+
+  /**
+   * Analyse a live frame. Frames arriving while the previous one of the same
+   * session is still being analysed are skipped.
+   * @param {string} sessionId - Stream session ID
+   * @param {string} frame - base64 image or data URL
+   * @returns {Promise<Object|null>} New status, null if the frame was skipped
+   */
+  async addFrame(sessionId, frame) {
+    const state = this.state(sessionId);
+    if (state.busy) {
+      return null;
+    }
+
+    state.busy = true;
+    try {
+      const image = Buffer.from(frame.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+      const face = await faceMatcher.detectFace(image);
+      const now = Date.now();
+
+      state.faceDetected = Boolean(face);
+      if (face) {
+        // A head turn or blink only counts if one face made it
+        const previous = state.samples[state.samples.length - 1];
+        if (previous && !faceMatcher.sameFace(previous.descriptor, face.descriptor)) {
+          state.samples = [];
+        }
+
+        state.samples.push({
+          at: now,
+          headTurn: this.headTurn(face.landmarks),
+          eyes: this.eyeAspectRatio(face.landmarks),
+          descriptor: face.descriptor
+        });
+      }
+      state.samples = state.samples.filter(sample => now - sample.at <= this.windowMs);
+
+      const evidence = this.evaluate(state.samples);
+      if (evidence.headTurned || evidence.blinked) {
+        if (!this.passed(state, now)) {
+          logger.info(`Liveness confirmed for session ${sessionId} (${evidence.headTurned ? 'head turn' : 'blink'})`);
+        }
+        state.passedAt = now;
+        state.passedFace = state.samples[state.samples.length - 1].descriptor;
+      }
+
+      return this.status(sessionId);
+    } finally {
+      state.busy = false;
+    }
+  }
+
+  /**
+   * Current liveness of a session
+   * @param {string} sessionId - Stream session ID
+   * @returns {Object} { checked, passed, faceDetected, headTurn, challenge }
+   */
+  status(sessionId) {
+    if (!this.enabled) {
+      return { checked: false, passed: true, faceDetected: null, headTurn: null, challenge: null };
+    }
+
+    const state = this.state(sessionId);
+    const passed = this.passed(state, Date.now());
+    const { headTurnRange } = this.evaluate(state.samples);
+
+    return {
+      checked: true,
+      passed,
+      faceDetected: state.faceDetected,
+      headTurn: Math.round(Math.min(headTurnRange / this.minHeadTurn, 1) * 100) / 100, // Progress towards a head turn, 0-1
+      challenge: passed ? null : CHALLENGE
+    };
+  }
+
+  /**
+   * Embedding of the face that passed, while the pass is valid
+   * @param {string} sessionId - Stream session ID
+   * @returns {Float32Array|null} null if the check is off or hasn't passed
+   */
+  passedFace(sessionId) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const state = this.state(sessionId);
+    return this.passed(state, Date.now()) ? state.passedFace : null;
+  }
+
+  /**
+   * Forget a session's frames, e.g. when its stream stops
+   * @param {string} sessionId - Stream session ID
+   */
+  reset(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * @private
+   */
+  state(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, { samples: [], busy: false, passedAt: null, passedFace: null, faceDetected: false });
+    }
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * @private
+   */
+  passed(state, now) {
+    return state.passedAt !== null && now - state.passedAt <= this.validMs;
+  }
+
+  /**
+   * Look for a head turn or a blink across the samples
+   * @private
+   */
+  evaluate(samples) {
+    if (samples.length < 2) {
+      return { headTurned: false, blinked: false, headTurnRange: 0 };
+    }
+
+    const turns = samples.map(sample => sample.headTurn);
+    const eyes = samples.map(sample => sample.eyes);
+    const headTurnRange = Math.max(...turns) - Math.min(...turns);
+
+    return {
+      headTurned: headTurnRange >= this.minHeadTurn,
+      blinked: Math.max(...eyes) >= EYE_OPEN_RATIO && Math.min(...eyes) < EYE_CLOSED_RATIO,
+      headTurnRange
+    };
+  }
+
+  /**
+   * Nose tip offset from the midpoint of the eyes, in eye distances - about 0
+   * facing the camera, negative or positive with the head turned. Enrollment
+   * also uses it to check the photos cover more than one pose.
+   * @param {Array<Object>} landmarks - 68 landmark positions { x, y }
+   * @returns {number}
+   */
+  headTurn(landmarks) {
+    const leftEye = this.centroid(landmarks.slice(36, 42));
+    const rightEye = this.centroid(landmarks.slice(42, 48));
+    const eyeDistance = this.distance(leftEye, rightEye);
+
+    return (landmarks[30].x - (leftEye.x + rightEye.x) / 2) / eyeDistance;
+  }
+
+  /**
+   * Mean eye aspect ratio (eye height over width) of both eyes
+   * @private
+   */
+  eyeAspectRatio(landmarks) {
+    const ratio = (eye) =>
+      (this.distance(eye[1], eye[5]) + this.distance(eye[2], eye[4])) / (2 * this.distance(eye[0], eye[3]));
+
+    return (ratio(landmarks.slice(36, 42)) + ratio(landmarks.slice(42, 48))) / 2;
+  }
+
+  /**
+   * @private
+   */
+  centroid(points) {
+    return {
+      x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+    };
+  }
+
+  /**
+   * @private
+   */
+  distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+}
+
+module.exports = new LivenessDetector();
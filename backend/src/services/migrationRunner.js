@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+const DATABASE_DIR = path.join(__dirname, '../../../database');
+const MIGRATIONS_DIR = path.join(DATABASE_DIR, 'migrations');
+
+// Arbitrary key for pg_advisory_xact_lock, so two runners never interleave
+const LOCK_KEY = 7214001;
+
+/**
+ * Migration Runner
+ *
+ * Applies database/schema.sql (as version 000) and database/migrations/NNN_*.sql
+ * in order, each inside its own transaction, and records them in the
+ * `schema_migrations` table. A migration is reverted with the matching
+ * NNN_*.down.sql file.
+ *
+ * Databases set up by hand before the runner existed already have the
+ * schema; if the `people` table exists but `schema_migrations` doesn't, 000 is
+ * recorded as applied without running it. The numbered migrations are
+ * idempotent and simply run again.
+ */
+class MigrationRunner {
+  /**
+   * All migrations on disk, oldest first
+   * @returns {Array<Object>} { version, name, file, downFile }
+   */
+  list() {
+    const migrations = [{
+      version: '000',
+      name: 'schema',
+      file: path.join(DATABASE_DIR, 'schema.sql'),
+      downFile: path.join(DATABASE_DIR, 'schema.down.sql')
+    }];
+
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => /^\d{3}_.+\.sql$/.test(file) && !file.endsWith('.down.sql'))
+      .sort();
+
+    for (const file of files) {
+      const base = file.replace(/\.sql$/, '');
+      migrations.push({
+        version: base.slice(0, 3),
+        name: base.slice(4),
+        file: path.join(MIGRATIONS_DIR, file),
+        downFile: path.join(MIGRATIONS_DIR, `${base}.down.sql`)
+      });
+    }
+
+    return migrations;
+  }
+
+  /**
+   * Compare the migrations on disk with those recorded in the database
+   * @returns {Promise<Object>} { current, latest, applied, pending, modified }
+   */
+  async status() {
+    await this.ensureTable();
+
+    const migrations = this.list();
+    const result = await db.query('SELECT version, checksum FROM schema_migrations ORDER BY version');
+    const applied = new Map(result.rows.map(row => [row.version, row.checksum]));
+
+    const pending = migrations.filter(m => !applied.has(m.version));
+    // Applied migrations whose file changed since - they won't be re-run
+    const modified = migrations.filter(m =>
+      applied.has(m.version) && applied.get(m.version) && applied.get(m.version) !== this.checksum(m.file)
+    );
+
+    return {
+      current: result.rows.length > 0 ? result.rows[result.rows.length - 1].version : null,
+      latest: migrations[migrations.length - 1].version,
+      applied: migrations.filter(m => applied.has(m.version)),
+      pending,
+      modified
+    };
+  }
+
+  /**
+   * Apply every pending migration in order
+   * @returns {Promise<Array<Object>>} Migrations applied
+   */
+  async up() {
+    const { pending } = await this.status();
+
+    for (const migration of pending) {
+      const sql = fs.readFileSync(migration.file, 'utf8');
+
+      await db.transaction(async (client) => {
+        await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_KEY]);
+
+        // Another runner may have applied it while we waited for the lock
+        const done = await client.query('SELECT 1 FROM schema_migrations WHERE version = $1', [migration.version]);
+        if (done.rows.length > 0) return;
+
+        await client.query(sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, this.checksum(migration.file)]
+        );
+      });
+
+      logger.info(`Applied migration ${migration.version}_${migration.name}`);
+    }
+
+    return pending;
+  }
+
+  /**
+   * Revert the most recently applied migrations
+   * @param {number} steps - How many to revert (default 1)
+   * @returns {Promise<Array<Object>>} Migrations reverted
+   */
+  async down(steps = 1) {
+    const { applied } = await this.status();
+    const toRevert = applied.slice(-steps).reverse();
+
+    // Check every down file first, so we never stop halfway
+    const missing = toRevert.filter(m => !fs.existsSync(m.downFile));
+    if (missing.length > 0) {
+      throw new Error(`No down migration for ${missing.map(m => `${m.version}_${m.name}`).join(', ')}`);
+    }
+
+    for (const migration of toRevert) {
+      const sql = fs.readFileSync(migration.downFile, 'utf8');
+
+      await db.transaction(async (client) => {
+        await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_KEY]);
+        await client.query(sql);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+
+      logger.info(`Reverted migration ${migration.version}_${migration.name}`);
+    }
+
+    return toRevert;
+  }
+
+  /**
+   * Startup check - fail unless the database schema is up to date
+   * @param {Object} options - { autoApply } applies pending migrations instead of failing
+   */
+  async check({ autoApply = false } = {}) {
+    let status = await this.status();
+
+    if (status.pending.length > 0 && autoApply) {
+      await this.up();
+      status = await this.status();
+    }
+
+    for (const migration of status.modified) {
+      logger.warn(`Migration ${migration.version}_${migration.name} was changed after it was applied`);
+    }
+
+    if (status.pending.length > 0) {
+      throw new Error(
+        `Database schema is at version ${status.current || 'none'}, expected ${status.latest}. ` +
+        `Pending migrations: ${status.pending.map(m => `${m.version}_${m.name}`).join(', ')}. ` +
+        'Run `npm run migrate` in backend/ (or set MIGRATIONS_AUTO_APPLY=true).'
+      );
+    }
+
+    logger.info(`Database schema is at version ${status.current}`);
+    return status;
+  }
+
+  /**
+   * Create the tracking table, baselining databases set up by hand
+   * @private
+   */
+  async ensureTable() {
+    const existing = await db.query(`SELECT to_regclass('public.schema_migrations') AS tracking, to_regclass('public.people') AS people`);
+    if (existing.rows[0].tracking) return;
+
+    await db.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version VARCHAR(20) PRIMARY KEY,
+         name VARCHAR(255) NOT NULL,
+         checksum VARCHAR(64),
+         applied_at TIMESTAMP DEFAULT NOW()
+       )`
+    );
+
+    if (existing.rows[0].people) {
+      await db.query(
+        `INSERT INTO schema_migrations (version, name, checksum) VALUES ('000', 'schema', $1)
+         ON CONFLICT (version) DO NOTHING`,
+        [this.checksum(path.join(DATABASE_DIR, 'schema.sql'))]
+      );
+      logger.info('Existing schema found - recorded schema.sql as applied');
+    }
+  }
+
+  /**
+   * @private
+   */
+  checksum(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+  }
+}
+
+module.exports = new MigrationRunner();
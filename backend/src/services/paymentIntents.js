@@ -0,0 +1,145 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+/**
+ * Payment Intent Service
+ *
+ * Issues single-use payment intents when the stream controller has confirmed
+ * person, verbal agreement and consent gesture. POST /api/transaction/execute only
+ * pays out against an intent, never against amounts or wallets sent by the client.
+ */
+class PaymentIntentService {
+  constructor() {
+    this.intents = new Map();
+    // Also the time the user has to confirm the payment
+    this.ttlMs = parseInt(process.env.PAYMENT_INTENT_TTL_MS) || 30 * 1000; // 30 seconds
+  }
+
+  /**
+   * Issue a new intent for a confirmed stream session
+   * @param {Object} params - Session ID, agreement key, recipient, amount and evidence
+   *   (verbal quote, confidence, consent gesture and when it was confirmed)
+   * @returns {Object} Issued intent
+   */
+  issue({ sessionId, agreementKey, recipient, amount, verbalQuote, confidence, consentGesture = null, gestureConfirmedAt = null }) {
+    const now = Date.now();
+    this.pruneExpired(now);
+
+    const intent = {
+      id: uuidv4(),
+      sessionId,
+      agreementKey,
+      idempotencyKey: `${sessionId}:${agreementKey}`,
+      recipient: {
+        id: recipient.id,
+        name: recipient.name,
+        wallet: recipient.wallet
+      },
+      amount,
+      verbalQuote,
+      confidence,
+      consentGesture,
+      gestureConfirmedAt,
+      status: 'issued',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString()
+    };
+
+    this.intents.set(intent.id, intent);
+    logger.info(`Payment intent ${intent.id} issued for session ${sessionId}: $${amount} to ${recipient.name}`);
+
+    return intent;
+  }
+
+  /**
+   * Redeem an intent exactly once
+   * @param {string} intentId - Intent ID from transaction:ready
+   * @returns {Object} { valid, intent, reason }
+   */
+  redeem(intentId) {
+    const intent = this.intents.get(intentId);
+
+    if (!intent) {
+      return { valid: false, reason: 'Unknown payment intent' };
+    }
+
+    if (intent.status !== 'issued') {
+      return { valid: false, intent, reason: `Payment intent already ${intent.status}` };
+    }
+
+    if (Date.now() > new Date(intent.expiresAt).getTime()) {
+      intent.status = 'expired';
+      return { valid: false, intent, reason: 'Payment intent expired' };
+    }
+
+    intent.status = 'redeemed';
+    intent.redeemedAt = new Date().toISOString();
+
+    return { valid: true, intent };
+  }
+
+  /**
+   * Mark a redeemed intent as failed so a new one can be issued for its agreement
+   * @param {string} intentId - Intent ID
+   */
+  markFailed(intentId) {
+    const intent = this.intents.get(intentId);
+    if (intent && intent.status === 'redeemed') {
+      intent.status = 'failed';
+    }
+  }
+
+  /**
+   * Cancel an intent that has not been redeemed yet
+   * @param {string} intentId - Intent ID
+   * @param {string} status - 'cancelled' by the user or 'expired' on timeout
+   * @returns {Object|null} The cancelled intent, or null if it can no longer be cancelled
+   */
+  cancel(intentId, status = 'cancelled') {
+    const intent = this.intents.get(intentId);
+    if (!intent || intent.status !== 'issued') {
+      return null;
+    }
+
+    intent.status = status;
+    intent.cancelledAt = new Date().toISOString();
+    logger.info(`Payment intent ${intentId} ${status}`);
+
+    return intent;
+  }
+
+  /**
+   * Get an intent by ID
+   * @param {string} intentId - Intent ID
+   */
+  get(intentId) {
+    return this.intents.get(intentId) || null;
+  }
+
+  /**
+   * Drop intents past their expiry - redeeming them fails either way
+   * @param {number} now - Current timestamp
+   */
+  pruneExpired(now = Date.now()) {
+    for (const [intentId, intent] of this.intents.entries()) {
+      if (now > new Date(intent.expiresAt).getTime()) {
+        this.intents.delete(intentId);
+      }
+    }
+  }
+
+  /**
+   * Revoke all outstanding intents for a session (stream stopped or disconnected)
+   * @param {string} sessionId - Stream session ID
+   */
+  revokeSession(sessionId) {
+    for (const [intentId, intent] of this.intents.entries()) {
+      if (intent.sessionId === sessionId) {
+        intent.status = 'revoked';
+        this.intents.delete(intentId);
+      }
+    }
+  }
+}
+
+module.exports = new PaymentIntentService();
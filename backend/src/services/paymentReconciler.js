@@ -0,0 +1,146 @@
+const paymentProviders = require('./payments');
+const transactionLedger = require('./transactionLedger');
+const logger = require('../utils/logger');
+
+const FINAL_STATUSES = ['confirmed', 'failed'];
+
+/**
+ * Payment Reconciler
+ *
+ * Payments are usually still pending when /api/transaction/execute returns.
+ * The reconciler polls the provider that sent each pending ledger record until
+ * it is confirmed or failed, stores the outcome and pushes a
+ * `transaction:status` event to the stream session that made the payment.
+ * Records with status "unknown" (the send failed after it may have been
+ * submitted) are polled the same way.
+ */
+class PaymentReconciler {
+  constructor() {
+    this.io = null;
+    this.timer = null;
+    this.running = false;
+    this.intervalMs = parseInt(process.env.PAYMENT_RECONCILE_INTERVAL_MS) || 5000;
+    // Records pending for longer than this are left alone (and logged once)
+    this.maxAgeMs = parseInt(process.env.PAYMENT_RECONCILE_MAX_AGE_MS) || 60 * 60 * 1000; // 1 hour
+    this.abandoned = new Set();
+  }
+
+  /**
+   * Start polling
+   * @param {Object} io - Socket.io server, used to notify sessions
+   */
+  start(io) {
+    this.io = io;
+
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.reconcilePending(), this.intervalMs);
+    this.timer.unref();
+    logger.info(`Payment reconciler polling every ${this.intervalMs}ms`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check every pending ledger record once
+   * @returns {Promise<number>} Number of records whose status changed
+   */
+  async reconcilePending() {
+    // A slow provider must not stack up overlapping polls
+    if (this.running) return 0;
+    this.running = true;
+
+    let changed = 0;
+
+    try {
+      // Payments whose send failed ambiguously are checked too, when the provider gave a reference
+      const pending = [
+        ...await transactionLedger.listByStatus('pending'),
+        ...await transactionLedger.listByStatus('unknown')
+      ];
+
+      for (const tx of pending) {
+        if (Date.now() - new Date(tx.created_at).getTime() > this.maxAgeMs) {
+          if (!this.abandoned.has(tx.id)) {
+            this.abandoned.add(tx.id);
+            logger.warn(`Transaction ${tx.id} still pending after ${this.maxAgeMs}ms - no longer polling`);
+          }
+          continue;
+        }
+
+        try {
+          const result = await this.reconcile(tx);
+          if (result.changed) changed++;
+        } catch (error) {
+          logger.error(`Error reconciling transaction ${tx.id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      logger.error('Error loading pending transactions:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Ask the provider that sent a payment for its current status and store changes
+   * @param {Object} tx - Ledger record
+   * @returns {Promise<Object>} { status, changed } where status is the provider's answer
+   */
+  async reconcile(tx) {
+    const reference = tx.metadata?.providerReference || tx.locus_transaction_id || tx.tx_hash;
+    if (!tx.payment_method || !reference) {
+      return { status: null, changed: false };
+    }
+
+    const status = await paymentProviders.get(tx.payment_method).getStatus(reference);
+
+    // Providers that can't find the payment (yet) leave the record as it is
+    if (status.status === tx.status || !['pending', ...FINAL_STATUSES].includes(status.status)) {
+      return { status, changed: false };
+    }
+
+    const now = new Date().toISOString();
+    const updates = { status: status.status };
+
+    if (status.status === 'confirmed') updates.confirmed_at = now;
+    if (status.status === 'failed') updates.failed_at = now;
+    if (status.txHash && !tx.tx_hash) updates.tx_hash = status.txHash;
+
+    await transactionLedger.update(tx.id, updates);
+    logger.info(`Transaction ${tx.id} is now ${status.status}`);
+
+    this.notify(tx, { ...updates, confirmations: status.confirmations });
+
+    return { status, changed: true };
+  }
+
+  /**
+   * Push a status change to the session that made the payment
+   * @private
+   */
+  notify(tx, updates) {
+    if (!this.io || !tx.session_id) return;
+
+    this.io.to(tx.session_id).emit('transaction:status', {
+      id: tx.id,
+      txHash: updates.tx_hash || tx.tx_hash,
+      status: updates.status,
+      confirmations: updates.confirmations,
+      confirmedAt: updates.confirmed_at || null,
+      failedAt: updates.failed_at || null
+    });
+  }
+}
+
+module.exports = new PaymentReconciler();
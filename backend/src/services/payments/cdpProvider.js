@@ -0,0 +1,71 @@
+/**
+ * Coinbase Developer Platform provider - gasless USDC transfers
+ */
+class CDPProvider {
+  constructor() {
+    this.name = 'cdp';
+    this.currency = 'USDC';
+  }
+
+  get service() {
+    return require('../cdpWallet');
+  }
+
+  async send(toAddress, amount, metadata = {}) {
+    const result = await this.service.sendUSDC(toAddress, amount, metadata);
+
+    return {
+      reference: result.transferId,
+      txHash: result.txHash,
+      status: normalizeStatus(result.status),
+      from: result.from,
+      raw: result
+    };
+  }
+
+  async getStatus(reference) {
+    const result = await this.service.getTransferStatus(reference);
+
+    return {
+      status: normalizeStatus(result.status),
+      txHash: result.txHash,
+      raw: result
+    };
+  }
+
+  async getBalance() {
+    return {
+      balance: await this.service.getUSDCBalance(),
+      currency: this.currency,
+      wallet: await this.service.getWalletAddress()
+    };
+  }
+
+  async estimate(toAddress, amount) {
+    // Transfers are gasless - Coinbase pays gas
+    return {
+      amount: parseFloat(amount),
+      currency: this.currency,
+      fee: 0,
+      feeCurrency: this.currency,
+      total: parseFloat(amount)
+    };
+  }
+}
+
+/**
+ * Map CDP transfer states onto pending / confirmed / failed
+ */
+function normalizeStatus(status) {
+  const value = (status || 'pending').toLowerCase();
+
+  if (['complete', 'completed', 'confirmed', 'success'].includes(value)) {
+    return 'confirmed';
+  }
+  if (['failed', 'error'].includes(value)) {
+    return 'failed';
+  }
+  return 'pending';
+}
+
+module.exports = new CDPProvider();
@@ -0,0 +1,72 @@
+/**
+ * Web3 payment provider - native ETH transfers
+ */
+class CryptoProvider {
+  constructor() {
+    this.name = 'crypto';
+    this.currency = 'ETH';
+  }
+
+  get service() {
+    return require('../crypto');
+  }
+
+  async send(toAddress, amount, metadata = {}) {
+    const result = await this.service.sendTransaction(toAddress, amount, {
+      sessionId: metadata.sessionId,
+      recipient: metadata.recipientName,
+      verbalConfirmation: metadata.verbalConfirmation
+    });
+
+    return {
+      reference: result.txHash,
+      txHash: result.txHash,
+      status: 'confirmed', // sendTransaction resolves with a mined receipt
+      from: result.from,
+      raw: {
+        ...result,
+        blockNumber: result.blockNumber?.toString()
+      }
+    };
+  }
+
+  async getStatus(reference) {
+    const result = await this.service.getTransactionStatus(reference);
+
+    return {
+      status: result.status,
+      txHash: reference,
+      confirmations: result.confirmations,
+      raw: result
+    };
+  }
+
+  async getBalance() {
+    if (!this.service.account) {
+      throw new Error('Wallet not configured');
+    }
+
+    const balance = await this.service.getBalance(this.service.account.address);
+
+    return {
+      balance: parseFloat(balance),
+      currency: this.currency,
+      wallet: this.service.account.address
+    };
+  }
+
+  async estimate(toAddress, amount) {
+    const result = await this.service.estimateTransactionCost(toAddress, amount);
+
+    return {
+      amount: parseFloat(amount),
+      currency: this.currency,
+      fee: parseFloat(result.gasCost),
+      feeCurrency: 'ETH',
+      total: parseFloat(result.totalCost),
+      details: result
+    };
+  }
+}
+
+module.exports = new CryptoProvider();
@@ -0,0 +1,168 @@
+/**
+ * Payment Provider Registry
+ *
+ * Every provider implements the same interface:
+ *   send(toAddress, amount, metadata)  -> { reference, txHash, status, from, raw }
+ *   getStatus(reference)               -> { status, txHash, confirmations, raw }
+ *   getBalance()                       -> { balance, currency, wallet }
+ *   estimate(toAddress, amount)        -> { amount, currency, fee, feeCurrency, total }
+ *
+ * Routing is configured with environment variables:
+ *   PAYMENT_CURRENCY   - Currency agreements are paid in (default USDC)
+ *   PAYMENT_PROVIDER   - Primary provider (falls back to legacy PAYMENT_METHOD, then 'locus')
+ *   PAYMENT_FALLBACKS  - Comma-separated providers to try, in order, if the primary fails
+ *
+ * Fallback is currency-preserving: a provider whose currency differs from the
+ * agreement's is never used, so a USDC agreement can never be paid in ETH.
+ *
+ * Fallback only happens when a provider failed before anything was submitted.
+ * Providers mark those errors with `notSent`; any other error may mean the
+ * payment went out, so it is rethrown (tagged with the provider) instead of
+ * paying again through the next one.
+ */
+
+const logger = require('../../utils/logger');
+
+// Providers are loaded lazily - some depend on SDKs that are only needed when used
+const PROVIDERS = {
+  locus: () => require('./locusProvider'),
+  crypto: () => require('./cryptoProvider'),
+  usdc: () => require('./usdcProvider'),
+  cdp: () => require('./cdpProvider'),
+  sandbox: () => require('./sandboxProvider')
+};
+
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+class PaymentProviderRegistry {
+  constructor() {
+    this.loaders = { ...PROVIDERS };
+    this.currency = (process.env.PAYMENT_CURRENCY || 'USDC').toUpperCase();
+    this.primary = process.env.PAYMENT_PROVIDER || process.env.PAYMENT_METHOD || 'locus';
+    this.fallbacks = parseList(process.env.PAYMENT_FALLBACKS);
+
+    for (const name of [this.primary, ...this.fallbacks]) {
+      if (!this.loaders[name]) {
+        logger.warn(`Unknown payment provider configured: ${name}`);
+      }
+    }
+
+    logger.info(`Payment routing: ${this.currency} via ${[this.primary, ...this.fallbacks].join(' -> ')}`);
+  }
+
+  /**
+   * Register an additional provider
+   * @param {string} name - Provider name
+   * @param {Function} loader - Returns the provider instance
+   */
+  register(name, loader) {
+    this.loaders[name] = loader;
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name
+   * @returns {Object} Provider instance
+   */
+  get(name) {
+    const loader = this.loaders[name];
+    if (!loader) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return loader();
+  }
+
+  /**
+   * Ordered providers that can pay in the given currency
+   * @param {string} currency - Agreement currency
+   * @returns {Array<Object>} Provider instances
+   */
+  route(currency = this.currency) {
+    const providers = [];
+
+    for (const name of [this.primary, ...this.fallbacks]) {
+      if (!this.loaders[name]) continue;
+
+      let provider;
+      try {
+        provider = this.get(name);
+      } catch (error) {
+        logger.warn(`Payment provider ${name} unavailable: ${error.message}`);
+        continue;
+      }
+
+      if (provider.currency !== currency) {
+        logger.warn(`Skipping payment provider ${name}: pays ${provider.currency}, agreement is ${currency}`);
+        continue;
+      }
+
+      providers.push(provider);
+    }
+
+    return providers;
+  }
+
+  /**
+   * Send a payment through the first provider that succeeds
+   * @param {string} toAddress - Recipient wallet
+   * @param {number} amount - Amount in the agreement currency
+   * @param {Object} metadata - Session and evidence metadata
+   * @param {string} currency - Agreement currency
+   * @returns {Promise<Object>} { provider, result }
+   * @throws {Error} With `notSent` if no provider sent anything, otherwise with
+   *   `provider` (and `reference` when known) naming the provider whose payment
+   *   outcome is unknown
+   */
+  async send(toAddress, amount, metadata = {}, currency = this.currency) {
+    const providers = this.route(currency);
+
+    if (providers.length === 0) {
+      throw Object.assign(new Error(`No payment provider configured for ${currency}`), { notSent: true });
+    }
+
+    const errors = [];
+
+    for (const provider of providers) {
+      try {
+        logger.info(`Sending ${amount} ${currency} to ${toAddress} via ${provider.name}`);
+        const result = await provider.send(toAddress, amount, metadata);
+        return { provider, result };
+      } catch (error) {
+        if (!error.notSent) {
+          logger.error(`Payment via ${provider.name} failed after it may have been submitted:`, error.message);
+          error.provider = provider.name;
+          throw error;
+        }
+
+        logger.error(`Payment via ${provider.name} failed:`, error.message);
+        errors.push(`${provider.name}: ${error.message}`);
+      }
+    }
+
+    throw Object.assign(new Error(`All payment providers failed (${errors.join('; ')})`), { notSent: true });
+  }
+
+  /**
+   * Estimate a payment with the provider that would be tried first
+   * @param {string} toAddress - Recipient wallet
+   * @param {number} amount - Amount in the agreement currency
+   * @returns {Promise<Object>} Estimate including the provider name
+   */
+  async estimate(toAddress, amount, currency = this.currency) {
+    const [provider] = this.route(currency);
+
+    if (!provider) {
+      throw new Error(`No payment provider configured for ${currency}`);
+    }
+
+    const estimate = await provider.estimate(toAddress, amount);
+    return { provider: provider.name, ...estimate };
+  }
+}
+
+module.exports = new PaymentProviderRegistry();
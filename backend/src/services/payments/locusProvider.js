@@ -0,0 +1,80 @@
+/**
+ * Locus payment provider - USDC on Base via Locus MCP
+ */
+class LocusProvider {
+  constructor() {
+    this.name = 'locus';
+    this.currency = 'USDC';
+  }
+
+  get client() {
+    return require('../../integrations/locus');
+  }
+
+  async send(toAddress, amount, metadata = {}) {
+    const result = await this.client.sendPayment(toAddress, amount, {
+      sessionId: metadata.sessionId,
+      recipientName: metadata.recipientName,
+      verbalConfirmation: metadata.verbalConfirmation,
+      consentGesture: metadata.consentGesture,
+      faceConfidence: metadata.faceConfidence
+    });
+
+    return {
+      reference: result.locusTransactionId,
+      txHash: result.txHash,
+      status: normalizeStatus(result.status),
+      from: this.client.locusClient.walletAddress,
+      raw: result
+    };
+  }
+
+  async getStatus(reference) {
+    const result = await this.client.getPaymentStatus(reference);
+
+    return {
+      status: normalizeStatus(result.status),
+      txHash: result.txHash,
+      confirmations: result.confirmations,
+      raw: result
+    };
+  }
+
+  async getBalance() {
+    const result = await this.client.getWalletBalance();
+
+    return {
+      balance: parseFloat(result.balance),
+      currency: result.currency || this.currency,
+      wallet: result.wallet
+    };
+  }
+
+  async estimate(toAddress, amount) {
+    // Locus does not expose fee estimates
+    return {
+      amount: parseFloat(amount),
+      currency: this.currency,
+      fee: null,
+      feeCurrency: null,
+      total: parseFloat(amount)
+    };
+  }
+}
+
+/**
+ * Map Locus payment states onto pending / confirmed / failed
+ */
+function normalizeStatus(status) {
+  const value = (status || 'pending').toLowerCase();
+
+  if (['confirmed', 'completed', 'complete', 'success', 'succeeded'].includes(value)) {
+    return 'confirmed';
+  }
+  if (['failed', 'rejected', 'cancelled', 'canceled', 'error'].includes(value)) {
+    return 'failed';
+  }
+  return 'pending';
+}
+
+module.exports = new LocusProvider();
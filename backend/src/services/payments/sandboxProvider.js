@@ -0,0 +1,171 @@
+/**
+ * Sandbox payment provider - deterministic, in-process, no network or keys
+ *
+ * Select with PAYMENT_PROVIDER=sandbox for offline development and tests.
+ *
+ * Configuration:
+ *   SANDBOX_CURRENCY       - Currency it pays in (default USDC)
+ *   SANDBOX_BALANCE        - Starting balance (default 10)
+ *   SANDBOX_SEED           - Seed for generated tx hashes (default 'sandbox')
+ *   SANDBOX_CONFIRM_AFTER  - Status polls before a payment confirms (default 2)
+ *   SANDBOX_FAIL_WALLETS   - Comma-separated wallets whose payments are rejected
+ *   SANDBOX_REVERT_WALLETS - Comma-separated wallets whose payments go pending, then fail
+ */
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+const SANDBOX_WALLET = '0x5a4db0c0000000000000000000000000000000a1';
+
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * An error for a payment that was rejected before it was sent
+ */
+function notSent(message) {
+  return Object.assign(new Error(message), { notSent: true });
+}
+
+class SandboxProvider {
+  constructor() {
+    this.name = 'sandbox';
+    this.reset();
+  }
+
+  /**
+   * Restore the configured starting state (balance, counters, payments)
+   * @param {Object} options - Overrides for the environment configuration
+   */
+  reset(options = {}) {
+    this.currency = options.currency || process.env.SANDBOX_CURRENCY || 'USDC';
+    this.balance = options.balance ?? (parseFloat(process.env.SANDBOX_BALANCE) || 10);
+    this.seed = options.seed || process.env.SANDBOX_SEED || 'sandbox';
+    this.confirmAfter = options.confirmAfter ?? (parseInt(process.env.SANDBOX_CONFIRM_AFTER) || 2);
+    this.failWallets = options.failWallets || parseList(process.env.SANDBOX_FAIL_WALLETS);
+    this.revertWallets = options.revertWallets || parseList(process.env.SANDBOX_REVERT_WALLETS);
+    this.counter = 0;
+    this.payments = new Map();
+    this.nextFailure = null;
+  }
+
+  /**
+   * Make the next send() reject with the given message
+   * @param {string} message - Error message
+   * @param {Object} options - { sent: true } records the payment before rejecting,
+   *   like a provider that times out after submitting it
+   */
+  failNext(message = 'Sandbox payment failed', { sent = false } = {}) {
+    this.nextFailure = { message, sent };
+  }
+
+  async send(toAddress, amount, metadata = {}) {
+    const value = parseFloat(amount);
+
+    if (!/^0x[a-fA-F0-9]{40}$/.test(toAddress || '')) {
+      throw notSent('Invalid recipient address');
+    }
+
+    if (!value || value <= 0) {
+      throw notSent('Invalid payment amount');
+    }
+
+    const failure = this.nextFailure;
+    this.nextFailure = null;
+
+    if (failure && !failure.sent) {
+      throw notSent(failure.message);
+    }
+
+    if (this.failWallets.includes(toAddress.toLowerCase())) {
+      throw notSent(`Sandbox rejected payment to ${toAddress}`);
+    }
+
+    if (value > this.balance) {
+      throw notSent(`Insufficient ${this.currency} balance. Have: ${this.balance} ${this.currency}, Need: ${value} ${this.currency}`);
+    }
+
+    this.counter++;
+    const txHash = '0x' + crypto.createHash('sha256').update(`${this.seed}:${this.counter}`).digest('hex');
+    const reference = `sandbox_${this.counter}`;
+
+    this.balance = Math.round((this.balance - value) * 1e6) / 1e6;
+    this.payments.set(reference, {
+      reference,
+      txHash,
+      to: toAddress,
+      amount: value,
+      polls: 0,
+      reverts: this.revertWallets.includes(toAddress.toLowerCase()),
+      status: 'pending',
+      metadata
+    });
+
+    logger.info(`Sandbox: ${value} ${this.currency} to ${toAddress} (${reference}, balance ${this.balance})`);
+
+    if (failure) {
+      throw Object.assign(new Error(failure.message), { reference });
+    }
+
+    return {
+      reference,
+      txHash,
+      status: 'pending',
+      from: SANDBOX_WALLET,
+      raw: { reference, txHash, amount: value, currency: this.currency, sandbox: true }
+    };
+  }
+
+  async getStatus(reference) {
+    const payment = this.payments.get(reference) ||
+      [...this.payments.values()].find(p => p.txHash === reference);
+
+    if (!payment) {
+      return { status: 'not_found', txHash: null, confirmations: 0, raw: {} };
+    }
+
+    if (payment.status === 'pending') {
+      payment.polls++;
+
+      if (payment.polls >= this.confirmAfter) {
+        payment.status = payment.reverts ? 'failed' : 'confirmed';
+
+        // Reverted payments are refunded
+        if (payment.reverts) {
+          this.balance = Math.round((this.balance + payment.amount) * 1e6) / 1e6;
+        }
+      }
+    }
+
+    return {
+      status: payment.status,
+      txHash: payment.txHash,
+      confirmations: payment.status === 'confirmed' ? payment.polls - this.confirmAfter + 1 : 0,
+      raw: { ...payment }
+    };
+  }
+
+  async getBalance() {
+    return {
+      balance: this.balance,
+      currency: this.currency,
+      wallet: SANDBOX_WALLET
+    };
+  }
+
+  async estimate(toAddress, amount) {
+    return {
+      amount: parseFloat(amount),
+      currency: this.currency,
+      fee: 0,
+      feeCurrency: this.currency,
+      total: parseFloat(amount)
+    };
+  }
+}
+
+module.exports = new SandboxProvider();
@@ -0,0 +1,68 @@
+/**
+ * Direct USDC provider - ERC-20 transfers on Base signed with our own key
+ */
+class USDCProvider {
+  constructor() {
+    this.name = 'usdc';
+    this.currency = 'USDC';
+  }
+
+  get service() {
+    return require('../usdcCrypto');
+  }
+
+  async send(toAddress, amount, metadata = {}) {
+    const result = await this.service.sendUSDC(toAddress, amount, metadata);
+
+    return {
+      reference: result.txHash,
+      txHash: result.txHash,
+      status: 'confirmed', // sendUSDC resolves with a mined receipt
+      from: result.from,
+      raw: {
+        ...result,
+        blockNumber: result.blockNumber?.toString()
+      }
+    };
+  }
+
+  async getStatus(reference) {
+    const result = await this.service.getTransactionStatus(reference);
+
+    return {
+      status: result.status,
+      txHash: reference,
+      confirmations: result.confirmations,
+      raw: result
+    };
+  }
+
+  async getBalance() {
+    if (!this.service.account) {
+      throw new Error('Wallet not configured');
+    }
+
+    const balance = await this.service.getUSDCBalance(this.service.account.address);
+
+    return {
+      balance: parseFloat(balance),
+      currency: this.currency,
+      wallet: this.service.account.address
+    };
+  }
+
+  async estimate(toAddress, amount) {
+    const result = await this.service.estimateTransferCost(toAddress, amount);
+
+    return {
+      amount: parseFloat(amount),
+      currency: this.currency,
+      fee: parseFloat(result.gasCost),
+      feeCurrency: 'ETH',
+      total: parseFloat(amount),
+      details: result
+    };
+  }
+}
+
+module.exports = new USDCProvider();
@@ -0,0 +1,230 @@
+/**
+ * People Repository
+ *
+ * Enrolled people, backed by either the JSON file store (data/people.json) or
+ * the PostgreSQL `people` table, selected with PEOPLE_STORAGE. Unlike the
+ * transaction ledger this defaults to JSON even when DATABASE_URL is set - an
+ * empty `people` table would make everyone look unenrolled, so switching is
+ * explicit (run `npm run import:people` first).
+ *
+ * Both backends return people in the same shape:
+ *   { id, name, wallet, photos, photoCount, email, phone, facePersonId,
+ *     metadata, createdAt, updatedAt }
+ * where photos are image store IDs, primary reference photo first.
+ *
+ * updatePerson(id, updates) also takes a function of the current person
+ * instead of an updates object. It runs while the person is locked (the JSON
+ * file queue, or a row lock), so edits based on the current photos can't
+ * overwrite a concurrent change. It may throw to cancel the update.
+ */
+
+const db = require('../config/database');
+const jsonStorage = require('./jsonStorage');
+const imageStore = require('./imageStore');
+const logger = require('../utils/logger');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Person fields that can be updated, and their `people` columns
+const COLUMNS = {
+  name: 'name',
+  wallet: 'wallet_address',
+  photos: 'photos',
+  email: 'email',
+  phone: 'phone',
+  facePersonId: 'face_person_id',
+  metadata: 'metadata'
+};
+
+class JSONPeopleRepository {
+  async getAllPeople() {
+    return await jsonStorage.getAllPeople();
+  }
+
+  async getPersonById(id) {
+    return (await jsonStorage.getPersonById(id)) || null;
+  }
+
+  async createPerson(name, wallet, photos) {
+    return await jsonStorage.createPerson(name, wallet, photos);
+  }
+
+  async updatePerson(id, updates) {
+    return await jsonStorage.updatePerson(id, updates);
+  }
+
+  async deletePerson(id) {
+    return await jsonStorage.deletePerson(id);
+  }
+}
+
+class PostgresPeopleRepository {
+  async getAllPeople() {
+    const result = await db.query('SELECT * FROM people ORDER BY created_at ASC');
+    return result.rows.map(row => this.toPerson(row));
+  }
+
+  async getPersonById(id) {
+    if (!UUID_PATTERN.test(id || '')) {
+      return null;
+    }
+
+    const result = await db.query('SELECT * FROM people WHERE id = $1', [id]);
+    return result.rows[0] ? this.toPerson(result.rows[0]) : null;
+  }
+
+  async createPerson(name, wallet, photos) {
+    const photoIds = await imageStore.saveAll(photos, id => this.isPhotoReferenced(id));
+
+    const result = await db.query(
+      `INSERT INTO people (name, wallet_address, photos)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [name, wallet, JSON.stringify(photoIds)]
+    );
+
+    return this.toPerson(result.rows[0]);
+  }
+
+  /**
+   * Update a person. Photos may be image IDs or new data URLs, which are stored.
+   * `updates` may be a function of the current person, called with the row locked.
+   */
+  async updatePerson(id, updates) {
+    if (!UUID_PATTERN.test(id || '')) {
+      return null;
+    }
+
+    // Lock the row so the photos being replaced are the ones actually stored
+    const { person, previousPhotos } = await db.transaction(async (client) => {
+      const current = await client.query('SELECT * FROM people WHERE id = $1 FOR UPDATE', [id]);
+      if (!current.rows[0]) {
+        return { person: null, previousPhotos: [] };
+      }
+
+      let changes = typeof updates === 'function' ? updates(this.toPerson(current.rows[0])) : updates;
+      if (changes.photos) {
+        changes = {
+          ...changes,
+          photos: await imageStore.saveAll(changes.photos, photoId => this.isPhotoReferenced(photoId))
+        };
+      }
+
+      const fields = Object.keys(changes).filter(field => COLUMNS[field]);
+      const assignments = fields.map((field, i) => `${COLUMNS[field]} = $${i + 2}`);
+      const values = fields.map(field =>
+        field === 'photos' || field === 'metadata' ? JSON.stringify(changes[field]) : changes[field]
+      );
+
+      const result = await client.query(
+        `UPDATE people SET ${[...assignments, 'updated_at = NOW()'].join(', ')} WHERE id = $1 RETURNING *`,
+        [id, ...values]
+      );
+
+      return { person: this.toPerson(result.rows[0]), previousPhotos: current.rows[0].photos };
+    });
+
+    await imageStore.release(previousPhotos, photoId => this.isPhotoReferenced(photoId));
+    return person;
+  }
+
+  async deletePerson(id) {
+    if (!UUID_PATTERN.test(id || '')) {
+      return false;
+    }
+
+    const result = await db.query('DELETE FROM people WHERE id = $1 RETURNING photos', [id]);
+    if (!result.rows[0]) {
+      return false; // Person not found
+    }
+
+    await imageStore.release(result.rows[0].photos, photoId => this.isPhotoReferenced(photoId));
+    return true;
+  }
+
+  /**
+   * Copy a person from people.json, keeping their ID so existing transactions
+   * can be linked to them. People already in the table are skipped.
+   * @param {Object} person - Person from jsonStorage
+   * @returns {Promise<boolean>} Whether the person was inserted
+   */
+  async importPerson(person) {
+    const photoIds = await imageStore.saveAll(person.photos || [], id => this.isPhotoReferenced(id));
+
+    const result = await db.query(
+      `INSERT INTO people (id, name, wallet_address, photos, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (id) DO NOTHING
+       RETURNING id`,
+      [
+        person.id,
+        person.name,
+        person.wallet,
+        JSON.stringify(photoIds),
+        person.createdAt || new Date().toISOString(),
+        person.updatedAt || person.createdAt || new Date().toISOString()
+      ]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Point transactions recorded before their recipient was in the people
+   * table at that person
+   * @returns {Promise<number>} Number of transactions linked
+   */
+  async linkTransactions() {
+    const result = await db.query(
+      `UPDATE transactions t
+       SET to_person_id = p.id
+       FROM people p
+       WHERE t.to_person_id IS NULL
+         AND t.metadata->>'recipientPersonId' = p.id::text`
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * @private
+   */
+  async isPhotoReferenced(photoId) {
+    const result = await db.query('SELECT 1 FROM people WHERE photos ? $1 LIMIT 1', [photoId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * @private
+   */
+  toPerson(row) {
+    const photos = row.photos || [];
+
+    return {
+      id: row.id,
+      name: row.name,
+      wallet: row.wallet_address,
+      photos,
+      photoCount: photos.length,
+      email: row.email,
+      phone: row.phone,
+      facePersonId: row.face_person_id,
+      metadata: row.metadata || {},
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+    };
+  }
+}
+
+const PEOPLE_STORAGE = process.env.PEOPLE_STORAGE || 'json';
+
+const repository = PEOPLE_STORAGE === 'postgres'
+  ? new PostgresPeopleRepository()
+  : new JSONPeopleRepository();
+
+// The backend in use ('json' or 'postgres'), so callers don't derive it again
+repository.storage = PEOPLE_STORAGE;
+
+logger.info(`People repository using ${PEOPLE_STORAGE} storage`);
+
+module.exports = repository;
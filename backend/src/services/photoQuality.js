@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const faceMatcher = require('./faceMatcher');
+const livenessDetector = require('./livenessDetector');
+const logger = require('../utils/logger');
+
+// Measured on the face, cropped and scaled to CROP_SIZE pixels square
+const CROP_SIZE = 128;
+
+const THRESHOLDS = {
+  minFaceSize: 0.2,      // Face height as a fraction of the image height
+  minSharpness: 60,      // Variance of the Laplacian of the face
+  minBrightness: 50,     // Mean grey level of the face, 0-255
+  maxBrightness: 220,
+  maxSimilarity: 0.98,   // Correlation of two faces above which the photos are near-identical
+  minPoseRange: 0.1      // Spread of head turn across the set
+};
+
+const MAX_CACHED = 100;
+
+/**
+ * Photo Quality
+ *
+ * Checks enrollment photos before they are stored: each photo must show
+ * exactly one face that is large, sharp and well lit enough to recognise,
+ * no two photos may be near-identical, and the set should cover more than
+ * one head pose (a warning only).
+ *
+ * Configuration:
+ *   PHOTO_QUALITY_MODE  - 'reject' (default) refuses photos with issues,
+ *                         'warn' only reports them, 'off' skips the checks
+ */
+class PhotoQuality {
+  constructor() {
+    this.mode = process.env.PHOTO_QUALITY_MODE || 'reject';
+    this.enabled = this.mode !== 'off';
+    this.thresholds = THRESHOLDS;
+    this.analyses = new Map(); // sha256 of the image -> analysis, so live checks don't redo earlier photos
+  }
+
+  /**
+   * Check a set of photos
+   * @param {Array<Buffer>} images - Encoded images (JPEG, PNG, WebP)
+   * @returns {Promise<Object>} { passed, mode, photos: [{ index, faces, faceSize, sharpness, brightness, headTurn, issues }], warnings }
+   */
+  async check(images) {
+    const analyses = [];
+    for (const image of images) {
+      analyses.push(await this.analyze(image));
+    }
+
+    const photos = analyses.map((analysis, index) => {
+      const { fingerprint, ...details } = analysis;
+      return { index, ...details, issues: [...analysis.issues] };
+    });
+
+    // Near-identical photos add nothing for recognition
+    for (let i = 0; i < analyses.length; i++) {
+      for (let j = 0; j < i; j++) {
+        if (this.similarity(analyses[i].fingerprint, analyses[j].fingerprint) > THRESHOLDS.maxSimilarity) {
+          photos[i].issues.push(`Nearly identical to photo ${j + 1}`);
+          break;
+        }
+      }
+    }
+
+    const warnings = [];
+    const turns = analyses.filter(a => a.headTurn !== null).map(a => a.headTurn);
+    if (turns.length >= 2 && Math.max(...turns) - Math.min(...turns) < THRESHOLDS.minPoseRange) {
+      warnings.push('All photos show the same pose - turn the head slightly left and right between photos');
+    }
+
+    return {
+      passed: photos.every(photo => photo.issues.length === 0),
+      mode: this.mode,
+      photos,
+      warnings
+    };
+  }
+
+  /**
+   * Measure a single photo
+   * @private
+   */
+  async analyze(image) {
+    const hash = crypto.createHash('sha256').update(image).digest('hex');
+    if (this.analyses.has(hash)) {
+      return this.analyses.get(hash);
+    }
+
+    const analysis = {
+      faces: 0,
+      faceSize: null,
+      sharpness: null,
+      brightness: null,
+      headTurn: null,
+      issues: [],
+      fingerprint: null
+    };
+
+    // Only an image that doesn't decode is the photo's fault - detector
+    // errors (e.g. the models failing to load) are passed on
+    try {
+      await sharp(image).stats();
+    } catch (error) {
+      logger.warn(`Could not read photo: ${error.message}`);
+      analysis.issues.push('Could not read image');
+      return analysis;
+    }
+
+    const detection = await faceMatcher.detectAll(image);
+
+    analysis.faces = detection.faces.length;
+
+    if (detection.faces.length === 0) {
+      analysis.issues.push('No face found');
+    } else if (detection.faces.length > 1) {
+      analysis.issues.push(`${detection.faces.length} faces found - only the person enrolling should be in the photo`);
+    } else {
+      const face = detection.faces[0];
+      const crop = await this.cropFace(image, face.box, detection);
+
+      analysis.faceSize = round(face.box.height / detection.height);
+      analysis.sharpness = Math.round(this.laplacianVariance(crop));
+      analysis.brightness = Math.round(crop.reduce((sum, value) => sum + value, 0) / crop.length);
+      analysis.headTurn = round(livenessDetector.headTurn(face.landmarks));
+      analysis.fingerprint = this.normalize(await this.cropFace(image, face.box, detection, 32));
+
+      if (analysis.faceSize < THRESHOLDS.minFaceSize) {
+        analysis.issues.push('Face too small - move closer to the camera');
+      }
+      if (analysis.sharpness < THRESHOLDS.minSharpness) {
+        analysis.issues.push('Too blurry - hold still');
+      }
+      if (analysis.brightness < THRESHOLDS.minBrightness) {
+        analysis.issues.push('Too dark');
+      } else if (analysis.brightness > THRESHOLDS.maxBrightness) {
+        analysis.issues.push('Too bright');
+      }
+    }
+
+    if (this.analyses.size >= MAX_CACHED) {
+      this.analyses.delete(this.analyses.keys().next().value);
+    }
+    this.analyses.set(hash, analysis);
+
+    return analysis;
+  }
+
+  /**
+   * Grey levels of the face, scaled to a square
+   * @private
+   */
+  async cropFace(image, box, { width, height }, size = CROP_SIZE) {
+    const left = Math.max(0, Math.round(box.x));
+    const top = Math.max(0, Math.round(box.y));
+
+    return await sharp(image)
+      .rotate()
+      .extract({
+        left,
+        top,
+        width: Math.max(1, Math.min(Math.round(box.width), width - left)),
+        height: Math.max(1, Math.min(Math.round(box.height), height - top))
+      })
+      .greyscale()
+      .resize(size, size, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+  }
+
+  /**
+   * Sharpness: variance of the Laplacian (edge response) of a square grey image
+   * @private
+   */
+  laplacianVariance(pixels) {
+    const size = Math.sqrt(pixels.length);
+    const values = [];
+
+    for (let y = 1; y < size - 1; y++) {
+      for (let x = 1; x < size - 1; x++) {
+        const i = y * size + x;
+        values.push(pixels[i - 1] + pixels[i + 1] + pixels[i - size] + pixels[i + size] - 4 * pixels[i]);
+      }
+    }
+
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  }
+
+  /**
+   * Zero-mean, unit-variance pixels, so lighting changes don't hide duplicates
+   * @private
+   */
+  normalize(pixels) {
+    const values = Array.from(pixels);
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const stdev = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length) || 1;
+
+    return values.map(v => (v - mean) / stdev);
+  }
+
+  /**
+   * Correlation of two normalized fingerprints, -1 to 1
+   * @private
+   */
+  similarity(a, b) {
+    if (!a || !b) return 0;
+    return a.reduce((sum, v, i) => sum + v * b[i], 0) / a.length;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = new PhotoQuality();
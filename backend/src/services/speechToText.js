@@ -1,15 +1,25 @@
-const OpenAI = require('openai');
-const fs = require('fs');
-const path = require('path');
+const axios = require('axios');
+const FormData = require('form-data');
 const logger = require('../utils/logger');
-
+const spokenAmount = require('./spokenAmount');
+
+/**
+ * Speech to Text
+ *
+ * Transcribes audio with OpenAI Whisper (REST API) and reads payment
+ * agreement and amount from transcripts, so the verbal agreement Gemini
+ * reports can be checked against what was actually said.
+ *
+ * Configuration:
+ *   OPENAI_API_KEY  - Enables transcription
+ */
 class SpeechToTextService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.apiKey = process.env.OPENAI_API_KEY;
+    this.endpoint = 'https://api.openai.com/v1/audio/transcriptions';
+    this.enabled = Boolean(this.apiKey);
 
-    if (!process.env.OPENAI_API_KEY) {
+    if (!this.enabled) {
       logger.warn('OpenAI API key not configured');
     }
 
@@ -21,63 +31,117 @@ class SpeechToTextService {
     ];
 
     this.negationKeywords = [
-      'no', 'nope', 'never', 'don\'t', 'won\'t', 'cancel', 'stop'
+      'no', 'nope', 'nah', 'not', 'never', 'don\'t', 'won\'t', 'can\'t', 'cannot',
+      'refuse', 'decline', 'cancel', 'stop'
+    ];
+
+    // Phrases that agree despite a negation word in them
+    this.affirmativePhrases = [
+      'no problem', 'no worries', 'not a problem', 'why not', 'no doubt'
     ];
   }
 
   /**
    * Transcribe audio using OpenAI Whisper
-   * @param {Buffer|string} audioData - Audio file buffer or path
-   * @param {string} filename - Filename for the audio
-   * @returns {Promise<string>} Transcription text
+   * @param {Buffer} audioData - Encoded audio (WAV, WebM, MP3, ...)
+   * @param {string} filename - Filename for the audio; its extension tells Whisper the format
+   * @returns {Promise<Object>} Whisper's verbose_json response ({ text, words, ... })
    */
   async transcribe(audioData, filename = 'audio.webm') {
-    try {
-      let file;
-
-      // If audioData is a buffer, write to temp file
-      if (Buffer.isBuffer(audioData)) {
-        const tempPath = path.join('/tmp', filename);
-        fs.writeFileSync(tempPath, audioData);
-        file = fs.createReadStream(tempPath);
-      } else if (typeof audioData === 'string') {
-        // If it's a file path
-        file = fs.createReadStream(audioData);
-      } else {
-        file = audioData; // Assume it's already a stream
-      }
+    if (!this.enabled) {
+      throw new Error('Speech to text is not configured (OPENAI_API_KEY)');
+    }
 
-      const response = await this.openai.audio.transcriptions.create({
-        file: file,
-        model: 'whisper-1',
-        language: 'en',
-        response_format: 'verbose_json',
-        timestamp_granularities: ['word']
+    try {
+      const form = new FormData();
+      form.append('file', audioData, { filename });
+      form.append('model', 'whisper-1');
+      form.append('language', 'en');
+      form.append('response_format', 'verbose_json');
+      form.append('timestamp_granularities[]', 'word');
+
+      const response = await axios.post(this.endpoint, form, {
+        headers: {
+          ...form.getHeaders(),
+          Authorization: `Bearer ${this.apiKey}`
+        },
+        timeout: 30000
       });
 
-      logger.info(`Transcription: "${response.text}"`);
+      logger.info(`Transcription: "${response.data.text}"`);
 
-      return response;
+      return response.data;
     } catch (error) {
-      logger.error('Error transcribing audio:', error.message);
-      throw error;
+      const message = error.response?.data?.error?.message || error.message;
+      logger.error('Error transcribing audio:', message);
+      throw new Error(`Whisper: ${message}`);
     }
   }
 
   /**
-   * Detect if transcript contains agreement
+   * Wrap raw 16-bit mono PCM (as the browser streams it) in a WAV header
+   * @param {Buffer} pcm - Little-endian Int16 samples
+   * @param {number} sampleRate - Samples per second
+   * @returns {Buffer} WAV file
+   */
+  pcmToWav(pcm, sampleRate = 16000) {
+    const header = Buffer.alloc(44);
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16); // fmt chunk size
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // Mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+    header.writeUInt16LE(2, 32); // Block align
+    header.writeUInt16LE(16, 34); // Bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(pcm.length, 40);
+
+    return Buffer.concat([header, pcm]);
+  }
+
+  /**
+   * Detect if transcript contains agreement. Keywords only count as whole
+   * words, and the last of them decides: a negation after an agreement
+   * withdraws it ("Deal... no, cancel that"), and one earlier in the same
+   * clause negates it ("I cannot agree", "no deal"). Phrases like "no problem"
+   * agree despite their negation word.
    * @param {string} transcript - Text to analyze
    * @returns {Object} Detection result with confidence
    */
   detectAgreement(transcript) {
-    const lowerText = transcript.toLowerCase();
+    // Whisper may write typographic apostrophes (can’t)
+    const lowerText = transcript.toLowerCase().replace(/\u2019/g, "'");
 
-    // Check for negation first
-    const hasNegation = this.negationKeywords.some(word =>
-      lowerText.includes(word)
+    const affirmative = this.affirmativePhrases.flatMap(phrase =>
+      this.indicesOfWord(lowerText, phrase).map(index => ({ start: index, end: index + phrase.length }))
     );
+    const insideAffirmative = index => affirmative.some(phrase => index >= phrase.start && index < phrase.end);
+
+    const negations = this.negationKeywords
+      .flatMap(word => this.indicesOfWord(lowerText, word))
+      .filter(index => !insideAffirmative(index));
 
-    if (hasNegation) {
+    // Clauses are separated by punctuation or "but"
+    const breaks = [...lowerText.matchAll(/[.,!?;:]|\bbut\b/g)].map(match => match.index);
+    const clauseOf = index => breaks.filter(at => at < index).length;
+
+    const agreements = [...this.agreementKeywords, ...this.affirmativePhrases].flatMap(word =>
+      this.indicesOfWord(lowerText, word)
+        .filter(index => this.affirmativePhrases.includes(word) || !insideAffirmative(index))
+        .filter(index => !negations.some(at => at < index && clauseOf(at) === clauseOf(index)))
+        .map(index => ({ word, index }))
+    );
+
+    const lastNegation = Math.max(-1, ...negations);
+    const lastAgreement = Math.max(-1, ...agreements.map(agreement => agreement.index));
+
+    // Check for negation after the agreement, or of it
+    if (lastNegation > lastAgreement) {
       return {
         detected: false,
         confidence: 0,
@@ -87,9 +151,7 @@ class SpeechToTextService {
     }
 
     // Check for agreement keywords
-    const matchedKeywords = this.agreementKeywords.filter(word =>
-      lowerText.includes(word)
-    );
+    const matchedKeywords = [...new Set(agreements.map(agreement => agreement.word))];
 
     if (matchedKeywords.length === 0) {
       return {
@@ -112,60 +174,23 @@ class SpeechToTextService {
     };
   }
 
+  /**
+   * Positions of the whole-word occurrences of a keyword or phrase
+   * @private
+   */
+  indicesOfWord(text, word) {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return [...text.matchAll(new RegExp(`(?<![\\w'])${escaped}(?![\\w'])`, 'g'))].map(match => match.index);
+  }
+
   /**
    * Extract monetary amount from transcript
    * @param {string} transcript - Text to analyze
-   * @returns {Object|null} Extracted amount or null
+   * @returns {Object|null} { amount, currency, raw, ambiguous, reason, candidates } or null
    */
   extractAmount(transcript) {
-    // Pattern 1: $XX or $XX.XX
-    const dollarPattern = /\$(\d+(?:\.\d{2})?)/g;
-    const dollarMatches = [...transcript.matchAll(dollarPattern)];
-
-    if (dollarMatches.length > 0) {
-      return {
-        amount: parseFloat(dollarMatches[0][1]),
-        currency: 'USD',
-        raw: dollarMatches[0][0]
-      };
-    }
-
-    // Pattern 2: XX dollars/bucks
-    const numberPattern = /(\d+(?:\.\d{2})?)\s*(dollars?|bucks?|usd)/gi;
-    const numberMatches = [...transcript.matchAll(numberPattern)];
-
-    if (numberMatches.length > 0) {
-      return {
-        amount: parseFloat(numberMatches[0][1]),
-        currency: 'USD',
-        raw: numberMatches[0][0]
-      };
-    }
-
-    // Pattern 3: Word numbers (twenty, fifty, etc.)
-    const wordNumbers = {
-      'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5,
-      'six': 6, 'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10,
-      'eleven': 11, 'twelve': 12, 'thirteen': 13, 'fourteen': 14, 'fifteen': 15,
-      'sixteen': 16, 'seventeen': 17, 'eighteen': 18, 'nineteen': 19, 'twenty': 20,
-      'thirty': 30, 'forty': 40, 'fifty': 50, 'sixty': 60, 'seventy': 70,
-      'eighty': 80, 'ninety': 90, 'hundred': 100, 'thousand': 1000
-    };
-
-    const lowerText = transcript.toLowerCase();
-    for (const [word, value] of Object.entries(wordNumbers)) {
-      const wordPattern = new RegExp(`\\b${word}\\b\\s*(dollars?|bucks?|usd)?`, 'i');
-      const match = lowerText.match(wordPattern);
-      if (match) {
-        return {
-          amount: value,
-          currency: 'USD',
-          raw: match[0]
-        };
-      }
-    }
-
-    return null;
+    const result = spokenAmount.parse(transcript);
+    return result.amount === null ? null : result;
   }
 
   /**
@@ -180,8 +205,9 @@ class SpeechToTextService {
     return {
       hasAgreement: agreementResult.detected,
       agreementConfidence: agreementResult.confidence,
-      amount: amountResult?.amount || null,
+      amount: amountResult?.amount ?? null,
       currency: amountResult?.currency || null,
+      amountAmbiguous: amountResult?.ambiguous || false,
       transcript,
       readyForTransaction: agreementResult.detected && amountResult !== null,
       details: {
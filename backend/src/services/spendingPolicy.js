@@ -0,0 +1,279 @@
+/**
+ * Spending Policy
+ *
+ * Single source of truth for payment limits. The execute route enforces it,
+ * the stream controller checks it before issuing a payment intent, and the
+ * Gemini system instruction describes it - so the three can't drift apart.
+ *
+ * Configuration (amounts in PAYMENT_CURRENCY):
+ *   SPENDING_MIN_AMOUNT             - Per-transaction minimum (default 0.01)
+ *   SPENDING_MAX_AMOUNT             - Per-transaction maximum (default 0.10)
+ *   SPENDING_RECIPIENT_DAILY_LIMIT  - Max paid to one wallet per 24 hours (default 0.50)
+ *   SPENDING_GLOBAL_LIMIT           - Max paid in total per rolling window (default 1.00)
+ *   SPENDING_GLOBAL_WINDOW_HOURS    - Length of the rolling window (default 24)
+ *   SPENDING_ALLOWLIST              - Comma-separated wallets; if set, only these are paid
+ *   SPENDING_DENYLIST               - Comma-separated wallets that are never paid
+ *   SPENDING_CONFIRM_ABOVE          - Amounts above this need manual confirmation (default off)
+ *
+ * Velocity rules, per recipient wallet, checked against the transaction ledger:
+ *   SPENDING_COOLDOWN_SECONDS       - Wait after a payment before paying the same wallet again (default 60)
+ *   SPENDING_VELOCITY_WINDOW_MINUTES - Window for the count and sum rules (default 10)
+ *   SPENDING_VELOCITY_MAX_COUNT     - Max payments to one wallet per window (default 3, 0 = off)
+ *   SPENDING_VELOCITY_MAX_SUM       - Max paid to one wallet per window (default off)
+ *
+ * A payment is only in the ledger once it has been sent, so checking it and
+ * recording it run through a per-wallet queue - two payments to the same
+ * person can't both pass a rule that only one of them fits.
+ */
+
+const transactionLedger = require('./transactionLedger');
+const paymentProviders = require('./payments');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseAmount(value, fallback) {
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) ? amount : fallback;
+}
+
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+class SpendingPolicy {
+  constructor() {
+    this.queues = new Map(); // lowercased wallet -> tail of its queue
+    this.configure();
+  }
+
+  /**
+   * Load the policy from the environment, with optional overrides
+   * @param {Object} overrides - Policy fields to override
+   */
+  configure(overrides = {}) {
+    this.currency = paymentProviders.currency;
+    this.minAmount = parseAmount(process.env.SPENDING_MIN_AMOUNT, 0.01);
+    this.maxAmount = parseAmount(process.env.SPENDING_MAX_AMOUNT, 0.10);
+    this.recipientDailyLimit = parseAmount(process.env.SPENDING_RECIPIENT_DAILY_LIMIT, 0.50);
+    this.globalLimit = parseAmount(process.env.SPENDING_GLOBAL_LIMIT, 1.00);
+    this.globalWindowMs = parseAmount(process.env.SPENDING_GLOBAL_WINDOW_HOURS, 24) * 60 * 60 * 1000;
+    this.allowlist = parseList(process.env.SPENDING_ALLOWLIST);
+    this.denylist = parseList(process.env.SPENDING_DENYLIST);
+    this.confirmAbove = parseAmount(process.env.SPENDING_CONFIRM_ABOVE, null);
+    this.cooldownMs = parseAmount(process.env.SPENDING_COOLDOWN_SECONDS, 60) * 1000;
+    this.velocityWindowMs = parseAmount(process.env.SPENDING_VELOCITY_WINDOW_MINUTES, 10) * 60 * 1000;
+    this.velocityMaxCount = parseAmount(process.env.SPENDING_VELOCITY_MAX_COUNT, 3);
+    this.velocityMaxSum = parseAmount(process.env.SPENDING_VELOCITY_MAX_SUM, null);
+
+    Object.assign(this, overrides);
+  }
+
+  /**
+   * Run a check-and-pay for a wallet once all earlier ones for it are done
+   * @param {string} wallet - Recipient wallet
+   * @param {Function} fn - Async function that evaluates and records the payment
+   * @returns {Promise<*>} What fn resolves to
+   */
+  serialize(wallet, fn) {
+    const key = (wallet || '').toLowerCase();
+    const previous = this.queues.get(key) || Promise.resolve();
+    const run = previous.then(fn);
+
+    // A failed payment must not block the ones queued after it
+    const tail = run.catch(() => {});
+    this.queues.set(key, tail);
+    tail.then(() => {
+      if (this.queues.get(key) === tail) this.queues.delete(key);
+    });
+
+    return run;
+  }
+
+  /**
+   * Whether an amount needs manual confirmation before it is paid
+   * @param {number} amount - Payment amount
+   */
+  requiresConfirmation(amount) {
+    return this.confirmAbove !== null && amount > this.confirmAbove;
+  }
+
+  /**
+   * Check a payment against every rule
+   * @param {Object} payment - { wallet, amount, confirmed }
+   * @returns {Promise<Object>} { allowed, rule, reason, requiresConfirmation, retryAfter }
+   */
+  async evaluate({ wallet, amount, confirmed = false }) {
+    const deny = (rule, reason, retryAfter = null) => {
+      logger.warn(`Spending policy denied $${amount} to ${wallet}: ${reason}`);
+      return { allowed: false, rule, reason, requiresConfirmation: false, retryAfter };
+    };
+
+    // NaN compares false against every limit, so it must be refused up front
+    if (!Number.isFinite(Number(amount)) || Number(amount) <= 0) {
+      return deny('invalidAmount', `Amount ${amount} is not a valid payment amount`);
+    }
+    amount = Number(amount);
+
+    const normalizedWallet = (wallet || '').toLowerCase();
+
+    if (this.denylist.includes(normalizedWallet)) {
+      return deny('denylist', 'Recipient wallet is on the denylist');
+    }
+
+    if (this.allowlist.length > 0 && !this.allowlist.includes(normalizedWallet)) {
+      return deny('allowlist', 'Recipient wallet is not on the allowlist');
+    }
+
+    if (amount > this.maxAmount) {
+      return deny('maxAmount', `Amount $${amount} exceeds maximum of $${this.maxAmount} ${this.currency}`);
+    }
+
+    if (amount < this.minAmount) {
+      return deny('minAmount', `Amount $${amount} is below minimum of $${this.minAmount} ${this.currency}`);
+    }
+
+    const now = Date.now();
+
+    const velocity = await this.checkVelocity(wallet, amount, now);
+    if (velocity) {
+      return deny(velocity.rule, velocity.reason, velocity.retryAfter);
+    }
+
+    const paidToRecipient = await transactionLedger.totalSince(new Date(now - DAY_MS), wallet);
+    if (roundAmount(paidToRecipient + amount) > this.recipientDailyLimit) {
+      return deny(
+        'recipientDailyLimit',
+        `Daily limit of $${this.recipientDailyLimit} ${this.currency} per recipient reached ($${roundAmount(paidToRecipient)} paid today)`
+      );
+    }
+
+    const paidInWindow = await transactionLedger.totalSince(new Date(now - this.globalWindowMs));
+    if (roundAmount(paidInWindow + amount) > this.globalLimit) {
+      return deny(
+        'globalLimit',
+        `Spending limit of $${this.globalLimit} ${this.currency} per ${this.globalWindowMs / 3600000} hours reached ($${roundAmount(paidInWindow)} spent)`
+      );
+    }
+
+    if (this.requiresConfirmation(amount) && !confirmed) {
+      return {
+        allowed: false,
+        rule: 'manualConfirmation',
+        reason: `Payments above $${this.confirmAbove} ${this.currency} must be confirmed manually`,
+        requiresConfirmation: true,
+        retryAfter: null
+      };
+    }
+
+    return { allowed: true, rule: null, reason: null, requiresConfirmation: false, retryAfter: null };
+  }
+
+  /**
+   * Velocity rules - cooldown, then count and sum per recipient per window
+   * @private
+   * @returns {Promise<Object|null>} { rule, reason, retryAfter } for the first rule broken
+   */
+  async checkVelocity(wallet, amount, now) {
+    const since = new Date(now - Math.max(this.cooldownMs, this.velocityWindowMs));
+    const history = await transactionLedger.findSince(since, wallet);
+    const paidAt = history.map(t => new Date(t.created_at).getTime());
+
+    // Seconds until the payment at `time` no longer counts for a rule of length `ms`
+    const secondsUntil = (time, ms) => Math.max(1, Math.ceil((time + ms - now) / 1000));
+
+    if (paidAt.length > 0 && now - paidAt[0] < this.cooldownMs) {
+      const retryAfter = secondsUntil(paidAt[0], this.cooldownMs);
+      return {
+        rule: 'cooldown',
+        reason: `This person was just paid - try again in ${retryAfter}s`,
+        retryAfter
+      };
+    }
+
+    const inWindow = history.filter(t => now - new Date(t.created_at).getTime() < this.velocityWindowMs);
+    const windowMinutes = this.velocityWindowMs / 60000;
+
+    if (this.velocityMaxCount > 0 && inWindow.length >= this.velocityMaxCount) {
+      // The oldest payment that has to drop out of the window before another fits
+      const oldest = new Date(inWindow[this.velocityMaxCount - 1].created_at).getTime();
+      const retryAfter = secondsUntil(oldest, this.velocityWindowMs);
+      return {
+        rule: 'velocityCount',
+        reason: `At most ${this.velocityMaxCount} payments to the same person per ${windowMinutes} minutes - try again in ${retryAfter}s`,
+        retryAfter
+      };
+    }
+
+    if (this.velocityMaxSum !== null) {
+      const paid = inWindow.reduce((total, t) => total + parseFloat(t.amount), 0);
+
+      if (roundAmount(paid + amount) > this.velocityMaxSum) {
+        // Waiting only helps if earlier payments are what pushes it over
+        const oldest = inWindow.length > 0 ? new Date(inWindow[inWindow.length - 1].created_at).getTime() : null;
+        const retryAfter = oldest !== null && amount <= this.velocityMaxSum
+          ? secondsUntil(oldest, this.velocityWindowMs)
+          : null;
+        return {
+          rule: 'velocitySum',
+          reason: `At most $${this.velocityMaxSum} ${this.currency} to the same person per ${windowMinutes} minutes` +
+            (retryAfter ? ` - try again in ${retryAfter}s` : ''),
+          retryAfter
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Describe the policy for the Gemini system instruction
+   * @returns {string} Prompt section
+   */
+  describeForPrompt() {
+    const lines = [
+      `MAXIMUM transaction: $${this.maxAmount.toFixed(2)} ${this.currency}`,
+      `MINIMUM transaction: $${this.minAmount.toFixed(2)} ${this.currency}`,
+      `At most $${this.recipientDailyLimit.toFixed(2)} ${this.currency} to the same person per day`,
+      `At most $${this.globalLimit.toFixed(2)} ${this.currency} in total per ${this.globalWindowMs / 3600000} hours`
+    ];
+
+    if (this.cooldownMs > 0) {
+      lines.push(`Wait ${this.cooldownMs / 1000} seconds after paying someone before paying them again`);
+    }
+
+    if (this.velocityMaxCount > 0) {
+      lines.push(`At most ${this.velocityMaxCount} payments to the same person per ${this.velocityWindowMs / 60000} minutes`);
+    }
+
+    if (this.velocityMaxSum !== null) {
+      lines.push(`At most $${this.velocityMaxSum.toFixed(2)} ${this.currency} to the same person per ${this.velocityWindowMs / 60000} minutes`);
+    }
+
+    if (this.allowlist.length > 0) {
+      lines.push(`Only these wallets may be paid: ${this.allowlist.join(', ')}`);
+    }
+
+    if (this.denylist.length > 0) {
+      lines.push(`Never pay these wallets: ${this.denylist.join(', ')}`);
+    }
+
+    if (this.confirmAbove !== null) {
+      lines.push(`Payments above $${this.confirmAbove.toFixed(2)} ${this.currency} are confirmed manually by the user before they are sent`);
+    }
+
+    lines.push('If you hear an amount outside this range, DO NOT proceed with the transaction');
+    lines.push(`Inform the users that the amount must be between $${this.minAmount.toFixed(2)} and $${this.maxAmount.toFixed(2)}`);
+
+    return `PAYMENT LIMITS:\n${lines.map(line => `   - ${line}`).join('\n')}`;
+  }
+}
+
+module.exports = new SpendingPolicy();
@@ -0,0 +1,403 @@
+/**
+ * Spoken Amount Parser
+ *
+ * Reads money amounts from transcripts of spoken conversation, the way
+ * people say them and Whisper writes them down:
+ *
+ *   "$0.05", "5¢", "0.05 dollars"
+ *   "five cents", "twenty-five cents", "one hundred and five dollars"
+ *   "one dollar fifty", "a dollar and fifty cents", "zero point zero five dollars"
+ *   "a quarter", "two dimes", "a nickel", "half a dollar"
+ *   "10 centavos", "3 dólares", "2 euros 50"
+ *   "two fifty", "three-fifty", "twelve ninety nine" (dollars and cents)
+ *
+ * When several amounts are mentioned the last one wins - in a negotiation
+ * that is the one agreed to - and the result is flagged as ambiguous, as it
+ * is for numbers said without any currency ("zero point zero five").
+ */
+
+// Lookup tables have no prototype, so words like "constructor" are not numbers
+const table = entries => Object.assign(Object.create(null), entries);
+
+const UNITS = table({
+  zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9
+});
+
+const TEENS = table({
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+});
+
+const TENS = table({
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+});
+
+const SCALES = table({ hundred: 100, thousand: 1000, million: 1000000 });
+
+// Main currency units, in the languages our users speak
+const MAJOR_UNITS = table({
+  dollar: 'USD', dollars: 'USD', buck: 'USD', bucks: 'USD', usd: 'USD',
+  'dólar': 'USD', 'dólares': 'USD', dolar: 'USD', dolares: 'USD', // Spanish, Portuguese
+  dollaro: 'USD', dollari: 'USD', // Italian
+  euro: 'EUR', euros: 'EUR', eur: 'EUR'
+});
+
+// Hundredths of the main unit
+const MINOR_UNITS = new Set([
+  'cent', 'cents', 'penny', 'pennies',
+  'centavo', 'centavos', // Spanish, Portuguese
+  'céntimo', 'céntimos', 'centimo', 'centimos', // Spanish
+  'centime', 'centimes', // French
+  'centesimo', 'centesimi' // Italian
+]);
+
+const SYMBOLS = table({ '$': 'USD', '€': 'EUR' });
+
+const COINS = table({
+  quarter: 0.25, quarters: 0.25,
+  dime: 0.10, dimes: 0.10,
+  nickel: 0.05, nickels: 0.05,
+  penny: 0.01
+});
+
+const DEFAULT_CURRENCY = 'USD';
+
+class SpokenAmountParser {
+  /**
+   * Find the amounts in a transcript
+   * @param {string} text - Transcript
+   * @returns {Object} { amount, currency, raw, ambiguous, reason, candidates: [{ amount, currency, raw, unit, reason }] }
+   *   amount is null when nothing was found; unit is false for numbers said without a currency;
+   *   a candidate's reason says why it is ambiguous on its own, if it is
+   */
+  parse(text) {
+    const tokens = this.tokenize(text || '');
+    const found = [];
+
+    for (let i = 0; i < tokens.length;) {
+      const match = this.matchAmount(tokens, i);
+      if (match) {
+        found.push({
+          amount: round(match.amount),
+          currency: match.currency,
+          raw: text.slice(tokens[i].start, tokens[match.end - 1].end),
+          unit: match.unit,
+          ...(match.reason && { reason: match.reason })
+        });
+        i = match.end;
+      } else {
+        i++;
+      }
+    }
+
+    // Numbers without a currency only count when no amount with one was said
+    const withUnit = found.filter(candidate => candidate.unit);
+    const candidates = withUnit.length > 0 ? withUnit : found;
+
+    if (candidates.length === 0) {
+      return { amount: null, currency: null, raw: null, ambiguous: false, reason: 'No amount found', candidates: [] };
+    }
+
+    const chosen = candidates[candidates.length - 1];
+    const distinct = [...new Set(candidates.map(candidate => `${candidate.amount} ${candidate.currency}`))];
+
+    let reason = null;
+    if (!chosen.unit) {
+      reason = `No currency named for ${chosen.raw} - assuming dollars`;
+    } else if (distinct.length > 1) {
+      reason = `Several amounts mentioned (${candidates.map(candidate => candidate.raw).join(', ')}) - using the last`;
+    } else if (chosen.reason) {
+      reason = `${chosen.raw}: ${chosen.reason}`;
+    }
+
+    return {
+      amount: chosen.amount,
+      currency: chosen.currency,
+      raw: chosen.raw,
+      ambiguous: reason !== null,
+      reason,
+      candidates
+    };
+  }
+
+  /**
+   * Words, numbers, currency symbols and sentence punctuation, with their positions
+   * @private
+   */
+  tokenize(text) {
+    // Same length as the text, so token positions can quote it
+    const normalized = text
+      .toLowerCase()
+      .replace(/([a-z])-([a-z])/g, '$1 $2'); // twenty-five -> twenty five
+
+    const tokens = [];
+    const pattern = /\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?|[$€¢]|[a-záéíóúñç]+|[.,!?;:]/g;
+    let match;
+
+    while ((match = pattern.exec(normalized)) !== null) {
+      const value = match[0];
+      let type = 'word';
+      if (/^\d/.test(value)) type = 'number';
+      else if (SYMBOLS[value] || value === '¢') type = 'symbol';
+      else if (/^[.,!?;:]$/.test(value)) type = 'punctuation';
+
+      tokens.push({ value, type, start: match.index, end: match.index + value.length });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * An amount starting at token i
+   * @private
+   * @returns {Object|null} { amount, currency, unit, end }
+   */
+  matchAmount(tokens, i) {
+    const token = tokens[i];
+    if (!token) return null;
+
+    // $5, $0.05, € 2
+    if (token.type === 'symbol' && SYMBOLS[token.value]) {
+      const number = this.matchNumber(tokens, i + 1);
+      if (!number) return null;
+      return this.withCents(tokens, number.end, number.value, SYMBOLS[token.value]);
+    }
+
+    // half a dollar, half dollar
+    if (token.value === 'half') {
+      let next = i + 1;
+      if (this.isArticle(tokens[next])) next++;
+      if (tokens[next] && MAJOR_UNITS[tokens[next].value]) {
+        return { amount: 0.5, currency: MAJOR_UNITS[tokens[next].value], unit: true, end: next + 1 };
+      }
+      return null;
+    }
+
+    // a quarter, a dime, a cent, a dollar (fifty)
+    if (this.isArticle(token)) {
+      const next = tokens[i + 1];
+      if (next && COINS[next.value]) {
+        return this.coins(tokens, i + 1, 1);
+      }
+      if (next && MINOR_UNITS.has(next.value)) {
+        return { amount: 0.01, currency: DEFAULT_CURRENCY, unit: true, end: i + 2 };
+      }
+      if (next && MAJOR_UNITS[next.value]) {
+        return this.withCents(tokens, i + 2, 1, MAJOR_UNITS[next.value]);
+      }
+    }
+
+    // two fifty, three-fifty - said without a currency, so still ambiguous
+    const price = this.matchPrice(tokens, i);
+    if (price) {
+      const major = tokens[price.end] && MAJOR_UNITS[tokens[price.end].value];
+      if (major) {
+        // "two fifty dollars" - $2.50, or $250 with the hundred left out
+        return { amount: price.value, currency: major, unit: true, end: price.end + 1, reason: `could also mean ${price.hundreds} ${tokens[price.end].value}` };
+      }
+      return { amount: price.value, currency: DEFAULT_CURRENCY, unit: false, end: price.end };
+    }
+
+    const number = this.matchNumber(tokens, i);
+    if (!number) {
+      return null;
+    }
+
+    const next = tokens[number.end];
+
+    // 5¢, five cents, 25 centavos
+    if (next && (next.value === '¢' || MINOR_UNITS.has(next.value))) {
+      return { amount: number.value / 100, currency: DEFAULT_CURRENCY, unit: true, end: number.end + 1 };
+    }
+
+    // five dollars (twenty), 3 dólares
+    if (next && MAJOR_UNITS[next.value]) {
+      return this.withCents(tokens, number.end + 1, number.value, MAJOR_UNITS[next.value]);
+    }
+
+    // two quarters, three dimes
+    if (next && COINS[next.value] && Number.isInteger(number.value)) {
+      return this.coins(tokens, number.end, number.value);
+    }
+
+    return { amount: number.value, currency: DEFAULT_CURRENCY, unit: false, end: number.end };
+  }
+
+  /**
+   * Cents following the main unit: "one dollar fifty", "a dollar and fifty cents"
+   * @private
+   */
+  withCents(tokens, i, major, currency) {
+    const base = { amount: major, currency, unit: true, end: i };
+
+    let start = i;
+    const joiner = tokens[start];
+    const joined = joiner && (joiner.value === 'and' || joiner.value === ',');
+    if (joined) start++;
+
+    // "a dollar and fifty cents", "five dollars and two quarters"
+    if (joined) {
+      const change = this.matchAmount(tokens, start);
+      if (change && change.unit && change.amount < 1) {
+        return { ...base, amount: major + change.amount, end: change.end };
+      }
+      return base;
+    }
+
+    const cents = this.matchNumber(tokens, start);
+    if (!cents || cents.value >= 100 || !Number.isInteger(cents.value)) {
+      return base;
+    }
+
+    const after = tokens[cents.end];
+    if (after && (MINOR_UNITS.has(after.value) || after.value === '¢')) {
+      return { ...base, amount: major + cents.value / 100, end: cents.end + 1 };
+    }
+
+    // "one dollar fifty", unless the number starts an amount of its own ("five dollars ten euros")
+    if (!(after && (MAJOR_UNITS[after.value] || COINS[after.value]))) {
+      return { ...base, amount: major + cents.value / 100, end: cents.end };
+    }
+
+    return base;
+  }
+
+  /**
+   * @private
+   */
+  coins(tokens, i, count) {
+    const coin = tokens[i].value;
+    let end = i + 1;
+
+    // a quarter of a dollar
+    if (tokens[end]?.value === 'of' && this.isArticle(tokens[end + 1]) && MAJOR_UNITS[tokens[end + 2]?.value]) {
+      end += 3;
+    }
+
+    return { amount: count * COINS[coin], currency: DEFAULT_CURRENCY, unit: true, end };
+  }
+
+  /**
+   * A number in digits or words starting at token i: "25", "0.05",
+   * "twenty five", "one hundred and five", "zero point zero five"
+   * @private
+   * @returns {Object|null} { value, end }
+   */
+  matchNumber(tokens, i) {
+    const token = tokens[i];
+    if (!token) return null;
+
+    if (token.type === 'number') {
+      return { value: parseFloat(token.value.replace(/,/g, '')), end: i + 1 };
+    }
+
+    let total = 0;
+    let current = 0;
+    let last = null; // Kind of the previous number word
+    let lastBigScale = Infinity; // Last thousand or million
+    let end = i;
+    let words = 0;
+
+    while (end < tokens.length) {
+      const value = tokens[end].value;
+
+      if (value in UNITS && value !== 'oh' && (last === null || last === 'tens' || last === 'scale')) {
+        current += UNITS[value];
+        last = 'unit';
+      } else if (value in TEENS && (last === null || last === 'scale')) {
+        current += TEENS[value];
+        last = 'teen';
+      } else if (value in TENS && (last === null || last === 'scale')) {
+        current += TENS[value];
+        last = 'tens';
+      } else if (value === 'hundred' && (last !== 'scale' || words === 0)) {
+        current = (current || 1) * 100;
+        last = 'scale';
+      } else if (value in SCALES && value !== 'hundred' && SCALES[value] < lastBigScale) {
+        // "two million three thousand", "one hundred thousand"
+        lastBigScale = SCALES[value];
+        total += (current || 1) * SCALES[value];
+        current = 0;
+        last = 'scale';
+      } else if ((value === 'a' || value === 'an') && words === 0 && tokens[end + 1]?.value in SCALES) {
+        // "a hundred"
+        end++;
+        continue;
+      } else if (value === 'and' && last === 'scale' && this.isNumberWord(tokens[end + 1])) {
+        end++;
+        continue;
+      } else if (value === 'point' && this.isDigitWord(tokens[end + 1])) {
+        let digits = '';
+        end++;
+        while (this.isDigitWord(tokens[end])) {
+          digits += UNITS[tokens[end].value];
+          end++;
+        }
+        return { value: total + current + parseFloat(`0.${digits}`), end };
+      } else {
+        break;
+      }
+
+      words++;
+      end++;
+    }
+
+    return words > 0 ? { value: total + current, end } : null;
+  }
+
+  /**
+   * The common way of saying a price: dollars as one word from one to
+   * nineteen, then the cents as tens - "two fifty" is $2.50, "twelve
+   * ninety nine" $12.99. Not when cents or coins follow.
+   * @private
+   * @returns {Object|null} { value, hundreds, end } - hundreds reads it as "two (hundred) fifty"
+   */
+  matchPrice(tokens, i) {
+    const [dollars, tens, ones] = [tokens[i], tokens[i + 1], tokens[i + 2]];
+    if (!dollars || !tens || !(tens.value in TENS)) return null;
+
+    const major = dollars.value in TEENS ? TEENS[dollars.value] : UNITS[dollars.value];
+    if (!major) return null; // Also "zero" and "oh"
+
+    let cents = TENS[tens.value];
+    let end = i + 2;
+    if (ones && ones.value in UNITS && UNITS[ones.value] > 0) {
+      cents += UNITS[ones.value];
+      end++;
+    }
+
+    const after = tokens[end];
+    if (after && (after.value === '¢' || MINOR_UNITS.has(after.value) || COINS[after.value] || after.value in SCALES)) {
+      return null;
+    }
+
+    return { value: major + cents / 100, hundreds: major * 100 + cents, end };
+  }
+
+  /**
+   * @private
+   */
+  isArticle(token) {
+    return Boolean(token) && (token.value === 'a' || token.value === 'an' || token.value === 'one');
+  }
+
+  /**
+   * @private
+   */
+  isNumberWord(token) {
+    return Boolean(token) && (token.value in UNITS || token.value in TEENS || token.value in TENS);
+  }
+
+  /**
+   * @private
+   */
+  isDigitWord(token) {
+    return Boolean(token) && token.value in UNITS;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+module.exports = new SpokenAmountParser();
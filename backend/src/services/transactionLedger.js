@@ -0,0 +1,221 @@
+/**
+ * Transaction Ledger
+ *
+ * Persists executed payments so status lookups and history return real data.
+ * Backed by either the JSON file store (data/transactions.json) or the
+ * PostgreSQL `transactions` table, selected with TRANSACTION_STORAGE.
+ *
+ * Records use the column names of the `transactions` table in both backends.
+ */
+
+const db = require('../config/database');
+const jsonStorage = require('./jsonStorage');
+const logger = require('../utils/logger');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Payments in these states never moved money and don't count towards limits
+const UNSPENT_STATUSES = ['failed', 'cancelled', 'expired'];
+
+class JSONTransactionLedger {
+  async record(transaction) {
+    return await jsonStorage.createTransaction(transaction);
+  }
+
+  async findByReference(reference) {
+    const transactions = await jsonStorage.getAllTransactions();
+    return transactions.find(t =>
+      t.id === reference ||
+      t.tx_hash === reference ||
+      t.locus_transaction_id === reference
+    ) || null;
+  }
+
+  async findByIdempotencyKey(idempotencyKey) {
+    const transactions = await jsonStorage.getAllTransactions();
+    // Records are appended, so the last match is the latest attempt
+    const attempts = transactions.filter(t => t.idempotency_key === idempotencyKey).reverse();
+    return attempts.find(t => !UNSPENT_STATUSES.includes(t.status)) || attempts[0] || null;
+  }
+
+  async list({ limit = 50, offset = 0 } = {}) {
+    const transactions = await jsonStorage.getAllTransactions();
+    return transactions
+      .slice()
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .slice(offset, offset + limit);
+  }
+
+  async listByStatus(status) {
+    const transactions = await jsonStorage.getAllTransactions();
+    return transactions
+      .filter(t => t.status === status)
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  async update(id, updates) {
+    return await jsonStorage.updateTransaction(id, updates);
+  }
+
+  async findSince(since, toWallet = null) {
+    const transactions = await jsonStorage.getAllTransactions();
+    return transactions
+      .filter(t =>
+        new Date(t.created_at) >= since &&
+        !UNSPENT_STATUSES.includes(t.status) &&
+        (!toWallet || t.to_wallet?.toLowerCase() === toWallet.toLowerCase())
+      )
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  async totalSince(since, toWallet = null) {
+    const transactions = await this.findSince(since, toWallet);
+    return transactions.reduce((total, t) => total + parseFloat(t.amount), 0);
+  }
+}
+
+class PostgresTransactionLedger {
+  async record(transaction) {
+    // to_person_id only references people in the `people` table - with
+    // PEOPLE_STORAGE=json it stays NULL and the person ID is kept in metadata
+    const result = await db.query(
+      `INSERT INTO transactions (
+         id, session_id, from_wallet, to_person_id, to_wallet, amount, currency,
+         tx_hash, status, face_confidence, audio_transcript, handshake_timestamp,
+         metadata, created_at, locus_transaction_id, locus_payment_status, payment_method,
+         idempotency_key
+       ) VALUES ($1, $2, $3, (SELECT id FROM people WHERE id = $4), $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+       RETURNING *`,
+      [
+        transaction.id,
+        UUID_PATTERN.test(transaction.session_id || '') ? transaction.session_id : null,
+        transaction.from_wallet || '',
+        UUID_PATTERN.test(transaction.to_person_id || '') ? transaction.to_person_id : null,
+        transaction.to_wallet,
+        transaction.amount,
+        transaction.currency,
+        transaction.tx_hash || null,
+        transaction.status,
+        transaction.face_confidence,
+        transaction.audio_transcript,
+        transaction.handshake_timestamp,
+        JSON.stringify(transaction.metadata || {}),
+        transaction.created_at,
+        transaction.locus_transaction_id || null,
+        transaction.locus_transaction_id ? transaction.status : null,
+        transaction.payment_method,
+        transaction.idempotency_key || null
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  async findByReference(reference) {
+    const result = await db.query(
+      `SELECT t.*, COALESCE(p.name, t.metadata->>'recipientName') as recipient_name
+       FROM transactions t
+       LEFT JOIN people p ON t.to_person_id = p.id
+       WHERE t.id::text = $1 OR t.tx_hash = $1 OR t.locus_transaction_id = $1
+       LIMIT 1`,
+      [reference]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async findByIdempotencyKey(idempotencyKey) {
+    const result = await db.query(
+      `SELECT t.*, COALESCE(p.name, t.metadata->>'recipientName') as recipient_name
+       FROM transactions t
+       LEFT JOIN people p ON t.to_person_id = p.id
+       WHERE t.idempotency_key = $1
+       ORDER BY t.status <> ALL($2) DESC, t.created_at DESC
+       LIMIT 1`,
+      [idempotencyKey, UNSPENT_STATUSES]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async list({ limit = 50, offset = 0 } = {}) {
+    const result = await db.query(
+      `SELECT t.*, COALESCE(p.name, t.metadata->>'recipientName') as recipient_name
+       FROM transactions t
+       LEFT JOIN people p ON t.to_person_id = p.id
+       ORDER BY t.created_at DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  async listByStatus(status) {
+    const result = await db.query(
+      `SELECT * FROM transactions WHERE status = $1 ORDER BY created_at ASC`,
+      [status]
+    );
+
+    return result.rows;
+  }
+
+  async update(id, updates) {
+    const columns = Object.keys(updates);
+    if (columns.length === 0) {
+      return await this.findByReference(id);
+    }
+
+    const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+    const values = columns.map(column =>
+      column === 'metadata' ? JSON.stringify(updates[column]) : updates[column]
+    );
+
+    const result = await db.query(
+      `UPDATE transactions SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+      [id, ...values]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async findSince(since, toWallet = null) {
+    const result = await db.query(
+      `SELECT * FROM transactions
+       WHERE created_at >= $1
+         AND status <> ALL($2)
+         AND ($3::text IS NULL OR LOWER(to_wallet) = LOWER($3))
+       ORDER BY created_at DESC`,
+      [since, UNSPENT_STATUSES, toWallet]
+    );
+
+    return result.rows;
+  }
+
+  async totalSince(since, toWallet = null) {
+    const result = await db.query(
+      `SELECT COALESCE(SUM(amount), 0) as total
+       FROM transactions
+       WHERE created_at >= $1
+         AND status <> ALL($2)
+         AND ($3::text IS NULL OR LOWER(to_wallet) = LOWER($3))`,
+      [since, UNSPENT_STATUSES, toWallet]
+    );
+
+    return parseFloat(result.rows[0].total);
+  }
+}
+
+const TRANSACTION_STORAGE = process.env.TRANSACTION_STORAGE ||
+  (process.env.DATABASE_URL ? 'postgres' : 'json');
+
+const ledger = TRANSACTION_STORAGE === 'postgres'
+  ? new PostgresTransactionLedger()
+  : new JSONTransactionLedger();
+
+// The backend in use ('json' or 'postgres'), so callers don't derive it again
+ledger.storage = TRANSACTION_STORAGE;
+
+logger.info(`Transaction ledger using ${TRANSACTION_STORAGE} storage`);
+
+module.exports = ledger;
@@ -121,6 +121,9 @@ class USDCPaymentService {
    * @returns {Promise<Object>} Transaction receipt
    */
   async sendUSDC(toAddress, amountUSDC, metadata = {}) {
+    // Errors before the signed transaction is broadcast are marked notSent
+    let submitted = false;
+
     try {
       if (!this.account) {
         throw new Error('Wallet not configured');
@@ -167,6 +170,7 @@ class USDCPaymentService {
 
       // Sign and send transaction
       const signedTx = await this.web3.eth.accounts.signTransaction(tx, this.walletPrivateKey);
+      submitted = true;
       const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
 
       logger.info(`USDC transaction successful: ${receipt.transactionHash}`);
@@ -186,6 +190,42 @@ class USDCPaymentService {
       };
     } catch (error) {
       logger.error('USDC transaction error:', error.message);
+      if (!submitted) error.notSent = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Estimate gas cost of a USDC transfer
+   * @param {string} toAddress - Recipient address
+   * @param {number} amountUSDC - Amount in USDC
+   * @returns {Promise<Object>} Cost estimate (gas paid in ETH)
+   */
+  async estimateTransferCost(toAddress, amountUSDC) {
+    try {
+      if (!this.account) {
+        throw new Error('Wallet not configured');
+      }
+
+      const amountInSmallestUnit = Math.floor(parseFloat(amountUSDC) * 1000000);
+      const transferData = this.usdc.methods.transfer(toAddress, amountInSmallestUnit).encodeABI();
+
+      const gasEstimate = await this.web3.eth.estimateGas({
+        from: this.account.address,
+        to: this.usdcContract,
+        data: transferData
+      });
+
+      const gasPrice = await this.web3.eth.getGasPrice();
+      const gasCostWei = BigInt(gasEstimate) * BigInt(gasPrice);
+
+      return {
+        gasEstimate: gasEstimate.toString(),
+        gasPrice: this.web3.utils.fromWei(gasPrice, 'gwei'),
+        gasCost: this.web3.utils.fromWei(gasCostWei.toString(), 'ether')
+      };
+    } catch (error) {
+      logger.error('Error estimating USDC transfer cost:', error.message);
       throw error;
     }
   }
@@ -0,0 +1,228 @@
+const speechToText = require('./speechToText');
+const logger = require('../utils/logger');
+
+// The browser streams 16 kHz mono 16-bit PCM
+const SAMPLE_RATE = 16000;
+const BYTES_PER_MS = SAMPLE_RATE * 2 / 1000;
+
+// Whisper needs a little audio to work with
+const MIN_SEGMENT_MS = 300;
+
+/**
+ * Verbal Verifier
+ *
+ * Independent check of the verbal agreement Gemini reports: the session's
+ * audio is buffered here as well and transcribed with Whisper in rolling
+ * segments. Before a payment intent is issued, the amount and agreement read
+ * from the recent transcript must match what Gemini passed to
+ * confirmVerbalAgreement. An amount the transcript leaves ambiguous (several
+ * amounts, or no currency) doesn't count as a match.
+ *
+ * Configuration:
+ *   VERBAL_CROSSCHECK        - 'enforce' blocks payments the transcript disagrees
+ *                              with, 'warn' only reports it, 'off' skips it
+ *                              (default 'enforce' with OPENAI_API_KEY set, else 'off')
+ *   TRANSCRIBE_INTERVAL_MS   - Audio collected before a segment is transcribed (default 5000)
+ *   TRANSCRIPT_WINDOW_MS     - How far back the transcript is checked (default 60000)
+ *   TRANSCRIBE_MIN_RMS       - Segments quieter than this are not sent (default 200, of 32767)
+ */
+class VerbalVerifier {
+  constructor() {
+    this.mode = process.env.VERBAL_CROSSCHECK || (speechToText.enabled ? 'enforce' : 'off');
+    this.intervalMs = parseInt(process.env.TRANSCRIBE_INTERVAL_MS) || 5000;
+    this.windowMs = parseInt(process.env.TRANSCRIPT_WINDOW_MS) || 60 * 1000;
+    this.minRms = parseFloat(process.env.TRANSCRIBE_MIN_RMS) || 200;
+    this.sessions = new Map(); // sessionId -> { pending, pendingBytes, pendingSince, segments, transcribing, error }
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * Buffer an audio chunk; a segment is transcribed in the background once
+   * TRANSCRIBE_INTERVAL_MS of audio has been collected
+   * @param {string} sessionId - Stream session ID
+   * @param {string} audio - base64 PCM chunk
+   */
+  addAudio(sessionId, audio) {
+    if (!this.enabled || !audio) {
+      return;
+    }
+
+    const state = this.state(sessionId);
+    const chunk = Buffer.from(audio.replace(/^data:audio\/[\w;=]+;base64,/, ''), 'base64');
+
+    if (state.pending.length === 0) {
+      state.pendingSince = Date.now();
+    }
+    state.pending.push(chunk);
+    state.pendingBytes += chunk.length;
+
+    if (state.pendingBytes >= this.intervalMs * BYTES_PER_MS && !state.transcribing) {
+      this.transcribePending(sessionId).catch(() => {});
+    }
+  }
+
+  /**
+   * Cross-check Gemini's verbal agreement against the transcript, after
+   * transcribing any audio that hasn't been yet
+   * @param {string} sessionId - Stream session ID
+   * @param {Object} agreement - { amount, agreed } as reported by Gemini
+   * @returns {Promise<Object>} { checked, matched, reason, transcriptAmount, transcriptAgreement, transcript }
+   */
+  async crossCheck(sessionId, { amount, agreed = true }) {
+    if (!this.enabled) {
+      return { checked: false, matched: true, reason: null, transcriptAmount: null, transcriptAgreement: null, transcript: null };
+    }
+
+    const state = this.state(sessionId);
+    let failure = null;
+
+    try {
+      await state.transcribing;
+      await this.transcribePending(sessionId);
+    } catch (error) {
+      failure = error;
+    }
+
+    const transcript = this.transcript(sessionId);
+    const result = { checked: true, matched: false, reason: null, transcriptAmount: null, transcriptAgreement: null, transcript };
+
+    if (failure && !transcript) {
+      result.reason = `Could not transcribe the audio: ${failure.message}`;
+      return result;
+    }
+
+    if (!transcript) {
+      result.reason = 'Nothing was heard in the audio transcript';
+      return result;
+    }
+
+    const analysis = speechToText.analyzeTransactionIntent(transcript);
+    result.transcriptAmount = analysis.amount;
+    result.transcriptAgreement = analysis.hasAgreement;
+
+    // A missing or non-numeric amount from Gemini never matches
+    const agreedAmount = Number(amount);
+
+    if (!Number.isFinite(agreedAmount)) {
+      result.reason = `Gemini reported no valid amount (${amount}) to compare with the audio transcript`;
+    } else if (analysis.amount === null) {
+      result.reason = 'No amount was heard in the audio transcript';
+    } else if (!Number.isFinite(analysis.amount) || analysis.amount <= 0) {
+      // NaN would never compare as a mismatch below
+      result.reason = `The audio transcript has no valid amount (${analysis.details.amount.raw})`;
+    } else if (Math.abs(analysis.amount - agreedAmount) > 1e-9) {
+      result.reason = `The audio transcript says $${analysis.amount}, not the agreed $${amount}`;
+      if (analysis.amountAmbiguous) {
+        result.reason += ` (${analysis.details.amount.reason})`;
+      }
+    } else if (analysis.amountAmbiguous) {
+      // "fifty cents, not one dollar" - the last amount isn't necessarily the agreed one
+      result.reason = `The amount in the audio transcript is ambiguous (${analysis.details.amount.reason})`;
+    } else if (agreed && !analysis.hasAgreement) {
+      result.reason = `No agreement was heard in the audio transcript (${analysis.details.agreement.reason})`;
+    } else {
+      result.matched = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * Transcript of the last TRANSCRIPT_WINDOW_MS
+   * @param {string} sessionId - Stream session ID
+   * @returns {string}
+   */
+  transcript(sessionId) {
+    const state = this.sessions.get(sessionId);
+    if (!state) {
+      return '';
+    }
+
+    const since = Date.now() - this.windowMs;
+    return state.segments
+      .filter(segment => segment.at >= since)
+      .map(segment => segment.text)
+      .join(' ')
+      .trim();
+  }
+
+  /**
+   * Forget a session's audio and transcript, e.g. when its stream stops
+   * @param {string} sessionId - Stream session ID
+   */
+  reset(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Transcribe the buffered audio as one segment
+   * @private
+   */
+  async transcribePending(sessionId) {
+    const state = this.state(sessionId);
+    if (state.pendingBytes < MIN_SEGMENT_MS * BYTES_PER_MS) {
+      return;
+    }
+
+    const pcm = Buffer.concat(state.pending);
+    const at = state.pendingSince;
+    state.pending = [];
+    state.pendingBytes = 0;
+
+    // Silence isn't worth an API call
+    if (this.rms(pcm) < this.minRms) {
+      return;
+    }
+
+    state.transcribing = (async () => {
+      try {
+        const result = await speechToText.transcribe(speechToText.pcmToWav(pcm, SAMPLE_RATE), 'segment.wav');
+        const text = (result.text || '').trim();
+
+        // The session may have been reset while Whisper was working
+        if (text && this.sessions.get(sessionId) === state) {
+          state.segments.push({ at, text });
+          state.segments = state.segments.filter(segment => segment.at >= Date.now() - this.windowMs);
+        }
+      } catch (error) {
+        logger.error(`Transcription failed for session ${sessionId}: ${error.message}`);
+        throw error;
+      } finally {
+        state.transcribing = null;
+      }
+    })();
+
+    return state.transcribing;
+  }
+
+  /**
+   * Loudness of 16-bit PCM
+   * @private
+   */
+  rms(pcm) {
+    const samples = Math.floor(pcm.length / 2);
+    if (samples === 0) return 0;
+
+    let sum = 0;
+    for (let i = 0; i < samples; i++) {
+      const sample = pcm.readInt16LE(i * 2);
+      sum += sample * sample;
+    }
+    return Math.sqrt(sum / samples);
+  }
+
+  /**
+   * @private
+   */
+  state(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, { pending: [], pendingBytes: 0, pendingSince: null, segments: [], transcribing: null });
+    }
+    return this.sessions.get(sessionId);
+  }
+}
+
+module.exports = new VerbalVerifier();
@@ -0,0 +1,318 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'enrollment-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.IMAGE_STORE_DIR = path.join(DATA_DIR, 'images');
+process.env.PEOPLE_STORAGE = 'json';
+process.env.PHOTO_QUALITY_MODE = 'off';
+process.env.FACE_MATCH_ENABLED = 'false';
+process.env.FACE_VERIFICATION_PROVIDER = 'none';
+process.env.LOG_LEVEL = 'error';
+
+const logger = require('../src/utils/logger');
+const faceMatcher = require('../src/services/faceMatcher');
+const enrollmentController = require('../src/controllers/enrollmentController');
+
+const PEOPLE_FILE = path.join(DATA_DIR, 'people.json');
+const WALLET = '0x2222222222222222222222222222222222222222';
+
+async function photo(shade) {
+  const jpeg = await sharp({ create: { width: 32, height: 32, channels: 3, background: { r: shade, g: 100, b: 100 } } })
+    .jpeg()
+    .toBuffer();
+  return `data:image/jpeg;base64,${jpeg.toString('base64')}`;
+}
+
+const storedPeople = () => JSON.parse(fs.readFileSync(PEOPLE_FILE, 'utf8')).people;
+
+afterAll(() => {
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+describe('editing an enrolled person', () => {
+  let server;
+  let baseUrl;
+  let person;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json({ limit: '5mb' }));
+    app.use('/api/enroll', enrollmentController);
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/enroll`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    fs.writeFileSync(PEOPLE_FILE, JSON.stringify({ people: [] }));
+
+    const response = await axios.post(baseUrl, {
+      name: 'Bob',
+      wallet_address: WALLET,
+      photos: [await photo(40), await photo(50), await photo(60)]
+    });
+    person = (await axios.get(`${baseUrl}/${response.data.person.id}`)).data.person;
+  });
+
+  const request = (method, url, data) => axios({ method, url: `${baseUrl}/${person.id}${url}`, data, validateStatus: () => true });
+
+  /**
+   * The response agrees with what was stored, and photoCount with the photos
+   */
+  function expectConsistent(response) {
+    const [stored] = storedPeople();
+    expect(response.data.person.photoCount).toBe(response.data.person.photos.length);
+    expect(stored.photoCount).toBe(stored.photos.length);
+    expect(response.data.person).toMatchObject({ photos: stored.photos, updatedAt: stored.updatedAt });
+    expect(new Date(stored.updatedAt).getTime()).toBeGreaterThanOrEqual(new Date(stored.createdAt).getTime());
+  }
+
+  test('PATCH updates the name and wallet, keeping the photos', async () => {
+    const response = await request('patch', '', { name: ' Robert ', wallet_address: '0x3333333333333333333333333333333333333333' });
+
+    expect(response.status).toBe(200);
+    expect(response.data.person).toMatchObject({
+      name: 'Robert',
+      wallet: '0x3333333333333333333333333333333333333333',
+      photos: person.photos,
+      photoCount: 3,
+      updatedAt: expect.any(String)
+    });
+    expectConsistent(response);
+  });
+
+  test.each([
+    [{ name: '  ' }, 'Name cannot be empty'],
+    [{ wallet_address: '0x123' }, 'Invalid wallet address format'],
+    [{}, 'Nothing to update - provide name and/or wallet_address']
+  ])('PATCH refuses %j', async (body, error) => {
+    const response = await request('patch', '', body);
+
+    expect(response.status).toBe(400);
+    expect(response.data.error).toBe(error);
+    expect(storedPeople()[0].updatedAt).toBeUndefined();
+  });
+
+  test('edits of someone unknown get 404', async () => {
+    const id = person.id;
+    person.id = 'missing';
+
+    expect((await request('patch', '', { name: 'Nobody' })).status).toBe(404);
+    expect((await request('post', '/photos', { photo: await photo(70) })).status).toBe(404);
+    expect((await request('put', '/photos/primary', { photo: 'x' })).status).toBe(404);
+    expect((await request('delete', '/photos/x')).status).toBe(404);
+    expect(storedPeople().map(p => p.id)).toEqual([id]);
+  });
+
+  test('photos added at the same time are all kept', async () => {
+    const [first, second] = await Promise.all([
+      request('post', '/photos', { photo: await photo(70) }),
+      request('post', '/photos', { photo: await photo(80) })
+    ]);
+
+    expect([first.status, second.status]).toEqual([201, 201]);
+    expect(second.data.person.photoCount).toBe(5);
+    expect(second.data.person.photos.slice(0, 3)).toEqual(person.photos);
+    expectConsistent(second);
+  });
+
+  test('photos are reordered by ID', async () => {
+    const order = [...person.photos].reverse();
+
+    const response = await request('put', '/photos/order', { order });
+
+    expect(response.status).toBe(200);
+    expect(response.data.person.photos).toEqual(order);
+    expectConsistent(response);
+  });
+
+  test('an order made before another photo was added is refused', async () => {
+    const stale = [...person.photos].reverse();
+    const added = await request('post', '/photos', { photo: await photo(70) });
+
+    const response = await request('put', '/photos/order', { order: stale });
+
+    expect(response.status).toBe(409);
+    expect(storedPeople()[0].photos).toEqual(added.data.person.photos);
+  });
+
+  test('the primary photo is picked by ID', async () => {
+    const response = await request('put', '/photos/primary', { photo: person.photos[2] });
+
+    expect(response.status).toBe(200);
+    expect(response.data.person.photos).toEqual([person.photos[2], person.photos[0], person.photos[1]]);
+    expectConsistent(response);
+
+    const unknown = await request('put', '/photos/primary', { photo: 'not-a-photo' });
+    expect(unknown.status).toBe(404);
+    expect(unknown.data.error).toBe('Photo not found');
+  });
+
+  test('photos are removed by ID', async () => {
+    const added = await request('post', '/photos', { photo: await photo(70) });
+
+    const response = await request('delete', `/photos/${person.photos[1]}`);
+
+    expect(response.status).toBe(200);
+    expect(response.data.person.photos).toEqual([person.photos[0], person.photos[2], added.data.person.photos[3]]);
+    expectConsistent(response);
+    expect(fs.existsSync(path.join(process.env.IMAGE_STORE_DIR, person.photos[0]))).toBe(true);
+    expect(fs.existsSync(path.join(process.env.IMAGE_STORE_DIR, person.photos[1]))).toBe(false);
+  });
+
+  test('removals at the same time never go below the minimum', async () => {
+    await request('post', '/photos', { photo: await photo(70) });
+
+    const responses = await Promise.all(person.photos.map(id => request('delete', `/photos/${id}`)));
+
+    expect(responses.map(r => r.status).sort()).toEqual([200, 400, 400]);
+    expect(responses.find(r => r.status === 400).data.error).toBe('At least 3 photos are required');
+    expect(storedPeople()[0]).toMatchObject({ photoCount: 3 });
+    expect(storedPeople()[0].photos).toHaveLength(3);
+  });
+});
+
+describe('enrolling someone already enrolled', () => {
+  let server;
+  let baseUrl;
+
+  // Whose face each photo shows, by the hash of the image
+  const faces = new Map();
+  const hash = image => crypto.createHash('sha256').update(image).digest('hex');
+
+  async function photoOf(who, shade) {
+    const dataUrl = await photo(shade);
+    faces.set(hash(Buffer.from(dataUrl.split(',')[1], 'base64')), who);
+    return dataUrl;
+  }
+
+  const enroll = async (name, wallet, photos, extra = {}) =>
+    axios.post(baseUrl, { name, wallet_address: wallet, photos, ...extra }, { validateStatus: () => true });
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json({ limit: '5mb' }));
+    app.use('/api/enroll', enrollmentController);
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/enroll`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    fs.writeFileSync(PEOPLE_FILE, JSON.stringify({ people: [] }));
+    faceMatcher.enabled = true;
+    faceMatcher.descriptors.clear();
+
+    // Stand-ins for embeddings: the same number is the same face
+    jest.spyOn(faceMatcher, 'embed').mockImplementation(async image => {
+      const who = faces.get(hash(image));
+      return who ? Float32Array.from([who]) : null;
+    });
+    jest.spyOn(faceMatcher, 'similarity').mockImplementation((a, b) => (a[0] === b[0] ? 0.9 : 0.1));
+    jest.spyOn(faceMatcher, 'embedPhotos').mockResolvedValue(3);
+  });
+
+  afterEach(() => {
+    faceMatcher.enabled = false;
+    jest.restoreAllMocks();
+  });
+
+  async function enrollAlice() {
+    const response = await enroll('Alice', WALLET, [await photoOf(1, 10), await photoOf(1, 20), await photoOf(1, 30)]);
+    expect(response.status).toBe(201);
+    return response.data.person;
+  }
+
+  test('the same face under another name and wallet gets 409 with the people it looks like', async () => {
+    const alice = await enrollAlice();
+
+    const response = await enroll('Alicia', '0x3333333333333333333333333333333333333333',
+      [await photoOf(1, 40), await photoOf(1, 50), await photoOf(1, 60)]);
+
+    expect(response.status).toBe(409);
+    expect(response.data).toMatchObject({
+      success: false,
+      error: 'Looks like someone already enrolled: Alice',
+      duplicates: [{ id: alice.id, name: 'Alice', wallet: WALLET, similarity: 0.9 }]
+    });
+    expect(storedPeople().map(p => p.name)).toEqual(['Alice']);
+  });
+
+  test('someone with a different face is enrolled without a warning', async () => {
+    await enrollAlice();
+
+    const response = await enroll('Bob', WALLET, [await photoOf(2, 110), await photoOf(2, 120), await photoOf(2, 130)]);
+
+    expect(response.status).toBe(201);
+    expect(response.data.person.duplicateOverrides).toEqual([]);
+    expect(storedPeople()[1].metadata?.duplicateOverrides).toBeUndefined();
+  });
+
+  test('allow_duplicate enrolls anyway and records the override on the person', async () => {
+    const alice = await enrollAlice();
+
+    const response = await enroll('Alicia', '0x3333333333333333333333333333333333333333',
+      [await photoOf(1, 40), await photoOf(1, 50), await photoOf(1, 60)], { allow_duplicate: true });
+
+    const override = {
+      overriddenAt: expect.any(String),
+      duplicates: [{ id: alice.id, name: 'Alice', wallet: WALLET, similarity: 0.9 }]
+    };
+    expect(response.status).toBe(201);
+    expect(response.data.person.duplicateOverrides).toEqual([override]);
+    expect(storedPeople().find(p => p.name === 'Alicia').metadata.duplicateOverrides).toEqual([override]);
+  });
+
+  test("a photo of someone else's face added to a person needs the override too", async () => {
+    const alice = await enrollAlice();
+    const bob = (await enroll('Bob', WALLET, [await photoOf(2, 110), await photoOf(2, 120), await photoOf(2, 130)])).data.person;
+    const add = async extra => axios.post(`${baseUrl}/${bob.id}/photos`, { photo: await photoOf(1, 70), ...extra }, { validateStatus: () => true });
+
+    const refused = await add();
+    expect(refused.status).toBe(409);
+    expect(refused.data.duplicates.map(d => d.id)).toEqual([alice.id]);
+
+    const added = await add({ allow_duplicate: true });
+    expect(added.status).toBe(201);
+    expect(storedPeople().find(p => p.id === bob.id)).toMatchObject({
+      photoCount: 4,
+      metadata: { duplicateOverrides: [{ overriddenAt: expect.any(String), duplicates: [expect.objectContaining({ id: alice.id })] }] }
+    });
+  });
+
+  test('enrollment goes ahead without a duplicate check when embedding fails', async () => {
+    await enrollAlice();
+    faceMatcher.embed.mockRejectedValue(new Error('Failed to load face models'));
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    const response = await enroll('Alicia', '0x3333333333333333333333333333333333333333',
+      [await photoOf(1, 40), await photoOf(1, 50), await photoOf(1, 60)]);
+
+    expect(response.status).toBe(201);
+    expect(response.data.person.duplicateOverrides).toEqual([]);
+    expect(error).toHaveBeenCalledWith('Error looking for duplicate people:', expect.any(Error));
+  });
+
+  test('findDuplicates finds nothing in photos without a face', async () => {
+    await enrollAlice();
+
+    const duplicates = await faceMatcher.findDuplicates([Buffer.from('no face here')], storedPeople());
+
+    expect(duplicates).toEqual([]);
+  });
+});
@@ -0,0 +1,52 @@
+process.env.LOG_LEVEL = 'error';
+
+const SETTINGS = ['FACE_MATCH_MIN_SIMILARITY', 'FACE_MATCH_MAX_FRAME_AGE_MS', 'FACE_DUPLICATE_MIN_SIMILARITY'];
+
+/**
+ * A fresh face matcher, configured from `env`
+ */
+function loadWith(env) {
+  Object.assign(process.env, env);
+  let faceMatcher;
+  jest.isolateModules(() => {
+    faceMatcher = require('../src/services/faceMatcher');
+  });
+  return faceMatcher;
+}
+
+afterEach(() => {
+  SETTINGS.forEach(name => delete process.env[name]);
+  jest.restoreAllMocks();
+});
+
+describe('face matcher configuration', () => {
+  test('thresholds default when unset or not a number', () => {
+    const faceMatcher = loadWith({ FACE_MATCH_MIN_SIMILARITY: 'high', FACE_MATCH_MAX_FRAME_AGE_MS: '' });
+
+    expect(faceMatcher).toMatchObject({ minSimilarity: 0.45, maxFrameAgeMs: 5000, duplicateSimilarity: 0.6 });
+  });
+
+  test('a threshold of 0 is kept, not replaced by the default', () => {
+    const faceMatcher = loadWith({
+      FACE_MATCH_MIN_SIMILARITY: '0',
+      FACE_MATCH_MAX_FRAME_AGE_MS: '0',
+      FACE_DUPLICATE_MIN_SIMILARITY: '0.8'
+    });
+
+    expect(faceMatcher).toMatchObject({ minSimilarity: 0, maxFrameAgeMs: 0, duplicateSimilarity: 0.8 });
+  });
+});
+
+describe('face matcher embeddings', () => {
+  test('embed is the descriptor of the face detectFace finds', async () => {
+    const faceMatcher = loadWith({});
+    const descriptor = Float32Array.from([1]);
+    jest.spyOn(faceMatcher, 'detectFace')
+      .mockResolvedValueOnce({ landmarks: [], descriptor })
+      .mockResolvedValueOnce(null);
+
+    expect(await faceMatcher.embed(Buffer.from('image'))).toBe(descriptor);
+    expect(await faceMatcher.embed(Buffer.from('image'))).toBeNull();
+    expect(faceMatcher.detectFace).toHaveBeenCalledWith(Buffer.from('image'));
+  });
+});
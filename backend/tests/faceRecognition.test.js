@@ -0,0 +1,405 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const axios = require('axios');
+const sharp = require('sharp');
+
+process.env.FACE_VERIFICATION_PROVIDER = 'azure';
+process.env.AZURE_FACE_API_KEY = 'test-key';
+process.env.AZURE_FACE_PERSON_GROUP_ID = 'test-group';
+process.env.IMAGE_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'face-images-'));
+process.env.PHOTO_QUALITY_MODE = 'off';
+process.env.LOG_LEVEL = 'error';
+
+const faceRecognition = require('../src/services/faceRecognition');
+const faceMatcher = require('../src/services/faceMatcher');
+const imageStore = require('../src/services/imageStore');
+const peopleRepository = require('../src/services/peopleRepository');
+const enrollmentController = require('../src/controllers/enrollmentController');
+
+/**
+ * Local stand-in for the Azure Face API's person group endpoints
+ */
+class FaceApiStandIn {
+  constructor() {
+    this.reset();
+    this.server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => this.handle(req, res, Buffer.concat(chunks)));
+    });
+  }
+
+  reset() {
+    this.requests = [];
+    this.groupExists = false;
+    this.persons = new Map(); // personId -> { name, userData, faces: Map(persistedFaceId -> userData) }
+    this.personCount = 0;
+    this.faceCount = 0;
+    this.rejectFaces = false;
+    this.detectedFaces = [{ faceId: 'face-1', faceRectangle: { top: 0, left: 0, width: 10, height: 10 } }];
+    this.verification = { isIdentical: true, confidence: 0.9 };
+  }
+
+  listen() {
+    return new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  handle(req, res, body) {
+    const { pathname } = new URL(req.url, this.url);
+    const route = `${req.method} ${pathname.replace('/face/v1.0', '')}`;
+    this.requests.push({ route, key: req.headers['ocp-apim-subscription-key'], body });
+
+    const reply = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(data === undefined ? '' : JSON.stringify(data));
+    };
+
+    let match;
+    if (route === 'GET /persongroups/test-group') {
+      return this.groupExists ? reply(200, { personGroupId: 'test-group' }) : reply(404, { error: { code: 'PersonGroupNotFound' } });
+    }
+    if (route === 'PUT /persongroups/test-group') {
+      this.groupExists = true;
+      return reply(200);
+    }
+    if (route === 'POST /persongroups/test-group/persons') {
+      const personId = `azure-${++this.personCount}`;
+      const { name, userData } = JSON.parse(body);
+      this.persons.set(personId, { name, userData, faces: new Map() });
+      return reply(200, { personId });
+    }
+    if ((match = route.match(/^(GET|PATCH|DELETE) \/persongroups\/test-group\/persons\/([^/]+)$/))) {
+      const person = this.persons.get(match[2]);
+      if (!person) {
+        return reply(404, { error: { code: 'PersonNotFound', message: 'Person is not found.' } });
+      }
+      if (match[1] === 'PATCH') {
+        Object.assign(person, JSON.parse(body));
+      } else if (match[1] === 'DELETE') {
+        this.persons.delete(match[2]);
+      }
+      return reply(200, match[1] === 'GET'
+        ? { personId: match[2], name: person.name, userData: person.userData, persistedFaceIds: [...person.faces.keys()] }
+        : undefined);
+    }
+    if ((match = route.match(/^POST \/persongroups\/test-group\/persons\/([^/]+)\/persistedFaces$/))) {
+      if (this.rejectFaces) {
+        return reply(400, { error: { code: 'InvalidImage', message: 'No face detected in the image.' } });
+      }
+      const persistedFaceId = `persisted-${++this.faceCount}`;
+      this.persons.get(match[1]).faces.set(persistedFaceId, new URL(req.url, this.url).searchParams.get('userData'));
+      return reply(200, { persistedFaceId });
+    }
+    if ((match = route.match(/^(GET|DELETE) \/persongroups\/test-group\/persons\/([^/]+)\/persistedFaces\/([^/]+)$/))) {
+      const faces = this.persons.get(match[2]).faces;
+      const userData = faces.get(match[3]);
+      if (match[1] === 'DELETE') faces.delete(match[3]);
+      return reply(200, match[1] === 'GET' ? { persistedFaceId: match[3], userData } : undefined);
+    }
+    if (route === 'POST /persongroups/test-group/train') {
+      return reply(202);
+    }
+    if (route === 'GET /persongroups/test-group/training') {
+      return reply(200, { status: 'succeeded' });
+    }
+    if (route === 'POST /detect') {
+      return reply(200, this.detectedFaces);
+    }
+    if (route === 'POST /verify') {
+      return reply(200, this.verification);
+    }
+
+    reply(404, { error: { code: 'NotFound', message: route } });
+  }
+
+  routes() {
+    return this.requests.map(r => r.route);
+  }
+}
+
+const faceApi = new FaceApiStandIn();
+
+async function photo(shade) {
+  const jpeg = await sharp({ create: { width: 32, height: 32, channels: 3, background: { r: shade, g: 100, b: 100 } } })
+    .jpeg()
+    .toBuffer();
+  return `data:image/jpeg;base64,${jpeg.toString('base64')}`;
+}
+
+beforeAll(async () => {
+  await faceApi.listen();
+  faceRecognition.endpoint = faceApi.url;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => faceApi.server.close(resolve));
+  fs.rmSync(process.env.IMAGE_STORE_DIR, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  faceApi.reset();
+  faceRecognition.personGroupReady = null;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Azure face enrollment', () => {
+  let person;
+
+  beforeAll(async () => {
+    const photos = await imageStore.saveAll([await photo(10), await photo(20), await photo(30)], async () => false);
+    person = { id: 'person-alice', name: 'Alice', wallet: '0x1111111111111111111111111111111111111111', photos };
+  });
+
+  test('creates the person group once, adds every photo and trains', async () => {
+    const personId = await faceRecognition.enrollPerson(person);
+
+    expect(personId).toBe('azure-1');
+    expect([...faceApi.persons.get('azure-1').faces.values()]).toEqual(person.photos);
+    expect(faceApi.routes()).toEqual([
+      'GET /persongroups/test-group',
+      'PUT /persongroups/test-group',
+      'POST /persongroups/test-group/persons',
+      'POST /persongroups/test-group/persons/azure-1/persistedFaces',
+      'POST /persongroups/test-group/persons/azure-1/persistedFaces',
+      'POST /persongroups/test-group/persons/azure-1/persistedFaces',
+      'POST /persongroups/test-group/train',
+      'GET /persongroups/test-group/training'
+    ]);
+    expect(faceApi.requests.every(r => r.key === 'test-key')).toBe(true);
+
+    // Photos are uploaded as the stored image bytes
+    expect(faceApi.requests[3].body.equals(await imageStore.read(person.photos[0]))).toBe(true);
+
+    await faceRecognition.enrollPerson(person);
+    expect(faceApi.routes().filter(r => r === 'PUT /persongroups/test-group')).toHaveLength(1);
+  });
+
+  test('removes the Azure person again when a photo is rejected', async () => {
+    faceApi.rejectFaces = true;
+
+    await expect(faceRecognition.enrollPerson(person)).rejects.toThrow('Azure Face API: No face detected in the image.');
+
+    expect(faceApi.routes()).toContain('DELETE /persongroups/test-group/persons/azure-1');
+    expect(faceApi.persons.size).toBe(0);
+  });
+});
+
+describe('Azure face sync', () => {
+  let person;
+
+  beforeEach(async () => {
+    const photos = await imageStore.saveAll([await photo(10), await photo(20), await photo(30)], async () => false);
+    person = { id: 'person-alice', name: 'Alice', wallet: '0x1111111111111111111111111111111111111111', photos };
+    person.facePersonId = await faceRecognition.enrollPerson(person);
+    faceApi.requests = [];
+  });
+
+  test('adds faces for new photos, deletes those of removed ones and renames', async () => {
+    const [added] = await imageStore.saveAll([await photo(40)], async () => false);
+    const edited = { ...person, name: 'Alicia', photos: [person.photos[0], person.photos[2], added] };
+
+    expect(await faceRecognition.syncPerson(edited)).toBe('azure-1');
+
+    const azurePerson = faceApi.persons.get('azure-1');
+    expect([...azurePerson.faces.values()].sort()).toEqual([...edited.photos].sort());
+    expect(azurePerson).toMatchObject({ name: 'Alicia', userData: JSON.stringify({ id: person.id, wallet: person.wallet }) });
+    expect(faceApi.routes()).toContain('PATCH /persongroups/test-group/persons/azure-1');
+    expect(faceApi.routes()).toContain('POST /persongroups/test-group/train');
+  });
+
+  test('changes nothing when the person is already up to date', async () => {
+    await faceRecognition.syncPerson(person);
+
+    expect(faceApi.routes().every(route => route.startsWith('GET '))).toBe(true);
+  });
+
+  test('replaces faces added without their image ID', async () => {
+    const faces = faceApi.persons.get('azure-1').faces;
+    for (const id of faces.keys()) faces.set(id, null);
+
+    await faceRecognition.syncPerson(person);
+
+    expect([...faces.values()]).toEqual(person.photos);
+  });
+
+  test('enrolls someone whose Azure person is gone again', async () => {
+    faceApi.persons.delete('azure-1');
+
+    expect(await faceRecognition.syncPerson(person)).toBe('azure-2');
+    expect(faceApi.persons.get('azure-2').faces.size).toBe(3);
+  });
+
+  test('fails with Azure\'s message', async () => {
+    faceApi.rejectFaces = true;
+    const [added] = await imageStore.saveAll([await photo(40)], async () => false);
+
+    await expect(faceRecognition.syncPerson({ ...person, photos: [...person.photos, added] }))
+      .rejects.toThrow('Azure Face API: No face detected in the image.');
+  });
+});
+
+describe('Azure face verification', () => {
+  const ALICE = { id: 'person-alice', name: 'Alice', facePersonId: 'azure-alice' };
+  const frame = () => ({ data: 'data:image/jpeg;base64,AAAA', receivedAt: Date.now() });
+
+  test('accepts a face Azure verifies as the person', async () => {
+    const result = await faceRecognition.verifyPerson(frame(), ALICE);
+
+    expect(result).toMatchObject({ checked: true, matched: true, confidence: 0.9 });
+    expect(JSON.parse(faceApi.requests[1].body)).toEqual({
+      faceId: 'face-1',
+      personId: 'azure-alice',
+      personGroupId: 'test-group'
+    });
+  });
+
+  test.each([
+    ['a different person', { isIdentical: false, confidence: 0.2 }],
+    ['too little confidence', { isIdentical: true, confidence: 0.55 }]
+  ])('rejects %s', async (_, verification) => {
+    faceApi.verification = verification;
+
+    const result = await faceRecognition.verifyPerson(frame(), ALICE);
+
+    expect(result).toMatchObject({ matched: false, confidence: verification.confidence });
+    expect(result.reason).toContain('not Alice');
+  });
+
+  test('rejects a frame without a face', async () => {
+    faceApi.detectedFaces = [];
+
+    const result = await faceRecognition.verifyPerson(frame(), ALICE);
+
+    expect(result).toMatchObject({ matched: false, reason: 'Azure found no face in the live video' });
+    expect(faceApi.routes()).toEqual(['POST /detect']);
+  });
+
+  test('rejects people never registered with Azure and stale frames without calling it', async () => {
+    expect(await faceRecognition.verifyPerson(frame(), { ...ALICE, facePersonId: undefined }))
+      .toMatchObject({ matched: false });
+    expect(await faceRecognition.verifyPerson({ ...frame(), receivedAt: 0 }, ALICE))
+      .toMatchObject({ matched: false, reason: 'No recent video frame to compare' });
+    expect(faceApi.requests).toHaveLength(0);
+  });
+});
+
+describe('enrollment API with Azure face verification', () => {
+  let server;
+  let baseUrl;
+  let people;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json({ limit: '5mb' }));
+    app.use('/api/enroll', enrollmentController);
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/enroll`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    // In-memory people, so the test never touches data/people.json
+    people = new Map();
+    jest.spyOn(faceMatcher, 'embedPhotos').mockResolvedValue(3);
+    jest.spyOn(faceMatcher, 'findDuplicates').mockResolvedValue([]);
+    jest.spyOn(peopleRepository, 'createPerson').mockImplementation(async (name, wallet, photos) => {
+      const ids = await imageStore.saveAll(photos, async () => false);
+      const person = { id: `person-${people.size + 1}`, name, wallet, photos: ids, photoCount: ids.length };
+      people.set(person.id, person);
+      return person;
+    });
+    jest.spyOn(peopleRepository, 'updatePerson').mockImplementation(async (id, updates) => {
+      if (!people.has(id)) return null;
+      const changes = typeof updates === 'function' ? updates(people.get(id)) : updates;
+      if (changes.photos) {
+        changes.photos = await imageStore.saveAll(changes.photos, async () => true);
+        changes.photoCount = changes.photos.length;
+      }
+      people.set(id, { ...people.get(id), ...changes });
+      return people.get(id);
+    });
+    jest.spyOn(peopleRepository, 'getPersonById').mockImplementation(async id => people.get(id) || null);
+    jest.spyOn(peopleRepository, 'deletePerson').mockImplementation(async id => people.delete(id));
+  });
+
+  async function enroll() {
+    return axios.post(baseUrl, {
+      name: 'Bob',
+      wallet_address: '0x2222222222222222222222222222222222222222',
+      photos: [await photo(40), await photo(50), await photo(60)]
+    }, { validateStatus: () => true });
+  }
+
+  test('enrolling stores the Azure person ID and deleting removes it', async () => {
+    const response = await enroll();
+
+    expect(response.status).toBe(201);
+    expect(people.get(response.data.person.id).facePersonId).toBe('azure-1');
+    expect(faceApi.persons.get('azure-1').faces.size).toBe(3);
+
+    const deleted = await axios.delete(`${baseUrl}/${response.data.person.id}`);
+
+    expect(deleted.data.success).toBe(true);
+    expect(faceApi.routes()).toContain('DELETE /persongroups/test-group/persons/azure-1');
+    expect(faceApi.persons.size).toBe(0);
+  });
+
+  test('photo edits and renames are synced to the Azure person', async () => {
+    const { id } = (await enroll()).data.person;
+    const [first, second] = people.get(id).photos;
+
+    const renamed = await axios.patch(`${baseUrl}/${id}`, { name: 'Robert' });
+    const added = await axios.post(`${baseUrl}/${id}/photos`, { photo: await photo(70) });
+    const removed = await axios.delete(`${baseUrl}/${id}/photos/${second}`);
+
+    expect([renamed.status, added.status, removed.status]).toEqual([200, 201, 200]);
+    expect(faceApi.persons.get('azure-1').name).toBe('Robert');
+    expect([...faceApi.persons.get('azure-1').faces.values()].sort()).toEqual([...removed.data.person.photos].sort());
+    expect(removed.data.person.photos).toContain(first);
+    expect(removed.data.person.photos).not.toContain(second);
+  });
+
+  test('a failed sync takes the person out of Azure, so verification fails closed', async () => {
+    const { id } = (await enroll()).data.person;
+    faceApi.rejectFaces = true;
+
+    const response = await axios.post(`${baseUrl}/${id}/photos`, { photo: await photo(70) }, { validateStatus: () => true });
+
+    expect(response.status).toBe(502);
+    expect(response.data.error).toContain('face-verification provider could not be updated');
+    expect(people.get(id)).toMatchObject({ photoCount: 4, facePersonId: null });
+    expect(faceApi.persons.size).toBe(0);
+
+    // The next edit registers them again
+    faceApi.rejectFaces = false;
+    const renamed = await axios.patch(`${baseUrl}/${id}`, { name: 'Robert' });
+    expect(renamed.status).toBe(200);
+    expect(people.get(id).facePersonId).toBe('azure-2');
+    expect(faceApi.persons.get('azure-2')).toMatchObject({ name: 'Robert' });
+    expect(faceApi.persons.get('azure-2').faces.size).toBe(4);
+  });
+
+  test('enrollment is undone when Azure rejects the photos', async () => {
+    faceApi.rejectFaces = true;
+
+    const response = await enroll();
+
+    expect(response.status).toBe(502);
+    expect(response.data.message).toContain('No face detected');
+    expect(people.size).toBe(0);
+  });
+});
@@ -0,0 +1,62 @@
+process.env.HANDSHAKE_STABLE_MS = '2000';
+process.env.HANDSHAKE_GRACE_MS = '1500';
+process.env.LOG_LEVEL = 'error';
+
+const handshakeDetector = require('../src/services/handshake');
+
+const HELD = { detected: true, confidence: 0.9 };
+const LOST = { detected: false, confidence: 0 };
+
+/**
+ * Feed frames to a fresh session: [[time (ms), detection], ...]
+ */
+function track(frames) {
+  handshakeDetector.resetSession('test');
+  return frames.map(([at, detection]) => handshakeDetector.trackStability('test', detection, at));
+}
+
+afterEach(() => {
+  handshakeDetector.resetSession('test');
+});
+
+describe('time-based handshake stability', () => {
+  test('confirms once the hands stayed clasped long enough, whatever the frame rate', () => {
+    const slow = track([[0, HELD], [1000, HELD], [2000, HELD]]);
+    const fast = track(Array.from({ length: 62 }, (_, i) => [i * 33, HELD]));
+
+    expect(slow.map(s => s.progress)).toEqual([0, 0.5, 1]);
+    expect(slow.map(s => s.confirmed)).toEqual([false, false, true]);
+    expect(fast[60].confirmed).toBe(false);
+    expect(fast[61]).toMatchObject({ confirmed: true, duration: 61 * 33, progress: 1 });
+  });
+
+  test('a dropped or misdetected frame within the grace period keeps the progress', () => {
+    const frames = track([[0, HELD], [1000, HELD], [2000, LOST], [2400, HELD]]);
+
+    expect(frames[2]).toMatchObject({ confirmed: false, progress: 0.5 });
+    expect(frames[3]).toMatchObject({ confirmed: true, duration: 2400 });
+  });
+
+  test('a handshake stays confirmed through short gaps and ends after the grace period', () => {
+    const frames = track([[0, HELD], [1000, HELD], [2000, HELD], [3000, LOST], [3400, LOST], [3600, LOST]]);
+
+    expect(frames.map(s => s.confirmed)).toEqual([false, false, true, true, true, false]);
+    expect(frames[5]).toMatchObject({ progress: 0, duration: 0 });
+  });
+
+  test('starts over when the hands come back after the grace period', () => {
+    const frames = track([[0, HELD], [1000, HELD], [5000, HELD], [6000, HELD]]);
+
+    expect(frames.map(s => s.progress)).toEqual([0, 0.5, 0, 0.5]);
+  });
+
+  test('sessions that stopped sending hands are cleaned up', () => {
+    handshakeDetector.trackStability('idle', HELD, Date.now() - 10 * 60 * 1000);
+    handshakeDetector.trackStability('test', HELD);
+
+    handshakeDetector.cleanupOldSessions();
+
+    expect(handshakeDetector.getSessionStatus('idle')).toBeNull();
+    expect(handshakeDetector.getSessionStatus('test')).not.toBeNull();
+  });
+});
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.IMAGE_STORE_DIR = path.join(DATA_DIR, 'images');
+process.env.TRANSACTION_STORAGE = 'json';
+process.env.LOG_LEVEL = 'error';
+
+const idempotency = require('../src/services/idempotency');
+const transactionLedger = require('../src/services/transactionLedger');
+
+const TRANSACTIONS_FILE = path.join(DATA_DIR, 'transactions.json');
+
+/**
+ * A payment handler like executeIntent: records the payment under the key
+ */
+function paying(key, intentId, status = 'pending') {
+  return jest.fn(async () => {
+    const tx = await transactionLedger.record({
+      id: `tx-${intentId}-${Math.random().toString(36).slice(2)}`,
+      created_at: new Date().toISOString(),
+      amount: 0.05,
+      status,
+      idempotency_key: key,
+      metadata: { intentId }
+    });
+    return { statusCode: 201, body: { success: true, transaction: { id: tx.id } } };
+  });
+}
+
+const fromRecord = recorded => ({ statusCode: 200, body: { success: true, transaction: { id: recorded.id } } });
+
+beforeEach(() => {
+  fs.writeFileSync(TRANSACTIONS_FILE, JSON.stringify({ transactions: [] }));
+});
+
+afterAll(() => {
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+describe('idempotency keys', () => {
+  test('a repeated request replays the recorded payment', async () => {
+    const handler = paying('key-1', 'intent-1');
+
+    const first = await idempotency.run('key-1', 'intent-1', handler, fromRecord);
+    const again = await idempotency.run('key-1', 'intent-1', handler, fromRecord);
+
+    expect(first).toMatchObject({ statusCode: 201 });
+    expect(again).toEqual({ statusCode: 200, body: first.body, replayed: true });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('a concurrent duplicate waits for the first request instead of paying again', async () => {
+    const handler = paying('key-1', 'intent-1');
+
+    const [first, duplicate] = await Promise.all([
+      idempotency.run('key-1', 'intent-1', handler, fromRecord),
+      idempotency.run('key-1', 'intent-1', handler, fromRecord)
+    ]);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(duplicate).toEqual({ ...first, replayed: true });
+    expect(await transactionLedger.list()).toHaveLength(1);
+  });
+
+  test.each([
+    ['after it was paid', async () => {
+      await idempotency.run('key-1', 'intent-1', paying('key-1', 'intent-1'), fromRecord);
+      return idempotency.run('key-1', 'intent-2', paying('key-1', 'intent-2'), fromRecord);
+    }],
+    ['while it is being paid', async () => {
+      const results = await Promise.all([
+        idempotency.run('key-1', 'intent-1', paying('key-1', 'intent-1'), fromRecord),
+        idempotency.run('key-1', 'intent-2', paying('key-1', 'intent-2'), fromRecord)
+      ]);
+      return results[1];
+    }]
+  ])('a key reused for another intent %s is refused', async (_, reuse) => {
+    expect(await reuse()).toEqual({
+      statusCode: 422,
+      body: { error: 'Idempotency-Key was already used for a different payment intent' }
+    });
+    expect((await transactionLedger.list()).map(t => t.metadata.intentId)).toEqual(['intent-1']);
+  });
+
+  test.each(['failed', 'cancelled', 'expired'])('a %s payment is not replayed - a new attempt runs', async (status) => {
+    await idempotency.run('key-1', 'intent-1', paying('key-1', 'intent-1', status), fromRecord);
+
+    const retry = paying('key-1', 'intent-2');
+    const result = await idempotency.run('key-1', 'intent-2', retry, fromRecord);
+
+    expect(retry).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ statusCode: 201 });
+
+    // The retry is what later requests get back
+    const replay = await idempotency.run('key-1', 'intent-2', retry, fromRecord);
+    expect(replay).toEqual({ statusCode: 200, body: result.body, replayed: true });
+  });
+
+  test('a confirmed payment is replayed', async () => {
+    await idempotency.run('key-1', 'intent-1', paying('key-1', 'intent-1', 'confirmed'), fromRecord);
+    const handler = jest.fn();
+
+    expect(await idempotency.run('key-1', 'intent-1', handler, fromRecord)).toMatchObject({ statusCode: 200, replayed: true });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('a request that failed without recording a payment can be retried', async () => {
+    const rejected = jest.fn().mockResolvedValue({ statusCode: 429, body: { error: 'Held' } });
+    const throwing = jest.fn().mockRejectedValue(new Error('Provider down'));
+    const handler = paying('key-1', 'intent-1');
+
+    expect(await idempotency.run('key-1', 'intent-1', rejected, fromRecord)).toEqual({ statusCode: 429, body: { error: 'Held' } });
+    await expect(idempotency.run('key-1', 'intent-1', throwing, fromRecord)).rejects.toThrow('Provider down');
+    expect(await idempotency.run('key-1', 'intent-1', handler, fromRecord)).toMatchObject({ statusCode: 201 });
+  });
+});
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const axios = require('axios');
+const sharp = require('sharp');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'images-'));
+process.env.IMAGE_STORE_DIR = path.join(DATA_DIR, 'images');
+process.env.LOG_LEVEL = 'error';
+
+const imageStore = require('../src/services/imageStore');
+const imageController = require('../src/controllers/imageController');
+
+const UNKNOWN_ID = `${'0'.repeat(64)}.jpg`;
+
+describe('image routes', () => {
+  let server;
+  let baseUrl;
+  let id;
+  let original;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/api/images', imageController);
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/images`;
+
+    original = await sharp({ create: { width: 640, height: 480, channels: 3, background: { r: 40, g: 100, b: 100 } } })
+      .png()
+      .toBuffer();
+    id = await imageStore.save(`data:image/png;base64,${original.toString('base64')}`);
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+  });
+
+  const get = url => axios.get(`${baseUrl}/${url}`, { responseType: 'arraybuffer', validateStatus: () => true });
+
+  test('serves a stored photo as it was uploaded, cacheable for good', async () => {
+    const response = await get(id);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/png');
+    expect(response.headers['cache-control']).toBe('public, max-age=31536000, immutable');
+    expect(response.headers['cross-origin-resource-policy']).toBe('cross-origin');
+    expect(Buffer.from(response.data).equals(original)).toBe(true);
+  });
+
+  test('serves a square JPEG thumbnail generated when the photo was stored', async () => {
+    expect(fs.existsSync(imageStore.thumbnailPath(id))).toBe(true);
+
+    const response = await get(`${id}/thumbnail`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/jpeg');
+    expect(await sharp(Buffer.from(response.data)).metadata()).toMatchObject({
+      format: 'jpeg',
+      width: imageStore.thumbnailSize,
+      height: imageStore.thumbnailSize
+    });
+  });
+
+  test.each([
+    ['an unknown photo', UNKNOWN_ID],
+    ['the thumbnail of an unknown photo', `${UNKNOWN_ID}/thumbnail`]
+  ])('%s is 404', async (_, url) => {
+    const response = await get(url);
+
+    expect(response.status).toBe(404);
+    expect(JSON.parse(Buffer.from(response.data).toString())).toEqual({ success: false, error: 'Image not found' });
+  });
+
+  test.each([
+    ['not-an-image-id'],
+    [`${'A'.repeat(64)}.jpg`],
+    [`${'0'.repeat(64)}.gif`],
+    ['..%2Fpeople.json'],
+    ['not-an-image-id/thumbnail']
+  ])('%s is refused with 400', async (url) => {
+    const response = await get(url);
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(Buffer.from(response.data).toString())).toEqual({ success: false, error: 'Invalid image ID' });
+  });
+});
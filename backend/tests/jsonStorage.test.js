@@ -0,0 +1,225 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const sharp = require('sharp');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'json-storage-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.IMAGE_STORE_DIR = path.join(DATA_DIR, 'images');
+process.env.LOG_LEVEL = 'error';
+
+const jsonStorage = require('../src/services/jsonStorage');
+const imageStore = require('../src/services/imageStore');
+
+const PEOPLE_FILE = path.join(DATA_DIR, 'people.json');
+const TRANSACTIONS_FILE = path.join(DATA_DIR, 'transactions.json');
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+
+const read = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+beforeEach(() => {
+  for (const file of fs.readdirSync(DATA_DIR)) {
+    if (file.endsWith('.json') || file.endsWith('.bak') || file.endsWith('.tmp')) {
+      fs.unlinkSync(path.join(DATA_DIR, file));
+    }
+  }
+  jsonStorage.ensureDataFile();
+});
+
+afterAll(() => {
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+describe('JSON storage writes', () => {
+  test('replaces the file atomically and keeps the previous version as .bak', async () => {
+    const alice = await jsonStorage.createPerson('Alice', WALLET, []);
+    await jsonStorage.createPerson('Bob', WALLET, []);
+
+    expect(read(PEOPLE_FILE).people.map(p => p.name)).toEqual(['Alice', 'Bob']);
+    expect(read(`${PEOPLE_FILE}.bak`).people).toEqual([alice]);
+    expect(fs.readdirSync(DATA_DIR).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('concurrent changes to the same file are all kept', async () => {
+    const names = ['Alice', 'Bob', 'Carol', 'Dave', 'Erin'];
+    await Promise.all(names.map(name => jsonStorage.createPerson(name, WALLET, [])));
+
+    const people = read(PEOPLE_FILE).people;
+    expect(people.map(p => p.name).sort()).toEqual(names);
+
+    const updates = people.map(person => jsonStorage.updatePerson(person.id, { name: person.name.toUpperCase() }));
+    await Promise.all(updates);
+    expect(read(PEOPLE_FILE).people.map(p => p.name).sort()).toEqual(names.map(name => name.toUpperCase()));
+  });
+
+  test('concurrent transactions are all recorded', async () => {
+    await Promise.all([1, 2, 3].map(i => jsonStorage.createTransaction({ id: `tx-${i}`, status: 'pending' })));
+    await jsonStorage.updateTransaction('tx-2', { status: 'confirmed' });
+
+    expect(read(TRANSACTIONS_FILE).transactions.map(t => `${t.id}:${t.status}`).sort()).toEqual([
+      'tx-1:pending', 'tx-2:confirmed', 'tx-3:pending'
+    ]);
+    expect(await jsonStorage.updateTransaction('missing', { status: 'failed' })).toBeNull();
+  });
+});
+
+describe('corrupt JSON files', () => {
+  test('a file that cannot be parsed is an error, not an empty list', async () => {
+    await jsonStorage.createPerson('Alice', WALLET, []);
+    fs.writeFileSync(PEOPLE_FILE, '{"people": [{"name": "Ali');
+
+    await expect(jsonStorage.getAllPeople()).rejects.toThrow(/people\.json is unreadable .*Restore it from people\.json\.bak/);
+  });
+
+  test('a corrupt file and its .bak copy are not overwritten by later writes', async () => {
+    await jsonStorage.createPerson('Alice', WALLET, []);
+    await jsonStorage.createPerson('Bob', WALLET, []);
+    const backup = fs.readFileSync(`${PEOPLE_FILE}.bak`, 'utf8');
+    fs.writeFileSync(PEOPLE_FILE, 'not json');
+
+    await expect(jsonStorage.createPerson('Carol', WALLET, [])).rejects.toThrow(/unreadable/);
+    await expect(jsonStorage.deletePerson('anyone')).rejects.toThrow(/unreadable/);
+
+    expect(fs.readFileSync(PEOPLE_FILE, 'utf8')).toBe('not json');
+    expect(fs.readFileSync(`${PEOPLE_FILE}.bak`, 'utf8')).toBe(backup);
+  });
+
+  test('the .bak copy restores the data, and queued writes carry on after a failed one', async () => {
+    const alice = await jsonStorage.createPerson('Alice', WALLET, []);
+    await jsonStorage.updatePerson(alice.id, { name: 'Alice Smith' });
+    fs.writeFileSync(PEOPLE_FILE, '');
+
+    const failed = jsonStorage.createPerson('Bob', WALLET, []);
+    const restored = jsonStorage.serialize(PEOPLE_FILE, async () => {
+      fs.copyFileSync(`${PEOPLE_FILE}.bak`, PEOPLE_FILE);
+    });
+    const carol = jsonStorage.createPerson('Carol', WALLET, []);
+
+    await expect(failed).rejects.toThrow(/unreadable/);
+    await restored;
+    await carol;
+
+    // The backup is the version before the last write
+    expect((await jsonStorage.getAllPeople()).map(p => p.name)).toEqual(['Alice', 'Carol']);
+  });
+
+  test('a file without its array is an error', async () => {
+    fs.writeFileSync(PEOPLE_FILE, JSON.stringify({ persons: [] }));
+    fs.writeFileSync(TRANSACTIONS_FILE, JSON.stringify({ transactions: {} }));
+
+    await expect(jsonStorage.getAllPeople()).rejects.toThrow('people.json has no "people" array. Restore it from people.json.bak.');
+    await expect(jsonStorage.getAllTransactions()).rejects.toThrow('transactions.json has no "transactions" array');
+    await expect(jsonStorage.createTransaction({ id: 'tx-1' })).rejects.toThrow(/no "transactions" array/);
+  });
+});
+
+describe('embedded photos', () => {
+  test('are counted without touching people.json', async () => {
+    const people = [
+      { id: 'p-1', name: 'Alice', wallet: WALLET, photos: ['data:image/jpeg;base64,AAAA'] },
+      { id: 'p-2', name: 'Bob', wallet: WALLET, photos: [] }
+    ];
+    fs.writeFileSync(PEOPLE_FILE, JSON.stringify({ people }));
+    const before = fs.readFileSync(PEOPLE_FILE, 'utf8');
+
+    expect(jsonStorage.countLegacyPeople()).toBe(1);
+    expect(fs.readFileSync(PEOPLE_FILE, 'utf8')).toBe(before);
+    expect(fs.existsSync(`${PEOPLE_FILE}.legacy.bak`)).toBe(false);
+  });
+
+  test('a missing file has none', () => {
+    expect(jsonStorage.countLegacyPeople(path.join(DATA_DIR, 'nobody.json'))).toBe(0);
+  });
+});
+
+describe('migrating embedded photos', () => {
+  async function photo(shade) {
+    const jpeg = await sharp({ create: { width: 32, height: 32, channels: 3, background: { r: shade, g: 100, b: 100 } } })
+      .jpeg()
+      .toBuffer();
+    return `data:image/jpeg;base64,${jpeg.toString('base64')}`;
+  }
+
+  /**
+   * A people file from before the image store: Alice's photos embedded, Bob's
+   * already converted
+   */
+  async function legacyFile() {
+    const stored = await imageStore.save(await photo(90));
+    const people = [
+      { id: 'p-1', name: 'Alice', wallet: WALLET, photos: [await photo(40), await photo(50), stored], photoCount: 3 },
+      { id: 'p-2', name: 'Bob', wallet: WALLET, photos: [stored], photoCount: 1 }
+    ];
+    fs.writeFileSync(PEOPLE_FILE, JSON.stringify({ people }));
+    return { people, stored, original: fs.readFileSync(PEOPLE_FILE, 'utf8') };
+  }
+
+  test('moves base64 photos to the image store and keeps the original as .legacy.bak', async () => {
+    const { stored, original } = await legacyFile();
+
+    expect(await jsonStorage.migrateLegacyPhotos()).toEqual({ people: 1, photos: 2 });
+
+    const [alice, bob] = read(PEOPLE_FILE).people;
+    expect(alice.photos).toHaveLength(3);
+    expect(alice.photos.every(id => imageStore.isImageId(id) && fs.existsSync(imageStore.imagePath(id)))).toBe(true);
+    expect(alice.photos[2]).toBe(stored);
+    expect(bob.photos).toEqual([stored]);
+    expect(fs.readFileSync(`${PEOPLE_FILE}.legacy.bak`, 'utf8')).toBe(original);
+    expect(jsonStorage.countLegacyPeople()).toBe(0);
+
+    const converted = fs.readFileSync(PEOPLE_FILE, 'utf8');
+    const migratedPhoto = await imageStore.read(alice.photos[0]);
+    expect(`data:image/jpeg;base64,${migratedPhoto.toString('base64')}`).toBe(JSON.parse(original).people[0].photos[0]);
+
+    // A second run finds nothing to do and leaves both files alone
+    expect(await jsonStorage.migrateLegacyPhotos()).toEqual({ people: 0, photos: 0 });
+    expect(fs.readFileSync(PEOPLE_FILE, 'utf8')).toBe(converted);
+    expect(fs.readFileSync(`${PEOPLE_FILE}.legacy.bak`, 'utf8')).toBe(original);
+  });
+
+  test('an interrupted migration leaves people.json as it was and can be run again', async () => {
+    const { original } = await legacyFile();
+    const rename = jest.spyOn(fs, 'renameSync').mockImplementationOnce(() => {
+      throw new Error('ENOSPC: no space left on device');
+    });
+
+    await expect(jsonStorage.migrateLegacyPhotos()).rejects.toThrow('ENOSPC');
+    rename.mockRestore();
+
+    expect(fs.readFileSync(PEOPLE_FILE, 'utf8')).toBe(original);
+    expect(fs.readFileSync(`${PEOPLE_FILE}.legacy.bak`, 'utf8')).toBe(original);
+    expect(fs.readdirSync(DATA_DIR).filter(file => file.endsWith('.tmp'))).toEqual([]);
+
+    expect(await jsonStorage.migrateLegacyPhotos()).toEqual({ people: 1, photos: 2 });
+    expect(jsonStorage.countLegacyPeople()).toBe(0);
+    expect(fs.readFileSync(`${PEOPLE_FILE}.legacy.bak`, 'utf8')).toBe(original);
+  });
+
+  test('an unreadable file is not converted', async () => {
+    fs.writeFileSync(PEOPLE_FILE, 'not json');
+
+    await expect(jsonStorage.migrateLegacyPhotos()).rejects.toThrow(/unreadable/);
+    expect(fs.existsSync(`${PEOPLE_FILE}.legacy.bak`)).toBe(false);
+  });
+
+  test('npm run migrate:photos converts the files it is given', async () => {
+    await legacyFile();
+    const file = path.join(DATA_DIR, 'copy.json');
+    fs.copyFileSync(PEOPLE_FILE, file);
+    const run = () => execFileSync(process.execPath, [path.join(__dirname, '../scripts/migrate-photos.js'), file], {
+      env: { ...process.env, DATA_DIR, IMAGE_STORE_DIR: process.env.IMAGE_STORE_DIR },
+      encoding: 'utf8',
+      timeout: 30000
+    });
+
+    expect(run()).toBe(`${file}: 2 photos of 1 people moved to the image store\n`);
+    expect(read(file).people[0].photos.every(id => imageStore.isImageId(id))).toBe(true);
+    expect(fs.existsSync(`${file}.legacy.bak`)).toBe(true);
+    expect(run()).toBe(`${file}: 0 photos of 0 people moved to the image store\n`);
+
+    // The live file was not touched
+    expect(jsonStorage.countLegacyPeople()).toBe(1);
+  });
+});
@@ -0,0 +1,127 @@
+process.env.LIVENESS_WINDOW_MS = '10000';
+process.env.LIVENESS_VALID_MS = '30000';
+process.env.FACE_MATCH_ENABLED = 'true';
+process.env.LOG_LEVEL = 'error';
+
+const faceMatcher = require('../src/services/faceMatcher');
+const livenessDetector = require('../src/services/livenessDetector');
+
+const NOW = new Date('2026-01-01T12:00:00Z').getTime();
+const FRAME = 'data:image/jpeg;base64,AAAA';
+
+// Stand-ins for embeddings: the same letter is the same person
+const ALICE = Float32Array.from([1]);
+const BOB = Float32Array.from([2]);
+
+/**
+ * 68 landmarks facing the camera with open eyes, the nose shifted by
+ * `headTurn` eye distances
+ */
+function landmarks(headTurn) {
+  const points = Array.from({ length: 68 }, () => ({ x: 50, y: 60 }));
+  const eye = cx => [
+    { x: cx - 5, y: 50 }, { x: cx - 2, y: 48 }, { x: cx + 2, y: 48 },
+    { x: cx + 5, y: 50 }, { x: cx + 2, y: 52 }, { x: cx - 2, y: 52 }
+  ];
+  points.splice(36, 6, ...eye(40));
+  points.splice(42, 6, ...eye(60));
+  points[30] = { x: 50 + headTurn * 20, y: 60 };
+  return points;
+}
+
+/**
+ * Show a frame in which detectFace finds `face` turned by `headTurn`
+ */
+async function show(sessionId, face, headTurn) {
+  faceMatcher.detectFace.mockResolvedValueOnce(face ? { landmarks: landmarks(headTurn), descriptor: face } : null);
+  const status = await livenessDetector.addFrame(sessionId, FRAME);
+  jest.advanceTimersByTime(500);
+  return status;
+}
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+  jest.spyOn(faceMatcher, 'detectFace');
+  jest.spyOn(faceMatcher, 'similarity').mockImplementation((a, b) => (a[0] === b[0] ? 0.9 : 0.1));
+  livenessDetector.sessions.clear();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('liveness detector', () => {
+  test('a head turn passes and keeps the face that made it', async () => {
+    await show('s1', ALICE, 0);
+    const status = await show('s1', ALICE, 0.2);
+
+    expect(status).toMatchObject({ checked: true, passed: true, faceDetected: true, headTurn: 1, challenge: null });
+    expect(livenessDetector.passedFace('s1')).toBe(ALICE);
+    expect(livenessDetector.passedFace('s2')).toBeNull();
+  });
+
+  test('a head turn split across two faces does not pass', async () => {
+    await show('s1', ALICE, 0);
+    const status = await show('s1', BOB, 0.2);
+
+    expect(status).toMatchObject({ passed: false, headTurn: 0, challenge: expect.any(String) });
+    expect(livenessDetector.passedFace('s1')).toBeNull();
+  });
+
+  test('a still face does not pass', async () => {
+    await show('s1', ALICE, 0.05);
+    await show('s1', null);
+    const status = await show('s1', ALICE, 0.1);
+
+    expect(status).toMatchObject({ passed: false, faceDetected: true });
+  });
+
+  test('the pass and its face expire', async () => {
+    await show('s1', ALICE, 0);
+    await show('s1', ALICE, 0.2);
+
+    jest.advanceTimersByTime(30 * 1000);
+
+    expect(livenessDetector.status('s1').passed).toBe(false);
+    expect(livenessDetector.passedFace('s1')).toBeNull();
+  });
+});
+
+describe('face matching after a liveness pass', () => {
+  const frame = () => ({ data: FRAME, receivedAt: Date.now() });
+  const person = { id: 'person-alice', name: 'Alice', photos: ['alice.jpg'] };
+
+  beforeEach(() => {
+    jest.spyOn(faceMatcher, 'embedPhoto').mockResolvedValue(ALICE);
+  });
+
+  test('a different face than the one that passed is rejected', async () => {
+    jest.spyOn(faceMatcher, 'embed').mockResolvedValue(ALICE);
+
+    const result = await faceMatcher.verify(frame(), person, [person], { liveFace: BOB });
+
+    expect(result).toMatchObject({
+      matched: false,
+      reason: 'The face in the video is not the one that passed the liveness check'
+    });
+  });
+
+  test('the face that passed is matched against the enrolled photos', async () => {
+    jest.spyOn(faceMatcher, 'embed').mockResolvedValue(ALICE);
+
+    expect(await faceMatcher.verify(frame(), person, [person], { liveFace: ALICE })).toMatchObject({ matched: true, similarity: 0.9 });
+  });
+
+  test('the face is compared even with matching off', async () => {
+    jest.spyOn(faceMatcher, 'embed').mockResolvedValue(BOB);
+    faceMatcher.enabled = false;
+
+    try {
+      expect(await faceMatcher.verify(frame(), person, [], { liveFace: ALICE })).toMatchObject({ matched: false });
+      expect(await faceMatcher.verify(frame(), person, [], { liveFace: BOB })).toMatchObject({ matched: true, reason: 'Face matching is disabled' });
+    } finally {
+      faceMatcher.enabled = true;
+    }
+  });
+});
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const db = require('../src/config/database');
+const logger = require('../src/utils/logger');
+const migrationRunner = require('../src/services/migrationRunner');
+
+const DATABASE_DIR = path.join(__dirname, '../../database');
+const VERSIONS = migrationRunner.list().map(m => m.version);
+const LATEST = VERSIONS[VERSIONS.length - 1];
+
+const sqlOf = file => fs.readFileSync(path.join(DATABASE_DIR, file), 'utf8');
+
+/**
+ * A database that records the SQL it runs and keeps `schema_migrations` in
+ * memory. pg_advisory_xact_lock is held until the transaction ends, and a
+ * transaction that throws is rolled back.
+ */
+function fakeDatabase({ people = false } = {}) {
+  const state = {
+    people,
+    tracking: false,
+    applied: new Map(),
+    executed: [],
+    lockHolders: [],
+    failOn: null
+  };
+  let lock = Promise.resolve();
+
+  async function query(text, params = []) {
+    const sql = text.replace(/\s+/g, ' ').trim();
+
+    if (sql.startsWith('SELECT to_regclass')) {
+      return { rows: [{ tracking: state.tracking ? 'schema_migrations' : null, people: state.people ? 'people' : null }] };
+    }
+    if (sql.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) {
+      state.tracking = true;
+      return { rows: [] };
+    }
+    if (sql.startsWith("INSERT INTO schema_migrations (version, name, checksum) VALUES ('000'")) {
+      if (!state.applied.has('000')) state.applied.set('000', params[0]);
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT version, checksum FROM schema_migrations')) {
+      const versions = [...state.applied.keys()].sort();
+      return { rows: versions.map(version => ({ version, checksum: state.applied.get(version) })) };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+
+  async function transaction(callback) {
+    let locked = false;
+    let unlock = () => {};
+    const snapshot = new Map(state.applied);
+
+    const client = {
+      async query(text, params = []) {
+        const sql = text.replace(/\s+/g, ' ').trim();
+
+        if (sql === 'SELECT pg_advisory_xact_lock($1)') {
+          const previous = lock;
+          lock = new Promise(resolve => { unlock = resolve; });
+          await previous;
+          locked = true;
+          state.lockHolders.push(params[0]);
+          return { rows: [] };
+        }
+        if (sql.startsWith('SELECT 1 FROM schema_migrations WHERE version = $1')) {
+          return { rows: state.applied.has(params[0]) ? [{}] : [] };
+        }
+        if (sql.startsWith('INSERT INTO schema_migrations (version, name, checksum)')) {
+          state.applied.set(params[0], params[2]);
+          return { rows: [] };
+        }
+        if (sql.startsWith('DELETE FROM schema_migrations WHERE version = $1')) {
+          state.applied.delete(params[0]);
+          return { rows: [] };
+        }
+
+        if (!locked) throw new Error('Migration SQL ran without the advisory lock');
+        if (text === state.failOn) throw new Error('syntax error at or near "TABLE"');
+        state.executed.push(text);
+        return { rows: [] };
+      }
+    };
+
+    try {
+      return await callback(client);
+    } catch (error) {
+      state.applied = snapshot;
+      throw error;
+    } finally {
+      unlock();
+    }
+  }
+
+  return { state, query, transaction };
+}
+
+let database;
+
+beforeEach(() => {
+  database = fakeDatabase();
+  db.query.mockImplementation(database.query);
+  db.transaction.mockImplementation(database.transaction);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('migration runner', () => {
+  test('lists schema.sql as 000, then the numbered migrations in order', () => {
+    const migrations = migrationRunner.list();
+
+    expect(migrations[0]).toMatchObject({ version: '000', name: 'schema' });
+    expect(VERSIONS).toEqual([...VERSIONS].sort());
+    expect(migrations.every(m => fs.existsSync(m.file) && fs.existsSync(m.downFile))).toBe(true);
+    expect(migrations.some(m => m.file.endsWith('.down.sql'))).toBe(false);
+  });
+
+  test('up applies every pending migration once, each under the advisory lock', async () => {
+    const applied = await migrationRunner.up();
+
+    expect(applied.map(m => m.version)).toEqual(VERSIONS);
+    expect(database.state.executed).toEqual(migrationRunner.list().map(m => fs.readFileSync(m.file, 'utf8')));
+    expect(database.state.lockHolders).toHaveLength(VERSIONS.length);
+    expect(new Set(database.state.lockHolders).size).toBe(1);
+    expect(database.state.applied.get('000')).toBe(migrationRunner.checksum(path.join(DATABASE_DIR, 'schema.sql')));
+
+    expect(await migrationRunner.up()).toEqual([]);
+    expect(database.state.executed).toHaveLength(VERSIONS.length);
+  });
+
+  test('two runners at once apply each migration only once', async () => {
+    await Promise.all([migrationRunner.up(), migrationRunner.up()]);
+
+    expect(database.state.executed).toHaveLength(VERSIONS.length);
+    expect([...database.state.applied.keys()]).toEqual(VERSIONS);
+  });
+
+  test('a failing migration is rolled back and stops the run', async () => {
+    database.state.failOn = sqlOf('migrations/002_add_idempotency_key.sql');
+
+    await expect(migrationRunner.up()).rejects.toThrow('syntax error');
+
+    expect([...database.state.applied.keys()]).toEqual(['000', '001']);
+    expect((await migrationRunner.status()).pending.map(m => m.version)).toEqual(VERSIONS.slice(2));
+  });
+
+  test('a database set up by hand is baselined at 000 without running schema.sql', async () => {
+    database.state.people = true;
+
+    await migrationRunner.up();
+
+    expect(database.state.executed).not.toContain(sqlOf('schema.sql'));
+    expect(database.state.executed).toHaveLength(VERSIONS.length - 1);
+    expect([...database.state.applied.keys()]).toEqual(VERSIONS);
+  });
+
+  test('down reverts the latest migrations with their down files', async () => {
+    await migrationRunner.up();
+    database.state.executed = [];
+
+    const reverted = await migrationRunner.down(2);
+
+    expect(reverted.map(m => m.version)).toEqual([LATEST, VERSIONS[VERSIONS.length - 2]]);
+    expect(database.state.executed).toEqual(reverted.map(m => fs.readFileSync(m.downFile, 'utf8')));
+    expect((await migrationRunner.status()).current).toBe(VERSIONS[VERSIONS.length - 3]);
+    expect(database.state.lockHolders).toHaveLength(VERSIONS.length + 2);
+  });
+
+  test('down refuses to start when a down file is missing', async () => {
+    await migrationRunner.up();
+    database.state.executed = [];
+    const existsSync = fs.existsSync;
+    const missing = migrationRunner.list()[VERSIONS.length - 2].downFile;
+    jest.spyOn(fs, 'existsSync').mockImplementation(file => file !== missing && existsSync(file));
+
+    await expect(migrationRunner.down(2)).rejects.toThrow(`No down migration for ${path.basename(missing, '.down.sql')}`);
+
+    expect(database.state.executed).toEqual([]);
+    expect([...database.state.applied.keys()]).toEqual(VERSIONS);
+  });
+
+  test('check fails with the pending migrations and how to apply them', async () => {
+    database.state.applied.set('000', null);
+    database.state.tracking = true;
+
+    await expect(migrationRunner.check()).rejects.toThrow(
+      `Database schema is at version 000, expected ${LATEST}. Pending migrations: ${migrationRunner.list().slice(1).map(m => `${m.version}_${m.name}`).join(', ')}.`
+    );
+    expect(database.state.executed).toEqual([]);
+  });
+
+  test('check applies pending migrations when asked to', async () => {
+    const status = await migrationRunner.check({ autoApply: true });
+
+    expect(status).toMatchObject({ current: LATEST, latest: LATEST, pending: [] });
+    expect(database.state.executed).toHaveLength(VERSIONS.length);
+  });
+
+  test('check warns about migrations changed after they were applied', async () => {
+    await migrationRunner.up();
+    database.state.applied.set('001', 'an older checksum');
+    const warn = jest.spyOn(logger, 'warn');
+
+    const status = await migrationRunner.check();
+
+    expect(status.modified.map(m => m.version)).toEqual(['001']);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('001_add_locus_fields was changed after it was applied'));
+  });
+});
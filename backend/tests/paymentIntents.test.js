@@ -0,0 +1,109 @@
+process.env.PAYMENT_INTENT_TTL_MS = '30000';
+process.env.LOG_LEVEL = 'error';
+
+const paymentIntents = require('../src/services/paymentIntents');
+
+const ALICE = { id: 'person-alice', name: 'Alice', wallet: '0x1111111111111111111111111111111111111111', photos: ['a.jpg'] };
+
+function issue(overrides = {}) {
+  return paymentIntents.issue({
+    sessionId: 'session-1',
+    agreementKey: 'agreement-1:person-alice',
+    recipient: ALICE,
+    amount: 0.05,
+    verbalQuote: 'Five cents, deal',
+    confidence: 0.9,
+    ...overrides
+  });
+}
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z') });
+  paymentIntents.intents.clear();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('payment intents', () => {
+  test('are issued for a recipient and amount, with the agreement as idempotency key', () => {
+    const intent = issue();
+
+    expect(intent).toMatchObject({
+      sessionId: 'session-1',
+      idempotencyKey: 'session-1:agreement-1:person-alice',
+      recipient: { id: ALICE.id, name: 'Alice', wallet: ALICE.wallet },
+      amount: 0.05,
+      status: 'issued',
+      expiresAt: '2026-01-01T12:00:30.000Z'
+    });
+    expect(intent.recipient.photos).toBeUndefined();
+    expect(paymentIntents.get(intent.id)).toBe(intent);
+    expect(paymentIntents.get('unknown')).toBeNull();
+  });
+
+  test('can be redeemed only once', () => {
+    const intent = issue();
+
+    expect(paymentIntents.redeem(intent.id)).toMatchObject({ valid: true, intent: { status: 'redeemed' } });
+    expect(paymentIntents.redeem(intent.id)).toEqual({ valid: false, intent, reason: 'Payment intent already redeemed' });
+    expect(paymentIntents.redeem('unknown')).toEqual({ valid: false, reason: 'Unknown payment intent' });
+  });
+
+  test('cannot be redeemed after they expire', () => {
+    const intent = issue();
+
+    jest.advanceTimersByTime(30001);
+
+    expect(paymentIntents.redeem(intent.id)).toEqual({ valid: false, intent, reason: 'Payment intent expired' });
+    expect(intent.status).toBe('expired');
+    expect(paymentIntents.redeem(intent.id).reason).toBe('Payment intent already expired');
+  });
+
+  test('expired intents are dropped when the next one is issued', () => {
+    const old = issue();
+    jest.advanceTimersByTime(30001);
+    const current = issue();
+
+    expect(paymentIntents.get(old.id)).toBeNull();
+    expect(paymentIntents.get(current.id)).toBe(current);
+  });
+
+  test('can be cancelled until they are redeemed', () => {
+    const cancelled = issue();
+    const redeemed = issue();
+    paymentIntents.redeem(redeemed.id);
+
+    expect(paymentIntents.cancel(cancelled.id)).toMatchObject({ status: 'cancelled' });
+    expect(paymentIntents.redeem(cancelled.id).reason).toBe('Payment intent already cancelled');
+    expect(paymentIntents.cancel(cancelled.id, 'expired')).toBeNull();
+    expect(paymentIntents.cancel(redeemed.id)).toBeNull();
+    expect(redeemed.status).toBe('redeemed');
+  });
+
+  test('only a redeemed intent can be marked failed', () => {
+    const issued = issue();
+    const redeemed = issue();
+    paymentIntents.redeem(redeemed.id);
+
+    paymentIntents.markFailed(issued.id);
+    paymentIntents.markFailed(redeemed.id);
+    paymentIntents.markFailed('unknown');
+
+    expect(issued.status).toBe('issued');
+    expect(redeemed.status).toBe('failed');
+    expect(paymentIntents.redeem(redeemed.id).reason).toBe('Payment intent already failed');
+  });
+
+  test("revoking a session removes only that session's intents", () => {
+    const mine = issue();
+    const theirs = issue({ sessionId: 'session-2' });
+
+    paymentIntents.revokeSession('session-1');
+
+    expect(mine.status).toBe('revoked');
+    expect(paymentIntents.redeem(mine.id).reason).toBe('Unknown payment intent');
+    expect(paymentIntents.redeem(theirs.id).valid).toBe(true);
+  });
+});
@@ -0,0 +1,77 @@
+process.env.PAYMENT_CURRENCY = 'USDC';
+process.env.PAYMENT_PROVIDER = 'sandbox';
+process.env.PAYMENT_FALLBACKS = 'backup';
+process.env.LOG_LEVEL = 'error';
+
+const paymentProviders = require('../src/services/payments');
+const sandbox = require('../src/services/payments/sandboxProvider');
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+
+const backup = {
+  name: 'backup',
+  currency: 'USDC',
+  send: jest.fn()
+};
+paymentProviders.register('backup', () => backup);
+
+beforeEach(() => {
+  sandbox.reset({ balance: 1, confirmAfter: 1 });
+  backup.send.mockReset().mockResolvedValue({ reference: 'backup-1', txHash: '0xbackup', status: 'pending' });
+});
+
+describe('payment provider fallback', () => {
+  test('the primary provider pays when it can', async () => {
+    const { provider, result } = await paymentProviders.send(WALLET, 0.05);
+
+    expect(provider.name).toBe('sandbox');
+    expect(result).toMatchObject({ reference: 'sandbox_1', status: 'pending' });
+    expect(backup.send).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['insufficient balance', () => sandbox.reset({ balance: 0.01 })],
+    ['a rejected wallet', () => sandbox.reset({ failWallets: [WALLET] })],
+    ['a failure before submission', () => sandbox.failNext('Provider unavailable')]
+  ])('falls back after %s, when nothing was sent', async (_, arrange) => {
+    arrange();
+
+    const { provider, result } = await paymentProviders.send(WALLET, 0.05);
+
+    expect(provider.name).toBe('backup');
+    expect(result.reference).toBe('backup-1');
+    expect(sandbox.payments.size).toBe(0);
+  });
+
+  test('does not fall back when the payment may have been sent', async () => {
+    sandbox.failNext('Timed out waiting for receipt', { sent: true });
+
+    const error = await paymentProviders.send(WALLET, 0.05).catch(e => e);
+
+    expect(error).toMatchObject({
+      message: 'Timed out waiting for receipt',
+      provider: 'sandbox',
+      reference: 'sandbox_1'
+    });
+    expect(error.notSent).toBeUndefined();
+    expect(backup.send).not.toHaveBeenCalled();
+    expect(sandbox.balance).toBe(0.95);
+  });
+
+  test('reports when no provider sent anything', async () => {
+    sandbox.failNext('Provider unavailable');
+    backup.send.mockRejectedValue(Object.assign(new Error('Backup down'), { notSent: true }));
+
+    await expect(paymentProviders.send(WALLET, 0.05)).rejects.toMatchObject({
+      message: 'All payment providers failed (sandbox: Provider unavailable; backup: Backup down)',
+      notSent: true
+    });
+  });
+
+  test('never routes to a provider in another currency', async () => {
+    await expect(paymentProviders.send(WALLET, 0.05, {}, 'ETH')).rejects.toMatchObject({
+      message: 'No payment provider configured for ETH',
+      notSent: true
+    });
+  });
+});
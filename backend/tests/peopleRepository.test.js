@@ -0,0 +1,217 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'people-repository-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.IMAGE_STORE_DIR = path.join(DATA_DIR, 'images');
+process.env.PEOPLE_STORAGE = 'postgres';
+process.env.LOG_LEVEL = 'error';
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const db = require('../src/config/database');
+const imageStore = require('../src/services/imageStore');
+const peopleRepository = require('../src/services/peopleRepository');
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+const JSON_COLUMNS = ['photos', 'metadata'];
+
+/**
+ * An in-memory `people` table answering the queries the repository sends.
+ * Transactions run one at a time, like rows held with FOR UPDATE, and are
+ * rolled back when their callback throws.
+ */
+function fakePeopleTable() {
+  let rows = new Map();
+  let lock = Promise.resolve();
+
+  async function query(text, params = []) {
+    const sql = text.replace(/\s+/g, ' ').trim();
+
+    if (sql.startsWith('SELECT * FROM people WHERE id = $1')) {
+      return { rows: rows.has(params[0]) ? [{ ...rows.get(params[0]) }] : [] };
+    }
+    if (sql.startsWith('SELECT * FROM people ORDER BY')) {
+      return { rows: [...rows.values()] };
+    }
+    if (sql.startsWith('SELECT 1 FROM people WHERE photos ? $1')) {
+      return { rows: [...rows.values()].filter(row => row.photos.includes(params[0])).map(() => ({ '?column?': 1 })) };
+    }
+    if (sql.startsWith('INSERT INTO people (name, wallet_address, photos)')) {
+      const row = {
+        id: crypto.randomUUID(),
+        name: params[0],
+        wallet_address: params[1],
+        photos: JSON.parse(params[2]),
+        email: null,
+        phone: null,
+        face_person_id: null,
+        metadata: null,
+        created_at: new Date(),
+        updated_at: null
+      };
+      rows.set(row.id, row);
+      return { rows: [{ ...row }], rowCount: 1 };
+    }
+    if (sql.startsWith('UPDATE people SET')) {
+      const row = { ...rows.get(params[0]), updated_at: new Date() };
+      for (const [, column, index] of sql.matchAll(/(\w+) = \$(\d+)/g)) {
+        if (column === 'id') continue;
+        const value = params[index - 1];
+        row[column] = JSON_COLUMNS.includes(column) ? JSON.parse(value) : value;
+      }
+      rows.set(row.id, row);
+      return { rows: [{ ...row }], rowCount: 1 };
+    }
+    if (sql.startsWith('DELETE FROM people WHERE id = $1')) {
+      const row = rows.get(params[0]);
+      rows.delete(params[0]);
+      return { rows: row ? [{ photos: row.photos }] : [], rowCount: row ? 1 : 0 };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+
+  async function transaction(callback) {
+    const previous = lock;
+    let unlock;
+    lock = new Promise(resolve => { unlock = resolve; });
+    await previous;
+
+    const snapshot = new Map(rows);
+    try {
+      return await callback({ query });
+    } catch (error) {
+      rows = snapshot;
+      throw error;
+    } finally {
+      unlock();
+    }
+  }
+
+  return { query, transaction, get rows() { return rows; } };
+}
+
+async function photo(shade) {
+  const jpeg = await sharp({ create: { width: 32, height: 32, channels: 3, background: { r: shade, g: 100, b: 100 } } })
+    .jpeg()
+    .toBuffer();
+  return `data:image/jpeg;base64,${jpeg.toString('base64')}`;
+}
+
+let table;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  table = fakePeopleTable();
+  db.query.mockImplementation(table.query);
+  db.transaction.mockImplementation(table.transaction);
+});
+
+afterAll(() => {
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+describe('Postgres people repository', () => {
+  test('reports the storage it selected', () => {
+    expect(peopleRepository.storage).toBe('postgres');
+  });
+
+  test('stores new photos in the image store and returns people in the shared shape', async () => {
+    const person = await peopleRepository.createPerson('Alice', WALLET, [await photo(40), await photo(50)]);
+
+    expect(person).toEqual({
+      id: expect.any(String),
+      name: 'Alice',
+      wallet: WALLET,
+      photos: [expect.any(String), expect.any(String)],
+      photoCount: 2,
+      email: null,
+      phone: null,
+      facePersonId: null,
+      metadata: {},
+      createdAt: expect.any(String),
+      updatedAt: null
+    });
+    expect(person.photos.every(id => imageStore.isImageId(id))).toBe(true);
+    expect(person.photos.every(id => fs.existsSync(imageStore.imagePath(id)))).toBe(true);
+    expect(await peopleRepository.getPersonById(person.id)).toEqual(person);
+  });
+
+  test('IDs that are not UUIDs are not looked up', async () => {
+    expect(await peopleRepository.getPersonById('person-1')).toBeNull();
+    expect(await peopleRepository.updatePerson('person-1', { name: 'Bob' })).toBeNull();
+    expect(await peopleRepository.deletePerson('person-1')).toBe(false);
+    expect(db.query).not.toHaveBeenCalled();
+    expect(db.transaction).not.toHaveBeenCalled();
+  });
+
+  test('updates map fields to their columns and set updatedAt', async () => {
+    const { id } = await peopleRepository.createPerson('Alice', WALLET, []);
+
+    const person = await peopleRepository.updatePerson(id, { name: 'Alicia', metadata: { vip: true }, createdAt: 'ignored' });
+
+    expect(person).toMatchObject({ name: 'Alicia', metadata: { vip: true }, updatedAt: expect.any(String) });
+    expect(table.rows.get(id)).toMatchObject({ name: 'Alicia', metadata: { vip: true } });
+  });
+
+  test('a function update sees the locked row, so concurrent edits are all kept', async () => {
+    const { id, photos } = await peopleRepository.createPerson('Alice', WALLET, [await photo(40)]);
+    const added = [await photo(50), await photo(60)];
+
+    await Promise.all(added.map(dataUrl =>
+      peopleRepository.updatePerson(id, current => ({ photos: [...current.photos, dataUrl] }))
+    ));
+
+    const stored = await peopleRepository.getPersonById(id);
+    expect(stored.photoCount).toBe(3);
+    expect(stored.photos[0]).toBe(photos[0]);
+    expect(db.transaction).toHaveBeenCalledTimes(2);
+  });
+
+  test('a function update that throws changes nothing', async () => {
+    const { id, photos } = await peopleRepository.createPerson('Alice', WALLET, [await photo(40)]);
+
+    await expect(peopleRepository.updatePerson(id, () => {
+      throw Object.assign(new Error('At least 3 photos are required'), { status: 400 });
+    })).rejects.toMatchObject({ status: 400 });
+
+    expect(table.rows.get(id)).toMatchObject({ name: 'Alice', photos, updated_at: null });
+    expect(fs.existsSync(imageStore.imagePath(photos[0]))).toBe(true);
+  });
+
+  test('an unknown person is not updated', async () => {
+    const update = jest.fn();
+
+    expect(await peopleRepository.updatePerson(crypto.randomUUID(), update)).toBeNull();
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test('replaced photos are released unless someone else uses them', async () => {
+    const shared = await photo(40);
+    const alice = await peopleRepository.createPerson('Alice', WALLET, [shared, await photo(50)]);
+    await peopleRepository.createPerson('Bob', WALLET, [shared]);
+
+    await peopleRepository.updatePerson(alice.id, { photos: [await photo(60)] });
+
+    expect(fs.existsSync(imageStore.imagePath(alice.photos[0]))).toBe(true);
+    expect(fs.existsSync(imageStore.imagePath(alice.photos[1]))).toBe(false);
+  });
+
+  test('deleting a person releases their photos', async () => {
+    const person = await peopleRepository.createPerson('Alice', WALLET, [await photo(70)]);
+
+    expect(await peopleRepository.deletePerson(person.id)).toBe(true);
+    expect(await peopleRepository.deletePerson(person.id)).toBe(false);
+    expect(fs.existsSync(imageStore.imagePath(person.photos[0]))).toBe(false);
+    expect(await peopleRepository.getAllPeople()).toEqual([]);
+  });
+
+  test('a failed query is passed on', async () => {
+    db.query.mockRejectedValue(new Error('connection refused'));
+
+    await expect(peopleRepository.getAllPeople()).rejects.toThrow('connection refused');
+  });
+});
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const axios = require('axios');
+const sharp = require('sharp');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'photo-quality-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.IMAGE_STORE_DIR = path.join(DATA_DIR, 'images');
+process.env.PEOPLE_STORAGE = 'json';
+process.env.PHOTO_QUALITY_MODE = 'reject';
+process.env.FACE_MATCH_ENABLED = 'false';
+process.env.FACE_VERIFICATION_PROVIDER = 'none';
+process.env.LOG_LEVEL = 'error';
+
+const logger = require('../src/utils/logger');
+const faceMatcher = require('../src/services/faceMatcher');
+const photoQuality = require('../src/services/photoQuality');
+const enrollmentController = require('../src/controllers/enrollmentController');
+
+const SIZE = 128;
+const WALLET = '0x2222222222222222222222222222222222222222';
+
+/**
+ * A PNG of grey noise between `low` and `high` - sharp, and lit by where the
+ * range lies. The same seed gives the same pattern.
+ */
+async function noise(seed, low = 60, high = 200) {
+  const pixels = Buffer.alloc(SIZE * SIZE * 3);
+  for (let i = 0; i < SIZE * SIZE; i++) {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+    const random = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    pixels.fill(low + Math.floor(random * (high - low)), i * 3, i * 3 + 3);
+  }
+  return sharp(pixels, { raw: { width: SIZE, height: SIZE, channels: 3 } }).png().toBuffer();
+}
+
+async function flat(grey) {
+  return sharp({ create: { width: SIZE, height: SIZE, channels: 3, background: { r: grey, g: grey, b: grey } } }).png().toBuffer();
+}
+
+const dataUrl = image => `data:image/png;base64,${image.toString('base64')}`;
+
+/**
+ * 68 landmarks facing the camera, the nose shifted by `headTurn` eye distances
+ */
+function landmarks(headTurn) {
+  const points = Array.from({ length: 68 }, () => ({ x: 64, y: 70 }));
+  const eye = cx => [
+    { x: cx - 5, y: 50 }, { x: cx - 2, y: 48 }, { x: cx + 2, y: 48 },
+    { x: cx + 5, y: 50 }, { x: cx + 2, y: 52 }, { x: cx - 2, y: 52 }
+  ];
+  points.splice(36, 6, ...eye(54));
+  points.splice(42, 6, ...eye(74));
+  points[30] = { x: 64 + headTurn * 20, y: 70 };
+  return points;
+}
+
+/**
+ * What detectAll finds: one face `size` of the image high, or `count` of them
+ */
+function detection({ size = 1, headTurn = 0, count = 1 } = {}) {
+  const face = {
+    box: { x: 0, y: 0, width: SIZE * size, height: SIZE * size },
+    score: 0.9,
+    landmarks: landmarks(headTurn)
+  };
+  return { width: SIZE, height: SIZE, faces: Array.from({ length: count }, () => face) };
+}
+
+beforeEach(() => {
+  photoQuality.analyses.clear();
+  photoQuality.mode = 'reject';
+  jest.spyOn(faceMatcher, 'detectAll').mockResolvedValue(detection());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+describe('photo quality', () => {
+  test('a sharp, well-lit photo of one large face passes', async () => {
+    const result = await photoQuality.check([await noise(1)]);
+
+    expect(result).toMatchObject({ passed: true, mode: 'reject', warnings: [] });
+    expect(result.photos).toEqual([{
+      index: 0,
+      faces: 1,
+      faceSize: 1,
+      sharpness: expect.any(Number),
+      brightness: expect.any(Number),
+      headTurn: 0,
+      issues: []
+    }]);
+    expect(result.photos[0].sharpness).toBeGreaterThanOrEqual(photoQuality.thresholds.minSharpness);
+    expect(result.photos[0].brightness).toBeGreaterThan(photoQuality.thresholds.minBrightness);
+    expect(result.photos[0].brightness).toBeLessThan(photoQuality.thresholds.maxBrightness);
+  });
+
+  test.each([
+    ['no face', () => noise(1), detection({ count: 0 }), 'No face found'],
+    ['two faces', () => noise(1), detection({ count: 2 }), '2 faces found - only the person enrolling should be in the photo'],
+    ['a small face', () => noise(1), detection({ size: 0.15 }), 'Face too small - move closer to the camera'],
+    ['a blurry face', () => flat(128), detection(), 'Too blurry - hold still'],
+    ['a dark face', () => noise(1, 0, 40), detection(), 'Too dark'],
+    ['a bright face', () => noise(1, 225, 255), detection(), 'Too bright']
+  ])('a photo with %s is flagged', async (_, image, found, issue) => {
+    faceMatcher.detectAll.mockResolvedValue(found);
+
+    const result = await photoQuality.check([await image()]);
+
+    expect(result.passed).toBe(false);
+    expect(result.photos[0].issues).toContain(issue);
+  });
+
+  test('an image that does not decode is flagged without running the detector', async () => {
+    const result = await photoQuality.check([Buffer.from('not an image')]);
+
+    expect(result.photos[0].issues).toEqual(['Could not read image']);
+    expect(faceMatcher.detectAll).not.toHaveBeenCalled();
+  });
+
+  test('detector failures are passed on, not blamed on the photo', async () => {
+    faceMatcher.detectAll.mockRejectedValue(new Error('Failed to load face models'));
+
+    await expect(photoQuality.check([await noise(1)])).rejects.toThrow('Failed to load face models');
+  });
+
+  test('near-identical photos are flagged, even when the lighting changed', async () => {
+    const result = await photoQuality.check([await noise(1), await noise(2), await noise(1, 70, 210)]);
+
+    expect(result.passed).toBe(false);
+    expect(result.photos.map(photo => photo.issues)).toEqual([[], [], ['Nearly identical to photo 1']]);
+  });
+
+  test('a set that shows only one pose gets a warning, not an issue', async () => {
+    const images = [await noise(1), await noise(2), await noise(3)];
+
+    const same = await photoQuality.check(images);
+    expect(same.passed).toBe(true);
+    expect(same.warnings).toEqual(['All photos show the same pose - turn the head slightly left and right between photos']);
+
+    photoQuality.analyses.clear();
+    faceMatcher.detectAll
+      .mockResolvedValueOnce(detection({ headTurn: 0 }))
+      .mockResolvedValueOnce(detection({ headTurn: -0.3 }))
+      .mockResolvedValueOnce(detection({ headTurn: 0.3 }));
+
+    expect((await photoQuality.check(images)).warnings).toEqual([]);
+  });
+
+  test('photos already analysed are not run through the detector again', async () => {
+    const image = await noise(1);
+
+    await photoQuality.check([image]);
+    await photoQuality.check([image, await noise(2)]);
+
+    expect(faceMatcher.detectAll).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('photo quality in the enrollment API', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json({ limit: '5mb' }));
+    app.use('/api/enroll', enrollmentController);
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/enroll`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    fs.writeFileSync(path.join(DATA_DIR, 'people.json'), JSON.stringify({ people: [] }));
+  });
+
+  const post = (url, data) => axios.post(`${baseUrl}${url}`, data, { validateStatus: () => true });
+
+  async function enroll(images) {
+    return post('', { name: 'Bob', wallet_address: WALLET, photos: images.map(dataUrl) });
+  }
+
+  test('POST /check-photos reports on each photo', async () => {
+    const response = await post('/check-photos', { photos: [dataUrl(await noise(1)), dataUrl(await flat(128))] });
+
+    expect(response.status).toBe(200);
+    expect(response.data).toMatchObject({
+      success: true,
+      quality: {
+        passed: false,
+        mode: 'reject',
+        photos: [
+          { index: 0, faces: 1, issues: [] },
+          { index: 1, faces: 1, issues: ['Too blurry - hold still'] }
+        ]
+      }
+    });
+  });
+
+  test('POST /check-photos refuses anything but data URLs and image IDs', async () => {
+    const response = await post('/check-photos', { photos: ['https://example.com/face.jpg'] });
+
+    expect(response.status).toBe(400);
+    expect(response.data.error).toBe('photos must be base64 image data URLs or image IDs');
+  });
+
+  test('POST /check-photos has no report when the detector fails', async () => {
+    faceMatcher.detectAll.mockRejectedValue(new Error('Failed to load face models'));
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    const response = await post('/check-photos', { photos: [dataUrl(await noise(1))] });
+
+    expect(response.status).toBe(200);
+    expect(response.data).toEqual({ success: true, quality: null });
+    expect(error).toHaveBeenCalledWith('Error checking photo quality:', expect.any(Error));
+  });
+
+  test('in reject mode, enrollment with a bad photo is refused', async () => {
+    const response = await enroll([await noise(1), await noise(2), await flat(128)]);
+
+    expect(response.status).toBe(400);
+    expect(response.data.error).toBe('Some photos are not good enough for face recognition');
+    expect(response.data.quality.photos[2].issues).toEqual(['Too blurry - hold still']);
+  });
+
+  test('in warn mode, enrollment with a bad photo goes ahead with the report', async () => {
+    photoQuality.mode = 'warn';
+
+    const response = await enroll([await noise(1), await noise(2), await flat(128)]);
+
+    expect(response.status).toBe(201);
+    expect(response.data.quality).toMatchObject({ passed: false, mode: 'warn' });
+  });
+
+  test('a broken detector does not block enrollment', async () => {
+    faceMatcher.detectAll.mockRejectedValue(new Error('Failed to load face models'));
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    const response = await enroll([await noise(1), await noise(2), await noise(3)]);
+
+    expect(response.status).toBe(201);
+    expect(response.data.quality).toBeNull();
+    expect(error).toHaveBeenCalledWith('Error checking photo quality:', expect.any(Error));
+  });
+});
@@ -0,0 +1,151 @@
+process.env.PAYMENT_CURRENCY = 'USDC';
+process.env.GEMINI_LIVE_MODE = 'replay';
+process.env.LOG_LEVEL = 'error';
+
+const spendingPolicy = require('../src/services/spendingPolicy');
+const transactionLedger = require('../src/services/transactionLedger');
+const geminiLive = require('../src/services/geminiLive');
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+const NOW = new Date('2026-01-01T12:00:00Z').getTime();
+
+/**
+ * Ledger records paid to WALLET, newest first as findSince returns them
+ */
+const paid = (...payments) => payments.map(([secondsAgo, amount = 0.05]) => ({
+  to_wallet: WALLET,
+  amount,
+  status: 'confirmed',
+  created_at: new Date(NOW - secondsAgo * 1000).toISOString()
+}));
+
+beforeEach(() => {
+  spendingPolicy.configure({
+    minAmount: 0.01,
+    maxAmount: 0.10,
+    recipientDailyLimit: 0.50,
+    globalLimit: 1.00,
+    allowlist: [],
+    denylist: [],
+    confirmAbove: null,
+    cooldownMs: 60 * 1000,
+    velocityWindowMs: 10 * 60 * 1000,
+    velocityMaxCount: 3,
+    velocityMaxSum: null
+  });
+  jest.useFakeTimers({ now: NOW });
+  jest.spyOn(transactionLedger, 'findSince').mockResolvedValue([]);
+  jest.spyOn(transactionLedger, 'totalSince').mockResolvedValue(0);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('spending policy', () => {
+  test('allows a payment within every limit', async () => {
+    expect(await spendingPolicy.evaluate({ wallet: WALLET, amount: 0.05 })).toEqual({
+      allowed: true, rule: null, reason: null, requiresConfirmation: false, retryAfter: null
+    });
+  });
+
+  test.each([
+    ['NaN', NaN],
+    ['undefined', undefined],
+    ['null', null],
+    ['a word', 'five'],
+    ['Infinity', Infinity],
+    ['zero', 0],
+    ['a negative amount', -0.05]
+  ])('refuses %s as an amount', async (_, amount) => {
+    expect(await spendingPolicy.evaluate({ wallet: WALLET, amount })).toMatchObject({
+      allowed: false,
+      rule: 'invalidAmount'
+    });
+    expect(transactionLedger.totalSince).not.toHaveBeenCalled();
+  });
+
+  test('a numeric string is checked as a number', async () => {
+    jest.spyOn(transactionLedger, 'totalSince').mockResolvedValue(0.48);
+
+    expect(await spendingPolicy.evaluate({ wallet: WALLET, amount: '0.05' })).toMatchObject({
+      allowed: false,
+      rule: 'recipientDailyLimit'
+    });
+  });
+
+  test('the Gemini system instruction states the amount range once, from the policy', () => {
+    spendingPolicy.configure({ minAmount: 0.02, maxAmount: 0.25 });
+
+    const instruction = geminiLive.systemInstruction;
+
+    expect(instruction).toContain(spendingPolicy.describeForPrompt());
+    expect(instruction.match(/between \$0\.02 and \$0\.25/g)).toHaveLength(1);
+  });
+});
+
+describe('velocity rules', () => {
+  const evaluate = (amount = 0.05) => spendingPolicy.evaluate({ wallet: WALLET, amount });
+
+  test('look back over the longer of the cooldown and the window, for this wallet', async () => {
+    await evaluate();
+
+    expect(transactionLedger.findSince).toHaveBeenCalledWith(new Date(NOW - 10 * 60 * 1000), WALLET);
+  });
+
+  test('a cooldown follows each payment to the same person', async () => {
+    transactionLedger.findSince.mockResolvedValue(paid([20]));
+
+    expect(await evaluate()).toMatchObject({ allowed: false, rule: 'cooldown', retryAfter: 40 });
+  });
+
+  test('the cooldown is over once it has elapsed', async () => {
+    transactionLedger.findSince.mockResolvedValue(paid([60]));
+
+    expect(await evaluate()).toMatchObject({ allowed: true });
+  });
+
+  test('the count rule waits until the oldest counted payment leaves the window', async () => {
+    transactionLedger.findSince.mockResolvedValue(paid([120], [240], [360], [540]));
+
+    // Four in the window; the third newest (6 minutes ago) has to drop out first
+    expect(await evaluate()).toMatchObject({ allowed: false, rule: 'velocityCount', retryAfter: 240 });
+  });
+
+  test('the count rule is off when its maximum is 0', async () => {
+    spendingPolicy.configure({ cooldownMs: 0, velocityMaxCount: 0 });
+    transactionLedger.findSince.mockResolvedValue(paid([60], [120], [180], [240]));
+
+    expect(await evaluate()).toMatchObject({ allowed: true });
+  });
+
+  test('the sum rule counts the new payment with the window', async () => {
+    spendingPolicy.configure({ velocityMaxSum: 0.10 });
+    transactionLedger.findSince.mockResolvedValue(paid([120, 0.02], [300, 0.04]));
+
+    expect(await evaluate(0.04)).toMatchObject({ allowed: true });
+    expect(await evaluate(0.05)).toMatchObject({ allowed: false, rule: 'velocitySum', retryAfter: 300 });
+  });
+
+  test('the sum rule gives no retry time for an amount that never fits', async () => {
+    spendingPolicy.configure({ maxAmount: 1, velocityMaxSum: 0.10 });
+
+    const decision = await evaluate(0.2);
+
+    expect(decision).toMatchObject({ allowed: false, rule: 'velocitySum', retryAfter: null });
+    expect(decision.reason).not.toContain('try again');
+  });
+
+  test('a ledger that cannot be read fails the check instead of allowing the payment', async () => {
+    transactionLedger.findSince.mockRejectedValue(new Error('transactions.json is unreadable'));
+
+    await expect(evaluate()).rejects.toThrow('unreadable');
+  });
+
+  test('retryAfter is at least one second', async () => {
+    transactionLedger.findSince.mockResolvedValue(paid([59.9]));
+
+    expect(await evaluate()).toMatchObject({ rule: 'cooldown', retryAfter: 1 });
+  });
+});
@@ -0,0 +1,190 @@
+process.env.LOG_LEVEL = 'error';
+
+const spokenAmount = require('../src/services/spokenAmount');
+const speechToText = require('../src/services/speechToText');
+
+describe('spoken amounts', () => {
+  test.each([
+    // Digits and symbols
+    ['$5', 5, 'USD'],
+    ['$0.05', 0.05, 'USD'],
+    ['$ 12.50', 12.5, 'USD'],
+    ['$1,250', 1250, 'USD'],
+    ['5¢', 0.05, 'USD'],
+    ['75 ¢', 0.75, 'USD'],
+    ['€2', 2, 'EUR'],
+    ['0.05 dollars', 0.05, 'USD'],
+    ['1,000 dollars', 1000, 'USD'],
+    ['20 bucks', 20, 'USD'],
+    ['15 USD', 15, 'USD'],
+
+    // Cents
+    ['five cents', 0.05, 'USD'],
+    ['twenty five cents', 0.25, 'USD'],
+    ['twenty-five cents', 0.25, 'USD'],
+    ['ninety nine cents', 0.99, 'USD'],
+    ['one cent', 0.01, 'USD'],
+    ['a cent', 0.01, 'USD'],
+    ['a penny', 0.01, 'USD'],
+    ['three pennies', 0.03, 'USD'],
+    ['50 cents', 0.5, 'USD'],
+
+    // Coins
+    ['a quarter', 0.25, 'USD'],
+    ['a dime', 0.1, 'USD'],
+    ['a nickel', 0.05, 'USD'],
+    ['two quarters', 0.5, 'USD'],
+    ['three dimes', 0.3, 'USD'],
+    ['a quarter of a dollar', 0.25, 'USD'],
+    ['half a dollar', 0.5, 'USD'],
+    ['half dollar', 0.5, 'USD'],
+
+    // Compound numbers
+    ['twenty one dollars', 21, 'USD'],
+    ['one hundred dollars', 100, 'USD'],
+    ['a hundred dollars', 100, 'USD'],
+    ['one hundred and five dollars', 105, 'USD'],
+    ['a hundred and five bucks', 105, 'USD'],
+    ['one hundred one dollars', 101, 'USD'],
+    ['twelve hundred dollars', 1200, 'USD'],
+    ['two thousand one hundred dollars', 2100, 'USD'],
+    ['one hundred thousand dollars', 100000, 'USD'],
+    ['two million three thousand five hundred and six dollars', 2003506, 'USD'],
+
+    // Dollars and cents
+    ['one dollar fifty', 1.5, 'USD'],
+    ['a dollar fifty', 1.5, 'USD'],
+    ['a dollar and fifty cents', 1.5, 'USD'],
+    ['five dollars and twenty five cents', 5.25, 'USD'],
+    ['five dollars and two quarters', 5.5, 'USD'],
+    ['five dollars and a dime', 5.1, 'USD'],
+    ['$5 and 5 cents', 5.05, 'USD'],
+    ['three dollars 20', 3.2, 'USD'],
+
+    // Decimals in words
+    ['zero point zero five dollars', 0.05, 'USD'],
+    ['one point five dollars', 1.5, 'USD'],
+    ['point five dollars', 0.5, 'USD'],
+
+    // Other languages
+    ['3 dólares', 3, 'USD'],
+    ['tres dolares', null, null],
+    ['10 centavos', 0.1, 'USD'],
+    ['50 céntimos', 0.5, 'USD'],
+    ['20 centimes', 0.2, 'USD'],
+    ['5 dollari', 5, 'USD'],
+    ['2 euros 50', 2.5, 'EUR'],
+    ['ten euros', 10, 'EUR'],
+    ['one euro and fifty cents', 1.5, 'EUR'],
+
+    // Prices said as dollars then cents
+    ['two fifty', 2.5, 'USD'],
+    ['three-fifty', 3.5, 'USD'],
+    ['five twenty five', 5.25, 'USD'],
+    ['twelve ninety nine', 12.99, 'USD'],
+    ['two fifty dollars', 2.5, 'USD'],
+    ['three fifty euros', 3.5, 'EUR'],
+    ["It's three-fifty. Deal?", 3.5, 'USD'],
+    ['one hundred fifty', 150, 'USD'],
+    ['five fifty cents', 0.5, 'USD'],
+
+    // In conversation
+    ["Sure, I'll pay you five cents for it. Deal!", 0.05, 'USD'],
+    ['OK five dollars and that is it', 5, 'USD'],
+    ['Five dollars. Twenty people asked already', 5, 'USD'],
+    ['It costs 3 dollars for the 2 of us', 3, 'USD'],
+
+    // Nothing said
+    ['', null, null],
+    ['Hello, nice to meet you', null, null],
+    ['Thanks, see you tomorrow', null, null],
+
+    // Words that are also Object.prototype keys
+    ['a constructor', null, null],
+    ["I'll pay the constructor five cents", 0.05, 'USD'],
+    ['toString', null, null],
+    ['five valueOf', 5, 'USD'],
+    ['a constructor of five dollars', 5, 'USD']
+  ])('"%s" is %p %s', (text, amount, currency) => {
+    const result = spokenAmount.parse(text);
+
+    expect(result.amount).toBe(amount);
+    expect(result.currency).toBe(currency);
+  });
+
+  test.each([
+    ['Twenty five cents', 'Twenty five cents'],
+    ['We said $1,250 right?', '$1,250'],
+    ['So a dollar and fifty cents then', 'a dollar and fifty cents'],
+    ['OK, twenty-five cents!', 'twenty-five cents']
+  ])('"%s" quotes %p', (text, raw) => {
+    expect(spokenAmount.parse(text).raw).toBe(raw);
+  });
+
+  test.each([
+    ['five cents', false, null],
+    ['five cents, five cents', false, null],
+    ['ten cents... no, five cents', true, 'Several amounts mentioned (ten cents, five cents) - using the last'],
+    ['five dollars, ten euros', true, 'Several amounts mentioned (five dollars, ten euros) - using the last'],
+    ['zero point zero five', true, 'No currency named for zero point zero five - assuming dollars'],
+    ['I can do 20', true, 'No currency named for 20 - assuming dollars'],
+    ['2 or 3 bucks', false, null],
+    ['two fifty', true, 'No currency named for two fifty - assuming dollars'],
+    ['two fifty dollars', true, 'two fifty dollars: could also mean 250 dollars'],
+    ['nothing to pay', false, 'No amount found']
+  ])('"%s" is ambiguous: %p', (text, ambiguous, reason) => {
+    const result = spokenAmount.parse(text);
+
+    expect(result.ambiguous).toBe(ambiguous);
+    expect(result.reason).toBe(reason);
+  });
+
+  test.each([
+    ['ten cents... no, five cents', 0.05],
+    ['Seven dollars? How about six dollars', 6],
+    ['a quarter, or a dime', 0.1],
+    ['I said 4 of them for 8 dollars', 8],
+    ['maybe 3, maybe 4', 4]
+  ])('the last amount of "%s" wins: %p', (text, amount) => {
+    expect(spokenAmount.parse(text).amount).toBe(amount);
+  });
+
+  test('lists every amount that was considered', () => {
+    expect(spokenAmount.parse('ten cents... no, five cents').candidates).toEqual([
+      { amount: 0.1, currency: 'USD', raw: 'ten cents', unit: true },
+      { amount: 0.05, currency: 'USD', raw: 'five cents', unit: true }
+    ]);
+  });
+});
+
+describe('transcript analysis', () => {
+  test.each([
+    ['Five cents? Deal!', 0.05, true],
+    ["Twenty five cents, yes that's fine", 0.25, true],
+    ['One dollar fifty - no, too much', 1.5, false],
+    ['OK', null, true],
+    ['No', null, false],
+    ['I cannot agree to five cents', 0.05, false],
+    ['I can’t accept a dollar', 1, false],
+    ["Five cents? I don't agree", 0.05, false],
+    ['No deal', null, false],
+    ['Deal, no problem', null, true],
+    ['Five cents? Sure, why not', 0.05, true],
+    ['No, five cents. Deal', 0.05, true],
+    ['Five cents is fine, but not today', 0.05, false]
+  ])('"%s" is %p, agreed: %p', (text, amount, agreed) => {
+    const analysis = speechToText.analyzeTransactionIntent(text);
+
+    expect(analysis.amount).toBe(amount);
+    expect(analysis.hasAgreement).toBe(agreed);
+    expect(analysis.readyForTransaction).toBe(agreed && amount !== null);
+  });
+
+  test('reports an amount that had to be guessed', () => {
+    const analysis = speechToText.analyzeTransactionIntent('ten cents... no, five cents. Deal');
+
+    expect(analysis.amount).toBe(0.05);
+    expect(analysis.amountAmbiguous).toBe(true);
+    expect(speechToText.extractAmount('no money talk')).toBeNull();
+  });
+});
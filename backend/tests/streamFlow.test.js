@@ -0,0 +1,605 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+
+process.env.GEMINI_LIVE_MODE = 'replay';
+process.env.GEMINI_REPLAY_SCRIPT = path.join(__dirname, 'fixtures', 'replay-payment.json');
+process.env.HANDSHAKE_STABLE_MS = '20';
+process.env.HANDSHAKE_GRACE_MS = '100';
+process.env.LOG_LEVEL = 'error';
+
+const peopleRepository = require('../src/services/peopleRepository');
+const transactionLedger = require('../src/services/transactionLedger');
+const paymentIntents = require('../src/services/paymentIntents');
+const geminiReplay = require('../src/services/geminiReplay');
+const faceMatcher = require('../src/services/faceMatcher');
+const faceRecognition = require('../src/services/faceRecognition');
+const livenessDetector = require('../src/services/livenessDetector');
+const handshakeDetector = require('../src/services/handshake');
+const consentGestures = require('../src/services/consentGestures');
+const speechToText = require('../src/services/speechToText');
+const verbalVerifier = require('../src/services/verbalVerifier');
+const streamController = require('../src/controllers/streamController');
+
+const ALICE = {
+  id: 'person-alice',
+  name: 'Alice',
+  wallet: '0x1111111111111111111111111111111111111111',
+  photos: [],
+  photoCount: 0
+};
+
+// Embedding of the face that passed the liveness check
+const LIVE_FACE = Float32Array.from([0.1, 0.2, 0.3]);
+
+/**
+ * Socket stand-in: `receive` plays client events, `next` waits for server events
+ */
+class FakeSocket {
+  constructor() {
+    this.id = `socket-${Math.random().toString(36).slice(2)}`;
+    this.handlers = new EventEmitter();
+    this.outgoing = new EventEmitter();
+    this.sent = [];
+  }
+
+  on(event, handler) {
+    this.handlers.on(event, handler);
+  }
+
+  join() {}
+
+  emit(event, data) {
+    this.sent.push({ event, data });
+    this.outgoing.emit(event, data);
+  }
+
+  receive(event, data) {
+    this.handlers.emit(event, data);
+  }
+
+  next(event, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+      this.outgoing.once(event, (data) => {
+        clearTimeout(timer);
+        resolve(data);
+      });
+    });
+  }
+
+  events(event) {
+    return this.sent.filter(e => e.event === event).map(e => e.data);
+  }
+}
+
+/**
+ * Two hands, wrists apart and palms meeting in the middle
+ */
+function claspedHands() {
+  const hand = (wrist, palm) => {
+    const landmarks = Array.from({ length: 21 }, () => ({ ...palm, z: 0 }));
+    landmarks[0] = { ...wrist, z: 0 };
+    return { handedness: 'Right', score: 0.95, landmarks };
+  };
+
+  return [hand({ x: 0.4, y: 0.5 }, { x: 0.48, y: 0.5 }), hand({ x: 0.6, y: 0.5 }, { x: 0.52, y: 0.5 })];
+}
+
+/**
+ * One second of audible 16 kHz PCM, as the browser streams it
+ */
+function speech() {
+  const pcm = Buffer.alloc(16000 * 2);
+  for (let i = 0; i < 16000; i++) {
+    pcm.writeInt16LE(i % 2 ? 3000 : -3000, i * 2);
+  }
+  return pcm.toString('base64');
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Hold a handshake as long as the landmark detector needs
+ */
+async function shakeHands(socket) {
+  socket.receive('stream:hands', { hands: claspedHands() });
+  await wait(handshakeDetector.stableMs + 10);
+  socket.receive('stream:hands', { hands: claspedHands() });
+}
+
+async function connect() {
+  const socket = new FakeSocket();
+  const created = socket.next('session:created');
+  await streamController.handleConnection(socket, null);
+  await created;
+  return socket;
+}
+
+describe('stream flow with a replayed Gemini Live session', () => {
+  let socket;
+
+  beforeEach(() => {
+    jest.spyOn(peopleRepository, 'getAllPeople').mockResolvedValue([ALICE]);
+    jest.spyOn(peopleRepository, 'getPersonById').mockImplementation(async id => (id === ALICE.id ? ALICE : null));
+    jest.spyOn(transactionLedger, 'record').mockImplementation(async (tx) => tx);
+    jest.spyOn(faceMatcher, 'verify').mockResolvedValue({
+      checked: true, matched: true, similarity: 0.9, threshold: 0.45, closestOther: null, reason: null
+    });
+    jest.spyOn(livenessDetector, 'addFrame').mockResolvedValue(null);
+    jest.spyOn(livenessDetector, 'status').mockReturnValue({
+      checked: true, passed: true, faceDetected: true, headTurn: 1, challenge: null
+    });
+    jest.spyOn(livenessDetector, 'passedFace').mockReturnValue(LIVE_FACE);
+  });
+
+  afterEach(() => {
+    streamController.handleDisconnection(socket);
+    geminiReplay.setScript(null);
+    consentGestures.configure();
+    verbalVerifier.mode = 'off';
+    jest.restoreAllMocks();
+  });
+
+  test('identify, agree, shake hands and wait for the user to confirm', async () => {
+    socket = await connect();
+
+    socket.receive('stream:start');
+    await socket.next('stream:started');
+
+    const identified = socket.next('person:identified');
+    await shakeHands(socket);
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+
+    expect(await identified).toMatchObject({ name: 'Alice', wallet: ALICE.wallet });
+
+    const ready = await socket.next('transaction:ready');
+    expect(ready).toMatchObject({ amount: 0.05, recipient: { id: ALICE.id } });
+    expect(ready.intentId).toEqual(expect.any(String));
+
+    // The payment records when the handshake was confirmed, not when it was sent
+    const intent = paymentIntents.get(ready.intentId);
+    expect(intent).toMatchObject({ consentGesture: 'handshake', gestureConfirmedAt: expect.any(String) });
+    expect(new Date(intent.gestureConfirmedAt).getTime()).toBeLessThanOrEqual(new Date(intent.createdAt).getTime());
+
+    expect(socket.events('verbal:confirmed')[0]).toMatchObject({ agreed: true, amount: 0.05 });
+    expect(socket.events('gesture:confirmed')[0]).toMatchObject({ gesture: 'handshake', label: 'Handshake', active: true, source: 'gemini' });
+    expect(socket.events('handshake:signals').pop()).toMatchObject({ rule: 'both', gemini: true, landmarks: true, confirmed: true });
+    expect(socket.events('transaction:conditions-met')).toHaveLength(1);
+    expect(socket.events('transaction:blocked')).toHaveLength(0);
+
+    // executeTransaction is only answered once the user decides
+    await new Promise(resolve => setImmediate(resolve));
+    const responses = geminiReplay.lastSession.sent.toolResponses;
+    expect(responses.map(r => r.name)).toEqual([
+      'identifyPerson',
+      'confirmVerbalAgreement',
+      'confirmConsentGesture'
+    ]);
+    expect(geminiReplay.lastSession.finished).toBe(true);
+  });
+
+  test('a payment awaiting the user does not hold up other calls in the same tool call', async () => {
+    geminiReplay.setScript({
+      steps: [
+        { on: 'video', toolCall: [{ name: 'identifyPerson', args: { name: 'Alice', wallet: ALICE.wallet, confidence: 0.9 } }] },
+        { on: 'toolResponse', toolCall: [{ name: 'confirmVerbalAgreement', args: { agreed: true, amount: 0.05, quote: 'Five cents, deal', confidence: 0.9 } }] },
+        { on: 'toolResponse', toolCall: [{ name: 'confirmConsentGesture', args: { gesture: 'handshake', active: true, description: 'Handshake', confidence: 0.9 } }] },
+        {
+          on: 'toolResponse',
+          toolCall: [
+            { name: 'executeTransaction', args: { person_description: 'Alice', amount: 0.05, verbal_confirmation_quote: 'Five cents, deal', consent_gesture_confirmed: true, overall_confidence: 0.9 } },
+            { name: 'updateStatus', args: { visual_observation: 'Handshake', audio_observation: 'Deal', person_description: 'Alice' } }
+          ]
+        }
+      ]
+    });
+
+    socket = await connect();
+    socket.receive('stream:start');
+    await socket.next('stream:started');
+
+    const ready = socket.next('transaction:ready');
+    await shakeHands(socket);
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+    const { intentId } = await ready;
+
+    await wait(20);
+    const responses = geminiReplay.lastSession.sent.toolResponses;
+    expect(responses.map(r => r.name)).toEqual([
+      'identifyPerson',
+      'confirmVerbalAgreement',
+      'confirmConsentGesture',
+      'updateStatus'
+    ]);
+
+    socket.receive('transaction:cancel', { intentId, reason: 'cancelled' });
+    await socket.next('transaction:cancelled');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(responses.pop()).toMatchObject({ name: 'executeTransaction', response: { outcome: 'cancelled' } });
+  });
+
+  test('cancelling a pending payment records it and tells Gemini', async () => {
+    socket = await connect();
+    socket.receive('stream:start');
+    await socket.next('stream:started');
+
+    const ready = socket.next('transaction:ready');
+    await shakeHands(socket);
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+    const { intentId } = await ready;
+
+    const cancelled = socket.next('transaction:cancelled');
+    socket.receive('transaction:cancel', { intentId, reason: 'cancelled' });
+
+    expect(await cancelled).toEqual({ intentId, status: 'cancelled' });
+    expect(paymentIntents.get(intentId).status).toBe('cancelled');
+    expect(transactionLedger.record).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'cancelled',
+      amount: 0.05,
+      to_wallet: ALICE.wallet
+    }));
+
+    await new Promise(resolve => setImmediate(resolve));
+    const response = geminiReplay.lastSession.sent.toolResponses.find(r => r.name === 'executeTransaction');
+    expect(response.response).toMatchObject({ success: false, outcome: 'cancelled' });
+  });
+
+  test('unconfirmed payments expire on the server', async () => {
+    const ttlMs = paymentIntents.ttlMs;
+    paymentIntents.ttlMs = 50;
+
+    try {
+      socket = await connect();
+      socket.receive('stream:start');
+      await socket.next('stream:started');
+
+      const ready = socket.next('transaction:ready');
+      await shakeHands(socket);
+      socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+      socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+      const { intentId, confirmTimeoutMs } = await ready;
+
+      expect(confirmTimeoutMs).toBe(50);
+      expect(await socket.next('transaction:cancelled')).toEqual({ intentId, status: 'expired' });
+
+      await new Promise(resolve => setImmediate(resolve));
+      const response = geminiReplay.lastSession.sent.toolResponses.find(r => r.name === 'executeTransaction');
+      expect(response.response).toMatchObject({ success: false, outcome: 'expired' });
+    } finally {
+      paymentIntents.ttlMs = ttlMs;
+    }
+  });
+
+  test.each([
+    ['differs from', 0.1],
+    ['is missing from', undefined],
+    ['is not a number in', 'five cents'],
+    ['is NaN in', NaN]
+  ])('blocks execution when the amount %s the executeTransaction call', async (_, amount) => {
+    geminiReplay.setScript({
+      steps: [
+        { on: 'video', toolCall: [{ name: 'identifyPerson', args: { name: 'Alice', wallet: ALICE.wallet, confidence: 0.9 } }] },
+        { on: 'toolResponse', toolCall: [{ name: 'confirmVerbalAgreement', args: { agreed: true, amount: 0.05, quote: 'Five cents', confidence: 0.9 } }] },
+        { on: 'toolResponse', toolCall: [{ name: 'confirmConsentGesture', args: { gesture: 'handshake', active: true, description: 'Handshake', confidence: 0.9 } }] },
+        { on: 'toolResponse', toolCall: [{ name: 'executeTransaction', args: { person_description: 'Alice', amount, verbal_confirmation_quote: 'Five cents', consent_gesture_confirmed: true, overall_confidence: 0.9 } }] }
+      ]
+    });
+
+    socket = await connect();
+    socket.receive('stream:start');
+    await socket.next('stream:started');
+
+    const blocked = socket.next('transaction:blocked');
+    await shakeHands(socket);
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+
+    expect(await blocked).toEqual({ reason: 'Amount does not match verbal agreement' });
+    expect(socket.events('transaction:ready')).toHaveLength(0);
+  });
+
+  test.each([
+    ['a missing amount', undefined],
+    ['NaN', NaN],
+    ['a word', 'five cents'],
+    ['zero', 0]
+  ])('a verbal agreement with %s is refused and never paid', async (_, amount) => {
+    geminiReplay.setScript({
+      steps: [
+        { on: 'video', toolCall: [{ name: 'identifyPerson', args: { name: 'Alice', wallet: ALICE.wallet, confidence: 0.9 } }] },
+        { on: 'toolResponse', toolCall: [{ name: 'confirmVerbalAgreement', args: { agreed: true, amount, quote: 'Deal', confidence: 0.9 } }] },
+        { on: 'toolResponse', toolCall: [{ name: 'confirmConsentGesture', args: { gesture: 'handshake', active: true, description: 'Handshake', confidence: 0.9 } }] },
+        { on: 'toolResponse', toolCall: [{ name: 'executeTransaction', args: { person_description: 'Alice', amount, verbal_confirmation_quote: 'Deal', consent_gesture_confirmed: true, overall_confidence: 0.9 } }] }
+      ]
+    });
+
+    socket = await connect();
+    socket.receive('stream:start');
+    await socket.next('stream:started');
+
+    await shakeHands(socket);
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+    await wait(50);
+
+    const responses = geminiReplay.lastSession.sent.toolResponses;
+    expect(responses.find(r => r.name === 'confirmVerbalAgreement').response).toMatchObject({ acknowledged: false });
+    expect(responses.find(r => r.name === 'executeTransaction').response.error).toEqual(expect.any(String));
+    expect(socket.events('verbal:confirmed')).toHaveLength(0);
+    expect(socket.events('transaction:ready')).toHaveLength(0);
+  });
+
+  test("Gemini's handshake alone is not enough while hand tracking disagrees", async () => {
+    socket = await connect();
+    socket.receive('stream:start');
+    await socket.next('stream:started');
+
+    const blocked = socket.next('transaction:blocked');
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+
+    expect(await blocked).toEqual({ reason: 'No consent gesture' });
+    expect(socket.events('gesture:confirmed')[0]).toMatchObject({ active: false, source: 'gemini' });
+    expect(socket.events('handshake:signals')[0]).toMatchObject({ gemini: true, landmarks: false, confirmed: false });
+
+    const response = geminiReplay.lastSession.sent.toolResponses.find(r => r.name === 'confirmConsentGesture');
+    expect(response.response).toMatchObject({ confirmed: false });
+    expect(socket.events('transaction:ready')).toHaveLength(0);
+  });
+
+  test('hand tracking confirms a handshake Gemini already reported', async () => {
+    geminiReplay.setScript({
+      steps: [
+        { on: 'video', toolCall: [{ name: 'confirmConsentGesture', args: { gesture: 'handshake', active: true, description: 'Handshake', confidence: 0.9 } }] }
+      ]
+    });
+
+    socket = await connect();
+    socket.receive('stream:start');
+    await socket.next('stream:started');
+
+    const geminiReported = socket.next('gesture:confirmed');
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+    expect(await geminiReported).toMatchObject({ active: false });
+
+    const confirmed = socket.next('gesture:confirmed');
+    await shakeHands(socket);
+    expect(await confirmed).toMatchObject({ active: true, source: 'landmarks' });
+    expect(socket.events('handshake:progress').pop()).toMatchObject({ percent: 100, confirmed: true });
+
+    // Letting go ends the landmark handshake but not the confirmation
+    await wait(handshakeDetector.graceMs + 10);
+    socket.receive('stream:hands', { hands: [] });
+    expect(socket.events('handshake:signals').pop()).toMatchObject({ landmarks: false, confirmed: true });
+  });
+
+  test('a configured gesture other than a handshake confirms consent on its own', async () => {
+    consentGestures.configure(['handshake', 'thumbs_up']);
+    geminiReplay.setScript({
+      steps: [
+        { on: 'video', toolCall: [{ name: 'identifyPerson', args: { name: 'Alice', wallet: ALICE.wallet, confidence: 0.9 } }] },
+        { on: 'toolResponse', toolCall: [{ name: 'confirmVerbalAgreement', args: { agreed: true, amount: 0.05, quote: 'Five cents', confidence: 0.9 } }] },
+        { on: 'toolResponse', toolCall: [{ name: 'confirmConsentGesture', args: { gesture: 'thumbs_up', active: true, description: 'Alice gives a thumbs-up', confidence: 0.9 } }] },
+        { on: 'toolResponse', toolCall: [{ name: 'executeTransaction', args: { person_description: 'Alice', amount: 0.05, verbal_confirmation_quote: 'Five cents', consent_gesture_confirmed: true, overall_confidence: 0.9 } }] }
+      ]
+    });
+
+    socket = await connect();
+    expect(socket.events('session:created')[0].consentGestures.map(g => g.id)).toEqual(['handshake', 'thumbs_up']);
+    socket.receive('stream:start');
+    await socket.next('stream:started');
+
+    const ready = socket.next('transaction:ready');
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+
+    expect(await ready).toMatchObject({ amount: 0.05 });
+    expect(socket.events('gesture:confirmed')[0]).toMatchObject({ gesture: 'thumbs_up', label: 'Thumbs-up', active: true });
+    expect(streamController.activeSessions.get(socket.id).currentState.consentGesture).toBe('thumbs_up');
+  });
+
+  test('gestures the deployment does not accept are refused', async () => {
+    consentGestures.configure(['thumbs_up']);
+    geminiReplay.setScript({
+      steps: [
+        { on: 'video', toolCall: [{ name: 'confirmConsentGesture', args: { gesture: 'handshake', active: true, description: 'Handshake', confidence: 0.9 } }] }
+      ]
+    });
+
+    socket = await connect();
+    socket.receive('stream:start');
+    await socket.next('stream:started');
+
+    // Hand tracking is ignored without handshakes
+    await shakeHands(socket);
+    expect(socket.events('handshake:progress')).toHaveLength(0);
+
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const response = geminiReplay.lastSession.sent.toolResponses.find(r => r.name === 'confirmConsentGesture');
+    expect(response.response).toMatchObject({ acknowledged: false, confirmed: false });
+    expect(response.response.status).toContain('Thumbs-up');
+    expect(socket.events('gesture:confirmed')).toHaveLength(0);
+  });
+
+  test.each([
+    ['confirms', "I'll pay you $0.05 - deal!", null],
+    ['confirms in words', "I'll pay you five cents - deal!", null],
+    ['hears a different amount', "I'll pay you $0.10 - deal!", 'Audio transcript does not confirm the agreement - The audio transcript says $0.1, not the agreed $0.05'],
+    ['hears the agreement withdrawn', "I'll pay you $0.05 - deal... no, cancel that", 'Audio transcript does not confirm the agreement - No agreement was heard in the audio transcript (Negation detected)'],
+    ['hears the agreement refused', "$0.05? I cannot agree to that", 'Audio transcript does not confirm the agreement - No agreement was heard in the audio transcript (Negation detected)'],
+    ['hears "no problem"', "$0.05? Deal, no problem", null],
+    ['hears several amounts', "Ten cents? No - five cents, deal!", 'Audio transcript does not confirm the agreement - The amount in the audio transcript is ambiguous (Several amounts mentioned (Ten cents, five cents) - using the last)']
+  ])('the audio transcript %s', async (_, text, blockedReason) => {
+    verbalVerifier.mode = 'enforce';
+    jest.spyOn(speechToText, 'transcribe').mockResolvedValue({ text });
+
+    socket = await connect();
+    socket.receive('stream:start');
+    await socket.next('stream:started');
+
+    socket.receive('stream:audio', { audio: speech() });
+    await shakeHands(socket);
+
+    const outcome = socket.next(blockedReason ? 'transaction:blocked' : 'transaction:ready');
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+
+    if (blockedReason) {
+      expect(await outcome).toEqual({ reason: blockedReason });
+      expect(socket.events('transaction:ready')).toHaveLength(0);
+    } else {
+      expect(await outcome).toMatchObject({ amount: 0.05 });
+    }
+
+    // The buffered audio went to Whisper as a WAV file
+    const [audio, filename] = speechToText.transcribe.mock.calls[0];
+    expect(audio.subarray(0, 4).toString()).toBe('RIFF');
+    expect(audio.length).toBe(44 + 16000 * 2);
+    expect(filename).toBe('segment.wav');
+  });
+
+  test('unknown people are not identified', async () => {
+    geminiReplay.setScript({
+      steps: [
+        { on: 'video', toolCall: [{ name: 'identifyPerson', args: { name: 'Mallory', wallet: ALICE.wallet, confidence: 0.95 } }] }
+      ]
+    });
+
+    socket = await connect();
+    socket.receive('stream:start');
+    await socket.next('stream:started');
+
+    const unknown = socket.next('person:unknown');
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+
+    expect(await unknown).toEqual({ name: 'Mallory', wallet: ALICE.wallet });
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(geminiReplay.lastSession.sent.toolResponses[0].response).toMatchObject({ identified: false });
+  });
+
+  test.each([
+    ['deleted', null],
+    ['given another wallet', { ...ALICE, wallet: '0x3333333333333333333333333333333333333333' }]
+  ])('people %s after the session started are not identified', async (_, stored) => {
+    peopleRepository.getPersonById.mockResolvedValue(stored);
+
+    socket = await connect();
+    socket.receive('stream:start');
+    await socket.next('stream:started');
+
+    const unknown = socket.next('person:unknown');
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+
+    expect(await unknown).toEqual({ name: 'Alice', wallet: ALICE.wallet });
+    expect(peopleRepository.getPersonById).toHaveBeenCalledWith(ALICE.id);
+    expect(faceMatcher.verify).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['deleted', null, 'Alice is no longer enrolled'],
+    ['given another wallet', { ...ALICE, wallet: '0x3333333333333333333333333333333333333333' }, "Alice's wallet was changed since they were identified"]
+  ])('no intent is issued for someone %s after they were identified', async (_, stored, reason) => {
+    peopleRepository.getPersonById.mockResolvedValueOnce(ALICE).mockResolvedValue(stored);
+
+    socket = await connect();
+    socket.receive('stream:start');
+    await socket.next('stream:started');
+
+    const blocked = socket.next('transaction:blocked');
+    await shakeHands(socket);
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+
+    expect(await blocked).toEqual({ reason });
+    expect(socket.events('person:identified')).toHaveLength(1);
+    expect(socket.events('transaction:ready')).toHaveLength(0);
+
+    await new Promise(resolve => setImmediate(resolve));
+    const response = geminiReplay.lastSession.sent.toolResponses.find(r => r.name === 'executeTransaction');
+    expect(response.response).toEqual({ error: `${reason} - identify them again before paying` });
+  });
+
+  test('identification is rejected when the live face does not match the enrolled photos', async () => {
+    faceMatcher.verify.mockResolvedValue({
+      checked: true,
+      matched: false,
+      similarity: 0.2,
+      threshold: 0.45,
+      closestOther: null,
+      reason: "Face doesn't match Alice's enrolled photos (similarity 0.2 < 0.45)"
+    });
+
+    socket = await connect();
+    socket.receive('stream:start');
+    await socket.next('stream:started');
+
+    const rejected = socket.next('person:rejected');
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+
+    expect(await rejected).toMatchObject({ name: 'Alice', similarity: 0.2 });
+    expect(faceMatcher.verify).toHaveBeenCalledWith(
+      expect.objectContaining({ data: 'data:image/jpeg;base64,AAAA' }),
+      expect.objectContaining({ id: ALICE.id }),
+      [ALICE],
+      { liveFace: LIVE_FACE }
+    );
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(socket.events('person:identified')).toHaveLength(0);
+    expect(socket.events('transaction:ready')).toHaveLength(0);
+    expect(geminiReplay.lastSession.sent.toolResponses[0].response).toMatchObject({ identified: false, similarity: 0.2 });
+  });
+
+  test('Azure face verification can also reject an identification', async () => {
+    faceRecognition.enabled = true;
+    jest.spyOn(faceRecognition, 'verifyPerson').mockResolvedValue({
+      checked: true, matched: false, confidence: 0.3, threshold: 0.6, reason: 'Azure says the face is not Alice (confidence 0.3 < 0.6)'
+    });
+
+    try {
+      socket = await connect();
+      socket.receive('stream:start');
+      await socket.next('stream:started');
+
+      const rejected = socket.next('person:rejected');
+      socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+      socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+
+      expect(await rejected).toMatchObject({ name: 'Alice', similarity: 0.9, azureConfidence: 0.3 });
+      expect(faceRecognition.verifyPerson).toHaveBeenCalledWith(
+        expect.objectContaining({ data: 'data:image/jpeg;base64,AAAA' }),
+        expect.objectContaining({ id: ALICE.id })
+      );
+      expect(socket.events('person:identified')).toHaveLength(0);
+    } finally {
+      faceRecognition.enabled = false;
+    }
+  });
+
+  test('people are not identified before liveness is confirmed', async () => {
+    livenessDetector.status.mockReturnValue({
+      checked: true, passed: false, faceDetected: true, headTurn: 0.2, challenge: 'Turn your head slightly left and right, or blink'
+    });
+
+    socket = await connect();
+    socket.receive('stream:start');
+    await socket.next('stream:started');
+
+    const liveness = socket.next('liveness:status');
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+    socket.receive('stream:video', { frame: 'data:image/jpeg;base64,AAAA' });
+
+    expect(await liveness).toMatchObject({ passed: false });
+    expect(livenessDetector.addFrame).toHaveBeenCalledWith(expect.any(String), 'data:image/jpeg;base64,AAAA');
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(faceMatcher.verify).not.toHaveBeenCalled();
+    expect(socket.events('person:identified')).toHaveLength(0);
+    expect(geminiReplay.lastSession.sent.toolResponses[0].response).toMatchObject({ identified: false });
+  });
+});
@@ -0,0 +1,312 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'execute-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.IMAGE_STORE_DIR = path.join(DATA_DIR, 'images');
+process.env.TRANSACTION_STORAGE = 'json';
+process.env.PAYMENT_CURRENCY = 'USDC';
+process.env.PAYMENT_PROVIDER = 'sandbox';
+process.env.PAYMENT_FALLBACKS = '';
+process.env.SANDBOX_SEED = 'test';
+process.env.SPENDING_COOLDOWN_SECONDS = '0';
+process.env.SPENDING_VELOCITY_MAX_COUNT = '0';
+// No Gemini key is needed - the stream session is stubbed below
+process.env.GEMINI_LIVE_MODE = 'replay';
+process.env.LOG_LEVEL = 'error';
+
+const sandbox = require('../src/services/payments/sandboxProvider');
+const transactionLedger = require('../src/services/transactionLedger');
+const paymentIntents = require('../src/services/paymentIntents');
+const paymentReconciler = require('../src/services/paymentReconciler');
+const spendingPolicy = require('../src/services/spendingPolicy');
+const paymentProviders = require('../src/services/payments');
+const streamController = require('../src/controllers/streamController');
+const transactionController = require('../src/controllers/transactionController');
+
+const TRANSACTIONS_FILE = path.join(DATA_DIR, 'transactions.json');
+
+const ALICE = {
+  id: 'person-alice',
+  name: 'Alice',
+  wallet: '0x1111111111111111111111111111111111111111'
+};
+
+const GESTURE_CONFIRMED_AT = '2026-01-01T12:00:00.000Z';
+
+const sandboxHash = counter => '0x' + crypto.createHash('sha256').update(`test:${counter}`).digest('hex');
+
+describe('POST /api/transaction/execute with the sandbox provider', () => {
+  let server;
+  let baseUrl;
+  let sessions;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/transaction', transactionController);
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/transaction`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.writeFileSync(TRANSACTIONS_FILE, JSON.stringify({ transactions: [] }));
+    sandbox.reset({ balance: 1, confirmAfter: 2 });
+    paymentIntents.intents.clear();
+
+    // Stream sessions that already hold all three confirmations
+    sessions = new Map();
+    jest.spyOn(streamController, 'getSessionById').mockImplementation(id => sessions.get(id) || null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Issue an intent for a confirmed session, as executeTransaction does
+   */
+  function prepare(sessionId = `session-${sessions.size + 1}`) {
+    const session = {
+      sessionId,
+      socketId: `socket-${sessionId}`,
+      currentState: {
+        personIdentified: true,
+        verbalAgreement: true,
+        gestureConfirmed: true,
+        personData: ALICE,
+        amount: 0.05,
+        consentGesture: 'handshake'
+      },
+      agreements: new Map(),
+      pendingPayments: new Map()
+    };
+    sessions.set(sessionId, session);
+
+    const agreementKey = `agreement-1:${ALICE.id}`;
+    const intent = paymentIntents.issue({
+      sessionId,
+      agreementKey,
+      recipient: ALICE,
+      amount: 0.05,
+      verbalQuote: 'Five cents, deal',
+      confidence: 0.9,
+      consentGesture: 'handshake',
+      gestureConfirmedAt: GESTURE_CONFIRMED_AT
+    });
+    session.agreements.set(agreementKey, { transactionData: { intentId: intent.id }, payment: null });
+
+    return { session, agreement: session.agreements.get(agreementKey), intent };
+  }
+
+  function execute(intentId, headers = {}) {
+    return axios.post(`${baseUrl}/execute`, { intent_id: intentId }, { headers, validateStatus: () => true });
+  }
+
+  test('pays through the sandbox and records the payment', async () => {
+    const { intent, agreement } = prepare();
+
+    const response = await execute(intent.id);
+
+    expect(response.status).toBe(201);
+    expect(response.data).toMatchObject({
+      success: true,
+      paymentMethod: 'sandbox',
+      recorded: true,
+      transaction: { txHash: sandboxHash(1), provider: 'sandbox', wallet: ALICE.wallet, amount: 0.05, currency: 'USDC', status: 'pending' }
+    });
+    expect(sandbox.balance).toBe(0.95);
+    expect(agreement.payment).toMatchObject({ txHash: sandboxHash(1) });
+    expect(await transactionLedger.findByIdempotencyKey(intent.idempotencyKey)).toMatchObject({
+      tx_hash: sandboxHash(1),
+      status: 'pending',
+      payment_method: 'sandbox',
+      handshake_timestamp: GESTURE_CONFIRMED_AT,
+      metadata: { intentId: intent.id, providerReference: 'sandbox_1', consentGesture: 'handshake' }
+    });
+  });
+
+  test('the reconciler moves the payment from pending to confirmed', async () => {
+    const { intent } = prepare();
+    const { data } = await execute(intent.id);
+
+    expect(await paymentReconciler.reconcilePending()).toBe(0);
+    expect(await paymentReconciler.reconcilePending()).toBe(1);
+
+    const tx = await transactionLedger.findByReference(data.transaction.id);
+    expect(tx.status).toBe('confirmed');
+    expect(tx.confirmed_at).toEqual(expect.any(String));
+
+    const status = await axios.get(`${baseUrl}/${sandboxHash(1)}`);
+    expect(status.data.transaction).toMatchObject({ id: data.transaction.id, status: 'confirmed', confirmations: 1 });
+  });
+
+  test('a status lookup the provider cannot answer returns the stored status', async () => {
+    const { intent } = prepare();
+    const { data } = await execute(intent.id);
+    jest.spyOn(sandbox, 'getStatus').mockRejectedValue(new Error('Sandbox RPC unreachable'));
+
+    const status = await axios.get(`${baseUrl}/${data.transaction.id}`, { validateStatus: () => true });
+
+    expect(status.status).toBe(200);
+    expect(status.data).toMatchObject({
+      success: true,
+      transaction: { id: data.transaction.id, txHash: sandboxHash(1), status: 'pending' },
+      blockchain: null,
+      statusError: 'Sandbox RPC unreachable'
+    });
+
+    const missing = await axios.get(`${baseUrl}/0xdoesnotexist`, { validateStatus: () => true });
+    expect(missing.status).toBe(404);
+  });
+
+  test('tx hashes are derived from the seed, so runs repeat exactly', async () => {
+    const first = await execute(prepare().intent.id);
+    const second = await execute(prepare().intent.id);
+
+    sandbox.reset({ balance: 1 });
+    const afterReset = await execute(prepare().intent.id);
+
+    expect([first, second, afterReset].map(r => r.data.transaction.txHash)).toEqual([
+      sandboxHash(1),
+      sandboxHash(2),
+      sandboxHash(1)
+    ]);
+  });
+
+  test('insufficient funds fail the intent without recording a payment', async () => {
+    sandbox.reset({ balance: 0.01 });
+    const { intent, agreement } = prepare();
+
+    const response = await execute(intent.id);
+
+    expect(response.status).toBe(500);
+    expect(response.data.message).toContain('Insufficient USDC balance');
+    expect(paymentIntents.get(intent.id).status).toBe('failed');
+    expect(agreement.payment).toBeNull();
+    expect(await transactionLedger.list()).toEqual([]);
+    expect(sandbox.balance).toBe(0.01);
+  });
+
+  test('a provider failure before submission fails the intent', async () => {
+    sandbox.failNext('Sandbox offline');
+    const { intent } = prepare();
+
+    const response = await execute(intent.id);
+
+    expect(response.status).toBe(500);
+    expect(response.data).toEqual({ error: 'Failed to execute transaction', message: 'All payment providers failed (sandbox: Sandbox offline)' });
+    expect(paymentIntents.get(intent.id).status).toBe('failed');
+    expect(await transactionLedger.list()).toEqual([]);
+  });
+
+  test('a provider failure after submission is recorded as unknown and reconciled', async () => {
+    sandbox.failNext('Timed out waiting for receipt', { sent: true });
+    const { intent, agreement } = prepare();
+
+    const response = await execute(intent.id);
+
+    expect(response.status).toBe(202);
+    expect(response.data).toMatchObject({ success: false, transaction: { status: 'unknown', provider: 'sandbox' } });
+    expect(agreement.payment).toMatchObject({ status: 'unknown' });
+
+    // The same key is not paid again
+    const replay = await execute(intent.id, { 'Idempotency-Key': intent.idempotencyKey });
+    expect(replay.data).toMatchObject({ replayed: true, transaction: { status: 'unknown' } });
+    expect(sandbox.payments.size).toBe(1);
+
+    await paymentReconciler.reconcilePending();
+    await paymentReconciler.reconcilePending();
+
+    expect(await transactionLedger.findByReference(response.data.transaction.id)).toMatchObject({
+      status: 'confirmed',
+      tx_hash: sandboxHash(1)
+    });
+  });
+
+  describe('idempotency', () => {
+    test('a repeated request replays the payment instead of paying again', async () => {
+      const { intent } = prepare();
+
+      const first = await execute(intent.id);
+      const again = await execute(intent.id);
+
+      expect(again.status).toBe(200);
+      expect(again.data).toMatchObject({ replayed: true, transaction: { id: first.data.transaction.id, txHash: sandboxHash(1) } });
+      expect(sandbox.payments.size).toBe(1);
+    });
+
+    test('concurrent duplicates pay once', async () => {
+      const { intent } = prepare();
+
+      const responses = await Promise.all([execute(intent.id), execute(intent.id)]);
+
+      expect(responses.map(r => r.status).sort()).toEqual([200, 201]);
+      expect(new Set(responses.map(r => r.data.transaction.id)).size).toBe(1);
+      expect(sandbox.payments.size).toBe(1);
+      expect(await transactionLedger.list()).toHaveLength(1);
+    });
+
+    test('a key reused for another intent gets 422', async () => {
+      const first = prepare();
+      const second = prepare();
+      await execute(first.intent.id, { 'Idempotency-Key': 'client-key' });
+
+      const reused = await execute(second.intent.id, { 'Idempotency-Key': 'client-key' });
+
+      expect(reused.status).toBe(422);
+      expect(paymentIntents.get(second.intent.id).status).toBe('issued');
+      expect(sandbox.payments.size).toBe(1);
+    });
+  });
+
+  describe('concurrent payments to one person', () => {
+    afterEach(() => {
+      spendingPolicy.configure();
+    });
+
+    test('two sessions confirming at once are checked one after the other', async () => {
+      spendingPolicy.configure({ cooldownMs: 60 * 1000 });
+      // A slow provider leaves each payment out of the ledger while it is sent
+      const send = sandbox.send.bind(sandbox);
+      jest.spyOn(sandbox, 'send').mockImplementation(async (...args) => {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return send(...args);
+      });
+      const first = prepare();
+      const second = prepare();
+
+      const responses = await Promise.all([execute(first.intent.id), execute(second.intent.id)]);
+
+      expect(responses.map(r => r.status).sort()).toEqual([201, 429]);
+      expect(responses.find(r => r.status === 429).data.rule).toBe('cooldown');
+      expect(sandbox.payments.size).toBe(1);
+      expect(await transactionLedger.list()).toHaveLength(1);
+    });
+
+    test('a failed payment does not hold up the next one', async () => {
+      spendingPolicy.configure({ recipientDailyLimit: 0.05 });
+      jest.spyOn(paymentProviders, 'send').mockRejectedValueOnce(
+        Object.assign(new Error('Provider unavailable'), { notSent: true })
+      );
+      const first = prepare();
+      const second = prepare();
+
+      const responses = await Promise.all([execute(first.intent.id), execute(second.intent.id)]);
+
+      expect(responses.map(r => r.status).sort()).toEqual([201, 500]);
+      expect(await transactionLedger.list()).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.IMAGE_STORE_DIR = path.join(DATA_DIR, 'images');
+process.env.TRANSACTION_STORAGE = 'json';
+process.env.LOG_LEVEL = 'error';
+
+const transactionLedger = require('../src/services/transactionLedger');
+
+const TRANSACTIONS_FILE = path.join(DATA_DIR, 'transactions.json');
+const ALICE = '0xabcdef1111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+function transaction(overrides) {
+  return {
+    id: `tx-${Math.random().toString(36).slice(2)}`,
+    tx_hash: null,
+    created_at: new Date().toISOString(),
+    session_id: 'session-1',
+    to_wallet: ALICE,
+    amount: 0.05,
+    currency: 'USDC',
+    status: 'pending',
+    payment_method: 'sandbox',
+    locus_transaction_id: null,
+    idempotency_key: null,
+    metadata: {},
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  fs.writeFileSync(TRANSACTIONS_FILE, JSON.stringify({ transactions: [] }));
+});
+
+afterAll(() => {
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+describe('JSON transaction ledger', () => {
+  test('reports the storage it selected', () => {
+    expect(transactionLedger.storage).toBe('json');
+  });
+
+  test('finds a recorded payment by ledger ID, tx hash or Locus ID', async () => {
+    const tx = await transactionLedger.record(transaction({ id: 'tx-1', tx_hash: '0xabc', locus_transaction_id: 'locus-1' }));
+
+    expect(await transactionLedger.findByReference('tx-1')).toEqual(tx);
+    expect(await transactionLedger.findByReference('0xabc')).toEqual(tx);
+    expect(await transactionLedger.findByReference('locus-1')).toEqual(tx);
+    expect(await transactionLedger.findByReference('0xdef')).toBeNull();
+  });
+
+  test('finds a payment by idempotency key', async () => {
+    await transactionLedger.record(transaction({ id: 'tx-1', idempotency_key: 'key-1' }));
+
+    expect(await transactionLedger.findByIdempotencyKey('key-1')).toMatchObject({ id: 'tx-1' });
+    expect(await transactionLedger.findByIdempotencyKey('key-2')).toBeNull();
+  });
+
+  test('an idempotency key resolves to the payment that was sent, else the latest attempt', async () => {
+    await transactionLedger.record(transaction({ id: 'failed', idempotency_key: 'key-1', status: 'failed' }));
+    await transactionLedger.record(transaction({ id: 'retry', idempotency_key: 'key-1', status: 'cancelled' }));
+
+    expect(await transactionLedger.findByIdempotencyKey('key-1')).toMatchObject({ id: 'retry' });
+
+    await transactionLedger.record(transaction({ id: 'paid', idempotency_key: 'key-1', status: 'confirmed' }));
+    await transactionLedger.record(transaction({ id: 'late', idempotency_key: 'key-1', status: 'expired' }));
+
+    expect(await transactionLedger.findByIdempotencyKey('key-1')).toMatchObject({ id: 'paid' });
+  });
+
+  test('lists newest first, with limit and offset', async () => {
+    for (const [id, minutes] of [['old', 30], ['new', 1], ['middle', 10]]) {
+      await transactionLedger.record(transaction({ id, created_at: minutesAgo(minutes) }));
+    }
+
+    expect((await transactionLedger.list()).map(t => t.id)).toEqual(['new', 'middle', 'old']);
+    expect((await transactionLedger.list({ limit: 1, offset: 1 })).map(t => t.id)).toEqual(['middle']);
+  });
+
+  test('lists by status, oldest first, and updates records', async () => {
+    await transactionLedger.record(transaction({ id: 'second', created_at: minutesAgo(1) }));
+    await transactionLedger.record(transaction({ id: 'first', created_at: minutesAgo(5) }));
+    await transactionLedger.record(transaction({ id: 'done', status: 'confirmed' }));
+
+    expect((await transactionLedger.listByStatus('pending')).map(t => t.id)).toEqual(['first', 'second']);
+
+    const updated = await transactionLedger.update('first', { status: 'confirmed', confirmed_at: 'now' });
+    expect(updated).toMatchObject({ id: 'first', status: 'confirmed', confirmed_at: 'now', amount: 0.05 });
+    expect((await transactionLedger.listByStatus('pending')).map(t => t.id)).toEqual(['second']);
+    expect(await transactionLedger.update('missing', { status: 'failed' })).toBeNull();
+  });
+
+  test('totals only payments that moved money, per wallet or overall', async () => {
+    await transactionLedger.record(transaction({ amount: 0.05, status: 'confirmed' }));
+    await transactionLedger.record(transaction({ amount: '0.03', status: 'pending' }));
+    await transactionLedger.record(transaction({ amount: 0.02, to_wallet: BOB, status: 'confirmed' }));
+    await transactionLedger.record(transaction({ amount: 1, status: 'failed' }));
+    await transactionLedger.record(transaction({ amount: 1, status: 'cancelled' }));
+    await transactionLedger.record(transaction({ amount: 1, status: 'expired' }));
+    await transactionLedger.record(transaction({ amount: 1, status: 'confirmed', created_at: minutesAgo(120) }));
+
+    const since = new Date(Date.now() - 60 * 60 * 1000);
+
+    expect(await transactionLedger.totalSince(since, '0xABCDEF1111111111111111111111111111111111')).toBeCloseTo(0.08);
+    expect(await transactionLedger.totalSince(since)).toBeCloseTo(0.1);
+    expect((await transactionLedger.findSince(since, BOB)).map(t => t.amount)).toEqual([0.02]);
+  });
+
+  test('fails instead of losing payments when the file is corrupt', async () => {
+    await transactionLedger.record(transaction({ id: 'tx-1' }));
+    fs.writeFileSync(TRANSACTIONS_FILE, '{"transactions": [');
+
+    await expect(transactionLedger.record(transaction({ id: 'tx-2' }))).rejects.toThrow(/transactions\.json is unreadable/);
+    await expect(transactionLedger.totalSince(new Date(0))).rejects.toThrow(/unreadable/);
+    expect(fs.readFileSync(TRANSACTIONS_FILE, 'utf8')).toBe('{"transactions": [');
+  });
+});
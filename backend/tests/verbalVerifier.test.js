@@ -0,0 +1,75 @@
+process.env.VERBAL_CROSSCHECK = 'enforce';
+process.env.LOG_LEVEL = 'error';
+
+const speechToText = require('../src/services/speechToText');
+const verbalVerifier = require('../src/services/verbalVerifier');
+
+/**
+ * A session whose transcript so far is `text`
+ */
+function heard(text) {
+  const sessionId = `session-${Math.random().toString(36).slice(2)}`;
+  verbalVerifier.state(sessionId).segments.push({ at: Date.now(), text });
+  return sessionId;
+}
+
+afterEach(() => {
+  verbalVerifier.sessions.clear();
+  jest.restoreAllMocks();
+});
+
+describe('verbal cross-check', () => {
+  test('matches the amount and agreement heard', async () => {
+    expect(await verbalVerifier.crossCheck(heard('Five cents? Deal!'), { amount: 0.05 })).toMatchObject({
+      checked: true, matched: true, transcriptAmount: 0.05, transcriptAgreement: true
+    });
+  });
+
+  test.each([
+    ['NaN', NaN],
+    ['undefined', undefined],
+    ['a word', 'five']
+  ])('a Gemini amount of %s never matches', async (_, amount) => {
+    const result = await verbalVerifier.crossCheck(heard('Five cents? Deal!'), { amount });
+
+    expect(result.matched).toBe(false);
+    expect(result.reason).toContain('Gemini reported no valid amount');
+  });
+
+  test('a transcript amount that is not a number never matches', async () => {
+    const analyze = speechToText.analyzeTransactionIntent.bind(speechToText);
+    jest.spyOn(speechToText, 'analyzeTransactionIntent').mockImplementation(text => {
+      const analysis = analyze(text);
+      return { ...analysis, amount: NaN, details: { ...analysis.details, amount: { ...analysis.details.amount, amount: NaN } } };
+    });
+
+    const result = await verbalVerifier.crossCheck(heard('Sure, I will pay seven cents. Deal!'), { amount: 0.07 });
+
+    expect(result.matched).toBe(false);
+    expect(result.reason).toBe('The audio transcript has no valid amount (seven cents)');
+  });
+
+  test('a transcript amount of zero never matches', async () => {
+    const result = await verbalVerifier.crossCheck(heard('Zero dollars? Deal!'), { amount: 0 });
+
+    expect(result).toMatchObject({ matched: false, transcriptAmount: 0 });
+    expect(result.reason).toBe('The audio transcript has no valid amount (Zero dollars)');
+  });
+
+  test.each([
+    ['fifty cents, not one dollar, deal', 1],
+    ['Ten cents? No - five cents, deal!', 0.05],
+    ['Zero point zero five? Deal', 0.05]
+  ])('an ambiguous amount in "%s" does not confirm', async (text, amount) => {
+    const result = await verbalVerifier.crossCheck(heard(text), { amount });
+
+    expect(result).toMatchObject({ matched: false, transcriptAmount: amount });
+    expect(result.reason).toMatch(/^The amount in the audio transcript is ambiguous/);
+  });
+
+  test('a refusal is not an agreement', async () => {
+    expect(await verbalVerifier.crossCheck(heard('Five cents? I cannot agree'), { amount: 0.05 })).toMatchObject({
+      matched: false, transcriptAgreement: false
+    });
+  });
+});
@@ -0,0 +1,9 @@
+-- Revert: Remove Locus payment integration fields from transactions table
+
+DROP INDEX IF EXISTS idx_transactions_locus_id;
+
+ALTER TABLE transactions
+DROP COLUMN IF EXISTS locus_transaction_id,
+DROP COLUMN IF EXISTS locus_payment_status,
+DROP COLUMN IF EXISTS payment_method,
+DROP COLUMN IF EXISTS locus_metadata;
@@ -0,0 +1,6 @@
+-- Revert: Remove idempotency keys from transactions table
+
+DROP INDEX IF EXISTS idx_transactions_idempotency_key;
+
+ALTER TABLE transactions
+DROP COLUMN IF EXISTS idempotency_key;
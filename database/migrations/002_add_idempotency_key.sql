@@ -0,0 +1,12 @@
+-- Migration: Add idempotency keys to transactions table
+-- Purpose: Prevent the same payment agreement from being paid out twice
+
+-- Add idempotency key column to transactions table
+ALTER TABLE transactions
+ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255);
+
+-- One transaction per idempotency key
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_idempotency_key ON transactions(idempotency_key);
+
+-- Add comment for documentation
+COMMENT ON COLUMN transactions.idempotency_key IS 'Client or agreement supplied key - repeated executions return the original transaction';
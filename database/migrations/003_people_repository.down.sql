@@ -0,0 +1,10 @@
+-- Revert: Stop storing enrolled people in the people table
+
+-- Restore the original foreign key (deleting a person fails while transactions reference them)
+ALTER TABLE transactions
+DROP CONSTRAINT IF EXISTS transactions_to_person_id_fkey,
+ADD CONSTRAINT transactions_to_person_id_fkey
+  FOREIGN KEY (to_person_id) REFERENCES people(id);
+
+ALTER TABLE people
+DROP COLUMN IF EXISTS photos;
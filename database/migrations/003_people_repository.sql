@@ -0,0 +1,16 @@
+-- Migration: Store enrolled people in the people table
+-- Purpose: Let the people repository keep enrollment photos in PostgreSQL and
+-- let transactions reference the person they paid
+
+-- Enrollment photos, as image store IDs (the first one is the primary reference photo)
+ALTER TABLE people
+ADD COLUMN IF NOT EXISTS photos JSONB NOT NULL DEFAULT '[]';
+
+-- Deleting a person keeps their transactions; the recipient name stays in metadata
+ALTER TABLE transactions
+DROP CONSTRAINT IF EXISTS transactions_to_person_id_fkey,
+ADD CONSTRAINT transactions_to_person_id_fkey
+  FOREIGN KEY (to_person_id) REFERENCES people(id) ON DELETE SET NULL;
+
+-- Add comment for documentation
+COMMENT ON COLUMN people.photos IS 'Image store IDs of enrollment photos, primary reference photo first';
@@ -0,0 +1,7 @@
+-- Revert: One transaction per idempotency key, whatever its status
+-- Fails while a key has more than one attempt recorded
+
+DROP INDEX IF EXISTS idx_transactions_idempotency_key_created;
+DROP INDEX IF EXISTS idx_transactions_idempotency_key_spent;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_idempotency_key ON transactions(idempotency_key);
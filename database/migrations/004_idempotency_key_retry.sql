@@ -0,0 +1,14 @@
+-- Migration: Let a payment be retried under the same idempotency key
+-- Purpose: Failed, cancelled and expired attempts never moved money, so the
+-- key may be used again; it stays unique among payments that were sent
+
+DROP INDEX IF EXISTS idx_transactions_idempotency_key;
+
+-- One sent (or possibly sent) transaction per idempotency key
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_idempotency_key_spent
+  ON transactions(idempotency_key)
+  WHERE status NOT IN ('failed', 'cancelled', 'expired');
+
+-- Lookups of every attempt under a key, newest first
+CREATE INDEX IF NOT EXISTS idx_transactions_idempotency_key_created
+  ON transactions(idempotency_key, created_at DESC);
@@ -0,0 +1,11 @@
+-- Revert schema.sql: drop every table, view and function it creates
+-- WARNING: this deletes all people, transactions, sessions and audit log data
+
+DROP VIEW IF EXISTS transaction_history;
+
+DROP TABLE IF EXISTS audit_log;
+DROP TABLE IF EXISTS sessions;
+DROP TABLE IF EXISTS transactions;
+DROP TABLE IF EXISTS people;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -19,26 +19,61 @@ document.addEventListener('DOMContentLoaded', async () => {
     uiManager.showPersonInfo(data);
   };
 
+  socketClient.onPersonRejected = (data) => {
+    uiManager.showPersonRejected(data);
+  };
+
+  socketClient.onLivenessStatus = (data) => {
+    uiManager.updateLiveness(data);
+  };
+
   socketClient.onVerbalConfirmed = (data) => {
     uiManager.updateVerbalConfirmation(data);
   };
 
-  socketClient.onHandshakeConfirmed = (data) => {
-    uiManager.updateHandshakeConfirmation(data);
+  socketClient.onSessionCreated = (data) => {
+    uiManager.setConsentGestures(data.consentGestures || []);
+  };
+
+  socketClient.onGestureConfirmed = (data) => {
+    uiManager.updateGestureConfirmation(data);
+  };
+
+  socketClient.onHandshakeProgress = (data) => {
+    uiManager.updateHandshakeProgress(data);
+  };
+
+  socketClient.onHandshakeSignals = (data) => {
+    uiManager.updateHandshakeSignals(data);
   };
 
-  // AUTOMATIC PAYMENT EXECUTION: When Gemini confirms both handshake + verbal agreement
-  socketClient.onTransactionReady = async (data) => {
-    console.log('💰 Transaction ready - Executing payment via Locus MCP...', data);
+  // Intents already shown for confirmation - transaction:ready may repeat
+  const handledIntents = new Set();
+
+  // The payment waiting for Confirm/Cancel: { data, timer }
+  let pendingPayment = null;
+
+  const closePendingPayment = () => {
+    if (pendingPayment) {
+      clearInterval(pendingPayment.timer);
+      pendingPayment = null;
+    }
+    uiManager.hidePendingPayment();
+  };
+
+  // Execute a payment the user explicitly confirmed
+  const executePayment = async (data) => {
+    console.log('💰 Payment confirmed - Executing payment via Locus MCP...', data);
 
     try {
       // Show processing status
       uiManager.updateStatus('💰 Executing payment via Locus...');
       uiManager.updateGeminiMessage('🚀 Initiating USDC payment on Base via Locus MCP...');
 
-      // Call the transaction execution API
+      // Call the transaction execution API with the server-issued intent.
+      // Amount and wallet are taken from the server session, not this request.
       console.log('💰 PAYMENT REQUEST DATA:', {
-        recipient: data.recipient,
+        intentId: data.intentId,
         wallet: data.recipient.wallet,
         name: data.recipient.name
       });
@@ -46,23 +81,21 @@ document.addEventListener('DOMContentLoaded', async () => {
       const response = await fetch(`${CONFIG.BACKEND_URL}/api/transaction/execute`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'Idempotency-Key': data.idempotencyKey
         },
         body: JSON.stringify({
-          to_person_id: data.recipient.id,
-          to_wallet: data.recipient.wallet,
-          to_name: data.recipient.name,
-          amount: data.amount,
-          verbal_confirmation: data.verbalQuote,
-          handshake_confirmed: true,
-          confidence: data.confidence,
-          session_id: data.sessionId
+          intent_id: data.intentId,
+          confirmed: true
         })
       });
 
       const result = await response.json();
 
-      if (result.success) {
+      if (result.success && result.replayed) {
+        console.log('↩️ Payment was already executed for this agreement', result);
+        uiManager.updateStatus(`✅ Already paid: ${result.transaction.amount} USDC to ${result.transaction.recipient}`);
+      } else if (result.success) {
         console.log('✅ Payment executed successfully!', result);
         uiManager.updateStatus(`✅ Payment sent! ${result.transaction.amount} USDC to ${result.transaction.recipient}`);
         uiManager.updateGeminiMessage(`✅ Payment Complete!\nAmount: ${result.transaction.amount} USDC\nTo: ${result.transaction.recipient}\nWallet: ${result.transaction.wallet}\nMethod: Locus MCP\nTransaction ID: ${result.transaction.id}`);
@@ -81,6 +114,71 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   };
 
+  // PENDING PAYMENT: Gemini confirmed both consent gesture + verbal agreement -
+  // nothing is paid until the user presses Confirm before the countdown ends
+  socketClient.onTransactionReady = (data) => {
+    if (handledIntents.has(data.intentId)) {
+      console.log('⏭️ Ignoring repeated transaction:ready for intent', data.intentId);
+      return;
+    }
+    handledIntents.add(data.intentId);
+
+    console.log('💰 Transaction ready - Waiting for user confirmation...', data);
+
+    closePendingPayment();
+
+    const deadline = Date.now() + data.confirmTimeoutMs;
+    const tick = () => {
+      const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      uiManager.updatePendingPaymentCountdown(seconds);
+
+      if (seconds === 0) {
+        console.log('⌛ Payment confirmation timed out', data.intentId);
+        closePendingPayment();
+        socketClient.cancelTransaction(data.intentId, 'timeout');
+        uiManager.updateStatus('⌛ Payment not confirmed in time - cancelled');
+      }
+    };
+
+    pendingPayment = { data, timer: setInterval(tick, 250) };
+    uiManager.showPendingPayment(data);
+    tick();
+    uiManager.updateStatus(`⏳ Confirm payment of ${data.amount} USDC to ${data.recipient.name}`);
+  };
+
+  // On-chain outcome of a submitted payment, from the payment reconciler
+  socketClient.onTransactionStatus = (data) => {
+    uiManager.updatePaymentStatus(data);
+  };
+
+  // The server cancelled the payment (e.g. its own timeout)
+  socketClient.onTransactionCancelled = (data) => {
+    if (pendingPayment && pendingPayment.data.intentId === data.intentId) {
+      closePendingPayment();
+      uiManager.updateStatus(data.status === 'expired'
+        ? '⌛ Payment not confirmed in time - cancelled'
+        : '🚫 Payment cancelled');
+    }
+  };
+
+  document.getElementById('confirmPendingPayment')?.addEventListener('click', () => {
+    if (!pendingPayment) return;
+
+    const { data } = pendingPayment;
+    closePendingPayment();
+    executePayment(data);
+  });
+
+  document.getElementById('cancelPendingPayment')?.addEventListener('click', () => {
+    if (!pendingPayment) return;
+
+    const { data } = pendingPayment;
+    console.log('🚫 Payment cancelled by user', data.intentId);
+    closePendingPayment();
+    socketClient.cancelTransaction(data.intentId, 'cancelled');
+    uiManager.updateStatus('🚫 Payment cancelled');
+  });
+
   // Initialize enrollment manager
   enrollmentManager.initialize();
   await enrollmentManager.loadEnrolledPeople();
@@ -124,6 +222,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   stopStreamBtn?.addEventListener('click', () => {
+    closePendingPayment();
     streamManager.stopStream();
     startStreamBtn.style.display = 'inline-block';
     stopStreamBtn.style.display = 'none';
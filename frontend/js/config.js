@@ -1,5 +1,8 @@
 const CONFIG = {
   BACKEND_URL: 'http://localhost:3000',
   VIDEO_FPS: 1,
-  AUDIO_SAMPLE_RATE: 16000
+  AUDIO_SAMPLE_RATE: 16000,
+  HAND_TRACKING_FPS: 15,
+  MEDIAPIPE_TASKS_URL: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14',
+  HAND_LANDMARKER_MODEL_URL: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task'
 };
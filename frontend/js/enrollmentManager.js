@@ -5,6 +5,8 @@ class EnrollmentManager {
     this.enrollVideo = null;
     this.enrollCanvas = null;
     this.capturedPhotos = [];
+    this.editingPerson = null; // Full person (with photos) while editing an enrolled person
+    this.photoQuality = null; // Latest server quality check of the photos shown
   }
 
   async initialize() {
@@ -31,7 +33,7 @@ class EnrollmentManager {
       this.enrollVideo.srcObject = this.enrollStream;
 
       document.getElementById('startEnrollCamera').disabled = true;
-      document.getElementById('capturePhoto').disabled = false;
+      this.updatePhotoControls();
 
       console.log('Enrollment camera started');
     } catch (error) {
@@ -41,7 +43,7 @@ class EnrollmentManager {
   }
 
   capturePhoto() {
-    if (!this.enrollStream || this.capturedPhotos.length >= 5) return;
+    if (!this.enrollStream || this.currentPhotos().length >= 5) return;
 
     this.enrollCanvas.width = this.enrollVideo.videoWidth;
     this.enrollCanvas.height = this.enrollVideo.videoHeight;
@@ -50,27 +52,120 @@ class EnrollmentManager {
     ctx.drawImage(this.enrollVideo, 0, 0);
 
     const photoData = this.enrollCanvas.toDataURL('image/jpeg', 0.9);
+
+    // Editing: photos are saved to the person straight away
+    if (this.editingPerson) {
+      this.updatePersonPhotos('POST', '/photos', { photo: photoData });
+      return;
+    }
+
     this.capturedPhotos.push(photoData);
 
     this.updatePhotoPreview();
+    this.updatePhotoControls();
+
+    console.log('Captured photo ' + this.capturedPhotos.length + '/5');
+
+    this.checkPhotos();
+  }
+
+  async checkPhotos() {
+    // Live feedback: the server checks face, sharpness, lighting and duplicates
+    const photos = this.capturedPhotos.slice();
+    this.photoQuality = null;
+
+    if (photos.length === 0) {
+      this.updatePhotoFeedback();
+      return;
+    }
+
+    document.getElementById('photoFeedback').textContent = 'Checking photos...';
+
+    try {
+      const response = await fetch(CONFIG.BACKEND_URL + '/api/enroll/check-photos', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ photos: photos })
+      });
+      const data = await response.json();
 
-    document.getElementById('photoCount').textContent = this.capturedPhotos.length + '/5';
+      // Ignore the answer if photos were captured or deleted meanwhile
+      if (photos.length !== this.capturedPhotos.length || photos.some((photo, i) => photo !== this.capturedPhotos[i])) return;
 
-    if (this.capturedPhotos.length >= 3) {
-      document.getElementById('saveEnrollment').disabled = false;
+      this.photoQuality = data.success ? data.quality : null;
+    } catch (error) {
+      console.error('Error checking photos:', error);
     }
 
-    if (this.capturedPhotos.length >= 5) {
-      document.getElementById('capturePhoto').disabled = true;
+    this.updatePhotoPreview();
+    this.updatePhotoControls();
+  }
+
+  updatePhotoFeedback() {
+    const feedback = document.getElementById('photoFeedback');
+    const quality = this.photoQuality;
+
+    if (!quality) {
+      feedback.innerHTML = '';
+      return;
     }
 
-    console.log('Captured photo ' + this.capturedPhotos.length + '/5');
+    const problems = quality.photos.filter(photo => photo.issues.length > 0);
+    const lines = problems.map(photo => '❌ Photo ' + (photo.index + 1) + ': ' + photo.issues.join(', '));
+    quality.warnings.forEach(warning => lines.push('⚠️ ' + warning));
+
+    if (lines.length === 0) {
+      lines.push('✅ Photos look good');
+    } else if (problems.length > 0 && quality.mode === 'reject') {
+      lines.push('Delete the marked photos and capture new ones to save.');
+    }
+
+    feedback.innerHTML = lines.map(line => '<div>' + line + '</div>').join('');
+  }
+
+  photoIssues(index) {
+    const photo = this.photoQuality && this.photoQuality.photos[index];
+    return photo ? photo.issues : [];
+  }
+
+  currentPhotos() {
+    return this.editingPerson ? this.editingPerson.photos : this.capturedPhotos;
+  }
+
+  updatePhotoControls() {
+    const count = this.currentPhotos().length;
+
+    document.getElementById('photoCount').textContent = count + '/5';
+    document.getElementById('capturePhoto').disabled = !this.enrollStream || count >= 5;
+    document.getElementById('saveEnrollment').disabled = !this.editingPerson &&
+      (count < 3 || Boolean(this.photoQuality && this.photoQuality.mode === 'reject' && !this.photoQuality.passed));
+    this.updatePhotoFeedback();
   }
 
   updatePhotoPreview() {
     const preview = document.getElementById('photoPreview');
+
+    if (this.editingPerson) {
+      const photos = this.editingPerson.photos;
+      preview.innerHTML = photos.map((photoId, i) =>
+        '<div class="photo-thumbnail-container' + (i === 0 ? ' primary' : '') + (this.photoIssues(i).length ? ' has-issues' : '') +
+          '" title="' + this.photoIssues(i).join(', ') + '">' +
+          '<img src="' + CONFIG.BACKEND_URL + '/api/images/' + photoId + '/thumbnail" class="photo-thumbnail" alt="Photo ' + (i + 1) + '">' +
+          '<button class="photo-delete" title="Remove photo" onclick="enrollmentManager.deletePhoto(' + i + ')">×</button>' +
+          '<div class="photo-actions">' +
+            '<button title="Move left"' + (i === 0 ? ' disabled' : '') + ' onclick="enrollmentManager.movePhoto(' + i + ', -1)">◀</button>' +
+            '<button title="' + (i === 0 ? 'Primary reference photo' : 'Use as primary reference photo') + '"' + (i === 0 ? ' disabled' : '') +
+              ' onclick="enrollmentManager.setPrimaryPhoto(' + i + ')">' + (i === 0 ? '★' : '☆') + '</button>' +
+            '<button title="Move right"' + (i === photos.length - 1 ? ' disabled' : '') + ' onclick="enrollmentManager.movePhoto(' + i + ', 1)">▶</button>' +
+          '</div>' +
+        '</div>'
+      ).join('');
+      return;
+    }
+
     preview.innerHTML = this.capturedPhotos.map((photo, i) =>
-      '<div class="photo-thumbnail-container">' +
+      '<div class="photo-thumbnail-container' + (this.photoIssues(i).length ? ' has-issues' : '') +
+        '" title="' + this.photoIssues(i).join(', ') + '">' +
         '<img src="' + photo + '" class="photo-thumbnail" alt="Photo ' + (i + 1) + '">' +
         '<button class="photo-delete" onclick="enrollmentManager.deletePhoto(' + i + ')">×</button>' +
       '</div>'
@@ -78,18 +173,20 @@ class EnrollmentManager {
   }
 
   deletePhoto(index) {
+    if (this.editingPerson) {
+      this.updatePersonPhotos('DELETE', '/photos/' + this.editingPerson.photos[index]);
+      return;
+    }
+
     this.capturedPhotos.splice(index, 1);
+    this.photoQuality = null;
     this.updatePhotoPreview();
+    this.updatePhotoControls();
 
-    document.getElementById('photoCount').textContent = this.capturedPhotos.length + '/5';
-    document.getElementById('capturePhoto').disabled = false;
-
-    if (this.capturedPhotos.length < 3) {
-      document.getElementById('saveEnrollment').disabled = true;
-    }
+    this.checkPhotos();
   }
 
-  async saveEnrollment() {
+  async saveEnrollment(allowDuplicate = false) {
     const name = document.getElementById('personName')?.value.trim();
     const wallet = document.getElementById('walletAddress')?.value.trim();
 
@@ -98,6 +195,10 @@ class EnrollmentManager {
       return;
     }
 
+    if (this.editingPerson) {
+      return this.savePersonDetails(name, wallet);
+    }
+
     if (this.capturedPhotos.length < 3) {
       alert('Please capture at least 3 photos');
       return;
@@ -115,17 +216,30 @@ class EnrollmentManager {
         body: JSON.stringify({
           name: name,
           wallet_address: wallet,
-          photos: this.capturedPhotos
+          photos: this.capturedPhotos,
+          allow_duplicate: allowDuplicate
         })
       });
 
       const data = await response.json();
 
+      if (data.duplicates) {
+        if (this.confirmDuplicate(data.duplicates)) {
+          return this.saveEnrollment(true);
+        }
+        return;
+      }
+
       if (data.success) {
         alert('✅ ' + name + ' enrolled successfully!');
         await this.loadEnrolledPeople();
         this.resetEnrollment();
       } else {
+        if (data.quality) {
+          this.photoQuality = data.quality;
+          this.updatePhotoPreview();
+          this.updatePhotoControls();
+        }
         alert('❌ Error: ' + data.error);
       }
     } catch (error) {
@@ -136,8 +250,14 @@ class EnrollmentManager {
 
   resetEnrollment() {
     this.capturedPhotos = [];
+    this.editingPerson = null;
+    this.photoQuality = null;
     this.updatePhotoPreview();
+    this.updatePhotoFeedback();
 
+    document.getElementById('enrollTitle').textContent = '📸 Enroll New Person';
+    document.getElementById('saveEnrollment').textContent = '💾 Save Person';
+    document.getElementById('resetEnrollment').textContent = '🔄 Reset';
     document.getElementById('personName').value = '';
     document.getElementById('walletAddress').value = '';
     document.getElementById('photoCount').textContent = '0/5';
@@ -152,6 +272,124 @@ class EnrollmentManager {
     }
   }
 
+  async editPerson(id) {
+    try {
+      const response = await fetch(CONFIG.BACKEND_URL + '/api/enroll/' + id);
+      const data = await response.json();
+
+      if (!data.success) {
+        alert('❌ Error: ' + data.error);
+        return;
+      }
+
+      this.capturedPhotos = [];
+      this.editingPerson = data.person;
+      this.photoQuality = null;
+
+      document.getElementById('enrollTitle').textContent = '✏️ Edit ' + data.person.name;
+      document.getElementById('saveEnrollment').textContent = '💾 Save Changes';
+      document.getElementById('resetEnrollment').textContent = '✕ Stop Editing';
+      document.getElementById('personName').value = data.person.name;
+      document.getElementById('walletAddress').value = data.person.wallet;
+
+      this.updatePhotoPreview();
+      this.updatePhotoControls();
+    } catch (error) {
+      console.error('Error loading person:', error);
+      alert('Failed to load person');
+    }
+  }
+
+  async savePersonDetails(name, wallet) {
+    if (!/^0x[a-fA-F0-9]{40}$/.test(wallet)) {
+      alert('Invalid wallet address format');
+      return;
+    }
+
+    try {
+      const response = await fetch(CONFIG.BACKEND_URL + '/api/enroll/' + this.editingPerson.id, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: name,
+          wallet_address: wallet
+        })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        alert('✅ ' + name + ' updated');
+        await this.loadEnrolledPeople();
+        this.resetEnrollment();
+      } else {
+        alert('❌ Error: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Error updating person:', error);
+      alert('Failed to update person. Check if backend is running.');
+    }
+  }
+
+  movePhoto(index, direction) {
+    const order = this.editingPerson.photos.slice();
+    const target = index + direction;
+    if (target < 0 || target >= order.length) return;
+
+    order[index] = this.editingPerson.photos[target];
+    order[target] = this.editingPerson.photos[index];
+
+    this.updatePersonPhotos('PUT', '/photos/order', { order: order });
+  }
+
+  setPrimaryPhoto(index) {
+    this.updatePersonPhotos('PUT', '/photos/primary', { photo: this.editingPerson.photos[index] });
+  }
+
+  async updatePersonPhotos(method, path, body) {
+    try {
+      const options = { method: method };
+      if (body) {
+        options.headers = { 'Content-Type': 'application/json' };
+        options.body = JSON.stringify(body);
+      }
+
+      const response = await fetch(CONFIG.BACKEND_URL + '/api/enroll/' + this.editingPerson.id + path, options);
+      const data = await response.json();
+
+      if (data.duplicates) {
+        if (this.confirmDuplicate(data.duplicates)) {
+          return this.updatePersonPhotos(method, path, Object.assign({}, body, { allow_duplicate: true }));
+        }
+        return;
+      }
+
+      if (data.success) {
+        this.editingPerson = data.person;
+        // Only an added photo comes back checked; indices change with any other edit
+        this.photoQuality = data.quality || null;
+        this.updatePhotoPreview();
+        this.updatePhotoControls();
+        await this.loadEnrolledPeople();
+      } else {
+        alert('❌ Error: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Error updating photos:', error);
+      alert('Failed to update photos');
+    }
+  }
+
+  confirmDuplicate(duplicates) {
+    // The same face under two wallets could be paid to the wrong one
+    const matches = duplicates.map(d =>
+      '• ' + d.name + ' (' + d.wallet.slice(0, 10) + '..., ' + Math.round(d.similarity * 100) + '% similar)'
+    ).join('\n');
+
+    return confirm('⚠️ This face looks like someone already enrolled:\n\n' + matches +
+      '\n\nSave anyway? The override is recorded on the person.');
+  }
+
   async loadEnrolledPeople() {
     try {
       const response = await fetch(CONFIG.BACKEND_URL + '/api/enroll/list');
@@ -180,6 +418,9 @@ class EnrollmentManager {
 
       if (data.success) {
         alert('✅ Deleted ' + name);
+        if (this.editingPerson && this.editingPerson.id === id) {
+          this.resetEnrollment();
+        }
         await this.loadEnrolledPeople();
       }
     } catch (error) {
@@ -202,11 +443,15 @@ class EnrollmentManager {
         '<div class="person-info">' +
           '<h4>' + person.name + '</h4>' +
           '<p class="mono small">' + person.wallet + '</p>' +
-          '<p class="meta">' + (person.photoCount || person.photos?.length || 0) + ' photos</p>' +
+          '<p class="meta">' + (person.photoCount || person.photos?.length || 0) + ' photos' +
+            (person.duplicateOverride ? ' · ⚠️ enrolled despite duplicate warning' : '') + '</p>' +
+        '</div>' +
+        '<div class="person-actions">' +
+          '<button class="btn-edit" onclick="enrollmentManager.editPerson(\'' + person.id + '\')">✏️ Edit</button>' +
+          '<button class="btn-delete" onclick="enrollmentManager.deletePerson(\'' + person.id + '\', \'' + person.name + '\')">' +
+            '🗑️ Delete' +
+          '</button>' +
         '</div>' +
-        '<button class="btn-delete" onclick="enrollmentManager.deletePerson(\'' + person.id + '\', \'' + person.name + '\')">' +
-          '🗑️ Delete' +
-        '</button>' +
       '</div>'
     ).join('');
   }
@@ -0,0 +1,86 @@
+// Runs MediaPipe hand landmark detection on the live video and streams the
+// landmarks to the backend, which checks them for a handshake independently
+// of Gemini.
+class HandTracker {
+  constructor() {
+    this.videoElement = document.getElementById('videoFeed');
+    this.landmarker = null;
+    this.loading = null;
+    this.interval = null;
+    this.active = false;
+    this.lastVideoTime = -1;
+  }
+
+  async start() {
+    this.active = true;
+
+    try {
+      await this.load();
+    } catch (error) {
+      // Without hand tracking a handshake only confirms if HANDSHAKE_FUSION accepts Gemini alone
+      console.error('Could not load hand tracking:', error);
+      return false;
+    }
+
+    // The stream may have stopped while the model loaded
+    if (!this.active || this.interval) return false;
+
+    this.interval = setInterval(() => this.detect(), 1000 / CONFIG.HAND_TRACKING_FPS);
+
+    console.log('✋ Hand tracking started');
+    return true;
+  }
+
+  stop() {
+    this.active = false;
+
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.lastVideoTime = -1;
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const vision = await import(`${CONFIG.MEDIAPIPE_TASKS_URL}/vision_bundle.mjs`);
+        const fileset = await vision.FilesetResolver.forVisionTasks(`${CONFIG.MEDIAPIPE_TASKS_URL}/wasm`);
+
+        this.landmarker = await vision.HandLandmarker.createFromOptions(fileset, {
+          baseOptions: { modelAssetPath: CONFIG.HAND_LANDMARKER_MODEL_URL },
+          runningMode: 'VIDEO',
+          numHands: 2
+        });
+      })();
+
+      // Let a later start() try again
+      this.loading.catch(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  detect() {
+    if (!this.landmarker || !this.videoElement.videoWidth) return;
+
+    // Only new video frames
+    if (this.videoElement.currentTime === this.lastVideoTime) return;
+    this.lastVideoTime = this.videoElement.currentTime;
+
+    const result = this.landmarker.detectForVideo(this.videoElement, performance.now());
+
+    const hands = (result.landmarks || []).map((landmarks, i) => {
+      const category = result.handedness?.[i]?.[0];
+      return {
+        handedness: category?.categoryName || null,
+        score: category?.score ?? null,
+        landmarks: landmarks.map(point => ({ x: point.x, y: point.y, z: point.z }))
+      };
+    });
+
+    // Also send empty results, so the backend sees the handshake end
+    socketClient.sendHands(hands);
+  }
+}
+
+const handTracker = new HandTracker();
@@ -5,9 +5,16 @@ class SocketClient {
     this.onGeminiMessage = null;
     this.onStatusUpdate = null;  // NEW: For real-time status updates
     this.onPersonIdentified = null;
+    this.onPersonRejected = null;
+    this.onLivenessStatus = null;
     this.onVerbalConfirmed = null;
-    this.onHandshakeConfirmed = null;
+    this.onSessionCreated = null;
+    this.onGestureConfirmed = null;
+    this.onHandshakeSignals = null;
+    this.onHandshakeProgress = null;
     this.onTransactionReady = null;
+    this.onTransactionCancelled = null;
+    this.onTransactionStatus = null;
   }
 
   connect() {
@@ -27,6 +34,7 @@ class SocketClient {
 
     this.socket.on('session:created', (data) => {
       console.log('Session created:', data);
+      if (this.onSessionCreated) this.onSessionCreated(data);
     });
 
     this.socket.on('gemini:message', (data) => {
@@ -48,14 +56,31 @@ class SocketClient {
       console.log('Unknown person:', data);
     });
 
+    this.socket.on('liveness:status', (data) => {
+      if (this.onLivenessStatus) this.onLivenessStatus(data);
+    });
+
+    this.socket.on('person:rejected', (data) => {
+      console.log('Identification rejected by face check:', data);
+      if (this.onPersonRejected) this.onPersonRejected(data);
+    });
+
     this.socket.on('verbal:confirmed', (data) => {
       console.log('Verbal confirmed:', data);
       if (this.onVerbalConfirmed) this.onVerbalConfirmed(data);
     });
 
-    this.socket.on('handshake:confirmed', (data) => {
-      console.log('Handshake confirmed:', data);
-      if (this.onHandshakeConfirmed) this.onHandshakeConfirmed(data);
+    this.socket.on('gesture:confirmed', (data) => {
+      console.log('Consent gesture confirmed:', data);
+      if (this.onGestureConfirmed) this.onGestureConfirmed(data);
+    });
+
+    this.socket.on('handshake:signals', (data) => {
+      if (this.onHandshakeSignals) this.onHandshakeSignals(data);
+    });
+
+    this.socket.on('handshake:progress', (data) => {
+      if (this.onHandshakeProgress) this.onHandshakeProgress(data);
     });
 
     this.socket.on('transaction:ready', (data) => {
@@ -63,6 +88,16 @@ class SocketClient {
       if (this.onTransactionReady) this.onTransactionReady(data);
     });
 
+    this.socket.on('transaction:cancelled', (data) => {
+      console.log('Transaction cancelled:', data);
+      if (this.onTransactionCancelled) this.onTransactionCancelled(data);
+    });
+
+    this.socket.on('transaction:status', (data) => {
+      console.log('Transaction status:', data);
+      if (this.onTransactionStatus) this.onTransactionStatus(data);
+    });
+
     this.socket.on('transaction:blocked', (data) => {
       console.warn('Transaction blocked:', data.reason);
       alert(`Transaction blocked: ${data.reason}`);
@@ -99,12 +134,22 @@ class SocketClient {
     this.socket.emit('stream:stop');
   }
 
+  cancelTransaction(intentId, reason) {
+    this.socket.emit('transaction:cancel', { intentId, reason });
+  }
+
   sendVideo(frameData) {
     if (this.connected) {
       this.socket.emit('stream:video', { frame: frameData });
     }
   }
 
+  sendHands(hands) {
+    if (this.connected) {
+      this.socket.emit('stream:hands', { hands });
+    }
+  }
+
   sendAudio(audioData) {
     if (this.connected) {
       this.socket.emit('stream:audio', { audio: audioData });
@@ -30,6 +30,9 @@ class StreamManager {
       // Start audio capture
       await this.startAudioCapture();
 
+      // Hand landmarks for the backend's own handshake check (loads in the background)
+      handTracker.start();
+
       // Tell backend to start Gemini session
       socketClient.startStream();
 
@@ -126,6 +129,8 @@ class StreamManager {
       this.videoInterval = null;
     }
 
+    handTracker.stop();
+
     if (this.audioWorkletNode) {
       this.audioWorkletNode.disconnect();
       this.audioWorkletNode = null;
@@ -1,7 +1,18 @@
+// Labels for the consent gestures a deployment may accept (CONSENT_GESTURES)
+const GESTURE_LABELS = {
+  handshake: { label: 'Handshake', icon: '🤝', detected: 'Handshake confirmed!' },
+  fist_bump: { label: 'Fist bump', icon: '👊', detected: 'Fist bump confirmed!' },
+  thumbs_up: { label: 'Thumbs-up', icon: '👍', detected: 'Thumbs-up confirmed!' },
+  nod: { label: 'Nod', icon: '🙂', detected: 'Nod confirmed!' }
+};
+
 class UIManager {
   constructor() {
     this.verbalConfirmed = false;
-    this.handshakeConfirmed = false;
+    this.gestureConfirmed = false;
+    this.confirmedGesture = null;
+    this.consentGestures = ['handshake'];
+    this.popupTransactionId = null;
   }
 
   updateGeminiMessage(message) {
@@ -86,19 +97,41 @@ class UIManager {
     this.checkBothConfirmed();
   }
 
-  updateHandshakeConfirmation(data) {
-    this.handshakeConfirmed = data.active;
+  gestureLabel(gesture) {
+    return GESTURE_LABELS[gesture] || { label: gesture, icon: '✋', detected: 'Gesture confirmed!' };
+  }
+
+  setConsentGestures(gestures) {
+    // The gestures this deployment accepts, sent with session:created
+    this.consentGestures = gestures.map(g => g.id);
+
+    const labels = this.consentGestures.map(id => this.gestureLabel(id).label.toLowerCase());
+    const text = document.getElementById('successConfirmations');
+    if (text && labels.length > 0) {
+      text.textContent = `Verbal agreement and ${labels.join(' or ')} detected`;
+    }
+  }
+
+  updateGestureConfirmation(data) {
+    // Gemini may report a gesture that doesn't hold the confirmation - only the confirmed one counts
+    if (!data.active && this.gestureConfirmed && data.gesture !== this.confirmedGesture) return;
+
+    this.gestureConfirmed = data.active;
+    this.confirmedGesture = data.active ? data.gesture : null;
 
-    const overlay = document.getElementById('handshakeConfirmationOverlay');
-    const text = document.getElementById('handshakeOverlayText');
+    const overlay = document.getElementById('gestureConfirmationOverlay');
+    const text = document.getElementById('gestureOverlayText');
 
     if (!overlay) return;
 
     if (data.active) {
       // Show overlay with details
-      text.textContent = data.description || 'Handshake confirmed!';
+      const gesture = this.gestureLabel(data.gesture);
+      document.getElementById('gestureOverlayIcon').textContent = gesture.icon;
+      document.getElementById('gestureOverlayTitle').textContent = gesture.label;
+      text.textContent = data.description || gesture.detected;
       overlay.style.display = 'block';
-      console.log('✅ HANDSHAKE CONFIRMED - Overlay shown');
+      console.log(`✅ ${gesture.label.toUpperCase()} CONFIRMED - Overlay shown`);
     } else {
       // Hide overlay
       overlay.style.display = 'none';
@@ -107,10 +140,47 @@ class UIManager {
     this.checkBothConfirmed();
   }
 
+  updateHandshakeProgress(data) {
+    // How long hand tracking has seen the hands clasped, of the time required
+    const indicator = document.getElementById('handshakeIndicator');
+    if (!indicator) return;
+
+    if (data.percent === 0) {
+      indicator.style.display = 'none';
+      indicator.classList.remove('held');
+      return;
+    }
+
+    const text = document.getElementById('handshakeIndicatorText');
+    const progress = document.getElementById('handshakeProgress');
+
+    if (data.confirmed) {
+      indicator.classList.add('held');
+      text.textContent = 'Handshake held';
+    } else {
+      indicator.classList.remove('held');
+      text.textContent = `Hold the handshake... ${data.percent}%`;
+    }
+    progress.style.width = `${data.percent}%`;
+
+    indicator.style.display = 'flex';
+  }
+
+  updateHandshakeSignals(data) {
+    // Only worth mentioning while one signal waits for the other
+    if (data.confirmed || data.rule !== 'both') return;
+
+    if (data.gemini && !data.landmarks) {
+      this.updateStatus('🤝 Handshake seen - waiting for hand tracking to confirm...');
+    } else if (data.landmarks && !data.gemini) {
+      this.updateStatus('✋ Hand tracking sees a handshake - waiting for Gemini...');
+    }
+  }
+
   checkBothConfirmed() {
     const successPanel = document.getElementById('successPanel');
 
-    if (this.verbalConfirmed && this.handshakeConfirmed) {
+    if (this.verbalConfirmed && this.gestureConfirmed) {
       console.log('🎉 BOTH CONFIRMATIONS MET!');
       if (successPanel) {
         successPanel.style.display = 'block';
@@ -139,6 +209,14 @@ class UIManager {
     console.log('👤 Person detected: ' + data.name);
   }
 
+  showPersonRejected(data) {
+    // Gemini named someone but the face didn't match their enrolled photos
+    this.hidePersonInfo();
+    this.updateStatus(`🚫 Not identified as ${data.name}: ${data.reason}`);
+
+    console.log('🚫 Identification rejected: ' + data.name, data);
+  }
+
   showPersonOverlay(name, wallet, enrolledPhoto) {
     const overlay = document.getElementById('personOverlay');
     const nameEl = document.getElementById('overlayPersonName');
@@ -149,9 +227,9 @@ class UIManager {
     nameEl.textContent = name;
     walletEl.textContent = wallet;
 
-    // Show enrolled photo if available
+    // Show enrolled photo (image store ID) if available
     let photoHtml = enrolledPhoto ?
-      `<img src="${enrolledPhoto}" class="enrolled-photo" alt="${name}'s enrolled photo" style="max-width: 80px; max-height: 80px; border-radius: 8px; margin-top: 8px; border: 2px solid #4CAF50;">` :
+      `<img src="${CONFIG.BACKEND_URL}/api/images/${enrolledPhoto}/thumbnail" class="enrolled-photo" alt="${name}'s enrolled photo" style="max-width: 80px; max-height: 80px; border-radius: 8px; margin-top: 8px; border: 2px solid #4CAF50;">` :
       '';
 
     // Add photo to overlay if not already there
@@ -168,6 +246,34 @@ class UIManager {
     overlay.style.display = 'block';
   }
 
+  updateLiveness(data) {
+    // Server-side anti-spoofing: a head turn or blink must be seen before identification
+    const indicator = document.getElementById('livenessIndicator');
+    if (!indicator || !data.checked) return;
+
+    const text = document.getElementById('livenessText');
+    const progress = document.getElementById('livenessProgress');
+
+    if (data.passed) {
+      indicator.classList.add('live');
+      text.textContent = 'Live';
+    } else {
+      indicator.classList.remove('live');
+      text.textContent = data.faceDetected ? data.challenge : 'No face in view';
+      progress.style.width = `${Math.round(data.headTurn * 100)}%`;
+    }
+
+    indicator.style.display = 'flex';
+  }
+
+  hideLiveness() {
+    const indicator = document.getElementById('livenessIndicator');
+    if (indicator) {
+      indicator.style.display = 'none';
+      indicator.classList.remove('live');
+    }
+  }
+
   hidePersonOverlay() {
     const overlay = document.getElementById('personOverlay');
     if (overlay) {
@@ -210,18 +316,19 @@ class UIManager {
 
   resetConfirmations() {
     this.verbalConfirmed = false;
-    this.handshakeConfirmed = false;
+    this.gestureConfirmed = false;
+    this.confirmedGesture = null;
 
     // Hide overlays
     const verbalOverlay = document.getElementById('verbalConfirmationOverlay');
-    const handshakeOverlay = document.getElementById('handshakeConfirmationOverlay');
+    const gestureOverlay = document.getElementById('gestureConfirmationOverlay');
 
     if (verbalOverlay) {
       verbalOverlay.style.display = 'none';
     }
 
-    if (handshakeOverlay) {
-      handshakeOverlay.style.display = 'none';
+    if (gestureOverlay) {
+      gestureOverlay.style.display = 'none';
     }
 
     const successPanel = document.getElementById('successPanel');
@@ -231,6 +338,8 @@ class UIManager {
 
     this.hidePersonInfo();
     this.hidePersonOverlay();
+    this.hideLiveness();
+    this.updateHandshakeProgress({ percent: 0 });
   }
 
   showTransactionSuccess(result) {
@@ -269,9 +378,10 @@ class UIManager {
     if (!overlay) return;
 
     // Populate overlay with transaction details
+    this.popupTransactionId = result.transaction.id;
     document.getElementById('overlayAmount').textContent = `$${result.transaction.amount} USDC`;
     document.getElementById('overlayRecipient').textContent = result.transaction.recipient;
-    document.getElementById('overlayStatus').textContent = result.transaction.status.charAt(0).toUpperCase() + result.transaction.status.slice(1);
+    this.setPaymentPopupStatus(result.transaction.status);
 
     // Show overlay on video
     overlay.style.display = 'block';
@@ -286,6 +396,73 @@ class UIManager {
     }
   }
 
+  showPendingPayment(data) {
+    const overlay = document.getElementById('pendingPaymentOverlay');
+    if (!overlay) return;
+
+    const photo = document.getElementById('pendingPaymentPhoto');
+    const enrolledPhoto = data.recipient.photos && data.recipient.photos.length > 0
+      ? data.recipient.photos[0]
+      : null;
+
+    if (enrolledPhoto) {
+      photo.src = CONFIG.BACKEND_URL + '/api/images/' + enrolledPhoto;
+      photo.style.display = 'inline-block';
+    } else {
+      photo.style.display = 'none';
+    }
+
+    document.getElementById('pendingPaymentRecipient').textContent = data.recipient.name;
+    document.getElementById('pendingPaymentWallet').textContent =
+      `${data.recipient.wallet.substring(0, 10)}...${data.recipient.wallet.slice(-8)}`;
+    document.getElementById('pendingPaymentAmount').textContent = `$${data.amount} USDC`;
+
+    overlay.style.display = 'block';
+  }
+
+  updatePendingPaymentCountdown(seconds) {
+    const el = document.getElementById('pendingPaymentCountdown');
+    if (el) {
+      el.textContent = seconds;
+    }
+  }
+
+  hidePendingPayment() {
+    const overlay = document.getElementById('pendingPaymentOverlay');
+    if (overlay) {
+      overlay.style.display = 'none';
+    }
+  }
+
+  setPaymentPopupStatus(status) {
+    const overlay = document.getElementById('paymentSuccessOverlay');
+    const statusEl = document.getElementById('overlayStatus');
+    if (!overlay || !statusEl) return;
+
+    const titles = {
+      pending: 'Payment Submitted',
+      confirmed: 'Payment Confirmed!',
+      failed: 'Payment Failed'
+    };
+
+    overlay.querySelector('.payment-success-title').textContent = titles[status] || 'Payment Confirmed!';
+    statusEl.textContent = status.charAt(0).toUpperCase() + status.slice(1);
+    statusEl.className = 'detail-value ' + (status === 'failed' ? 'failed' : status === 'pending' ? 'pending' : 'success');
+  }
+
+  updatePaymentStatus(data) {
+    // Only the payment shown in the popup - other sessions' payments are ignored
+    if (data.id !== this.popupTransactionId) return;
+
+    this.setPaymentPopupStatus(data.status);
+
+    if (data.status === 'confirmed') {
+      this.updateStatus('✅ Payment confirmed on-chain');
+    } else if (data.status === 'failed') {
+      this.updateStatus('❌ Payment failed on-chain');
+    }
+  }
+
   hidePaymentPopup() {
     const overlay = document.getElementById('paymentSuccessOverlay');
     if (overlay) {